@@ -17,6 +17,39 @@ CREATE TABLE IF NOT EXISTS users (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Scoring profiles: LeadScorer weights, tier thresholds and indicator points,
+-- one row per version (edits insert the next version)
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  description TEXT,
+  weights JSONB DEFAULT '{}',
+  thresholds JSONB DEFAULT '{}',
+  indicators JSONB DEFAULT '{}',
+  industry_overrides JSONB DEFAULT '{}',
+  is_active BOOLEAN DEFAULT false,
+  based_on UUID REFERENCES scoring_profiles(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  activated_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (name, version)
+);
+
+-- Outcome models trained on converted and lost leads, one row per version
+CREATE TABLE IF NOT EXISTS scoring_models (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  version INTEGER NOT NULL UNIQUE,
+  target VARCHAR(20) NOT NULL CHECK (target IN ('conversion', 'engagement')),
+  model JSONB NOT NULL,
+  metrics JSONB DEFAULT '{}',
+  options JSONB DEFAULT '{}',
+  is_active BOOLEAN DEFAULT false,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  activated_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Leads table
 CREATE TABLE IF NOT EXISTS leads (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -26,6 +59,9 @@ CREATE TABLE IF NOT EXISTS leads (
   website VARCHAR(500),
   phone VARCHAR(50),
   email VARCHAR(255),
+  email_status VARCHAR(20) CHECK (email_status IN ('valid', 'risky', 'invalid', 'unknown')),
+  email_verification JSONB,
+  owner_name VARCHAR(255),
   
   -- Address
   address VARCHAR(500),
@@ -52,18 +88,30 @@ CREATE TABLE IF NOT EXISTS leads (
   has_yelp_ads BOOLEAN DEFAULT false,
   organic_keywords INTEGER,
   backlinks_count INTEGER,
+  rankings_checked_at TIMESTAMP WITH TIME ZONE,
+  review_analysis JSONB,
+  reviews_collected_at TIMESTAMP WITH TIME ZONE,
+  market_benchmark JSONB,
   
   -- Website quality
   website_quality JSONB,
+  tech_stack JSONB,
+  performance_audit JSONB,
+  seo_audit JSONB,
+  gbp_audit JSONB,
   seo_data JSONB,
   ad_presence JSONB,
   social_presence JSONB,
+  contact_data JSONB,
   
   -- Lead scoring
   lead_score INTEGER CHECK (lead_score >= 0 AND lead_score <= 100),
   tier VARCHAR(50),
+  score_confidence INTEGER CHECK (score_confidence >= 0 AND score_confidence <= 100),
   component_scores JSONB,
   recommendations JSONB,
+  scoring_profile_id UUID REFERENCES scoring_profiles(id),
+  scoring_profile_version INTEGER,
   scored_at TIMESTAMP WITH TIME ZONE,
   
   -- Metadata
@@ -71,6 +119,15 @@ CREATE TABLE IF NOT EXISTS leads (
   source_url VARCHAR(500),
   scraped_at TIMESTAMP WITH TIME ZONE,
   
+  -- Entity resolution
+  normalized_phone VARCHAR(20),
+  website_domain VARCHAR(255),
+  google_place_id VARCHAR(255),
+  target_area VARCHAR(255),
+  source_records JSONB DEFAULT '[]',
+  field_sources JSONB DEFAULT '{}',
+  match_confidence DECIMAL(4,3),
+  
   -- Lead management
   status VARCHAR(50) DEFAULT 'new' CHECK (status IN ('new', 'contacted', 'qualified', 'converted', 'lost')),
   assigned_to UUID REFERENCES users(id),
@@ -143,19 +200,27 @@ CREATE TABLE IF NOT EXISTS scraping_jobs (
   industries VARCHAR(100)[],
   locations VARCHAR(255)[],
   max_leads_per_industry INTEGER,
+  sources VARCHAR(100)[],
+  grid BOOLEAN DEFAULT false,
+  targets JSONB,
   
   -- Status
-  status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'retrying', 'completed', 'failed', 'cancelled')),
   
   -- Results
   results JSONB,
   error_message TEXT,
   
+  -- Progress (lets retries resume where the last attempt stopped)
+  checkpoint JSONB,
+  runner_token UUID, -- Run allowed to write the checkpoint
+  
   -- Timing
   started_by UUID REFERENCES users(id),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   started_at TIMESTAMP WITH TIME ZONE,
-  completed_at TIMESTAMP WITH TIME ZONE
+  completed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Lead notes table (for activity tracking)
@@ -167,6 +232,107 @@ CREATE TABLE IF NOT EXISTS lead_notes (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Lead merges audit (enough to undo a merge)
+CREATE TABLE IF NOT EXISTS lead_merges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  survivor_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  victim_ids UUID[] NOT NULL,
+  
+  -- Field selection
+  strategy VARCHAR(50) CHECK (strategy IN ('most_recent', 'most_complete')),
+  overrides JSONB,
+  changed_fields TEXT[],
+  
+  -- Undo data
+  survivor_snapshot JSONB NOT NULL,
+  victim_snapshots JSONB NOT NULL,
+  moved_records JSONB,
+  record_snapshots JSONB,
+  
+  -- Status
+  status VARCHAR(50) DEFAULT 'merged' CHECK (status IN ('merged', 'undone')),
+  merged_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  undone_by UUID REFERENCES users(id),
+  undone_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Entity resolution review queue (borderline duplicate matches)
+CREATE TABLE IF NOT EXISTS lead_match_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  candidate_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  confidence DECIMAL(4,3),
+  signals JSONB,
+  status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'rejected')),
+  merge_id UUID REFERENCES lead_merges(id),
+  reviewed_by UUID REFERENCES users(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Local search rank checks, one row per keyword per check
+CREATE TABLE IF NOT EXISTS lead_rankings (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  keyword VARCHAR(255) NOT NULL,
+  query VARCHAR(255) NOT NULL,
+  location VARCHAR(255),
+  organic_position INTEGER,
+  organic_url TEXT,
+  local_pack_position INTEGER,
+  maps_position INTEGER,
+  results_checked INTEGER,
+  checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Individual Google and Yelp reviews of a lead, refreshed on each collection
+CREATE TABLE IF NOT EXISTS lead_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  source VARCHAR(50) NOT NULL,
+  review_id VARCHAR(255) NOT NULL,
+  author VARCHAR(255),
+  rating DECIMAL(2,1),
+  text TEXT,
+  published_at TIMESTAMP WITH TIME ZONE,
+  responded BOOLEAN,
+  owner_response TEXT,
+  sentiment DECIMAL(4,3),
+  themes TEXT[] DEFAULT '{}',
+  collected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (lead_id, source, review_id)
+);
+
+-- One row per scoring run, with the score and tier it replaced
+CREATE TABLE IF NOT EXISTS lead_score_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  score INTEGER NOT NULL,
+  tier VARCHAR(50) NOT NULL,
+  previous_score INTEGER,
+  previous_tier VARCHAR(50),
+  confidence INTEGER,
+  component_scores JSONB DEFAULT '{}',
+  indicators JSONB DEFAULT '{}',
+  scoring_profile_id UUID REFERENCES scoring_profiles(id) ON DELETE SET NULL,
+  scoring_profile_version INTEGER,
+  scoring_mode VARCHAR(10) DEFAULT 'rule' CHECK (scoring_mode IN ('rule', 'model', 'blend', 'shadow')),
+  rule_score INTEGER,
+  model_score INTEGER,
+  model_version INTEGER,
+  scored_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Things that happened to a lead, e.g. lead.tier_upgraded from the score drift check
+CREATE TABLE IF NOT EXISTS lead_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  type VARCHAR(100) NOT NULL,
+  payload JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_leads_company_name ON leads(company_name);
 CREATE INDEX IF NOT EXISTS idx_leads_industry ON leads(industry);
@@ -176,6 +342,13 @@ CREATE INDEX IF NOT EXISTS idx_leads_lead_score ON leads(lead_score DESC);
 CREATE INDEX IF NOT EXISTS idx_leads_tier ON leads(tier);
 CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_leads_email ON leads(email);
+CREATE INDEX IF NOT EXISTS idx_leads_email_status ON leads(email_status);
+CREATE INDEX IF NOT EXISTS idx_leads_normalized_phone ON leads(normalized_phone);
+CREATE INDEX IF NOT EXISTS idx_leads_website_domain ON leads(website_domain);
+CREATE INDEX IF NOT EXISTS idx_leads_google_place_id ON leads(google_place_id);
+CREATE INDEX IF NOT EXISTS idx_leads_target_area ON leads(target_area);
+CREATE INDEX IF NOT EXISTS idx_leads_market ON leads(industry, state, city);
+CREATE INDEX IF NOT EXISTS idx_leads_tech_stack ON leads USING gin(tech_stack jsonb_path_ops);
 
 CREATE INDEX IF NOT EXISTS idx_messages_lead_id ON messages(lead_id);
 CREATE INDEX IF NOT EXISTS idx_messages_campaign_id ON messages(campaign_id);
@@ -188,6 +361,24 @@ CREATE INDEX IF NOT EXISTS idx_campaigns_created_at ON campaigns(created_at DESC
 CREATE INDEX IF NOT EXISTS idx_scraping_jobs_status ON scraping_jobs(status);
 CREATE INDEX IF NOT EXISTS idx_scraping_jobs_created_at ON scraping_jobs(created_at DESC);
 
+CREATE INDEX IF NOT EXISTS idx_lead_match_reviews_status ON lead_match_reviews(status);
+CREATE INDEX IF NOT EXISTS idx_lead_match_reviews_lead_id ON lead_match_reviews(lead_id);
+CREATE INDEX IF NOT EXISTS idx_lead_merges_survivor_id ON lead_merges(survivor_id);
+CREATE INDEX IF NOT EXISTS idx_lead_rankings_lead_keyword ON lead_rankings(lead_id, keyword, checked_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_rankings_checked_at ON leads(rankings_checked_at NULLS FIRST);
+CREATE INDEX IF NOT EXISTS idx_lead_reviews_lead_published ON lead_reviews(lead_id, published_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_scoring_profile_id ON leads(scoring_profile_id);
+CREATE INDEX IF NOT EXISTS idx_lead_score_history_lead_scored ON lead_score_history(lead_id, scored_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_score_history_scored_at ON lead_score_history(scored_at);
+CREATE INDEX IF NOT EXISTS idx_lead_events_lead_created ON lead_events(lead_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_events_type ON lead_events(type);
+
+-- At most one active scoring profile
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_profiles_active ON scoring_profiles(is_active) WHERE is_active;
+
+-- At most one active scoring model
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_models_active ON scoring_models(is_active) WHERE is_active;
+
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
 
@@ -219,6 +410,21 @@ CREATE TRIGGER update_campaigns_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_scraping_jobs_updated_at
+  BEFORE UPDATE ON scraping_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Merge enrichment results into leads.seo_data in one statement, so the SEO
+-- metric and rank check enrichments keep each other's fields
+CREATE OR REPLACE FUNCTION merge_lead_seo_data(p_lead_id UUID, p_seo_data JSONB)
+RETURNS VOID AS $$
+  UPDATE leads
+  SET seo_data = COALESCE(seo_data, '{}'::jsonb) || p_seo_data,
+      updated_at = NOW()
+  WHERE id = p_lead_id;
+$$ LANGUAGE sql;
+
 -- Row Level Security (RLS) Policies
 -- Enable RLS
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
@@ -227,6 +433,14 @@ ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE scraping_jobs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE lead_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_match_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_merges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_rankings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scoring_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scoring_models ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_score_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_events ENABLE ROW LEVEL SECURITY;
 
 -- Users policies (admin can see all, users can see themselves)
 CREATE POLICY users_select_policy ON users
@@ -312,6 +526,114 @@ CREATE POLICY lead_notes_insert_policy ON lead_notes
   TO authenticated
   WITH CHECK (auth.uid() = user_id);
 
+-- Match review policies
+CREATE POLICY lead_match_reviews_select_policy ON lead_match_reviews
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY lead_match_reviews_update_policy ON lead_match_reviews
+  FOR UPDATE
+  TO authenticated
+  USING (auth.jwt()->>'role' IN ('admin', 'user'));
+
+-- Lead merges policies
+CREATE POLICY lead_merges_select_policy ON lead_merges
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY lead_merges_insert_policy ON lead_merges
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' IN ('admin', 'user'));
+
+CREATE POLICY lead_merges_update_policy ON lead_merges
+  FOR UPDATE
+  TO authenticated
+  USING (auth.jwt()->>'role' IN ('admin', 'user'));
+
+-- Lead rankings policies
+CREATE POLICY lead_rankings_select_policy ON lead_rankings
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY lead_rankings_insert_policy ON lead_rankings
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' IN ('admin', 'user'));
+
+-- Lead reviews policies
+CREATE POLICY lead_reviews_select_policy ON lead_reviews
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY lead_reviews_insert_policy ON lead_reviews
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' IN ('admin', 'user'));
+
+CREATE POLICY lead_reviews_update_policy ON lead_reviews
+  FOR UPDATE
+  TO authenticated
+  USING (auth.jwt()->>'role' IN ('admin', 'user'));
+
+-- Scoring profiles policies (only admin can change how leads are scored)
+CREATE POLICY scoring_profiles_select_policy ON scoring_profiles
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY scoring_profiles_insert_policy ON scoring_profiles
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' = 'admin');
+
+CREATE POLICY scoring_profiles_update_policy ON scoring_profiles
+  FOR UPDATE
+  TO authenticated
+  USING (auth.jwt()->>'role' = 'admin');
+
+-- Scoring models policies (only admin can change how leads are scored)
+CREATE POLICY scoring_models_select_policy ON scoring_models
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY scoring_models_insert_policy ON scoring_models
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' = 'admin');
+
+CREATE POLICY scoring_models_update_policy ON scoring_models
+  FOR UPDATE
+  TO authenticated
+  USING (auth.jwt()->>'role' = 'admin');
+
+-- Lead score history policies
+CREATE POLICY lead_score_history_select_policy ON lead_score_history
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY lead_score_history_insert_policy ON lead_score_history
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' IN ('admin', 'user'));
+
+-- Lead events policies
+CREATE POLICY lead_events_select_policy ON lead_events
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY lead_events_insert_policy ON lead_events
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.jwt()->>'role' IN ('admin', 'user'));
+
 -- Seed data: Create default admin user
 -- Note: Change password before deploying!
 INSERT INTO users (email, password, name, role, is_active)
@@ -331,8 +653,54 @@ COMMENT ON TABLE campaigns IS 'Email/SMS campaigns for lead outreach';
 COMMENT ON TABLE messages IS 'Individual messages sent to leads';
 COMMENT ON TABLE scraping_jobs IS 'Web scraping job tracking';
 COMMENT ON TABLE lead_notes IS 'Activity notes and comments on leads';
+COMMENT ON TABLE lead_merges IS 'Audit trail of merged leads with snapshots for undo';
+COMMENT ON TABLE lead_match_reviews IS 'Possible duplicate leads waiting for a manual merge decision';
+COMMENT ON TABLE lead_reviews IS 'Google and Yelp reviews of a lead with local sentiment and complaint themes, one row per review';
+COMMENT ON TABLE scoring_profiles IS 'Versioned LeadScorer settings; the active version scores new leads, defaults fill in anything a profile leaves out';
+COMMENT ON TABLE scoring_models IS 'Versioned outcome models (logistic regression on rule breakdowns); SCORING_MODE decides how the active one takes part in scores';
+COMMENT ON TABLE lead_score_history IS 'Every scoring run of a lead with the score and tier it replaced; the daily drift check reads the last day of it';
+COMMENT ON TABLE lead_events IS 'Lead events such as lead.tier_upgraded, lead.tier_downgraded, lead.score_jumped and lead.score_dropped';
+COMMENT ON TABLE lead_rankings IS 'Google positions of a lead for its industry keywords in its city, one row per keyword per check';
 
 COMMENT ON COLUMN leads.lead_score IS 'Calculated lead quality score (0-100)';
 COMMENT ON COLUMN leads.tier IS 'Lead quality tier: Hot Lead, Warm Lead, Cold Lead, Low Priority';
-COMMENT ON COLUMN leads.component_scores IS 'JSON breakdown of scoring components';
+COMMENT ON COLUMN leads.component_scores IS 'Component scores (0-100) plus breakdown: { component: { score, weight, contribution, coverage, indicators: [{ indicator, label, points, field, value }], missing: [field], capped } }';
 COMMENT ON COLUMN leads.recommendations IS 'JSON array of recommended services for this lead';
+COMMENT ON COLUMN leads.source_records IS 'Provenance: one entry per source record folded into this lead';
+COMMENT ON COLUMN leads.field_sources IS 'Per-field provenance: { field: { source, sourceUrl, leadId, rule, updatedAt } }';
+COMMENT ON COLUMN leads.match_confidence IS 'Lowest entity-resolution confidence among merged source records (0-1)';
+COMMENT ON COLUMN leads.google_place_id IS 'Google Maps place ID (ChIJ...) or feature ID (0x...:0x...)';
+COMMENT ON COLUMN scraping_jobs.checkpoint IS 'Last completed page per source: { completed, cursor, leadIds, updatedAt }; grid sweeps keep their tile queue in cursor.state';
+COMMENT ON COLUMN scraping_jobs.grid IS 'Sweep Google Maps tile by tile instead of one search per location';
+COMMENT ON COLUMN scraping_jobs.targets IS 'ZIP, county and radius targets expanded into search locations: [{ type, zips | county, state | miles, address, zip, lat, lng }]';
+COMMENT ON COLUMN leads.email_status IS 'Deliverability of leads.email: valid, risky (role-based or catch-all), invalid (never sent to) or unknown';
+COMMENT ON COLUMN leads.email_verification IS 'Last verification: { email, status, reason, checks: { syntax, noReply, disposable, roleBased, mx, smtp, catchAll }, verifiedAt }';
+COMMENT ON COLUMN leads.contact_data IS 'Website contact crawl: { url, pages, emails, phones, people, organization, crawledAt }; each value has a confidence (high, medium, low) and source page';
+COMMENT ON COLUMN leads.tech_stack IS 'Detected website technologies: [{ name, category (cms, booking, chat, call_tracking, reviews, analytics), version, confidence, diy, evidence }]';
+COMMENT ON COLUMN leads.performance_audit IS 'Mobile page audit: { url, finalUrl, status, device, throttled, metrics: { ttfb, fcp, lcp, cls, domContentLoaded, load }, ratings, totalBytes, requestCount, failedRequests, renderBlocking, consoleErrors, screenshot: { bucket, path, url }, auditedAt } or { url, error, auditedAt }';
+COMMENT ON COLUMN leads.seo_audit IS 'Site crawl: { url, crawledAt, pagesCrawled, truncated, robotsTxt, sitemap, blockedByRobots, pages, issues: { missingTitles, duplicateTitles, missingMetaDescriptions, duplicateMetaDescriptions, missingH1, multipleH1, thinPages, brokenLinks, canonical }, servicePages, locationPages, issueCount }';
+COMMENT ON COLUMN leads.gbp_audit IS 'Google Business Profile audit: { placeUrl, claimed, categories, hours, hoursListed, photoCount, latestPostDays, questionCount, reviewsSampled, ownerResponses, ownerResponseRate, serviceAreas, hasWebsite, hasPhone, completeness (0-100), missing: [{ item, label }], auditedAt } or { placeUrl, error, auditedAt }';
+COMMENT ON COLUMN leads.target_area IS 'Target area that produced the lead, e.g. ZIP 77002, Harris County, TX or 15 mi of <address>';
+COMMENT ON COLUMN leads.rankings_checked_at IS 'Last local rank check (see lead_rankings); the weekly rank tracking job picks the oldest first';
+COMMENT ON COLUMN leads.review_response_rate IS 'Percentage of collected reviews with an owner response (see lead_reviews)';
+COMMENT ON COLUMN leads.review_analysis IS 'Review mining: { reviewsAnalyzed, sources, averageRating, ownerResponseRate, respondedCount, unansweredNegative, reviewsLast90Days, previous90Days, velocity90d (reviews per month), velocityTrend, daysSinceLastReview, averageSentiment, sentiment: { positive, neutral, negative }, complaintThemes: [{ theme, label, count, share, example }], analyzedAt }';
+COMMENT ON COLUMN leads.market_benchmark IS 'Lead vs. its industry and city, refreshed on scoring: { market: { industry, city, state, size }, you: { rating, reviewCount, seoScore, adPresence, percentiles, strength, rank }, competitors (top 3), comparison: { metric: { you, competitors, gap } }, marketStats, reliable, computedAt }';
+COMMENT ON COLUMN leads.scoring_profile_id IS 'Scoring profile version that produced lead_score; NULL for the built-in default';
+COMMENT ON COLUMN leads.scoring_profile_version IS 'Version number of that profile; 0 for the built-in default';
+COMMENT ON COLUMN leads.score_confidence IS 'Share of the score (0-100, by component weight) resting on data that was checked; auto-campaigns skip leads below AUTO_CAMPAIGN_MIN_CONFIDENCE';
+COMMENT ON COLUMN scoring_profiles.indicators IS 'Points per indicator by component, e.g. { "websiteQuality": { "noSsl": 20 } } (see scoring/default-profile.js)';
+COMMENT ON COLUMN scoring_profiles.industry_overrides IS 'Per-industry weights, thresholds and indicators laid over the profile: { "HVAC": { "weights": { ... } } }';
+COMMENT ON COLUMN scoring_models.model IS 'Artifact: { features, coefficients, intercept, means, stds, quantiles } (see scoring/outcome-model.js)';
+COMMENT ON COLUMN scoring_models.metrics IS 'Training report: { examples, positives, training: { examples, iterations, logLoss }, holdout: { examples, auc, ruleAuc, brierScore, logLoss, calibration } }';
+COMMENT ON COLUMN scoring_models.options IS 'Training settings: { target, industry, holdout, l2, learningRate, iterations, seed, profile }';
+COMMENT ON COLUMN lead_score_history.scoring_mode IS 'rule, model, blend or shadow; score is the rule score in rule and shadow mode';
+COMMENT ON COLUMN lead_score_history.model_score IS 'Outcome model score (0-100, percentile of the training predictions); NULL in rule mode';
+COMMENT ON COLUMN lead_score_history.component_scores IS 'Component scores (0-100) of this run, without the breakdown';
+COMMENT ON COLUMN lead_score_history.indicators IS 'Names of the indicators that fired, by component: { "websiteQuality": ["noSsl"] }';
+COMMENT ON COLUMN lead_events.payload IS 'Score drift events: { fromScore, toScore, change, fromTier, toTier, runs, newIndicators, clearedIndicators, scoredAt }';
+COMMENT ON COLUMN lead_reviews.published_at IS 'Yelp dates are exact; Google only shows "3 weeks ago", so its dates are estimates';
+COMMENT ON COLUMN lead_reviews.responded IS 'Whether the owner replied; NULL when the source does not say';
+COMMENT ON COLUMN lead_reviews.sentiment IS 'Lexicon sentiment of the text, -1 to 1 (see review-analyzer)';
+COMMENT ON COLUMN lead_rankings.organic_position IS '1-based web result position of the lead''s domain; NULL when not in the first results_checked results';
+COMMENT ON COLUMN lead_rankings.local_pack_position IS 'Position (1-3) in the map pack above the web results; NULL when not shown there';
+COMMENT ON COLUMN lead_rankings.maps_position IS 'Position in Google Maps results for the same query; NULL when not in the first RANK_CHECK_MAPS_DEPTH';
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Record Scraper Fixtures
+ * Hits a live source once and saves raw responses for offline replay
+ *
+ * Usage: npm run fixtures:record -- <source> <keyword> <location> [maxPages]
+ */
+
+require('dotenv').config({ path: './config/.env' });
+const sourceRegistry = require('../src/scrapers/source-registry');
+const fixtureStore = require('../src/scrapers/fixture-store');
+const logger = require('../src/utils/logger');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const sourceName = args[0];
+const keyword = args[1] || 'plumber';
+const location = args[2] || 'Tampa, FL';
+const maxPages = parseInt(args[3]) || 1;
+
+async function main() {
+  const adapter = sourceRegistry.get(sourceName);
+
+  if (!adapter) {
+    logger.error(`Unknown source "${sourceName}". Available: ${sourceRegistry.names().join(', ')}`);
+    process.exit(1);
+  }
+
+  fixtureStore.configure({ mode: 'record' });
+
+  logger.info('='.repeat(60));
+  logger.info('Recording Scraper Fixtures');
+  logger.info('='.repeat(60));
+  logger.info(`Source: ${adapter.label}`);
+  logger.info(`Query: ${keyword} / ${location}`);
+  logger.info(`Pages: ${maxPages}`);
+  logger.info(`Fixture Dir: ${fixtureStore.dir}`);
+  logger.info('='.repeat(60));
+
+  try {
+    const results = await adapter.search(keyword, location, {
+      maxPages,
+      maxResults: 1000
+    });
+
+    logger.info(`Recorded ${results.length} results from ${adapter.label}`);
+    process.exitCode = 0;
+
+  } catch (error) {
+    logger.error('Fixture recording failed:', error);
+    process.exitCode = 1;
+  } finally {
+    // Browsers and pages must close before the process exits
+    await sourceRegistry.closeAll();
+  }
+
+  process.exit();
+}
+
+// Handle errors
+process.on('unhandledRejection', (error) => {
+  logger.error('Unhandled rejection:', error);
+  process.exit(1);
+});
+
+// Run
+main();
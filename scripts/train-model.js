@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Train Scoring Model
+ * Fits the outcome model on leads that converted or were lost, reports AUC
+ * and calibration on a holdout set and saves the model as the next version
+ *
+ * Usage: npm run train-model -- [--target conversion|engagement] [--industry HVAC]
+ *   [--holdout 0.25] [--l2 0.01] [--iterations 3000] [--seed 42] [--min-examples 100]
+ *   [--output model.json] [--activate] [--dry-run]
+ */
+
+require('dotenv').config({ path: './config/.env' });
+const fs = require('fs');
+const scoringModels = require('../src/services/scoring-model-service');
+const logger = require('../src/utils/logger');
+
+const NUMBER_OPTIONS = {
+  '--holdout': 'holdout',
+  '--l2': 'l2',
+  '--learning-rate': 'learningRate',
+  '--iterations': 'iterations',
+  '--seed': 'seed',
+  '--min-examples': 'minExamples'
+};
+
+function parseArgs(args) {
+  const options = { target: 'conversion', activate: false, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--activate') options.activate = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--target') options.target = args[++i];
+    else if (arg === '--industry') options.industry = String(args[++i]).toUpperCase();
+    else if (arg === '--output') options.output = args[++i];
+    else if (NUMBER_OPTIONS[arg]) {
+      const value = Number(args[++i]);
+      if (Number.isNaN(value)) throw new Error(`${arg} needs a number`);
+      options[NUMBER_OPTIONS[arg]] = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function format(value) {
+  return value === null || value === undefined ? '-' : value.toFixed(3);
+}
+
+async function main() {
+  logger.info('='.repeat(60));
+  logger.info('ServiceLine Scoring Model Training');
+  logger.info('='.repeat(60));
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const trained = await scoringModels.train(options);
+    const { metrics } = trained;
+    const { holdout } = metrics;
+
+    logger.info(`Target: ${options.target}${options.industry ? ` (${options.industry})` : ''}`);
+    logger.info(`Labelled leads: ${metrics.examples} of ${metrics.leads} (${metrics.positives} positive)`);
+    if (metrics.withoutSnapshot > 0) {
+      logger.info(`Left out: ${metrics.withoutSnapshot} leads with no score history before first contact`);
+    }
+    logger.info(`Training: ${metrics.training.examples} leads, ${metrics.training.iterations} iterations, log loss ${format(metrics.training.logLoss)}`);
+    logger.info(`Holdout: ${holdout.examples} leads (${holdout.positives} positive)`);
+    logger.info(`  AUC: ${format(holdout.auc)} (rule score: ${format(holdout.ruleAuc)})`);
+    logger.info(`  Brier score: ${format(holdout.brierScore)}`);
+    logger.info(`  Log loss: ${format(holdout.logLoss)}`);
+
+    logger.info('\nCalibration (holdout):');
+    logger.info('  Predicted     Leads   Mean predicted   Observed');
+    holdout.calibration.forEach(bin => {
+      const range = `${format(bin.from)}-${format(bin.to)}`;
+      logger.info(`  ${range.padEnd(12)}  ${String(bin.count).padStart(5)}   ${format(bin.meanPredicted).padStart(14)}   ${format(bin.observedRate).padStart(8)}`);
+    });
+
+    logger.info('\nStrongest features:');
+    trained.model.features
+      .map((feature, i) => ({ feature, weight: trained.model.coefficients[i] }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+      .slice(0, 10)
+      .forEach(({ feature, weight }) => logger.info(`  ${feature.padEnd(40)} ${weight >= 0 ? '+' : ''}${weight.toFixed(3)}`));
+
+    if (options.output) {
+      fs.writeFileSync(options.output, JSON.stringify({
+        target: trained.model.target,
+        model: trained.model.toArtifact(),
+        metrics,
+        options: trained.options
+      }, null, 2));
+      logger.info(`\nModel written to ${options.output}`);
+    }
+
+    if (options.dryRun) {
+      logger.info('\nDry run: model not saved');
+    } else {
+      const row = await scoringModels.save(trained, { activate: options.activate });
+      logger.info(`\nSaved as model version ${row.version}${row.is_active ? ' (active)' : ''}`);
+      if (!row.is_active) {
+        logger.info(`Activate it with PUT /api/scoring/models/${row.id} { "activate": true }`);
+      }
+    }
+
+    logger.info('\n' + '='.repeat(60));
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('Training failed:', error);
+    process.exit(1);
+  }
+}
+
+// Handle errors
+process.on('unhandledRejection', (error) => {
+  logger.error('Unhandled rejection:', error);
+  process.exit(1);
+});
+
+// Run
+main();
@@ -162,6 +162,7 @@ exports.getScoringAnalytics = async (req, res, next) => {
         seoRanking: 0,
         adPresence: 0,
         reviewScore: 0,
+        businessProfile: 0,
         socialPresence: 0,
         companySize: 0,
         marketCompetitiveness: 0
@@ -4,11 +4,9 @@
  */
 
 const { supabase } = require('../../database/supabase-client');
-const LeadScorer = require('../../scoring/lead-scorer');
+const scoringProfiles = require('../../services/scoring-profile-service');
 const logger = require('../../utils/logger');
 
-const leadScorer = new LeadScorer();
-
 /**
  * Get all leads with filtering
  */
@@ -112,11 +110,15 @@ exports.createLead = async (req, res, next) => {
 
     // Calculate score if data available
     if (leadData.website || leadData.rating) {
+      const leadScorer = await scoringProfiles.getScorer();
       const scoreData = leadScorer.calculateScore(leadData);
       leadData.score = scoreData.totalScore;
       leadData.tier = scoreData.tier;
+      leadData.score_confidence = scoreData.confidence.score;
       leadData.component_scores = scoreData.componentScores;
       leadData.recommendations = scoreData.recommendations;
+      leadData.scoring_profile_id = scoreData.profile.id;
+      leadData.scoring_profile_version = scoreData.profile.version;
     }
 
     const { data, error } = await supabase
@@ -321,7 +323,8 @@ exports.recalculateScore = async (req, res, next) => {
       });
     }
 
-    // Recalculate score
+    // Recalculate score with the active scoring profile
+    const leadScorer = await scoringProfiles.getScorer();
     const scoreData = leadScorer.calculateScore(lead);
 
     // Update lead with new score
@@ -330,8 +333,11 @@ exports.recalculateScore = async (req, res, next) => {
       .update({
         score: scoreData.totalScore,
         tier: scoreData.tier,
+        score_confidence: scoreData.confidence.score,
         component_scores: scoreData.componentScores,
         recommendations: scoreData.recommendations,
+        scoring_profile_id: scoreData.profile.id,
+        scoring_profile_version: scoreData.profile.version,
         scored_at: scoreData.calculatedAt,
         updated_at: new Date().toISOString()
       })
@@ -19,6 +19,7 @@ const campaignRoutes = require('./routes/campaigns');
 const messageRoutes = require('./routes/messages');
 const analyticsRoutes = require('./routes/analytics');
 const scrapingRoutes = require('./routes/scraping');
+const scoringRoutes = require('./routes/scoring');
 const webhookRoutes = require('./routes/webhooks');
 const monitoringRoutes = require('./routes/monitoring');
 
@@ -87,6 +88,7 @@ app.get('/', (req, res) => {
       messages: '/api/messages',
       analytics: '/api/analytics',
       scraping: '/api/scraping',
+      scoring: '/api/scoring',
       webhooks: '/api/webhooks',
       monitoring: '/api/monitoring'
     },
@@ -108,6 +110,7 @@ app.use('/api/campaigns', campaignRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/scraping', scrapingRoutes);
+app.use('/api/scoring', scoringRoutes);
 
 // Webhook routes (no rate limiting for webhooks)
 app.use('/api/webhooks', webhookRoutes);
@@ -74,6 +74,36 @@ function initializeCronJobs() {
   activeJobs.set('scoring', scoringJob);
   logger.info('✓ Scoring job scheduled: Every 4 hours');
 
+  // Score drift check - runs at 7 AM every day, before the hot leads campaign
+  const scoreDriftJob = cron.schedule(
+    process.env.SCORE_DRIFT_CRON_SCHEDULE || '0 7 * * *',
+    async () => {
+      logger.info('🤖 Checking lead scores for drift');
+      await runScoreDriftCheck();
+    },
+    {
+      scheduled: true,
+      timezone: process.env.TZ || 'America/New_York'
+    }
+  );
+  activeJobs.set('score-drift', scoreDriftJob);
+  logger.info('✓ Score drift check scheduled: 7 AM daily');
+
+  // Rank tracking - runs at 4 AM every Monday
+  const rankTrackingJob = cron.schedule(
+    process.env.RANK_CHECK_CRON_SCHEDULE || '0 4 * * 1',
+    async () => {
+      logger.info('🤖 Starting automated rank tracking');
+      await runRankTracking();
+    },
+    {
+      scheduled: true,
+      timezone: process.env.TZ || 'America/New_York'
+    }
+  );
+  activeJobs.set('rank-tracking', rankTrackingJob);
+  logger.info('✓ Rank tracking scheduled: 4 AM every Monday');
+
   // Hot leads campaign - runs at 9 AM every weekday
   const hotLeadsCampaign = cron.schedule(
     '0 9 * * 1-5',
@@ -199,6 +229,8 @@ async function runWeeklyScraping() {
 
 /**
  * Run scoring for unscored leads
+ * Also rescores leads scored before confidence existed, which the hot leads
+ * campaign skips until they have one
  */
 async function runScoringJob() {
   try {
@@ -206,7 +238,7 @@ async function runScoringJob() {
     const { data: unscoredLeads, error } = await supabase
       .from('leads')
       .select('id')
-      .is('lead_score', null)
+      .or('lead_score.is.null,score_confidence.is.null')
       .limit(100);
 
     if (error) throw error;
@@ -230,18 +262,76 @@ async function runScoringJob() {
   }
 }
 
+/**
+ * Queue the check for leads whose score jumped or changed tier since yesterday
+ */
+async function runScoreDriftCheck() {
+  try {
+    await addJob('scoring', 'detect-score-drift', {
+      driftCheck: true
+    }, {
+      priority: 7
+    });
+
+    logger.info('Queued score drift check');
+
+  } catch (error) {
+    logger.error('Failed to queue score drift check:', error);
+  }
+}
+
+/**
+ * Queue rank checks for open leads, least recently checked first
+ */
+async function runRankTracking() {
+  try {
+    const batchSize = parseInt(process.env.RANK_CHECK_BATCH_SIZE) || 50;
+    const sixDaysAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
+
+    const { data: leads, error } = await supabase
+      .from('leads')
+      .select('id')
+      .in('status', ['new', 'contacted', 'qualified'])
+      .not('city', 'is', null)
+      .or(`rankings_checked_at.is.null,rankings_checked_at.lt.${sixDaysAgo.toISOString()}`)
+      .order('rankings_checked_at', { ascending: true, nullsFirst: true })
+      .limit(batchSize);
+
+    if (error) throw error;
+
+    for (const lead of leads || []) {
+      // Several Google searches per keyword under the shared rate limit
+      await addJob('enrichment', 'check-rankings', {
+        leadId: lead.id,
+        enrichmentType: 'rankings'
+      }, {
+        priority: 10,
+        timeout: 10 * 60 * 1000
+      });
+    }
+
+    logger.info(`Queued ${leads?.length || 0} leads for rank tracking`);
+
+  } catch (error) {
+    logger.error('Failed to queue rank tracking:', error);
+  }
+}
+
 /**
  * Run campaign for hot leads
  */
 async function runHotLeadsCampaign() {
   try {
     const hotLeadThreshold = parseInt(process.env.AUTO_EMAIL_THRESHOLD || '80');
+    const minConfidence = parseInt(process.env.AUTO_CAMPAIGN_MIN_CONFIDENCE || '50');
 
-    // Find hot leads that haven't been contacted
+    // Find hot leads that haven't been contacted, skipping scores that rest on
+    // too little data. Leads without a confidence wait for the scoring job to rescore them
     const { data: hotLeads, error } = await supabase
       .from('leads')
       .select('id')
       .gte('lead_score', hotLeadThreshold)
+      .gte('score_confidence', minConfidence)
       .eq('status', 'new')
       .limit(50);
 
@@ -7,15 +7,27 @@ const {
   getLeads,
   getLeadById,
   saveLeadToDatabase,
-  updateLead,
-  deleteLead as deleteLeadFromDB,
-  bulkInsertLeads
+  updateLead: updateLeadInDB,
+  deleteLead: deleteLeadFromDB,
+  bulkInsertLeads,
+  getMatchReviews,
+  getMatchReviewById,
+  updateMatchReview,
+  getLeadsByIds,
+  getLeadMerges,
+  getLeadMergeById,
+  getLeadRankings: getLeadRankingsFromDB,
+  saveScoreHistory,
+  getScoreHistory,
+  getLeadEvents
 } = require('../database/lead-repository');
-const LeadScorer = require('../scoring/lead-scorer');
+const marketModel = require('../scoring/market-model');
+const scoringProfiles = require('../services/scoring-profile-service');
+const leadMergeService = require('../services/lead-merge-service');
+const { MERGEABLE_FIELDS, LeadMergeUndoError } = require('../services/lead-merge-service');
+const entityResolver = require('../scrapers/entity-resolver');
 const logger = require('../utils/logger');
 
-const scorer = new LeadScorer();
-
 /**
  * List leads with filtering and pagination
  */
@@ -27,6 +39,7 @@ async function listLeads(req, res) {
     minScore, 
     maxScore, 
     tier,
+    emailStatus,
     search,
     limit = 50, 
     offset = 0,
@@ -41,6 +54,7 @@ async function listLeads(req, res) {
     minScore: minScore ? parseInt(minScore) : undefined,
     maxScore: maxScore ? parseInt(maxScore) : undefined,
     tier,
+    emailStatus,
     search
   };
 
@@ -80,9 +94,253 @@ async function getLead(req, res) {
     });
   }
 
+  // Where each field and source record came from, plus merges into this lead
+  const merges = await getLeadMerges(id);
+
   res.json({
     success: true,
-    data: lead
+    data: {
+      ...lead,
+      provenance: {
+        fields: lead.field_sources || {},
+        sources: lead.source_records || [],
+        merges
+      }
+    }
+  });
+}
+
+/**
+ * Rank history per industry keyword, latest check first
+ */
+async function getLeadRankings(req, res) {
+  const { id } = req.params;
+  const { keyword, since, limit = 500 } = req.query;
+
+  const lead = await getLeadById(id);
+
+  if (!lead) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Lead not found'
+    });
+  }
+
+  const rows = await getLeadRankingsFromDB(id, {
+    keyword,
+    since: since ? new Date(since).toISOString() : undefined
+  }, { limit: parseInt(limit) });
+  const keywords = new Map();
+
+  for (const row of rows) {
+    if (!keywords.has(row.keyword)) {
+      keywords.set(row.keyword, {
+        keyword: row.keyword,
+        query: row.query,
+        location: row.location,
+        latest: row,
+        history: []
+      });
+    }
+
+    keywords.get(row.keyword).history.push({
+      checked_at: row.checked_at,
+      organic_position: row.organic_position,
+      local_pack_position: row.local_pack_position,
+      maps_position: row.maps_position
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      leadId: id,
+      checkedAt: lead.rankings_checked_at || null,
+      keywords: Array.from(keywords.values())
+    }
+  });
+}
+
+/**
+ * The lead against the top 3 competitors in its industry and city
+ */
+async function getLeadCompetitors(req, res) {
+  const { id } = req.params;
+  const { refresh = false } = req.query;
+
+  const lead = await getLeadById(id);
+
+  if (!lead) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Lead not found'
+    });
+  }
+
+  if (!marketModel.marketFor(lead)) {
+    return res.status(400).json({
+      error: 'Invalid lead',
+      message: 'Lead needs an industry and city to be compared with its market'
+    });
+  }
+
+  const benchmark = await marketModel.benchmark(lead, { refresh });
+
+  if (!benchmark) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No other leads in this industry and city yet'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      leadId: id,
+      ...benchmark
+    }
+  });
+}
+
+/**
+ * Recalculate a lead's score with the active scoring profile
+ */
+async function rescoreLead(req, res) {
+  const { id } = req.params;
+
+  const lead = await getLeadById(id);
+
+  if (!lead) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Lead not found'
+    });
+  }
+
+  try {
+    lead.market_benchmark = await marketModel.benchmark(lead);
+  } catch (error) {
+    logger.warn(`Market benchmark failed for lead ${id}:`, error.message);
+  }
+
+  const scorer = await scoringProfiles.getScorer();
+  const scoreData = scorer.calculateScore(lead);
+
+  const updatedLead = await updateLeadInDB(id, {
+    lead_score: scoreData.totalScore,
+    tier: scoreData.tier,
+    score_confidence: scoreData.confidence.score,
+    component_scores: scoreData.componentScores,
+    recommendations: scoreData.recommendations,
+    market_benchmark: lead.market_benchmark ?? null,
+    scoring_profile_id: scoreData.profile.id,
+    scoring_profile_version: scoreData.profile.version,
+    scored_at: scoreData.calculatedAt
+  });
+
+  try {
+    await saveScoreHistory(lead, scoreData);
+  } catch (error) {
+    logger.warn(`Score history not recorded for lead ${id}:`, error.message);
+  }
+
+  logger.info(`Lead ${id} rescored: ${scoreData.totalScore} (${scoreData.profile.name} v${scoreData.profile.version})`);
+
+  res.json({
+    success: true,
+    message: 'Score recalculated successfully',
+    data: {
+      lead: updatedLead,
+      scoreBreakdown: scoreData
+    }
+  });
+}
+
+/**
+ * Explain a lead's score: components by contribution, the indicators that
+ * fired and the data that was missing
+ * Leads scored before breakdowns were stored (or with recalculate=true) are
+ * explained with the active profile without saving the result.
+ */
+async function explainLeadScore(req, res) {
+  const { id } = req.params;
+  const { recalculate = false } = req.query;
+
+  const lead = await getLeadById(id);
+
+  if (!lead) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Lead not found'
+    });
+  }
+
+  const scorer = await scoringProfiles.getScorer();
+  const breakdown = lead.component_scores?.breakdown;
+
+  if (breakdown && !recalculate) {
+    return res.json({
+      success: true,
+      data: {
+        leadId: id,
+        totalScore: lead.lead_score,
+        tier: lead.tier,
+        profile: { id: lead.scoring_profile_id, version: lead.scoring_profile_version },
+        scoredAt: lead.scored_at,
+        stored: true,
+        ...scorer.explain(breakdown)
+      }
+    });
+  }
+
+  const scoreData = scorer.calculateScore(lead);
+
+  res.json({
+    success: true,
+    data: {
+      leadId: id,
+      totalScore: scoreData.totalScore,
+      tier: scoreData.tier,
+      profile: { id: scoreData.profile.id, version: scoreData.profile.version },
+      scoredAt: scoreData.calculatedAt,
+      stored: false,
+      ...scorer.explain(scoreData.componentScores.breakdown)
+    }
+  });
+}
+
+/**
+ * A lead's scoring runs, newest first, with the events score drift raised
+ */
+async function getLeadScoreHistory(req, res) {
+  const { id } = req.params;
+  const { since, limit = 100 } = req.query;
+
+  const lead = await getLeadById(id);
+
+  if (!lead) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Lead not found'
+    });
+  }
+
+  const [history, events] = await Promise.all([
+    getScoreHistory(id, {
+      since: since ? new Date(since).toISOString() : undefined
+    }, { limit: parseInt(limit) }),
+    getLeadEvents(id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      leadId: id,
+      totalScore: lead.lead_score,
+      tier: lead.tier,
+      history,
+      events
+    }
   });
 }
 
@@ -92,6 +350,7 @@ async function getLead(req, res) {
 async function createLead(req, res) {
   const leadData = {
     ...req.body,
+    data_source: 'manual',
     created_by: req.user.id,
     status: req.body.status || 'new'
   };
@@ -102,13 +361,20 @@ async function createLead(req, res) {
   // Score lead if data is available
   if (lead.website || lead.rating) {
     try {
+      const scorer = await scoringProfiles.getScorer();
       const scoreData = scorer.calculateScore(lead);
-      const updatedLead = await updateLead(lead.id, {
+      const updatedLead = await updateLeadInDB(lead.id, {
         lead_score: scoreData.totalScore,
         tier: scoreData.tier,
-        recommendations: scoreData.recommendations
+        score_confidence: scoreData.confidence.score,
+        component_scores: scoreData.componentScores,
+        recommendations: scoreData.recommendations,
+        scoring_profile_id: scoreData.profile.id,
+        scoring_profile_version: scoreData.profile.version
       });
-      
+      await saveScoreHistory(lead, scoreData)
+        .catch(error => logger.warn(`Score history not recorded for lead ${lead.id}:`, error.message));
+
       return res.status(201).json({
         success: true,
         message: 'Lead created and scored successfully',
@@ -142,9 +408,18 @@ async function updateLead(req, res) {
     });
   }
 
+  // Manually edited fields are attributed to the user
+  const fieldSources = {
+    ...(existingLead.field_sources || {}),
+    ...entityResolver.fieldSources({ ...updates, data_source: 'manual' }, MERGEABLE_FIELDS, {
+      userId: req.user.id
+    })
+  };
+
   // Update lead
-  const updatedLead = await updateLead(id, {
+  const updatedLead = await updateLeadInDB(id, {
     ...updates,
+    field_sources: fieldSources,
     updated_by: req.user.id
   });
 
@@ -235,12 +510,217 @@ async function exportLeads(req, res) {
   res.send(csv);
 }
 
+/**
+ * List possible duplicates waiting for review
+ */
+async function listMatchReviews(req, res) {
+  const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+  const result = await getMatchReviews({ status }, {
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: result.reviews,
+    pagination: {
+      total: result.total,
+      limit: result.limit,
+      offset: result.offset,
+      hasMore: result.offset + result.reviews.length < result.total
+    }
+  });
+}
+
+/**
+ * Resolve a match review: merge the candidate into the lead, or keep both
+ */
+async function resolveMatchReview(req, res) {
+  const { reviewId } = req.params;
+  const { decision } = req.body;
+
+  const review = await getMatchReviewById(reviewId);
+  if (!review) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Match review not found'
+    });
+  }
+
+  if (review.status !== 'pending') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Match review already ${review.status}`
+    });
+  }
+
+  if (decision === 'merge' && (!review.lead_id || !review.candidate_id)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'One of the leads in this review no longer exists'
+    });
+  }
+
+  let lead = null;
+  let merge = null;
+  if (decision === 'merge') {
+    const [survivor, candidate] = await Promise.all([
+      getLeadById(review.lead_id),
+      getLeadById(review.candidate_id)
+    ]);
+    ({ lead, merge } = await leadMergeService.merge(survivor, [candidate], {
+      strategy: 'most_complete',
+      userId: req.user.id
+    }));
+  }
+
+  const updatedReview = await updateMatchReview(reviewId, {
+    status: decision === 'merge' ? 'merged' : 'rejected',
+    merge_id: merge?.id || null,
+    reviewed_by: req.user.id,
+    reviewed_at: new Date().toISOString()
+  });
+
+  logger.info(`Match review ${reviewId} resolved (${decision}) by user: ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: decision === 'merge' ? 'Leads merged successfully' : 'Leads kept separate',
+    data: {
+      review: updatedReview,
+      lead
+    }
+  });
+}
+
+/**
+ * Merge duplicate leads into a survivor
+ */
+async function mergeLeads(req, res) {
+  const { survivorId, victimIds, strategy = 'most_complete', overrides = {} } = req.body;
+
+  if (victimIds.includes(survivorId)) {
+    return res.status(400).json({
+      error: 'Invalid merge',
+      message: 'The survivor cannot also be merged away'
+    });
+  }
+
+  const leadIds = [survivorId, ...victimIds];
+  const leads = await getLeadsByIds(leadIds);
+  const missing = leadIds.filter(leadId => !leads.some(lead => lead.id === leadId));
+
+  if (missing.length > 0) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Leads not found: ${missing.join(', ')}`
+    });
+  }
+
+  const invalidOverrides = Object.entries(overrides)
+    .filter(([field, leadId]) => !MERGEABLE_FIELDS.includes(field) || !leadIds.includes(leadId))
+    .map(([field]) => field);
+
+  if (invalidOverrides.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid overrides',
+      message: `Overrides must map a mergeable field to one of the merged leads: ${invalidOverrides.join(', ')}`,
+      mergeableFields: MERGEABLE_FIELDS
+    });
+  }
+
+  const survivor = leads.find(lead => lead.id === survivorId);
+  const victims = victimIds.map(victimId => leads.find(lead => lead.id === victimId));
+
+  const { merge, lead } = await leadMergeService.merge(survivor, victims, {
+    strategy,
+    overrides,
+    userId: req.user.id
+  });
+
+  logger.info(`Leads merged into ${survivorId}: ${victimIds.join(', ')} by user: ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Merged ${victims.length} lead(s) into ${lead.company_name}`,
+    data: {
+      mergeId: merge.id,
+      changedFields: merge.changed_fields,
+      lead
+    }
+  });
+}
+
+/**
+ * Undo a lead merge
+ */
+async function undoLeadMerge(req, res) {
+  const { id } = req.params;
+
+  const merge = await getLeadMergeById(id);
+  if (!merge) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Lead merge not found'
+    });
+  }
+
+  if (merge.status === 'undone') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'Lead merge was already undone'
+    });
+  }
+
+  if (!merge.survivor_id) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'The surviving lead was deleted; this merge can no longer be undone'
+    });
+  }
+
+  // Later merges into the same survivor have to be undone first
+  let result;
+  try {
+    result = await leadMergeService.undo(merge, req.user.id);
+  } catch (error) {
+    if (!(error instanceof LeadMergeUndoError)) throw error;
+    return res.status(409).json({
+      error: 'Conflict',
+      message: error.message,
+      laterMergeIds: error.laterMergeIds
+    });
+  }
+
+  logger.info(`Lead merge undone: ${id} by user: ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Restored ${result.restored.length} lead(s)`,
+    data: {
+      merge: result.merge,
+      lead: result.lead,
+      restored: result.restored
+    }
+  });
+}
+
 module.exports = {
   listLeads,
   getLead,
+  getLeadRankings,
+  getLeadCompetitors,
+  rescoreLead,
+  explainLeadScore,
+  getLeadScoreHistory,
   createLead,
   updateLead,
   deleteLead,
   bulkImportLeads,
-  exportLeads
+  exportLeads,
+  listMatchReviews,
+  resolveMatchReview,
+  mergeLeads,
+  undoLeadMerge
 };
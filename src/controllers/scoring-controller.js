@@ -0,0 +1,241 @@
+/**
+ * Scoring Controller
+ * Handles scoring profile and outcome model management
+ */
+
+const {
+  getScoringProfiles,
+  getScoringProfileById,
+  getLatestScoringProfileVersion
+} = require('../database/scoring-profile-repository');
+const {
+  getScoringModels,
+  getScoringModelById
+} = require('../database/scoring-model-repository');
+const scoringProfiles = require('../services/scoring-profile-service');
+const scoringModels = require('../services/scoring-model-service');
+const logger = require('../utils/logger');
+
+/**
+ * List scoring profile versions
+ */
+async function listProfiles(req, res) {
+  const { name, active, limit = 50, offset = 0 } = req.query;
+
+  const { data, count } = await getScoringProfiles(
+    { name, isActive: active },
+    { limit: parseInt(limit), offset: parseInt(offset) }
+  );
+
+  res.json({
+    success: true,
+    data,
+    pagination: {
+      total: count,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + data.length < count
+    }
+  });
+}
+
+/**
+ * The profile leads are currently scored with, including every default it
+ * does not override
+ */
+async function getActiveProfile(req, res) {
+  const scorer = await scoringProfiles.getScorer({ refresh: true });
+
+  res.json({
+    success: true,
+    data: scorer.profile
+  });
+}
+
+/**
+ * Get scoring profile version by ID
+ */
+async function getProfile(req, res) {
+  const { id } = req.params;
+
+  const profile = await getScoringProfileById(id);
+
+  if (!profile) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Scoring profile not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: profile
+  });
+}
+
+/**
+ * Create scoring profile (version 1)
+ */
+async function createProfile(req, res) {
+  const { name } = req.body;
+
+  if (await getLatestScoringProfileVersion(name) > 0) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Scoring profile "${name}" already exists; update it to save a new version`
+    });
+  }
+
+  const { profile, errors } = await scoringProfiles.saveVersion(null, req.body, req.user.id);
+
+  if (errors) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  logger.info(`Scoring profile created: ${profile.name} by user: ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Scoring profile created successfully',
+    data: profile
+  });
+}
+
+/**
+ * Update scoring profile
+ * Saves the changes as the profile's next version; a body with only
+ * { activate: true } switches scoring to this version instead
+ */
+async function updateProfile(req, res) {
+  const { id } = req.params;
+
+  const previous = await getScoringProfileById(id);
+
+  if (!previous) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Scoring profile not found'
+    });
+  }
+
+  const { activate, ...changes } = req.body;
+
+  if (Object.keys(changes).length === 0) {
+    const profile = activate ? await scoringProfiles.activate(id) : previous;
+
+    return res.json({
+      success: true,
+      message: activate ? 'Scoring profile activated' : 'Scoring profile unchanged',
+      data: profile
+    });
+  }
+
+  const { profile, errors } = await scoringProfiles.saveVersion(previous, req.body, req.user.id);
+
+  if (errors) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  logger.info(`Scoring profile updated: ${profile.name} v${profile.version} by user: ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Scoring profile saved as version ${profile.version}`,
+    data: profile
+  });
+}
+
+/**
+ * List outcome model versions with their holdout metrics
+ */
+async function listModels(req, res) {
+  const { target, active, limit = 50, offset = 0 } = req.query;
+
+  const { data, count } = await getScoringModels(
+    { target, isActive: active },
+    { limit: parseInt(limit), offset: parseInt(offset) }
+  );
+
+  res.json({
+    success: true,
+    data,
+    mode: process.env.SCORING_MODE || 'rule',
+    pagination: {
+      total: count,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + data.length < count
+    }
+  });
+}
+
+/**
+ * Get outcome model version by ID, artifact included
+ */
+async function getModel(req, res) {
+  const { id } = req.params;
+
+  const model = await getScoringModelById(id);
+
+  if (!model) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Scoring model not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: model
+  });
+}
+
+/**
+ * Activate or deactivate an outcome model version
+ * Models are trained with npm run train-model, not through the API.
+ */
+async function updateModel(req, res) {
+  const { id } = req.params;
+  const { activate } = req.body;
+
+  const previous = await getScoringModelById(id);
+
+  if (!previous) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Scoring model not found'
+    });
+  }
+
+  let model = previous;
+  if (activate && !previous.is_active) {
+    model = await scoringModels.activate(id);
+  } else if (!activate && previous.is_active) {
+    model = await scoringModels.deactivate(id);
+  }
+
+  logger.info(`Scoring model v${model.version} ${activate ? 'activated' : 'deactivated'} by user: ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: activate ? 'Scoring model activated' : 'Scoring model deactivated',
+    data: model
+  });
+}
+
+module.exports = {
+  listProfiles,
+  getActiveProfile,
+  getProfile,
+  createProfile,
+  updateProfile,
+  listModels,
+  getModel,
+  updateModel
+};
@@ -3,17 +3,48 @@
  * Manages scraping jobs
  */
 
-const ScraperOrchestrator = require('../scrapers/scraper-orchestrator');
+const sourceRegistry = require('../scrapers/source-registry');
+const targetAreas = require('../scrapers/target-areas');
+const { TargetAreaError } = require('../scrapers/target-areas');
 const { supabase } = require('../database/supabase-client');
+const { addJob } = require('../queues/queue-config');
+const rateLimiter = require('../utils/rate-limiter');
 const logger = require('../utils/logger');
 
-const activeJobs = new Map();
+// A running job with no checkpoint for this long is treated as dead
+const STALLED_JOB_MS = 15 * 60 * 1000;
 
 /**
  * Start scraping job
  */
 async function startScraping(req, res) {
-  const { industries, locations, maxLeadsPerIndustry = 50 } = req.body;
+  const { industries, targets, maxLeadsPerIndustry = 50, sources, grid = false } = req.body;
+  let { locations } = req.body;
+
+  const unknownSources = (sources || []).filter(name => !sourceRegistry.has(name));
+  if (unknownSources.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid sources',
+      message: `Unknown scraping sources: ${unknownSources.join(', ')}`,
+      availableSources: sourceRegistry.names()
+    });
+  }
+
+  // Reject unknown ZIPs, counties and addresses before the job is created
+  if (targets) {
+    let areas;
+    try {
+      areas = targetAreas.expand(targets);
+    } catch (error) {
+      if (!(error instanceof TargetAreaError)) throw error;
+      return res.status(400).json({
+        error: 'Invalid targets',
+        message: error.message
+      });
+    }
+
+    locations = locations || areas.map(area => area.label);
+  }
 
   // Create job record
   const { data: job, error: jobError } = await supabase
@@ -21,7 +52,10 @@ async function startScraping(req, res) {
     .insert([{
       industries,
       locations,
+      targets: targets || null,
       max_leads_per_industry: maxLeadsPerIndustry,
+      sources: sources || null,
+      grid,
       status: 'pending',
       started_by: req.user.id,
       created_at: new Date().toISOString()
@@ -33,49 +67,25 @@ async function startScraping(req, res) {
 
   logger.info(`Scraping job created: ${job.id} by user: ${req.user.email}`);
 
-  // Start scraping asynchronously
-  const orchestrator = new ScraperOrchestrator();
-  const jobPromise = orchestrator.runCampaign({
+  // The scraping processor checkpoints every page, so retries and
+  // POST /jobs/:jobId/resume continue where the job stopped
+  const queued = await addJob('scraping', 'start-scraping', {
+    jobId: job.id,
     industries,
     locations,
-    maxLeadsPerIndustry
+    targets: targets || null,
+    maxLeadsPerIndustry,
+    sources: sources || null,
+    grid
+  }, {
+    priority: 6
   });
 
-  activeJobs.set(job.id, { orchestrator, promise: jobPromise });
-
-  // Update job status when complete
-  jobPromise
-    .then(async (results) => {
-      await supabase
-        .from('scraping_jobs')
-        .update({
-          status: 'completed',
-          results,
-          completed_at: new Date().toISOString()
-        })
-        .eq('id', job.id);
-      
-      activeJobs.delete(job.id);
-      logger.info(`Scraping job completed: ${job.id}`);
-    })
-    .catch(async (error) => {
-      await supabase
-        .from('scraping_jobs')
-        .update({
-          status: 'failed',
-          error_message: error.message,
-          completed_at: new Date().toISOString()
-        })
-        .eq('id', job.id);
-      
-      activeJobs.delete(job.id);
-      logger.error(`Scraping job failed: ${job.id}`, error);
-    });
-
   res.status(202).json({
     success: true,
     message: 'Scraping job started',
     jobId: job.id,
+    queueJobId: queued.id,
     status: 'pending'
   });
 }
@@ -145,20 +155,14 @@ async function listScrapingJobs(req, res) {
 async function cancelScraping(req, res) {
   const { jobId } = req.params;
 
-  // Check if job is active
-  const activeJob = activeJobs.get(jobId);
-  
-  if (activeJob) {
-    // Stop orchestrator (implementation would need to be added)
-    activeJobs.delete(jobId);
-  }
-
   // Update job status
   const { data, error } = await supabase
     .from('scraping_jobs')
     .update({
       status: 'cancelled',
-      completed_at: new Date().toISOString()
+      completed_at: new Date().toISOString(),
+      // A running worker loses the job and stops at its next checkpoint
+      runner_token: null
     })
     .eq('id', jobId)
     .select()
@@ -182,9 +186,146 @@ async function cancelScraping(req, res) {
   });
 }
 
+/**
+ * Resume scraping job from its last checkpoint
+ */
+async function resumeScraping(req, res) {
+  const { jobId } = req.params;
+
+  const { data: job, error } = await supabase
+    .from('scraping_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error || !job) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Scraping job not found'
+    });
+  }
+
+  if (!isResumable(job)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Scraping job is ${job.status} and cannot be resumed`
+    });
+  }
+
+  const { error: updateError } = await supabase
+    .from('scraping_jobs')
+    .update({
+      status: 'pending',
+      error_message: null,
+      completed_at: null
+    })
+    .eq('id', jobId);
+
+  if (updateError) throw updateError;
+
+  // The scraping processor reads the checkpoint from the job row
+  const queued = await addJob('scraping', 'resume-scraping', {
+    jobId,
+    industries: job.industries,
+    locations: job.locations,
+    targets: job.targets || null,
+    maxLeadsPerIndustry: job.max_leads_per_industry,
+    sources: job.sources,
+    grid: job.grid || false
+  }, {
+    priority: 6
+  });
+
+  logger.info(`Scraping job resumed: ${jobId} by user: ${req.user.email}`);
+
+  res.status(202).json({
+    success: true,
+    message: 'Scraping job resumed',
+    jobId,
+    queueJobId: queued.id,
+    status: 'pending',
+    checkpoint: job.checkpoint || null
+  });
+}
+
+/**
+ * Get shared rate limit budgets and current usage
+ */
+async function getRateLimits(req, res) {
+  res.json({
+    shared: rateLimiter.isShared(),
+    limits: await rateLimiter.getStatus()
+  });
+}
+
+/**
+ * Change a service's rate limit for every worker
+ */
+async function updateRateLimit(req, res) {
+  const { service } = req.params;
+
+  if (!rateLimiter.services().includes(service)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Unknown rate limit service: ${service}`,
+      availableServices: rateLimiter.services()
+    });
+  }
+
+  const limit = await rateLimiter.setLimit(service, req.body);
+
+  logger.info(`Rate limit for ${service} updated by ${req.user.id}`, limit);
+
+  res.json({
+    message: 'Rate limit updated',
+    service,
+    ...limit,
+    shared: rateLimiter.isShared()
+  });
+}
+
+/**
+ * Restore a service's built-in rate limit
+ */
+async function resetRateLimit(req, res) {
+  const { service } = req.params;
+
+  if (!rateLimiter.services().includes(service)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Unknown rate limit service: ${service}`,
+      availableServices: rateLimiter.services()
+    });
+  }
+
+  const limit = await rateLimiter.resetLimit(service);
+
+  res.json({
+    message: 'Rate limit reset to default',
+    service,
+    ...limit
+  });
+}
+
+/**
+ * Failed and cancelled jobs can always resume; running jobs, and jobs
+ * waiting for Bull's retry, only once stalled
+ */
+function isResumable(job) {
+  if (job.status === 'failed' || job.status === 'cancelled') return true;
+  if (job.status !== 'running' && job.status !== 'retrying') return false;
+
+  const lastProgress = job.checkpoint?.updatedAt || job.started_at;
+  return !!lastProgress && Date.now() - new Date(lastProgress).getTime() > STALLED_JOB_MS;
+}
+
 module.exports = {
   startScraping,
   getScrapingStatus,
   listScrapingJobs,
-  cancelScraping
+  cancelScraping,
+  resumeScraping,
+  getRateLimits,
+  updateRateLimit,
+  resetRateLimit
 };
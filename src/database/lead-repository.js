@@ -4,30 +4,38 @@
  */
 
 const supabaseClient = require('./supabase-client');
+const entityResolver = require('../scrapers/entity-resolver');
 const logger = require('../utils/logger');
 
 /**
  * Save lead to database
+ * Resolves the lead against existing records first: confident matches are
+ * folded into the existing golden lead, borderline ones are saved and
+ * queued in lead_match_reviews.
  */
 async function saveLeadToDatabase(leadData) {
   try {
     const client = supabaseClient.getClient();
+    const record = withResolutionKeys(leadData);
 
-    // Check if lead already exists
-    const existing = await findLeadByNameAndLocation(
-      leadData.company_name,
-      leadData.location
-    );
+    const candidates = await findMatchingLeads(record);
+    const match = entityResolver.findBestMatch(record, candidates);
 
-    if (existing) {
-      logger.info(`Lead already exists: ${leadData.company_name}`);
-      return updateLead(existing.id, leadData);
+    if (match?.decision === 'match') {
+      logger.info(`Lead matches existing lead: ${record.company_name} -> ${match.candidate.id}`, {
+        confidence: match.confidence,
+        signals: match.signals
+      });
+      return updateLead(
+        match.candidate.id,
+        entityResolver.mergeIntoGolden(match.candidate, record, match.confidence)
+      );
     }
 
     // Insert new lead
     const { data, error } = await client
       .from('leads')
-      .insert([leadData])
+      .insert([record])
       .select()
       .single();
 
@@ -37,10 +45,931 @@ async function saveLeadToDatabase(leadData) {
     }
 
     logger.info(`Lead saved successfully: ${data.company_name} (ID: ${data.id})`);
+
+    if (match?.decision === 'review') {
+      await createMatchReview(match.candidate.id, data.id, match);
+    }
+
+    return data;
+
+  } catch (error) {
+    logger.error('Failed to save lead:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add normalized matching keys and a provenance entry to a lead row
+ */
+function withResolutionKeys(leadData) {
+  const keys = entityResolver.normalize(leadData);
+
+  return {
+    ...leadData,
+    normalized_phone: keys.phone,
+    website_domain: keys.domain,
+    source_records: leadData.source_records?.length
+      ? leadData.source_records
+      : [entityResolver.provenance(leadData)],
+    field_sources: {
+      ...entityResolver.fieldSources(leadData),
+      ...(leadData.field_sources || {})
+    }
+  };
+}
+
+/**
+ * Find existing leads that could be the same business
+ * Exact phone, website domain and place ID matches are fetched first, on
+ * their own, so a common name token can never crowd them out of the limit;
+ * leads sharing a name token in the same state fill the remaining slots.
+ */
+async function findMatchingLeads(leadData, limit = 25) {
+  try {
+    const client = supabaseClient.getClient();
+    const keys = entityResolver.normalize(leadData);
+    const exactFilters = [];
+
+    if (keys.phone) {
+      exactFilters.push(`normalized_phone.eq.${keys.phone}`);
+    }
+
+    if (keys.domain) {
+      exactFilters.push(`website_domain.eq.${keys.domain}`);
+    }
+
+    if (keys.placeId) {
+      exactFilters.push(`google_place_id.eq.${keys.placeId}`);
+    }
+
+    let candidates = [];
+
+    if (exactFilters.length > 0) {
+      const { data, error } = await client
+        .from('leads')
+        .select('*')
+        .or(exactFilters.join(','))
+        .limit(limit);
+
+      if (error) throw error;
+      candidates = data || [];
+    }
+
+    const nameToken = (keys.name || '').split(' ').find(token => token.length >= 3);
+    if (nameToken && candidates.length < limit) {
+      let query = client
+        .from('leads')
+        .select('*')
+        .ilike('company_name', `%${nameToken.replace(/[%_]/g, '\\$&')}%`);
+
+      if (/^[A-Za-z]{2}$/.test(leadData.state || '')) {
+        query = query.eq('state', leadData.state.toUpperCase());
+      }
+      if (candidates.length > 0) {
+        query = query.not('id', 'in', `(${candidates.map(lead => lead.id).join(',')})`);
+      }
+
+      const { data, error } = await query.limit(limit - candidates.length);
+
+      if (error) throw error;
+      candidates = candidates.concat(data || []);
+    }
+
+    return candidates;
+
+  } catch (error) {
+    logger.error('Error finding matching leads:', error);
+    return [];
+  }
+}
+
+/**
+ * Queue a borderline match for manual review
+ */
+async function createMatchReview(leadId, candidateId, match) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_match_reviews')
+      .insert([{
+        lead_id: leadId,
+        candidate_id: candidateId,
+        confidence: match.confidence,
+        signals: match.signals,
+        status: 'pending'
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Possible duplicate queued for review: ${candidateId} ~ ${leadId}`, {
+      confidence: match.confidence
+    });
+    return data;
+
+  } catch (error) {
+    // A missed review only leaves a duplicate behind
+    logger.error('Error queueing match review:', error);
+    return null;
+  }
+}
+
+/**
+ * Get match reviews with both leads attached
+ */
+async function getMatchReviews(filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+    const limit = options.limit || 50;
+    const offset = options.offset || 0;
+
+    let query = client
+      .from('lead_match_reviews')
+      .select(`
+        *,
+        lead:leads!lead_match_reviews_lead_id_fkey(*),
+        candidate:leads!lead_match_reviews_candidate_id_fkey(*)
+      `, { count: 'exact' });
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    query = query
+      .order('confidence', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    return {
+      reviews: data,
+      total: count,
+      limit,
+      offset
+    };
+
+  } catch (error) {
+    logger.error('Error fetching match reviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get match review by ID
+ */
+async function getMatchReviewById(reviewId) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_match_reviews')
+      .select('*')
+      .eq('id', reviewId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error('Error fetching match review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update match review
+ */
+async function updateMatchReview(reviewId, updates) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_match_reviews')
+      .update(updates)
+      .eq('id', reviewId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error('Error updating match review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a lead merge
+ */
+async function createLeadMerge(mergeData) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_merges')
+      .insert([mergeData])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error('Error recording lead merge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get lead merge by ID
+ */
+async function getLeadMergeById(mergeId) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_merges')
+      .select('*')
+      .eq('id', mergeId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error('Error fetching lead merge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get merges that folded other leads into a lead
+ */
+async function getLeadMerges(survivorId) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_merges')
+      .select('id, victim_ids, strategy, changed_fields, status, merged_by, created_at, undone_at')
+      .eq('survivor_id', survivorId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching lead merges:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get merges into the same survivor that were made after a merge and are still in place
+ * Newest first, i.e. in the order they have to be undone
+ */
+async function getLaterLeadMerges(merge) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_merges')
+      .select('id, created_at')
+      .eq('survivor_id', merge.survivor_id)
+      .eq('status', 'merged')
+      .gt('created_at', merge.created_at)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching later lead merges:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update lead merge
+ */
+async function updateLeadMerge(mergeId, updates) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_merges')
+      .update(updates)
+      .eq('id', mergeId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error('Error updating lead merge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get several leads by ID
+ */
+async function getLeadsByIds(leadIds) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('leads')
+      .select('*')
+      .in('id', leadIds);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching leads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get { id, lead_id } of rows in a child table (lead_notes, messages) for some leads
+ */
+async function getLeadRecordIds(table, leadIds) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from(table)
+      .select('id, lead_id')
+      .in('lead_id', leadIds);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error(`Error fetching ${table} for leads:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get full rows of a child table (lead_reviews, lead_score_history...) for some leads
+ */
+async function getLeadRecords(table, leadIds) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from(table)
+      .select('*')
+      .in('lead_id', leadIds);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error(`Error fetching ${table} for leads:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Point child table rows at another lead
+ */
+async function reassignLeadRecords(table, recordIds, leadId) {
+  if (!recordIds || recordIds.length === 0) return;
+
+  try {
+    const client = supabaseClient.getClient();
+
+    const { error } = await client
+      .from(table)
+      .update({ lead_id: leadId })
+      .in('id', recordIds);
+
+    if (error) throw error;
+
+  } catch (error) {
+    logger.error(`Error reassigning ${table} to lead ${leadId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Re-insert leads from snapshots, keeping their original IDs
+ */
+async function restoreLeads(snapshots) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('leads')
+      .insert(snapshots)
+      .select();
+
+    if (error) throw error;
+
+    logger.info(`Restored ${data.length} leads`);
     return data;
 
   } catch (error) {
-    logger.error('Failed to save lead:', error);
+    logger.error('Error restoring leads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Re-insert child table rows from snapshots, keeping their original IDs
+ */
+async function restoreLeadRecords(table, rows) {
+  if (!rows || rows.length === 0) return;
+
+  try {
+    const client = supabaseClient.getClient();
+
+    const { error } = await client
+      .from(table)
+      .insert(rows);
+
+    if (error) throw error;
+
+  } catch (error) {
+    logger.error(`Error restoring ${table}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record one rank check per keyword (see rank-checker)
+ */
+async function saveLeadRankings(leadId, results) {
+  if (!results || results.length === 0) return [];
+
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_rankings')
+      .insert(results.map(result => ({
+        lead_id: leadId,
+        keyword: result.keyword,
+        query: result.query,
+        location: result.location,
+        organic_position: result.organicPosition,
+        organic_url: result.organicUrl,
+        local_pack_position: result.localPackPosition,
+        maps_position: result.mapsPosition,
+        results_checked: result.resultsChecked,
+        checked_at: result.checkedAt
+      })))
+      .select();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error(`Error saving rankings for lead ${leadId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a lead's rank checks, newest first
+ */
+async function getLeadRankings(leadId, filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    let query = client
+      .from('lead_rankings')
+      .select('*')
+      .eq('lead_id', leadId);
+
+    if (filters.keyword) {
+      query = query.eq('keyword', filters.keyword);
+    }
+
+    if (filters.since) {
+      query = query.gte('checked_at', filters.since);
+    }
+
+    const { data, error } = await query
+      .order('checked_at', { ascending: false })
+      .limit(options.limit || 500);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching lead rankings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store collected reviews (see review-collector); a review seen before is updated in place
+ */
+async function saveLeadReviews(leadId, reviews) {
+  if (!reviews || reviews.length === 0) return [];
+
+  try {
+    const client = supabaseClient.getClient();
+    const collectedAt = new Date().toISOString();
+
+    const { data, error } = await client
+      .from('lead_reviews')
+      .upsert(reviews.map(review => ({
+        lead_id: leadId,
+        source: review.source,
+        review_id: review.reviewId,
+        author: review.author,
+        rating: review.rating,
+        text: review.text,
+        published_at: review.publishedAt,
+        responded: review.responded,
+        owner_response: review.ownerResponse,
+        sentiment: review.sentiment,
+        themes: review.themes || [],
+        collected_at: collectedAt
+      })), { onConflict: 'lead_id,source,review_id' })
+      .select();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error(`Error saving reviews for lead ${leadId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a lead's reviews, newest first
+ */
+async function getLeadReviews(leadId, filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    let query = client
+      .from('lead_reviews')
+      .select('*')
+      .eq('lead_id', leadId);
+
+    if (filters.source) {
+      query = query.eq('source', filters.source);
+    }
+
+    if (filters.since) {
+      query = query.gte('published_at', filters.since);
+    }
+
+    if (filters.theme) {
+      query = query.contains('themes', [filters.theme]);
+    }
+
+    const { data, error } = await query
+      .order('published_at', { ascending: false, nullsFirst: false })
+      .limit(options.limit || 500);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching lead reviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Leads in one industry and city with the fields the market model compares
+ */
+async function getMarketLeads(market, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    let query = client
+      .from('leads')
+      .select('id, company_name, website, city, state, rating, review_count, seo_score, has_google_ads, has_facebook_ads, has_yelp_ads, ad_presence')
+      .eq('industry', market.industry)
+      .ilike('city', market.city.replace(/[%_]/g, '\\$&'));
+
+    if (market.state) {
+      query = query.eq('state', market.state);
+    }
+
+    const { data, error } = await query.limit(options.limit || 1000);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching market leads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a scoring run in lead_score_history
+ * Pass the lead as it was before the new score was saved, so the row keeps
+ * the score and tier it replaced.
+ */
+async function saveScoreHistory(lead, scoreData) {
+  try {
+    const client = supabaseClient.getClient();
+    const { breakdown, ...componentScores } = scoreData.componentScores || {};
+
+    // Only the names of the indicators that fired; the full breakdown stays on the lead
+    const indicators = {};
+    for (const [component, entry] of Object.entries(breakdown || {})) {
+      indicators[component] = entry.indicators.map(fired => fired.indicator);
+    }
+
+    const { data, error } = await client
+      .from('lead_score_history')
+      .insert([{
+        lead_id: lead.id,
+        score: scoreData.totalScore,
+        tier: scoreData.tier,
+        previous_score: lead.lead_score ?? null,
+        previous_tier: lead.tier ?? null,
+        confidence: scoreData.confidence?.score ?? null,
+        component_scores: componentScores,
+        indicators,
+        scoring_profile_id: scoreData.profile?.id ?? null,
+        scoring_profile_version: scoreData.profile?.version ?? null,
+        scoring_mode: scoreData.model?.mode || 'rule',
+        rule_score: scoreData.ruleScore ?? scoreData.totalScore,
+        model_score: scoreData.model?.score ?? null,
+        model_version: scoreData.model?.version ?? null,
+        scored_at: scoreData.calculatedAt
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error(`Error saving score history for lead ${lead.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a lead's scoring runs, newest first
+ */
+async function getScoreHistory(leadId, filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    let query = client
+      .from('lead_score_history')
+      .select('*')
+      .eq('lead_id', leadId);
+
+    if (filters.since) {
+      query = query.gte('scored_at', filters.since);
+    }
+
+    const { data, error } = await query
+      .order('scored_at', { ascending: false })
+      .limit(options.limit || 100);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching score history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Every scoring run since a point in time, grouped by lead and oldest first
+ */
+async function getScoreHistorySince(since, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_score_history')
+      .select('lead_id, score, tier, previous_score, previous_tier, indicators, scored_at')
+      .gte('scored_at', since)
+      .order('lead_id', { ascending: true })
+      .order('scored_at', { ascending: true })
+      .limit(options.limit || 10000);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching recent score history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a lead event (see lead-event-service)
+ */
+async function saveLeadEvent(event) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_events')
+      .insert([{
+        lead_id: event.leadId,
+        type: event.type,
+        payload: event.payload || {},
+        created_at: event.occurredAt || new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (error) {
+    logger.error(`Error saving ${event.type} event for lead ${event.leadId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a lead's events, newest first
+ */
+async function getLeadEvents(leadId, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('lead_events')
+      .select('*')
+      .eq('lead_id', leadId)
+      .order('created_at', { ascending: false })
+      .limit(options.limit || 50);
+
+    if (error) throw error;
+
+    return data || [];
+
+  } catch (error) {
+    logger.error('Error fetching lead events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Leads with a known outcome, for training the outcome model
+ * Pages through the table, so a large history comes back whole.
+ */
+async function getTrainingLeads(filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+    const pageSize = options.pageSize || 1000;
+    const limit = options.limit || 50000;
+    const leads = [];
+
+    for (let offset = 0; offset < limit; offset += pageSize) {
+      let query = client
+        .from('leads')
+        .select('*')
+        .in('status', filters.statuses || ['converted', 'lost']);
+
+      if (filters.industry) {
+        query = query.eq('industry', filters.industry);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .range(offset, Math.min(offset + pageSize, limit) - 1);
+
+      if (error) throw error;
+
+      leads.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+
+    return leads;
+
+  } catch (error) {
+    logger.error('Error fetching training leads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Email engagement per lead: { leadId: { sent, opened, clicked, firstSentAt } },
+ * counts of messages and when the first one went out
+ */
+async function getLeadEngagement(leadIds, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+    const chunkSize = options.chunkSize || 200;
+    const engagement = {};
+
+    // .in() goes into the URL, so ask for a few hundred leads at a time
+    for (let i = 0; i < leadIds.length; i += chunkSize) {
+      const { data, error } = await client
+        .from('messages')
+        .select('lead_id, sent_at, opened_at, clicked_at')
+        .in('lead_id', leadIds.slice(i, i + chunkSize));
+
+      if (error) throw error;
+
+      for (const message of data || []) {
+        const counts = engagement[message.lead_id] || (engagement[message.lead_id] = { sent: 0, opened: 0, clicked: 0, firstSentAt: null });
+        if (message.sent_at) {
+          counts.sent++;
+          if (!counts.firstSentAt || new Date(message.sent_at) < new Date(counts.firstSentAt)) {
+            counts.firstSentAt = message.sent_at;
+          }
+        }
+        if (message.opened_at) counts.opened++;
+        if (message.clicked_at) counts.clicked++;
+      }
+    }
+
+    return engagement;
+
+  } catch (error) {
+    logger.error('Error fetching lead engagement:', error);
+    throw error;
+  }
+}
+
+/**
+ * Each lead's score history row as of a point in time
+ * Takes { leadId: cutoff } and returns { leadId: row } with the last row
+ * scored at or before the cutoff; a null cutoff picks the lead's first row.
+ * Leads without such a row are left out.
+ */
+async function getScoreSnapshots(cutoffs, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+    const chunkSize = options.chunkSize || 200;
+    const pageSize = options.pageSize || 1000;
+    const leadIds = Object.keys(cutoffs);
+    const snapshots = {};
+
+    const consider = row => {
+      const cutoff = cutoffs[row.lead_id];
+      const current = snapshots[row.lead_id];
+
+      if (!cutoff) {
+        if (!current) snapshots[row.lead_id] = row;
+      } else if (new Date(row.scored_at) <= new Date(cutoff)) {
+        snapshots[row.lead_id] = row;
+      }
+    };
+
+    // .in() goes into the URL, so ask for a few hundred leads at a time
+    for (let i = 0; i < leadIds.length; i += chunkSize) {
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await client
+          .from('lead_score_history')
+          .select('lead_id, score, rule_score, confidence, component_scores, indicators, scored_at')
+          .in('lead_id', leadIds.slice(i, i + chunkSize))
+          .order('scored_at', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+
+        (data || []).forEach(consider);
+        if (!data || data.length < pageSize) break;
+      }
+    }
+
+    return snapshots;
+
+  } catch (error) {
+    logger.error('Error fetching score snapshots:', error);
     throw error;
   }
 }
@@ -155,6 +1084,9 @@ async function getLeads(filters = {}, options = {}) {
     if (filters.minScore) {
       query = query.gte('lead_score', filters.minScore);
     }
+    if (filters.emailStatus) {
+      query = query.eq('email_status', filters.emailStatus);
+    }
 
     // Apply pagination and sorting
     query = query
@@ -273,6 +1205,35 @@ async function getLeadStats() {
 module.exports = {
   saveLeadToDatabase,
   findLeadByNameAndLocation,
+  findMatchingLeads,
+  createMatchReview,
+  getMatchReviews,
+  getMatchReviewById,
+  updateMatchReview,
+  createLeadMerge,
+  getLeadMergeById,
+  getLeadMerges,
+  getLaterLeadMerges,
+  updateLeadMerge,
+  getLeadsByIds,
+  getLeadRecordIds,
+  getLeadRecords,
+  reassignLeadRecords,
+  restoreLeads,
+  restoreLeadRecords,
+  saveLeadRankings,
+  getLeadRankings,
+  saveLeadReviews,
+  getLeadReviews,
+  getMarketLeads,
+  saveScoreHistory,
+  getScoreHistory,
+  getScoreHistorySince,
+  saveLeadEvent,
+  getLeadEvents,
+  getTrainingLeads,
+  getLeadEngagement,
+  getScoreSnapshots,
   updateLead,
   getLeadById,
   getLeads,
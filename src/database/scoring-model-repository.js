@@ -0,0 +1,213 @@
+/**
+ * Scoring Model Repository
+ * Handles scoring_models rows in Supabase
+ *
+ * Each training run that is kept inserts a new version; artifacts are never
+ * changed afterwards, so lead_score_history.model_version always points at
+ * the exact weights that produced a model score. Only is_active changes on
+ * an existing row.
+ */
+
+const supabaseClient = require('./supabase-client');
+const logger = require('../utils/logger');
+
+/**
+ * List model versions, newest first
+ */
+async function getScoringModels(filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    let query = client
+      .from('scoring_models')
+      .select('id, version, target, metrics, options, is_active, created_at, activated_at', { count: 'exact' });
+
+    if (filters.target) {
+      query = query.eq('target', filters.target);
+    }
+    if (filters.isActive !== undefined) {
+      query = query.eq('is_active', filters.isActive);
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    const { data, error, count } = await query
+      .order('version', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return { data: data || [], count };
+
+  } catch (error) {
+    logger.error('Error fetching scoring models:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get model version by ID, artifact included
+ */
+async function getScoringModelById(id) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_models')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+
+  } catch (error) {
+    logger.error('Error fetching scoring model:', error);
+    throw error;
+  }
+}
+
+/**
+ * The model version leads are scored with, or null when none is active
+ */
+async function getActiveScoringModel() {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_models')
+      .select('*')
+      .eq('is_active', true)
+      .limit(1);
+
+    if (error) throw error;
+
+    return data?.[0] || null;
+
+  } catch (error) {
+    logger.error('Error fetching active scoring model:', error);
+    throw error;
+  }
+}
+
+/**
+ * Highest model version number, 0 when there is none
+ */
+async function getLatestScoringModelVersion() {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_models')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    return data?.[0]?.version || 0;
+
+  } catch (error) {
+    logger.error('Error fetching scoring model version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Insert a model version
+ */
+async function insertScoringModel(model) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_models')
+      .insert([{
+        ...model,
+        is_active: false,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Scoring model saved: v${data.version} (${data.target})`);
+    return data;
+
+  } catch (error) {
+    logger.error('Error saving scoring model:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a model version the active one
+ * The previous active version is switched off first; the partial unique
+ * index on is_active allows only one active row.
+ */
+async function activateScoringModel(id) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { error: deactivateError } = await client
+      .from('scoring_models')
+      .update({ is_active: false })
+      .eq('is_active', true)
+      .neq('id', id);
+
+    if (deactivateError) throw deactivateError;
+
+    const { data, error } = await client
+      .from('scoring_models')
+      .update({ is_active: true, activated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Scoring model activated: v${data.version}`);
+    return data;
+
+  } catch (error) {
+    logger.error('Error activating scoring model:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop using a model; leads are scored by the rules alone
+ */
+async function deactivateScoringModel(id) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_models')
+      .update({ is_active: false })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Scoring model deactivated: v${data.version}`);
+    return data;
+
+  } catch (error) {
+    logger.error('Error deactivating scoring model:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getScoringModels,
+  getScoringModelById,
+  getActiveScoringModel,
+  getLatestScoringModelVersion,
+  insertScoringModel,
+  activateScoringModel,
+  deactivateScoringModel
+};
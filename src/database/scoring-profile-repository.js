@@ -0,0 +1,188 @@
+/**
+ * Scoring Profile Repository
+ * Handles scoring_profiles rows in Supabase
+ *
+ * Profile versions are never updated in place: editing a profile inserts its
+ * next version, so leads keep pointing at the exact settings that scored them.
+ * Only is_active changes on an existing row.
+ */
+
+const supabaseClient = require('./supabase-client');
+const logger = require('../utils/logger');
+
+/**
+ * List profile versions, newest first
+ */
+async function getScoringProfiles(filters = {}, options = {}) {
+  try {
+    const client = supabaseClient.getClient();
+
+    let query = client
+      .from('scoring_profiles')
+      .select('*', { count: 'exact' });
+
+    if (filters.name) {
+      query = query.eq('name', filters.name);
+    }
+    if (filters.isActive !== undefined) {
+      query = query.eq('is_active', filters.isActive);
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    const { data, error, count } = await query
+      .order('name', { ascending: true })
+      .order('version', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return { data: data || [], count };
+
+  } catch (error) {
+    logger.error('Error fetching scoring profiles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get profile version by ID
+ */
+async function getScoringProfileById(id) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_profiles')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+
+  } catch (error) {
+    logger.error('Error fetching scoring profile:', error);
+    throw error;
+  }
+}
+
+/**
+ * The profile version leads are scored with, or null when none is active
+ */
+async function getActiveScoringProfile() {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_profiles')
+      .select('*')
+      .eq('is_active', true)
+      .limit(1);
+
+    if (error) throw error;
+
+    return data?.[0] || null;
+
+  } catch (error) {
+    logger.error('Error fetching active scoring profile:', error);
+    throw error;
+  }
+}
+
+/**
+ * Highest version number saved under a profile name, 0 when there is none
+ */
+async function getLatestScoringProfileVersion(name) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_profiles')
+      .select('version')
+      .eq('name', name)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    return data?.[0]?.version || 0;
+
+  } catch (error) {
+    logger.error('Error fetching scoring profile version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Insert a profile version
+ */
+async function insertScoringProfile(profile) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { data, error } = await client
+      .from('scoring_profiles')
+      .insert([{
+        ...profile,
+        is_active: false,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Scoring profile saved: ${data.name} v${data.version}`);
+    return data;
+
+  } catch (error) {
+    logger.error('Error saving scoring profile:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a profile version the active one
+ * The previous active version is switched off first; the partial unique
+ * index on is_active allows only one active row.
+ */
+async function activateScoringProfile(id) {
+  try {
+    const client = supabaseClient.getClient();
+
+    const { error: deactivateError } = await client
+      .from('scoring_profiles')
+      .update({ is_active: false })
+      .eq('is_active', true)
+      .neq('id', id);
+
+    if (deactivateError) throw deactivateError;
+
+    const { data, error } = await client
+      .from('scoring_profiles')
+      .update({ is_active: true, activated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Scoring profile activated: ${data.name} v${data.version}`);
+    return data;
+
+  } catch (error) {
+    logger.error('Error activating scoring profile:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getScoringProfiles,
+  getScoringProfileById,
+  getActiveScoringProfile,
+  getLatestScoringProfileVersion,
+  insertScoringProfile,
+  activateScoringProfile
+};
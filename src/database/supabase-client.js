@@ -18,6 +18,16 @@ const supabase = supabaseUrl && supabaseKey
   ? createClient(supabaseUrl, supabaseKey)
   : null;
 
+/**
+ * Get the initialized client
+ */
+function getClient() {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+  return supabase;
+}
+
 /**
  * Save a lead to Supabase
  */
@@ -81,8 +91,11 @@ async function updateLeadScore(leadId, scoreData) {
       .update({
         score: scoreData.totalScore,
         tier: scoreData.tier,
+        score_confidence: scoreData.confidence?.score ?? null,
         component_scores: scoreData.componentScores,
         recommendations: scoreData.recommendations,
+        scoring_profile_id: scoreData.profile?.id ?? null,
+        scoring_profile_version: scoreData.profile?.version ?? null,
         scored_at: scoreData.calculatedAt,
         updated_at: new Date().toISOString()
       })
@@ -217,6 +230,7 @@ async function getUnscoredLeads() {
 
 module.exports = {
   supabase,
+  getClient,
   saveLeadToSupabase,
   updateLeadScore,
   getLeadsByScore,
@@ -5,6 +5,7 @@
 
 const logger = require('../utils/logger');
 const { getAllQueueStats, redisClient } = require('../queues/queue-config');
+const rateLimiter = require('../utils/rate-limiter');
 const { createClient } = require('@supabase/supabase-js');
 
 const supabase = createClient(
@@ -220,6 +221,18 @@ async function checkScrapingHealth() {
       };
     }
 
+    // Sources that are blocked, CAPTCHA'd or no longer parse
+    const sourceIssues = await getSourceIssues(lastJob);
+    if (sourceIssues.length > 0) {
+      return {
+        status: 'degraded',
+        message: `Scraping sources down: ${sourceIssues.map(issue => `${issue.source} (${issue.outcome})`).join(', ')}`,
+        lastJob: lastJob.created_at,
+        lastJobStatus: lastJob.status,
+        sources: sourceIssues
+      };
+    }
+
     return {
       status: 'healthy',
       lastJob: lastJob.created_at,
@@ -234,6 +247,31 @@ async function checkScrapingHealth() {
   }
 }
 
+/**
+ * Collect source problems from active cool-downs and the last job's errors
+ */
+async function getSourceIssues(lastJob) {
+  const issues = (await rateLimiter.getCooldowns()).map(cooldown => ({
+    source: cooldown.service,
+    outcome: 'cooling_down',
+    reason: cooldown.reason,
+    until: cooldown.until
+  }));
+
+  for (const error of lastJob.results?.errors || []) {
+    if (!['blocked', 'captcha', 'layout_changed'].includes(error.outcome)) continue;
+    if (issues.some(issue => issue.source === error.source && issue.outcome === error.outcome)) continue;
+
+    issues.push({
+      source: error.source,
+      outcome: error.outcome,
+      reason: error.error
+    });
+  }
+
+  return issues;
+}
+
 /**
  * Check email service health
  */
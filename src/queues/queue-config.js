@@ -52,7 +52,8 @@ const queues = {
     ...defaultQueueOptions,
     defaultJobOptions: {
       ...defaultQueueOptions.defaultJobOptions,
-      timeout: 600000, // 10 minutes timeout
+      // No timeout: a timed-out attempt keeps running, and its retry would
+      // scrape alongside it. Jobs checkpoint every page and resume instead.
       attempts: 2 // Less retries for scraping (avoid bans)
     }
   }),
@@ -20,12 +20,70 @@ router.get('/',
   asyncHandler(leadController.listLeads)
 );
 
+// List possible duplicates waiting for review
+router.get('/match-reviews',
+  validate(leadValidation.listMatchReviews),
+  asyncHandler(leadController.listMatchReviews)
+);
+
+// Merge or separate a possible duplicate
+router.post('/match-reviews/:reviewId/resolve',
+  requireRole('admin', 'user'),
+  validate(leadValidation.resolveMatchReview),
+  asyncHandler(leadController.resolveMatchReview)
+);
+
+// Merge duplicate leads into a survivor
+router.post('/merge',
+  requireRole('admin', 'user'),
+  validate(leadValidation.merge),
+  asyncHandler(leadController.mergeLeads)
+);
+
+// Undo a merge
+router.post('/merges/:id/undo',
+  requireRole('admin', 'user'),
+  validate(leadValidation.undoMerge),
+  asyncHandler(leadController.undoLeadMerge)
+);
+
 // Get specific lead
 router.get('/:id',
   validate(leadValidation.getById),
   asyncHandler(leadController.getLead)
 );
 
+// Rank history for the lead's industry keywords
+router.get('/:id/rankings',
+  validate(leadValidation.rankings),
+  asyncHandler(leadController.getLeadRankings)
+);
+
+// The lead against the top competitors in its industry and city
+router.get('/:id/competitors',
+  validate(leadValidation.competitors),
+  asyncHandler(leadController.getLeadCompetitors)
+);
+
+// Recalculate score with the active scoring profile
+router.patch('/:id/score',
+  requireRole('admin', 'user'),
+  validate(leadValidation.getById),
+  asyncHandler(leadController.rescoreLead)
+);
+
+// Why the lead got its score
+router.get('/:id/score/explain',
+  validate(leadValidation.explainScore),
+  asyncHandler(leadController.explainLeadScore)
+);
+
+// Every scoring run of the lead and the events its score changes raised
+router.get('/:id/score/history',
+  validate(leadValidation.scoreHistory),
+  asyncHandler(leadController.getLeadScoreHistory)
+);
+
 // Create new lead
 router.post('/',
   requireRole('admin', 'user'),
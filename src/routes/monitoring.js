@@ -5,9 +5,10 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken: authenticate, requireRole: authorizeRoles } = require('../middleware/auth');
 const { getSystemHealth, getDetailedMetrics } = require('../monitoring/health-monitor');
 const { getAllQueueStats } = require('../queues/queue-config');
+const proxyPool = require('../scrapers/proxy-pool');
 const logger = require('../utils/logger');
 
 /**
@@ -63,6 +64,14 @@ router.get('/queues', authenticate, authorizeRoles('admin'), async (req, res) =>
   }
 });
 
+/**
+ * Get scraper proxy pool health
+ * GET /api/monitoring/proxies
+ */
+router.get('/proxies', authenticate, authorizeRoles('admin'), (req, res) => {
+  res.json(proxyPool.stats());
+});
+
 /**
  * Get system status dashboard
  * GET /api/monitoring/dashboard
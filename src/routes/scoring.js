@@ -0,0 +1,66 @@
+/**
+ * Scoring Profile and Model Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const scoringController = require('../controllers/scoring-controller');
+const { validate } = require('../middleware/validate');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/error-handler');
+const scoringValidation = require('../validation/scoring-validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List scoring profile versions
+router.get('/profiles',
+  validate(scoringValidation.listProfiles),
+  asyncHandler(scoringController.listProfiles)
+);
+
+// Profile leads are scored with right now
+router.get('/profiles/active',
+  asyncHandler(scoringController.getActiveProfile)
+);
+
+// Get profile version by ID
+router.get('/profiles/:id',
+  validate(scoringValidation.getProfile),
+  asyncHandler(scoringController.getProfile)
+);
+
+// Create profile
+router.post('/profiles',
+  requireRole('admin'),
+  validate(scoringValidation.createProfile),
+  asyncHandler(scoringController.createProfile)
+);
+
+// Save the next version of a profile, or activate it
+router.put('/profiles/:id',
+  requireRole('admin'),
+  validate(scoringValidation.updateProfile),
+  asyncHandler(scoringController.updateProfile)
+);
+
+// List outcome model versions
+router.get('/models',
+  validate(scoringValidation.listModels),
+  asyncHandler(scoringController.listModels)
+);
+
+// Get model version by ID
+router.get('/models/:id',
+  validate(scoringValidation.getModel),
+  asyncHandler(scoringController.getModel)
+);
+
+// Activate or deactivate a model version
+router.put('/models/:id',
+  requireRole('admin'),
+  validate(scoringValidation.updateModel),
+  asyncHandler(scoringController.updateModel)
+);
+
+module.exports = router;
@@ -40,4 +40,29 @@ router.post('/cancel/:jobId',
   asyncHandler(scrapingController.cancelScraping)
 );
 
+// Resume scraping job from its last checkpoint
+router.post('/jobs/:jobId/resume',
+  scrapingLimiter,
+  validate(scrapingValidation.resume),
+  asyncHandler(scrapingController.resumeScraping)
+);
+
+// Shared scraper rate limits (admin only)
+router.get('/rate-limits',
+  requireRole('admin'),
+  asyncHandler(scrapingController.getRateLimits)
+);
+
+router.put('/rate-limits/:service',
+  requireRole('admin'),
+  validate(scrapingValidation.updateRateLimit),
+  asyncHandler(scrapingController.updateRateLimit)
+);
+
+router.delete('/rate-limits/:service',
+  requireRole('admin'),
+  validate(scrapingValidation.resetRateLimit),
+  asyncHandler(scrapingController.resetRateLimit)
+);
+
 module.exports = router;
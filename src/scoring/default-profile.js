@@ -0,0 +1,128 @@
+/**
+ * Default Scoring Profile
+ * Weights, tier thresholds and indicator points LeadScorer uses when no
+ * profile is active in the scoring_profiles table
+ *
+ * Stored profiles only need the values they change; everything else falls
+ * back to these. Indicator points are what a component score gains when the
+ * indicator applies (negative values lower it); each component is capped at
+ * 0-100 before weighting. notChecked is what a component scores when none
+ * of its data has been collected yet, like businessProfile.notAudited.
+ */
+
+module.exports = {
+  id: null,
+  name: 'default',
+  version: 0,
+
+  // Share of the total score per component (total = 100)
+  weights: {
+    websiteQuality: 25,
+    seoRanking: 20,
+    adPresence: 15,
+    reviewScore: 10,
+    businessProfile: 10,
+    socialPresence: 5,
+    companySize: 10,
+    marketCompetitiveness: 5
+  },
+
+  // Minimum total score for each tier; anything lower is Low Priority
+  thresholds: {
+    hot: 80,
+    warm: 60,
+    cold: 40
+  },
+
+  indicators: {
+    websiteQuality: {
+      notChecked: 50,
+      noWebsite: 100,
+      noMobileViewport: 20,
+      noSsl: 15,
+      slowLoad: 15,
+      layoutShift: 5,
+      noMetaDescription: 10,
+      poorTitle: 10,
+      noAnalytics: 10,
+      noLiveChat: 10,
+      noFacebookPixel: 10,
+      diyBuilder: 10,
+      noOnlineBooking: 10,
+      noReviewWidget: 5,
+      callTracking: -10
+    },
+    seoRanking: {
+      notChecked: 50,
+      notIndexed: 100,
+      rankingPoor: 40,
+      rankingAverage: 25,
+      rankingGood: 10,
+      fewKeywords: 30,
+      someKeywords: 20,
+      manyKeywords: 10,
+      industryKeywordsNotVisible: 30,
+      industryKeywordsPartlyVisible: 20,
+      industryKeywordsVisible: 5,
+      industryKeywordsUnknown: 15
+    },
+    adPresence: {
+      notChecked: 50,
+      noGoogleAds: 80,
+      lowAdSpend: 40,
+      highAdSpend: 20,
+      noFacebookAds: 10,
+      noYelpAds: 10
+    },
+    reviewScore: {
+      notChecked: 50,
+      veryFewReviews: 40,
+      fewReviews: 25,
+      someReviews: 15,
+      manyReviews: 5,
+      ratingPoor: 40,
+      ratingBelowAverage: 30,
+      ratingGood: 20,
+      ratingExcellent: 10,
+      rarelyResponds: 20,
+      sometimesResponds: 10,
+      noNewReviews: 15,
+      fewNewReviews: 5,
+      negativeSentiment: 10,
+      repeatedComplaint: 10
+    },
+    businessProfile: {
+      notAudited: 50,
+      unclaimedMinimum: 80,
+      noOwnerResponses: 10
+    },
+    socialPresence: {
+      notChecked: 50,
+      missingPlatform: 15,
+      lowEngagement: 10,
+      activePlatform: 5,
+      noSocialPresence: 100
+    },
+    companySize: {
+      large: 90,
+      medium: 75,
+      small: 50,
+      startup: 30,
+      unknown: 40,
+      over50Employees: 10,
+      over100Employees: 10
+    },
+    marketCompetitiveness: {
+      metroArea: 80,
+      otherArea: 60,
+      over50Competitors: 15,
+      over20Competitors: 10,
+      trailingMarket: 15,
+      behindMarket: 5,
+      leadingMarket: -10
+    }
+  },
+
+  // { INDUSTRY: { weights, thresholds, indicators } }, merged over the above
+  industryOverrides: {}
+};
@@ -4,19 +4,62 @@
  */
 
 const logger = require('../utils/logger');
+const techFingerprinter = require('../scrapers/tech-fingerprinter');
+const { THRESHOLDS: performanceThresholds } = require('../scrapers/performance-auditor');
+const DEFAULT_PROFILE = require('./default-profile');
+
+// Indicators listed as the main reasons for a score
+const TOP_REASONS = 5;
+
+// Lead fields each component reads; the share of them present is the
+// component's coverage, and weighted coverage is the score's confidence
+const DATA_SOURCES = {
+  websiteQuality: ['website_quality', 'tech_stack', 'performance_audit'],
+  seoRanking: ['seo_data', 'organic_keywords', 'seo_data.industryKeywords'],
+  adPresence: ['ad_presence'],
+  reviewScore: ['rating', 'review_count', 'review_analysis'],
+  businessProfile: ['gbp_audit'],
+  socialPresence: ['social_presence'],
+  companySize: ['estimated_size', 'employee_count'],
+  marketCompetitiveness: ['location', 'market_benchmark']
+};
+
+// Lowest confidence (0-100) for each level; anything lower is low
+const CONFIDENCE_LEVELS = {
+  high: 75,
+  medium: 50
+};
+
+// How the outcome model (see scoring/outcome-model) takes part in a score:
+// rule ignores it, model replaces the rule score, blend mixes the two and
+// shadow keeps the rule score but logs the model score next to it
+const MODES = ['rule', 'model', 'blend', 'shadow'];
 
 class LeadScorer {
-  constructor() {
-    // Scoring weights (total = 100)
-    this.weights = {
-      websiteQuality: 25,
-      seoRanking: 20,
-      adPresence: 15,
-      reviewScore: 15,
-      socialPresence: 10,
-      companySize: 10,
-      marketCompetitiveness: 5
-    };
+  /**
+   * @param {Object} [profile] - Scoring profile (see scoring/default-profile); values it
+   *   leaves out fall back to the default profile
+   * @param {Object} [options]
+   * @param {string} [options.mode] - One of MODES (default: SCORING_MODE or rule)
+   * @param {OutcomeModel} [options.model] - Trained model; without one every mode scores by the rules
+   * @param {number} [options.blendWeight] - Model share of a blended score, 0-1
+   *   (default: SCORING_MODEL_BLEND_WEIGHT or 0.5)
+   */
+  constructor(profile = DEFAULT_PROFILE, options = {}) {
+    this.profile = mergeProfile(DEFAULT_PROFILE, profile);
+
+    const mode = options.mode || process.env.SCORING_MODE || 'rule';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown scoring mode "${mode}"; use one of ${MODES.join(', ')}`);
+    }
+    this.model = options.model || null;
+    this.mode = this.model ? mode : 'rule';
+    this.blendWeight = options.blendWeight ?? (parseFloat(process.env.SCORING_MODEL_BLEND_WEIGHT) || 0.5);
+
+    // Scoring weights (total = 100), tier thresholds and indicator points
+    this.weights = this.profile.weights;
+    this.thresholds = this.profile.thresholds;
+    this.points = this.profile.indicators;
 
     // Industry-specific keywords for SEO analysis
     this.industryKeywords = {
@@ -27,277 +70,561 @@ class LeadScorer {
     };
   }
 
+  /**
+   * Weights, thresholds and indicator points for an industry: the profile
+   * with that industry's overrides applied
+   */
+  configFor(industry) {
+    const overrides = this.profile.industryOverrides || {};
+    const override = industry ? overrides[String(industry).toUpperCase()] : null;
+    const config = override ? mergeProfile(this.profile, override) : this.profile;
+
+    return {
+      weights: config.weights,
+      thresholds: config.thresholds,
+      points: config.indicators
+    };
+  }
+
   /**
    * Calculate overall lead score
+   *
+   * componentScores holds each component's 0-100 score and, under breakdown,
+   * why: { component: { score, weight, contribution, indicators: [{ indicator,
+   * label, points, field, value }], missing: [field], capped } }. missing lists
+   * lead fields that were empty, so the component fell back to a default.
+   * Components with none of their data score the neutral notChecked points
+   * instead of counting unknowns as problems; confidence says how much of
+   * the score rests on data that was actually checked.
+   *
+   * ruleScore is the weighted component total. With an outcome model, model
+   * holds its conversion probability and 0-100 score, and totalScore is the
+   * rule score, the model score or a blend of both depending on the mode.
    */
   calculateScore(lead) {
     logger.info(`Calculating score for lead: ${lead.company_name}`);
 
-    const scores = {
-      websiteQuality: this.scoreWebsiteQuality(lead),
-      seoRanking: this.scoreSEORanking(lead),
-      adPresence: this.scoreAdPresence(lead),
-      reviewScore: this.scoreReviews(lead),
-      socialPresence: this.scoreSocialPresence(lead),
-      companySize: this.scoreCompanySize(lead),
-      marketCompetitiveness: this.scoreMarketCompetitiveness(lead)
+    const { weights, thresholds, points } = this.configFor(lead.industry);
+
+    // Each component returns its score with the indicators that fired
+    const results = {
+      websiteQuality: this.scoreWebsiteQuality(lead, points.websiteQuality),
+      seoRanking: this.scoreSEORanking(lead, points.seoRanking),
+      adPresence: this.scoreAdPresence(lead, points.adPresence),
+      reviewScore: this.scoreReviews(lead, points.reviewScore),
+      businessProfile: this.scoreBusinessProfile(lead, points.businessProfile),
+      socialPresence: this.scoreSocialPresence(lead, points.socialPresence),
+      companySize: this.scoreCompanySize(lead, points.companySize),
+      marketCompetitiveness: this.scoreMarketCompetitiveness(lead, points.marketCompetitiveness)
     };
 
+    const scores = {};
+    const breakdown = {};
+    for (const [component, result] of Object.entries(results)) {
+      scores[component] = result.score;
+      breakdown[component] = {
+        ...result,
+        weight: weights[component],
+        contribution: Math.round(result.score * weights[component]) / 100,
+        coverage: coverageOf(component, result.missing)
+      };
+    }
+
     // Calculate weighted total
     const totalScore = Object.keys(scores).reduce((total, key) => {
-      const weightedScore = (scores[key] / 100) * this.weights[key];
+      const weightedScore = (scores[key] / 100) * weights[key];
       return total + weightedScore;
     }, 0);
 
-    const finalScore = Math.round(totalScore);
+    const ruleScore = Math.round(totalScore);
+    const confidence = this.confidence(breakdown);
+    const model = this.predict(breakdown, confidence);
+
+    let finalScore = ruleScore;
+    if (this.mode === 'model') {
+      finalScore = model.score;
+    } else if (this.mode === 'blend') {
+      finalScore = Math.round((1 - this.blendWeight) * ruleScore + this.blendWeight * model.score);
+    } else if (this.mode === 'shadow') {
+      logger.info(`Shadow model score for ${lead.company_name}: ${model.score} (p=${model.probability}) vs rule score ${ruleScore}`);
+    }
 
     // Determine lead quality tier
-    const tier = this.determineLeadTier(finalScore);
+    const tier = this.determineLeadTier(finalScore, thresholds);
 
-    logger.info(`Lead ${lead.company_name} scored ${finalScore}/100 (${tier})`);
+    logger.info(`Lead ${lead.company_name} scored ${finalScore}/100 (${tier}, ${confidence.level} confidence)`);
 
     return {
       totalScore: finalScore,
+      ruleScore,
       tier,
-      componentScores: scores,
+      confidence,
+      model,
+      componentScores: { ...scores, breakdown },
       recommendations: this.generateRecommendations(scores, lead),
+      profile: {
+        id: this.profile.id,
+        name: this.profile.name,
+        version: this.profile.version
+      },
       calculatedAt: new Date().toISOString()
     };
   }
 
+  /**
+   * Outcome model prediction for a breakdown, or null in rule mode
+   */
+  predict(breakdown, confidence) {
+    if (this.mode === 'rule') return null;
+
+    return {
+      id: this.model.id,
+      version: this.model.version,
+      mode: this.mode,
+      ...this.model.predict(breakdown, confidence)
+    };
+  }
+
   /**
    * Score website quality (0-100)
    */
-  scoreWebsiteQuality(lead) {
+  scoreWebsiteQuality(lead, points = this.points.websiteQuality) {
     const websiteQuality = lead.website_quality || lead.websiteQuality || {};
+    const explanation = new Explanation();
     let score = 0;
 
     // No website = 0 points (major opportunity)
     if (!websiteQuality.hasWebsite && !lead.website) {
-      return 100; // Perfect prospect - they NEED a website!
+      // Perfect prospect - they NEED a website!
+      score = explanation.add('noWebsite', points.noWebsite, 'website', null, 'No website');
+      return explanation.result(score);
+    }
+
+    const analyzed = Boolean(lead.website_quality || lead.websiteQuality);
+    if (!analyzed) explanation.lacks('website_quality');
+
+    // Detected technologies (see scrapers/tech-fingerprinter); only leads that
+    // were fingerprinted are judged on booking, reviews and site builder
+    const techStack = lead.tech_stack || lead.techStack || websiteQuality.techStack;
+    const fingerprinted = Array.isArray(techStack);
+    const tech = fingerprinted ? techFingerprinter.summarize(techStack) : {};
+    if (!fingerprinted) explanation.lacks('tech_stack');
+
+    // Measured mobile LCP (see scrapers/performance-auditor) beats the raw fetch time
+    const audit = lead.performance_audit || lead.performanceAudit;
+    const measured = audit?.metrics?.lcp != null;
+    const slowLoad = measured
+      ? audit.metrics.lcp > performanceThresholds.lcp[0]
+      : websiteQuality.loadTime > 3000;
+    if (!audit) explanation.lacks('performance_audit');
+
+    // A website nobody has looked at yet is unknown, not broken
+    if (!analyzed && !fingerprinted && !audit) {
+      score = explanation.add('notChecked', points.notChecked, 'website_quality', null, 'Website not analyzed yet');
+      return explanation.result(score);
     }
 
+    // Only flags that were checked and came back false count against the site
+    const detected = flag => fingerprinted || websiteQuality[flag] !== undefined;
+
     // Poor website quality = high score (they need improvement)
+    const analyticsField = fingerprinted ? 'tech_stack' : 'website_quality';
     const qualityIndicators = [
-      { check: !websiteQuality.hasMobileViewport, points: 20, issue: 'No mobile optimization' },
-      { check: !websiteQuality.hasSSL, points: 15, issue: 'No SSL certificate' },
-      { check: websiteQuality.loadTime > 3000, points: 15, issue: 'Slow page load' },
-      { check: !websiteQuality.hasMetaDescription, points: 10, issue: 'Missing meta description' },
-      { check: websiteQuality.titleLength < 30, points: 10, issue: 'Poor title tag' },
-      { check: !websiteQuality.hasGoogleAnalytics, points: 10, issue: 'No analytics tracking' },
-      { check: !websiteQuality.hasLiveChat, points: 10, issue: 'No live chat' },
-      { check: !websiteQuality.hasFacebookPixel, points: 10, issue: 'No Facebook pixel' }
+      { check: websiteQuality.hasMobileViewport === false, indicator: 'noMobileViewport', field: 'website_quality.hasMobileViewport', value: websiteQuality.hasMobileViewport, issue: 'No mobile optimization' },
+      { check: websiteQuality.hasSSL === false, indicator: 'noSsl', field: 'website_quality.hasSSL', value: websiteQuality.hasSSL, issue: 'No SSL certificate' },
+      { check: slowLoad, indicator: 'slowLoad', field: measured ? 'performance_audit.metrics.lcp' : 'website_quality.loadTime', value: measured ? audit.metrics.lcp : websiteQuality.loadTime, issue: 'Slow page load' },
+      { check: audit?.ratings?.cls === 'poor', indicator: 'layoutShift', field: 'performance_audit.ratings.cls', value: 'poor', issue: 'Layout shifts while loading' },
+      { check: websiteQuality.hasMetaDescription === false, indicator: 'noMetaDescription', field: 'website_quality.hasMetaDescription', value: websiteQuality.hasMetaDescription, issue: 'Missing meta description' },
+      { check: websiteQuality.titleLength != null && websiteQuality.titleLength < 30, indicator: 'poorTitle', field: 'website_quality.titleLength', value: websiteQuality.titleLength, issue: 'Poor title tag' },
+      { check: detected('hasGoogleAnalytics') && !(websiteQuality.hasGoogleAnalytics || tech.hasGoogleAnalytics), indicator: 'noAnalytics', field: analyticsField, issue: 'No analytics tracking' },
+      { check: detected('hasLiveChat') && !(websiteQuality.hasLiveChat || tech.hasLiveChat), indicator: 'noLiveChat', field: analyticsField, issue: 'No live chat' },
+      { check: detected('hasFacebookPixel') && !(websiteQuality.hasFacebookPixel || tech.hasFacebookPixel), indicator: 'noFacebookPixel', field: analyticsField, issue: 'No Facebook pixel' },
+      { check: fingerprinted && tech.hasDiyBuilder, indicator: 'diyBuilder', field: 'tech_stack', value: tech.cms, issue: `Built on a DIY site builder (${tech.cms})` },
+      { check: fingerprinted && !tech.hasOnlineBooking, indicator: 'noOnlineBooking', field: 'tech_stack', issue: 'No online booking' },
+      { check: fingerprinted && !tech.hasReviewWidget, indicator: 'noReviewWidget', field: 'tech_stack', issue: 'No review widget' }
     ];
 
-    const issues = [];
-    qualityIndicators.forEach(indicator => {
-      if (indicator.check) {
-        score += indicator.points;
-        issues.push(indicator.issue);
+    qualityIndicators.forEach(({ check, indicator, field, value, issue }) => {
+      if (check) {
+        score += explanation.add(indicator, points[indicator], field, value, issue);
       }
     });
 
-    // Cap at 100
-    score = Math.min(score, 100);
+    // Call tracking means someone already measures their marketing, usually an agency
+    if (tech.hasCallTracking) {
+      score += explanation.add('callTracking', points.callTracking, 'tech_stack', null, 'Already uses call tracking');
+    }
+
+    // Keep within 0-100
+    score = Math.max(0, Math.min(score, 100));
 
-    logger.debug(`Website quality score: ${score}/100. Issues: ${issues.join(', ')}`);
-    return score;
+    logger.debug(`Website quality score: ${score}/100. Issues: ${explanation.labels().join(', ')}`);
+    return explanation.result(score);
   }
 
   /**
    * Score SEO ranking position (0-100)
    */
-  scoreSEORanking(lead) {
+  scoreSEORanking(lead, points = this.points.seoRanking) {
     const seoData = lead.seo_data || lead.seoData || {};
+    const organicKeywords = seoData.organicKeywords ?? lead.organic_keywords ?? null;
+    const explanation = new Explanation();
     let score = 0;
 
-    // Not indexed = maximum opportunity
-    if (!seoData.indexed) {
-      return 100;
+    if (!lead.seo_data && !lead.seoData) explanation.lacks('seo_data');
+    if (organicKeywords === null) explanation.lacks('organic_keywords');
+
+    // Nothing known about the site's search visibility: neutral, not "not indexed"
+    const indexChecked = seoData.indexed != null || organicKeywords !== null;
+    if (!indexChecked && !(seoData.industryKeywords?.length > 0)) {
+      explanation.lacks('seo_data.industryKeywords');
+      score = explanation.add('notChecked', points.notChecked, 'seo_data', null, 'Search visibility not checked yet');
+      return explanation.result(score);
+    }
+
+    // Not indexed = maximum opportunity. Leads scraped without seo_data are
+    // judged by the provider keyword count alone.
+    const indexed = seoData.indexed ?? organicKeywords > 0;
+    if (indexChecked && !indexed) {
+      score = explanation.add('notIndexed', points.notIndexed,
+        seoData.indexed != null ? 'seo_data.indexed' : 'organic_keywords', seoData.indexed ?? organicKeywords,
+        'Not indexed by Google');
+      return explanation.result(score);
     }
 
     // Poor rankings = high opportunity score
     const ranking = seoData.estimatedRanking || 50;
-    const organicKeywords = seoData.organicKeywords || 0;
+    if (!seoData.estimatedRanking) explanation.lacks('seo_data.estimatedRanking');
 
     // Inverse scoring: worse ranking = higher score (more opportunity)
     if (ranking > 50) {
-      score += 40; // Poor ranking position
+      // Poor ranking position
+      score += explanation.add('rankingPoor', points.rankingPoor, 'seo_data.estimatedRanking', ranking, 'Ranks below position 50');
     } else if (ranking > 20) {
-      score += 25;
+      score += explanation.add('rankingAverage', points.rankingAverage, 'seo_data.estimatedRanking', ranking, 'Ranks between positions 21 and 50');
     } else {
-      score += 10; // Already ranking well
+      // Already ranking well
+      score += explanation.add('rankingGood', points.rankingGood, 'seo_data.estimatedRanking', ranking, 'Ranks in the top 20');
     }
 
     // Few organic keywords = opportunity
-    if (organicKeywords < 50) {
-      score += 30;
+    if (organicKeywords === null) {
+      // Keyword count not checked; ranking and industry keywords decide
+    } else if (organicKeywords < 50) {
+      score += explanation.add('fewKeywords', points.fewKeywords, 'organic_keywords', organicKeywords, 'Fewer than 50 organic keywords');
     } else if (organicKeywords < 200) {
-      score += 20;
+      score += explanation.add('someKeywords', points.someKeywords, 'organic_keywords', organicKeywords, 'Fewer than 200 organic keywords');
     } else {
-      score += 10;
+      score += explanation.add('manyKeywords', points.manyKeywords, 'organic_keywords', organicKeywords, '200+ organic keywords');
     }
 
     // Check for industry-specific keyword rankings
-    const industryKeywordScore = this.analyzeIndustryKeywords(lead, seoData);
-    score += industryKeywordScore;
+    score += this.analyzeIndustryKeywords(lead, seoData, points, explanation);
 
-    return Math.min(score, 100);
+    return explanation.result(Math.max(0, Math.min(score, 100)));
   }
 
   /**
    * Analyze industry-specific keyword performance
    */
-  analyzeIndustryKeywords(lead, seoData) {
+  analyzeIndustryKeywords(lead, seoData, points = this.points.seoRanking, explanation = new Explanation()) {
     const industry = lead.industry?.toUpperCase();
     const keywords = this.industryKeywords[industry] || [];
-
-    // If they're not ranking for their own industry keywords, high opportunity
-    if (keywords.length > 0 && (!seoData.industryKeywords || seoData.industryKeywords.length === 0)) {
-      return 30;
+    const checked = seoData.industryKeywords || [];
+
+    // Rank checks: visible means page one or the local pack
+    if (checked.length > 0) {
+      const visible = checked.filter(result =>
+        (result.organicPosition && result.organicPosition <= 10) || result.localPackPosition
+      ).length;
+      const value = `${visible}/${checked.length} visible`;
+
+      if (visible === 0) {
+        return explanation.add('industryKeywordsNotVisible', points.industryKeywordsNotVisible, 'seo_data.industryKeywords', value,
+          'Not on page one for any industry keyword');
+      }
+      return visible < checked.length
+        ? explanation.add('industryKeywordsPartlyVisible', points.industryKeywordsPartlyVisible, 'seo_data.industryKeywords', value,
+          'On page one for some industry keywords')
+        : explanation.add('industryKeywordsVisible', points.industryKeywordsVisible, 'seo_data.industryKeywords', value,
+          'On page one for every industry keyword');
     }
 
-    return 15;
+    explanation.lacks('seo_data.industryKeywords');
+
+    // Rank checks have not run yet (see the weekly rank tracking job)
+    return explanation.add('industryKeywordsUnknown', points.industryKeywordsUnknown, 'industry', lead.industry ?? null,
+      keywords.length > 0 ? 'Industry keywords not checked yet' : 'No keywords known for this industry');
   }
 
   /**
    * Score Google Ads presence (0-100)
    */
-  scoreAdPresence(lead) {
+  scoreAdPresence(lead, points = this.points.adPresence) {
     const adPresence = lead.ad_presence || lead.adPresence || {};
+    const explanation = new Explanation();
     let score = 0;
 
+    // The ad check did not run, or failed ('Unknown' spend)
+    if ((!lead.ad_presence && !lead.adPresence) || adPresence.estimatedAdSpend === 'Unknown') {
+      explanation.lacks('ad_presence');
+      score = explanation.add('notChecked', points.notChecked, 'ad_presence', adPresence.estimatedAdSpend ?? null, 'Ads not checked yet');
+      return explanation.result(score);
+    }
+
     // No ads = high opportunity
     if (!adPresence.hasGoogleAds || adPresence.estimatedAdSpend === 'None') {
-      score = 80; // Major opportunity for PPC services
+      // Major opportunity for PPC services
+      score = explanation.add('noGoogleAds', points.noGoogleAds, 'ad_presence.hasGoogleAds', adPresence.hasGoogleAds ?? null, 'No Google Ads');
     } else if (adPresence.estimatedAdSpend === 'Low' || adPresence.estimatedAdSpend === 'Active') {
-      score = 40; // Some ad presence but could improve
+      // Some ad presence but could improve
+      score = explanation.add('lowAdSpend', points.lowAdSpend, 'ad_presence.estimatedAdSpend', adPresence.estimatedAdSpend, 'Low Google Ads spend');
     } else {
-      score = 20; // Already spending heavily
+      // Already spending heavily
+      score = explanation.add('highAdSpend', points.highAdSpend, 'ad_presence.estimatedAdSpend', adPresence.estimatedAdSpend ?? null, 'High Google Ads spend');
     }
 
-    // Check for other ad platforms
-    if (!adPresence.hasFacebookAds) score += 10;
-    if (!adPresence.hasYelpAds) score += 10;
+    // Check for other ad platforms (only where they were looked for)
+    if (adPresence.hasFacebookAds === false) {
+      score += explanation.add('noFacebookAds', points.noFacebookAds, 'ad_presence.hasFacebookAds', false, 'No Facebook Ads');
+    }
+    if (adPresence.hasYelpAds === false) {
+      score += explanation.add('noYelpAds', points.noYelpAds, 'ad_presence.hasYelpAds', false, 'No Yelp Ads');
+    }
 
-    return Math.min(score, 100);
+    return explanation.result(Math.max(0, Math.min(score, 100)));
   }
 
   /**
    * Score online reviews (0-100)
    */
-  scoreReviews(lead) {
-    const rating = lead.rating || 0;
-    const reviewCount = lead.review_count || lead.reviewCount || 0;
+  scoreReviews(lead, points = this.points.reviewScore) {
+    const rating = lead.rating ?? null;
+    const reviewCount = lead.review_count ?? lead.reviewCount ?? null;
+    const analysis = lead.review_analysis || lead.reviewAnalysis;
+    const explanation = new Explanation();
     let score = 0;
 
+    if (rating === null) explanation.lacks('rating');
+    if (reviewCount === null) explanation.lacks('review_count');
+    if (!analysis) explanation.lacks('review_analysis');
+
+    // No listing data and no mined reviews: nothing to judge the reputation by
+    if (rating === null && reviewCount === null && !analysis) {
+      score = explanation.add('notChecked', points.notChecked, 'review_count', null, 'Reviews not checked yet');
+      return explanation.result(score);
+    }
+
     // Review count analysis
-    if (reviewCount < 10) {
-      score += 40; // Very few reviews - needs reputation management
+    if (reviewCount === null) {
+      // Count unknown; rating and mined reviews decide
+    } else if (reviewCount < 10) {
+      // Very few reviews - needs reputation management
+      score += explanation.add('veryFewReviews', points.veryFewReviews, 'review_count', reviewCount, 'Fewer than 10 reviews');
     } else if (reviewCount < 50) {
-      score += 25; // Low review count
+      // Low review count
+      score += explanation.add('fewReviews', points.fewReviews, 'review_count', reviewCount, 'Fewer than 50 reviews');
     } else if (reviewCount < 100) {
-      score += 15;
+      score += explanation.add('someReviews', points.someReviews, 'review_count', reviewCount, 'Fewer than 100 reviews');
     } else {
-      score += 5; // High review count
+      // High review count
+      score += explanation.add('manyReviews', points.manyReviews, 'review_count', reviewCount, '100+ reviews');
     }
 
-    // Rating analysis
-    if (rating < 3.0) {
-      score += 40; // Poor rating - needs reputation repair
+    // Rating analysis (a business without reviews has no rating to judge)
+    if (rating === null) {
+      // Nothing to add
+    } else if (rating < 3.0) {
+      // Poor rating - needs reputation repair
+      score += explanation.add('ratingPoor', points.ratingPoor, 'rating', rating, 'Rating below 3.0');
     } else if (rating < 4.0) {
-      score += 30; // Below average
+      // Below average
+      score += explanation.add('ratingBelowAverage', points.ratingBelowAverage, 'rating', rating, 'Rating below 4.0');
     } else if (rating < 4.5) {
-      score += 20; // Good but could improve
+      // Good but could improve
+      score += explanation.add('ratingGood', points.ratingGood, 'rating', rating, 'Rating below 4.5');
     } else {
-      score += 10; // Excellent rating
+      // Excellent rating
+      score += explanation.add('ratingExcellent', points.ratingExcellent, 'rating', rating, 'Rating 4.5 or higher');
     }
 
     // Response rate (if available)
-    const responseRate = lead.review_response_rate || 0;
-    if (responseRate < 30) {
-      score += 20; // Not responding to reviews
+    const responseRate = lead.review_response_rate ?? null;
+    if (responseRate === null) explanation.lacks('review_response_rate');
+
+    if (responseRate === null) {
+      // Not measured until reviews are mined
+    } else if (responseRate < 30) {
+      // Not responding to reviews
+      score += explanation.add('rarelyResponds', points.rarelyResponds, 'review_response_rate', responseRate, 'Answers fewer than 30% of reviews');
     } else if (responseRate < 60) {
-      score += 10;
+      score += explanation.add('sometimesResponds', points.sometimesResponds, 'review_response_rate', responseRate, 'Answers fewer than 60% of reviews');
+    }
+
+    // Mined reviews (see scrapers/review-analyzer)
+    if (analysis) {
+      if (analysis.velocity90d < 1) {
+        // Hardly any new reviews - needs review generation
+        score += explanation.add('noNewReviews', points.noNewReviews, 'review_analysis.velocity90d', analysis.velocity90d,
+          'Less than one new review a month');
+      } else if (analysis.velocity90d < 3) {
+        score += explanation.add('fewNewReviews', points.fewNewReviews, 'review_analysis.velocity90d', analysis.velocity90d,
+          'Fewer than three new reviews a month');
+      }
+
+      if (analysis.averageSentiment !== null && analysis.averageSentiment < 0) {
+        // Customers mostly unhappy
+        score += explanation.add('negativeSentiment', points.negativeSentiment, 'review_analysis.averageSentiment', analysis.averageSentiment,
+          'Reviews are mostly negative');
+      }
+
+      const repeated = (analysis.complaintThemes || []).filter(theme => theme.count >= 2);
+      if (repeated.length > 0) {
+        // The same complaint keeps coming up
+        score += explanation.add('repeatedComplaint', points.repeatedComplaint, 'review_analysis.complaintThemes',
+          repeated.map(theme => theme.label).join(', '), 'The same complaint keeps coming up');
+      }
+    }
+
+    return explanation.result(Math.max(0, Math.min(score, 100)));
+  }
+
+  /**
+   * Score Google Business Profile completeness (0-100)
+   * Uses the profile audit (see scrapers/gbp-auditor); leads that were not
+   * audited, or whose place page failed to load, score a neutral 50
+   */
+  scoreBusinessProfile(lead, points = this.points.businessProfile) {
+    const audit = lead.gbp_audit || lead.gbpAudit;
+    const explanation = new Explanation();
+
+    if (!audit || audit.error || audit.completeness == null) {
+      explanation.lacks('gbp_audit');
+      const score = explanation.add('notAudited', points.notAudited, 'gbp_audit', audit?.error || null, 'Profile not audited');
+      return explanation.result(score);
+    }
+
+    // Incomplete profile = high score
+    let score = 100 - audit.completeness;
+    if (score > 0) {
+      explanation.add('incompleteProfile', score, 'gbp_audit.completeness', audit.completeness, `Profile ${audit.completeness}% complete`);
+    }
+
+    // Nobody owns an unclaimed profile, whatever else it shows
+    if (audit.claimed === false && score < points.unclaimedMinimum) {
+      score += explanation.add('unclaimed', points.unclaimedMinimum - score, 'gbp_audit.claimed', false, 'Profile not claimed');
+    }
+
+    // Owner answers none of their reviews
+    if (audit.ownerResponseRate === 0 && audit.reviewsSampled >= 3) {
+      score += explanation.add('noOwnerResponses', points.noOwnerResponses, 'gbp_audit.ownerResponseRate', 0, 'Owner answers no reviews');
     }
 
-    return Math.min(score, 100);
+    return explanation.result(Math.max(0, Math.min(score, 100)));
   }
 
   /**
    * Score social media presence (0-100)
    */
-  scoreSocialPresence(lead) {
+  scoreSocialPresence(lead, points = this.points.socialPresence) {
     const socialPresence = lead.social_presence || lead.socialPresence || {};
+    const explanation = new Explanation();
     let score = 0;
 
-    // Check each platform
-    const platforms = ['facebook', 'instagram', 'linkedin', 'twitter', 'youtube'];
+    // Check each platform that was looked up (enrichment skips some)
+    const platforms = ['facebook', 'instagram', 'linkedin', 'twitter', 'youtube']
+      .filter(platform => socialPresence[platform] !== undefined);
     let missingPlatforms = 0;
-    let lowEngagementPlatforms = 0;
+
+    if (platforms.length === 0) {
+      explanation.lacks('social_presence');
+      score = explanation.add('notChecked', points.notChecked, 'social_presence', null, 'Social media not checked yet');
+      return explanation.result(score);
+    }
 
     platforms.forEach(platform => {
       const platformData = socialPresence[platform];
-      
+      const field = `social_presence.${platform}`;
+
       if (!platformData || !platformData.hasProfile) {
         missingPlatforms++;
-        score += 15; // Missing platform = opportunity
+        // Missing platform = opportunity
+        score += explanation.add('missingPlatform', points.missingPlatform, field, null, `No ${platform} profile`);
       } else if (platformData.engagement === 'low' || platformData.followersCount < 100) {
-        lowEngagementPlatforms++;
-        score += 10; // Low engagement = opportunity
+        // Low engagement = opportunity
+        score += explanation.add('lowEngagement', points.lowEngagement, field, platformData.followersCount ?? null, `Low ${platform} engagement`);
       } else {
-        score += 5; // Active presence
+        // Active presence
+        score += explanation.add('activePlatform', points.activePlatform, field, platformData.followersCount ?? null, `Active on ${platform}`);
       }
     });
 
     // Extra points for no social presence at all
     if (missingPlatforms === platforms.length) {
-      score = 100; // No social media at all - huge opportunity
+      // No social media at all - huge opportunity
+      explanation.clear();
+      score = explanation.add('noSocialPresence', points.noSocialPresence, 'social_presence', null, 'No social media profiles');
     }
 
-    return Math.min(score, 100);
+    return explanation.result(Math.max(0, Math.min(score, 100)));
   }
 
   /**
    * Score company size (0-100)
    */
-  scoreCompanySize(lead) {
+  scoreCompanySize(lead, points = this.points.companySize) {
     const size = lead.estimated_size || lead.estimatedSize || 'Unknown';
+    const explanation = new Explanation();
     let score = 0;
 
+    if (size === 'Unknown') explanation.lacks('estimated_size');
+
     // Larger companies = better leads (more budget)
     switch (size.toLowerCase()) {
       case 'large':
-        score = 90; // Large budget, multiple locations
+        // Large budget, multiple locations
+        score = explanation.add('large', points.large, 'estimated_size', size, 'Large company');
         break;
       case 'medium':
-        score = 75; // Good budget, established
+        // Good budget, established
+        score = explanation.add('medium', points.medium, 'estimated_size', size, 'Medium-sized company');
         break;
       case 'small':
-        score = 50; // Limited budget but growth potential
+        // Limited budget but growth potential
+        score = explanation.add('small', points.small, 'estimated_size', size, 'Small company');
         break;
       case 'startup':
-        score = 30; // Very limited budget
+        // Very limited budget
+        score = explanation.add('startup', points.startup, 'estimated_size', size, 'Startup');
         break;
       default:
-        score = 40;
+        score = explanation.add('unknown', points.unknown, 'estimated_size', size, 'Company size unknown');
     }
 
     // Adjust for employee count if available
     const employees = lead.employee_count || 0;
-    if (employees > 50) score = Math.min(score + 10, 100);
-    if (employees > 100) score = Math.min(score + 10, 100);
+    if (lead.employee_count == null) explanation.lacks('employee_count');
 
-    return score;
+    if (employees > 50) {
+      score = Math.min(score + explanation.add('over50Employees', points.over50Employees, 'employee_count', employees, 'More than 50 employees'), 100);
+    }
+    if (employees > 100) {
+      score = Math.min(score + explanation.add('over100Employees', points.over100Employees, 'employee_count', employees, 'More than 100 employees'), 100);
+    }
+
+    return explanation.result(Math.max(0, score));
   }
 
   /**
    * Score market competitiveness (0-100)
    */
-  scoreMarketCompetitiveness(lead) {
+  scoreMarketCompetitiveness(lead, points = this.points.marketCompetitiveness) {
     const location = lead.address || lead.location || '';
+    const explanation = new Explanation();
     let score = 50; // Default
 
+    if (!location) explanation.lacks('location');
+
     // Urban/metro areas = more competition = higher scores (more need)
     const majorCities = ['new york', 'los angeles', 'chicago', 'houston', 'phoenix', 
                          'philadelphia', 'san antonio', 'san diego', 'dallas', 'miami'];
@@ -307,29 +634,120 @@ class LeadScorer {
     );
 
     if (isMetroArea) {
-      score = 80; // High competition = high opportunity for ads/SEO
+      // High competition = high opportunity for ads/SEO
+      score = explanation.add('metroArea', points.metroArea, 'location', location, 'Major metro area');
     } else {
-      score = 60; // Lower competition but still valuable
+      // Lower competition but still valuable
+      score = explanation.add('otherArea', points.otherArea, 'location', location || null, 'Outside the major metros');
     }
 
+    // Market benchmark (see scoring/market-model): competitors are the other
+    // leads in the same industry and city
+    const benchmark = lead.market_benchmark || lead.marketBenchmark;
+    const competitorCount = benchmark
+      ? benchmark.market.size - 1
+      : lead.local_competitor_count || 0;
+    const competitorField = benchmark ? 'market_benchmark.market.size' : 'local_competitor_count';
+
+    if (!benchmark) explanation.lacks('market_benchmark');
+
     // Adjust based on competitor density (if available)
-    const competitorCount = lead.local_competitor_count || 0;
     if (competitorCount > 50) {
-      score = Math.min(score + 15, 100);
+      score = Math.min(score + explanation.add('over50Competitors', points.over50Competitors, competitorField, competitorCount,
+        'More than 50 local competitors'), 100);
     } else if (competitorCount > 20) {
-      score = Math.min(score + 10, 100);
+      score = Math.min(score + explanation.add('over20Competitors', points.over20Competitors, competitorField, competitorCount,
+        'More than 20 local competitors'), 100);
+    }
+
+    // Trailing the local market = needs help to catch up
+    if (benchmark?.reliable) {
+      const strength = benchmark.you.strength;
+
+      if (strength < 25) {
+        score += explanation.add('trailingMarket', points.trailingMarket, 'market_benchmark.you.strength', strength,
+          'In the bottom quarter of the local market');
+      } else if (strength < 50) {
+        score += explanation.add('behindMarket', points.behindMarket, 'market_benchmark.you.strength', strength,
+          'Behind most of the local market');
+      } else if (strength >= 75) {
+        // Already leads the market
+        score += explanation.add('leadingMarket', points.leadingMarket, 'market_benchmark.you.strength', strength,
+          'Leads the local market');
+      }
     }
 
-    return score;
+    return explanation.result(Math.max(0, Math.min(score, 100)));
+  }
+
+  /**
+   * Readable form of a stored breakdown (componentScores.breakdown)
+   *
+   * @returns {Object} { components: [{ component, score, weight, contribution, indicators, missing, capped }]
+   *   biggest contribution first, topReasons: [{ component, indicator, label, points, field, value,
+   *   weightedPoints }], missingData: [field] }
+   */
+  explain(breakdown) {
+    const components = Object.entries(breakdown)
+      .map(([component, entry]) => ({ component, ...entry }))
+      .sort((a, b) => b.contribution - a.contribution);
+
+    // Indicators by how many points of the total score they are worth
+    const topReasons = components
+      .flatMap(({ component, weight, indicators }) => indicators
+        .filter(entry => entry.points > 0)
+        .map(entry => ({ component, ...entry, weightedPoints: Math.round(entry.points * weight) / 100 })))
+      .sort((a, b) => b.weightedPoints - a.weightedPoints)
+      .slice(0, TOP_REASONS);
+
+    return {
+      components,
+      topReasons,
+      missingData: [...new Set(components.flatMap(entry => entry.missing))],
+      confidence: this.confidence(breakdown)
+    };
+  }
+
+  /**
+   * How much of a score rests on data that was checked
+   *
+   * Each component's coverage (share of its DATA_SOURCES present) counts by
+   * the component's weight, so a lead missing only social media data keeps
+   * a high confidence and one never enriched gets a low one.
+   *
+   * @param {Object} breakdown - componentScores.breakdown
+   * @returns {Object} { score (0-100), level: high | medium | low, missingData: [field] }
+   */
+  confidence(breakdown) {
+    let covered = 0;
+    let totalWeight = 0;
+    const missingData = new Set();
+
+    for (const [component, entry] of Object.entries(breakdown)) {
+      if (!DATA_SOURCES[component]) continue;
+
+      covered += coverageOf(component, entry.missing) * entry.weight;
+      totalWeight += entry.weight;
+      DATA_SOURCES[component]
+        .filter(field => entry.missing.includes(field))
+        .forEach(field => missingData.add(field));
+    }
+
+    const score = totalWeight > 0 ? Math.round(covered / totalWeight) : 0;
+    const level = score >= CONFIDENCE_LEVELS.high ? 'high'
+      : score >= CONFIDENCE_LEVELS.medium ? 'medium'
+        : 'low';
+
+    return { score, level, missingData: [...missingData] };
   }
 
   /**
    * Determine lead quality tier
    */
-  determineLeadTier(score) {
-    if (score >= 80) return 'Hot Lead';
-    if (score >= 60) return 'Warm Lead';
-    if (score >= 40) return 'Cold Lead';
+  determineLeadTier(score, thresholds = this.thresholds) {
+    if (score >= thresholds.hot) return 'Hot Lead';
+    if (score >= thresholds.warm) return 'Warm Lead';
+    if (score >= thresholds.cold) return 'Cold Lead';
     return 'Low Priority';
   }
 
@@ -379,6 +797,19 @@ class LeadScorer {
       });
     }
 
+    // Business Profile recommendations
+    if (scores.businessProfile >= 60) {
+      const audit = lead.gbp_audit || lead.gbpAudit || {};
+      recommendations.push({
+        priority: 'High',
+        category: 'Google Business Profile',
+        recommendation: audit.claimed === false
+          ? 'Claim and complete the Google Business Profile'
+          : `Complete the Google Business Profile (${audit.completeness}% complete)`,
+        services: ['Google Business Profile Optimization', 'Local SEO', 'Review Response']
+      });
+    }
+
     // Social media recommendations
     if (scores.socialPresence >= 60) {
       recommendations.push({
@@ -409,9 +840,14 @@ class LeadScorer {
         scoredLeads.push({
           ...lead,
           score: scoreData.totalScore,
+          rule_score: scoreData.ruleScore,
+          score_model: scoreData.model,
           tier: scoreData.tier,
+          score_confidence: scoreData.confidence.score,
           component_scores: scoreData.componentScores,
           recommendations: scoreData.recommendations,
+          scoring_profile_id: scoreData.profile.id,
+          scoring_profile_version: scoreData.profile.version,
           scored_at: scoreData.calculatedAt
         });
       } catch (error) {
@@ -462,4 +898,77 @@ class LeadScorer {
   }
 }
 
+/**
+ * Indicators that fired for one component and the lead fields it had to do without
+ */
+class Explanation {
+  constructor() {
+    this.indicators = [];
+    this.missing = [];
+  }
+
+  /**
+   * Record an indicator and return its points, so scorers can write
+   * score += explanation.add(...)
+   */
+  add(indicator, points, field, value, label) {
+    this.indicators.push({ indicator, label, points, field, value: value === undefined ? null : value });
+    return points;
+  }
+
+  lacks(field) {
+    if (!this.missing.includes(field)) this.missing.push(field);
+  }
+
+  // For indicators that replace everything before them
+  clear() {
+    this.indicators = [];
+  }
+
+  labels() {
+    return this.indicators.map(entry => entry.label);
+  }
+
+  /**
+   * capped: the indicators add up to more (or less) than the 0-100 score
+   */
+  result(score) {
+    const total = this.indicators.reduce((sum, entry) => sum + entry.points, 0);
+    return { score, indicators: this.indicators, missing: this.missing, capped: total !== score };
+  }
+}
+
+/**
+ * Share (0-100) of a component's data sources that are not in its missing list
+ */
+function coverageOf(component, missing) {
+  const sources = DATA_SOURCES[component];
+  const present = sources.filter(field => !missing.includes(field)).length;
+  return Math.round(present / sources.length * 100);
+}
+
+/**
+ * Profile with another profile's values laid over it, one level into
+ * weights, thresholds and each component's indicators
+ */
+function mergeProfile(base, override) {
+  const indicators = { ...base.indicators };
+  for (const [component, points] of Object.entries(override.indicators || {})) {
+    indicators[component] = { ...indicators[component], ...points };
+  }
+
+  return {
+    ...base,
+    ...override,
+    weights: { ...base.weights, ...override.weights },
+    thresholds: { ...base.thresholds, ...override.thresholds },
+    indicators,
+    industryOverrides: override.industryOverrides || base.industryOverrides || {}
+  };
+}
+
 module.exports = LeadScorer;
+module.exports.DEFAULT_PROFILE = DEFAULT_PROFILE;
+module.exports.DATA_SOURCES = DATA_SOURCES;
+module.exports.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
+module.exports.MODES = MODES;
@@ -0,0 +1,239 @@
+/**
+ * Market Model
+ * Benchmarks a lead against the other leads in its industry and city
+ *
+ * A market is every lead with the same industry, city and state. For each
+ * market the model computes percentiles for rating, review count, SEO score
+ * and ad presence (number of ad channels: Google, Facebook, Yelp), ranks the
+ * businesses by a weighted blend of those percentiles and compares a lead to
+ * the three strongest competitors. Markets are cached per process for
+ * MARKET_CACHE_TTL_MINUTES, so scoring a batch from one city queries it once.
+ */
+
+const logger = require('../utils/logger');
+const { getMarketLeads } = require('../database/lead-repository');
+
+// How much each metric counts towards a competitor's strength
+const STRENGTH_WEIGHTS = {
+  reviewCount: 0.35,
+  rating: 0.25,
+  seoScore: 0.25,
+  adPresence: 0.15
+};
+
+const METRICS = Object.keys(STRENGTH_WEIGHTS);
+
+// Fewer leads than this and percentiles say little about the market
+const MIN_MARKET_SIZE = 5;
+
+const TOP_COMPETITORS = 3;
+
+class MarketModel {
+  constructor(options = {}) {
+    this.cacheTtlMs = (options.cacheTtlMinutes || parseInt(process.env.MARKET_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+    this.maxLeads = options.maxLeads || parseInt(process.env.MARKET_MAX_LEADS) || 1000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Market a lead belongs to, or null without an industry and city
+   */
+  marketFor(lead) {
+    if (!lead.industry || !lead.city) return null;
+
+    const market = {
+      industry: String(lead.industry).toLowerCase(),
+      city: String(lead.city).trim(),
+      state: lead.state ? String(lead.state).toUpperCase() : null
+    };
+
+    return { ...market, key: [market.industry, market.city.toLowerCase(), market.state || ''].join('|') };
+  }
+
+  /**
+   * Compare a lead with its market
+   *
+   * @param {Object} lead - Lead row (id, industry, city, state, rating, review_count, seo_score, ad fields)
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Reload the market instead of using the cache
+   * @returns {Object|null} { market: { industry, city, state, size }, you: { ..., percentiles, rank },
+   *   competitors: [{ id, name, website, rating, reviewCount, seoScore, adPresence, strength }],
+   *   comparison: { metric: { you, competitors, gap } }, marketStats: { metric: { median, p75, p90 } },
+   *   reliable, computedAt }
+   *   null when the lead has no market or is alone in it
+   */
+  async benchmark(lead, options = {}) {
+    const market = this.marketFor(lead);
+    if (!market) return null;
+
+    const model = await this.getMarket(market, options);
+    const others = model.businesses.filter(business => business.id !== lead.id);
+    if (others.length === 0) return null;
+
+    const you = this.toBusiness(lead);
+    const youPercentiles = this.percentilesFor(you, model);
+    const youStrength = strength(youPercentiles);
+
+    const ranked = others
+      .map(business => ({ ...business, strength: strength(this.percentilesFor(business, model)) }))
+      .sort((a, b) => b.strength - a.strength);
+    const competitors = ranked.slice(0, TOP_COMPETITORS);
+
+    const comparison = {};
+    for (const metric of METRICS) {
+      const values = competitors.map(business => business[metric]).filter(value => value !== null);
+      const average = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+      comparison[metric] = {
+        you: you[metric],
+        competitors: average === null ? null : round(average),
+        gap: average === null || you[metric] === null ? null : round(you[metric] - average)
+      };
+    }
+
+    const marketStats = {};
+    for (const metric of METRICS) {
+      const values = model.values[metric];
+      marketStats[metric] = values.length > 0
+        ? { median: quantile(values, 0.5), p75: quantile(values, 0.75), p90: quantile(values, 0.9) }
+        : null;
+    }
+
+    // 1 = strongest business in the market
+    const rank = 1 + ranked.filter(business => business.strength > youStrength).length;
+
+    return {
+      market: {
+        industry: market.industry,
+        city: market.city,
+        state: market.state,
+        size: others.length + 1
+      },
+      you: { ...you, percentiles: youPercentiles, strength: youStrength, rank },
+      competitors,
+      comparison,
+      marketStats,
+      reliable: others.length + 1 >= MIN_MARKET_SIZE,
+      computedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Businesses and sorted metric values for a market, cached per process
+   */
+  async getMarket(market, options = {}) {
+    const cached = this.cache.get(market.key);
+    if (cached && !options.refresh && cached.expiresAt > Date.now()) {
+      return cached.model;
+    }
+
+    const rows = await getMarketLeads(market, { limit: this.maxLeads });
+    const model = this.buildModel(rows);
+
+    this.cache.set(market.key, { model, expiresAt: Date.now() + this.cacheTtlMs });
+    logger.debug(`Loaded market ${market.key}: ${rows.length} leads`);
+
+    return model;
+  }
+
+  buildModel(rows) {
+    const businesses = rows.map(row => this.toBusiness(row));
+    const values = {};
+
+    for (const metric of METRICS) {
+      values[metric] = businesses
+        .map(business => business[metric])
+        .filter(value => value !== null)
+        .sort((a, b) => a - b);
+    }
+
+    return { businesses, values };
+  }
+
+  /**
+   * The compared fields of a lead row
+   */
+  toBusiness(lead) {
+    const ads = lead.ad_presence || lead.adPresence || {};
+    const channels = [
+      lead.has_google_ads || ads.hasGoogleAds,
+      lead.has_facebook_ads || ads.hasFacebookAds,
+      lead.has_yelp_ads || ads.hasYelpAds
+    ];
+
+    return {
+      id: lead.id,
+      name: lead.company_name,
+      website: lead.website || null,
+      rating: toNumber(lead.rating),
+      reviewCount: toNumber(lead.review_count ?? lead.reviewCount),
+      seoScore: toNumber(lead.seo_score),
+      adPresence: channels.filter(Boolean).length
+    };
+  }
+
+  /**
+   * Percentile rank (0-100) of each of a business's metrics in the market
+   */
+  percentilesFor(business, model) {
+    const percentiles = {};
+    for (const metric of METRICS) {
+      percentiles[metric] = business[metric] === null ? null : percentileRank(business[metric], model.values[metric]);
+    }
+    return percentiles;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+/**
+ * Share of values below, counting ties as half, 0-100
+ */
+function percentileRank(value, sorted) {
+  if (sorted.length === 0) return null;
+
+  const below = sorted.filter(other => other < value).length;
+  const equal = sorted.filter(other => other === value).length;
+
+  return Math.round(((below + equal / 2) / sorted.length) * 100);
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+/**
+ * Weighted average of the known percentiles, 0-100
+ */
+function strength(percentiles) {
+  let total = 0;
+  let weight = 0;
+
+  for (const metric of METRICS) {
+    if (percentiles[metric] === null) continue;
+    total += percentiles[metric] * STRENGTH_WEIGHTS[metric];
+    weight += STRENGTH_WEIGHTS[metric];
+  }
+
+  return weight > 0 ? Math.round(total / weight) : 0;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new MarketModel();
+module.exports.MarketModel = MarketModel;
+module.exports.MIN_MARKET_SIZE = MIN_MARKET_SIZE;
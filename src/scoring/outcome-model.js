@@ -0,0 +1,412 @@
+/**
+ * Outcome Model
+ * Logistic regression on the rule scorer's output, trained on which leads converted
+ *
+ * Features come from a LeadScorer breakdown: each component's score, how
+ * often each indicator fired and the score's confidence, so the model sees
+ * the lead exactly as the rules do and learns which of those signals went
+ * with a conversion. Features are standardized with the training means and
+ * standard deviations, and the weights are fitted by batch gradient descent
+ * with L2 regularization. A probability becomes a 0-100 score through the
+ * quantiles of the training predictions: a lead scores 80 when it looks
+ * more promising than 80% of the leads the model was trained on.
+ */
+
+const DEFAULT_PROFILE = require('./default-profile');
+
+// Every feature a breakdown can produce; artifacts store the names they were trained on
+const FEATURES = [
+  ...Object.keys(DEFAULT_PROFILE.weights).map(component => `${component}.score`),
+  ...Object.entries(DEFAULT_PROFILE.indicators).flatMap(([component, points]) =>
+    Object.keys(points).map(indicator => `${component}.${indicator}`)),
+  'confidence'
+];
+
+const TRAINING_DEFAULTS = {
+  holdout: 0.25,
+  l2: 0.01,
+  learningRate: 0.1,
+  iterations: 3000,
+  tolerance: 1e-7,
+  seed: 42,
+  calibrationBins: 10
+};
+
+// Features whose weight explains a model score
+const TOP_FEATURES = 5;
+
+class OutcomeModel {
+  /**
+   * @param {Object} artifact - { id, version, target, features, coefficients, intercept,
+   *   means, stds, quantiles } as saved in scoring_models.model
+   */
+  constructor(artifact) {
+    this.id = artifact.id ?? null;
+    this.version = artifact.version ?? null;
+    this.target = artifact.target || 'conversion';
+    this.features = artifact.features;
+    this.coefficients = artifact.coefficients;
+    this.intercept = artifact.intercept;
+    this.means = artifact.means;
+    this.stds = artifact.stds;
+    this.quantiles = artifact.quantiles || [];
+  }
+
+  /**
+   * Model from a scoring_models row
+   */
+  static fromRow(row) {
+    return new OutcomeModel({ ...row.model, id: row.id, version: row.version, target: row.target });
+  }
+
+  /**
+   * Conversion probability and 0-100 score for a rule breakdown
+   *
+   * @param {Object} breakdown - componentScores.breakdown from LeadScorer
+   * @param {Object} [confidence] - LeadScorer#confidence result
+   * @returns {Object} { probability, score, topFeatures: [{ feature, value, effect }] }
+   */
+  predict(breakdown, confidence) {
+    const values = featuresFor(breakdown, confidence);
+    const standardized = this.standardize(values);
+
+    let logit = this.intercept;
+    const effects = this.features.map((feature, i) => {
+      const effect = this.coefficients[i] * standardized[i];
+      logit += effect;
+      return { feature, value: values[feature] ?? 0, effect: Math.round(effect * 1000) / 1000 };
+    });
+
+    const probability = sigmoid(logit);
+
+    return {
+      probability: Math.round(probability * 10000) / 10000,
+      score: this.scoreFor(probability),
+      topFeatures: effects
+        .filter(entry => entry.effect !== 0)
+        .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+        .slice(0, TOP_FEATURES)
+    };
+  }
+
+  /**
+   * Share (0-100) of training predictions at or below a probability
+   */
+  scoreFor(probability) {
+    if (this.quantiles.length === 0) return Math.round(probability * 100);
+
+    let low = 0;
+    let high = this.quantiles.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.quantiles[mid] <= probability) low = mid + 1;
+      else high = mid;
+    }
+
+    return Math.round(low / this.quantiles.length * 100);
+  }
+
+  standardize(values) {
+    return this.features.map((feature, i) => ((values[feature] ?? 0) - this.means[i]) / this.stds[i]);
+  }
+
+  /**
+   * What scoring_models.model stores
+   */
+  toArtifact() {
+    return {
+      features: this.features,
+      coefficients: this.coefficients,
+      intercept: this.intercept,
+      means: this.means,
+      stds: this.stds,
+      quantiles: this.quantiles
+    };
+  }
+
+  /**
+   * Fit a model and measure it on a holdout set
+   *
+   * @param {Array} examples - [{ features: { name: value }, label: 0 | 1, ruleScore }]
+   * @param {Object} [options] - holdout (share kept out of training), l2, learningRate,
+   *   iterations, tolerance, seed, calibrationBins, target
+   * @returns {Object} { model, metrics: { examples, positives, training: { examples, positives,
+   *   iterations, logLoss }, holdout: { examples, positives, auc, ruleAuc, brierScore, logLoss,
+   *   calibration: [{ from, to, count, meanPredicted, observedRate }] } } }
+   */
+  static train(examples, options = {}) {
+    const settings = { ...TRAINING_DEFAULTS, target: options.target };
+    for (const key of Object.keys(TRAINING_DEFAULTS)) {
+      if (options[key] !== undefined) settings[key] = options[key];
+    }
+    const { training, holdout } = splitHoldout(examples, settings.holdout, settings.seed);
+
+    if (new Set(training.map(example => example.label)).size < 2) {
+      throw new Error('Training set needs both converted and lost leads');
+    }
+
+    // Standardize with the training set only, so the holdout stays unseen
+    const columns = FEATURES.map(feature => training.map(example => example.features[feature] ?? 0));
+    const means = columns.map(column => column.reduce((sum, value) => sum + value, 0) / column.length);
+    const stds = columns.map((column, i) => {
+      const variance = column.reduce((sum, value) => sum + (value - means[i]) ** 2, 0) / column.length;
+      return Math.sqrt(variance) || 1;
+    });
+
+    const model = new OutcomeModel({
+      target: settings.target,
+      features: FEATURES,
+      coefficients: FEATURES.map(() => 0),
+      intercept: 0,
+      means,
+      stds
+    });
+
+    const rows = training.map(example => model.standardize(example.features));
+    const labels = training.map(example => example.label);
+    const fit = gradientDescent(model, rows, labels, settings);
+
+    const probabilityOf = example => sigmoid(model.standardize(example.features)
+      .reduce((logit, value, i) => logit + model.coefficients[i] * value, model.intercept));
+
+    // Percentiles of the training predictions only; the holdout must not shape the score scale
+    model.quantiles = quantiles(training.map(probabilityOf));
+
+    const holdoutLabels = holdout.map(example => example.label);
+    const holdoutProbabilities = holdout.map(probabilityOf);
+
+    return {
+      model,
+      metrics: {
+        examples: examples.length,
+        positives: count(examples.map(example => example.label)),
+        training: {
+          examples: training.length,
+          positives: count(labels),
+          iterations: fit.iterations,
+          logLoss: round(fit.logLoss)
+        },
+        holdout: {
+          examples: holdout.length,
+          positives: count(holdoutLabels),
+          auc: round(auc(holdoutLabels, holdoutProbabilities)),
+          ruleAuc: round(auc(holdoutLabels, holdout.map(example => example.ruleScore ?? 0))),
+          brierScore: round(brierScore(holdoutLabels, holdoutProbabilities)),
+          logLoss: round(logLoss(holdoutLabels, holdoutProbabilities)),
+          calibration: calibration(holdoutLabels, holdoutProbabilities, settings.calibrationBins)
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Feature values of a rule breakdown: component scores (0-1), indicator
+ * counts and confidence (0-1)
+ */
+function featuresFor(breakdown, confidence) {
+  const values = {};
+
+  for (const [component, entry] of Object.entries(breakdown || {})) {
+    values[`${component}.score`] = entry.score / 100;
+    for (const { indicator } of entry.indicators || []) {
+      const name = `${component}.${indicator}`;
+      values[name] = (values[name] || 0) + 1;
+    }
+  }
+
+  values.confidence = (confidence?.score ?? 0) / 100;
+  return values;
+}
+
+/**
+ * Feature values of a lead_score_history row (component_scores, indicators
+ * and confidence), i.e. the lead as it was scored at that point in time
+ */
+function featuresForSnapshot(snapshot) {
+  const breakdown = {};
+
+  for (const [component, score] of Object.entries(snapshot.component_scores || {})) {
+    breakdown[component] = {
+      score,
+      indicators: (snapshot.indicators?.[component] || []).map(indicator => ({ indicator }))
+    };
+  }
+
+  return featuresFor(breakdown, { score: snapshot.confidence ?? 0 });
+}
+
+/**
+ * Fit the coefficients in place; returns { iterations, logLoss }
+ */
+function gradientDescent(model, rows, labels, settings) {
+  const n = rows.length;
+  let previousLoss = Infinity;
+  let iteration = 0;
+  let loss = Infinity;
+
+  for (iteration = 1; iteration <= settings.iterations; iteration++) {
+    const gradient = model.coefficients.map(() => 0);
+    let interceptGradient = 0;
+    loss = 0;
+
+    for (let r = 0; r < n; r++) {
+      const row = rows[r];
+      const logit = row.reduce((sum, value, i) => sum + model.coefficients[i] * value, model.intercept);
+      const probability = sigmoid(logit);
+      const error = probability - labels[r];
+
+      interceptGradient += error;
+      for (let i = 0; i < row.length; i++) gradient[i] += error * row[i];
+      loss -= labels[r] * Math.log(clamp(probability)) + (1 - labels[r]) * Math.log(clamp(1 - probability));
+    }
+
+    loss /= n;
+    loss += settings.l2 / 2 * model.coefficients.reduce((sum, weight) => sum + weight * weight, 0);
+
+    model.intercept -= settings.learningRate * interceptGradient / n;
+    for (let i = 0; i < gradient.length; i++) {
+      model.coefficients[i] -= settings.learningRate * (gradient[i] / n + settings.l2 * model.coefficients[i]);
+    }
+
+    if (previousLoss - loss < settings.tolerance) break;
+    previousLoss = loss;
+  }
+
+  return { iterations: Math.min(iteration, settings.iterations), logLoss: loss };
+}
+
+/**
+ * Stratified split: the same share of converted and lost leads is held out
+ * Seeded, so retraining on the same leads measures on the same holdout.
+ */
+function splitHoldout(examples, share, seed) {
+  const random = mulberry32(seed);
+  const training = [];
+  const holdout = [];
+
+  for (const label of [0, 1]) {
+    const group = shuffle(examples.filter(example => example.label === label), random);
+    const held = Math.round(group.length * share);
+    holdout.push(...group.slice(0, held));
+    training.push(...group.slice(held));
+  }
+
+  return { training, holdout };
+}
+
+/**
+ * Area under the ROC curve: the chance a random converted lead outranks a
+ * random lost one (ties count half); null without both
+ */
+function auc(labels, scores) {
+  const ranked = labels.map((label, i) => ({ label, score: scores[i] })).sort((a, b) => a.score - b.score);
+  const positives = count(labels);
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Average ranks over ties
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+    const rank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) rankSum += rank;
+    }
+    i = j;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Predicted vs. observed conversion rate in equal-width probability bins
+ * (empty bins are left out)
+ */
+function calibration(labels, probabilities, bins) {
+  const buckets = Array.from({ length: bins }, (_, i) => ({ from: i / bins, to: (i + 1) / bins, count: 0, predicted: 0, observed: 0 }));
+
+  probabilities.forEach((probability, i) => {
+    const bucket = buckets[Math.min(Math.floor(probability * bins), bins - 1)];
+    bucket.count++;
+    bucket.predicted += probability;
+    bucket.observed += labels[i];
+  });
+
+  return buckets
+    .filter(bucket => bucket.count > 0)
+    .map(bucket => ({
+      from: round(bucket.from),
+      to: round(bucket.to),
+      count: bucket.count,
+      meanPredicted: round(bucket.predicted / bucket.count),
+      observedRate: round(bucket.observed / bucket.count)
+    }));
+}
+
+function brierScore(labels, probabilities) {
+  if (labels.length === 0) return null;
+  return labels.reduce((sum, label, i) => sum + (probabilities[i] - label) ** 2, 0) / labels.length;
+}
+
+function logLoss(labels, probabilities) {
+  if (labels.length === 0) return null;
+  return -labels.reduce((sum, label, i) =>
+    sum + label * Math.log(clamp(probabilities[i])) + (1 - label) * Math.log(clamp(1 - probabilities[i])), 0) / labels.length;
+}
+
+// 0th to 100th percentile of the predictions
+function quantiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  return Array.from({ length: 101 }, (_, i) => round(sorted[Math.round(i / 100 * (sorted.length - 1))], 6));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function clamp(probability) {
+  return Math.min(Math.max(probability, 1e-12), 1 - 1e-12);
+}
+
+function count(labels) {
+  return labels.filter(label => label === 1).length;
+}
+
+function round(value, digits = 4) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Small seeded PRNG for reproducible holdout splits
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = OutcomeModel;
+module.exports.FEATURES = FEATURES;
+module.exports.TRAINING_DEFAULTS = TRAINING_DEFAULTS;
+module.exports.featuresFor = featuresFor;
+module.exports.featuresForSnapshot = featuresForSnapshot;
+module.exports.splitHoldout = splitHoldout;
+module.exports.auc = auc;
+module.exports.calibration = calibration;
@@ -0,0 +1,147 @@
+/**
+ * Score Drift Detector
+ * Finds leads whose score moved significantly and publishes lead events
+ *
+ * Reads lead_score_history for the last SCORE_DRIFT_WINDOW_HOURS and, per
+ * lead, compares the score before the first run in the window with the
+ * score after the last one. A tier change publishes lead.tier_upgraded or
+ * lead.tier_downgraded; otherwise a move of at least SCORE_DRIFT_THRESHOLD
+ * points publishes lead.score_jumped or lead.score_dropped. Comparing the
+ * ends of the window means a lead rescored several times in a day raises
+ * one event, and one that went up and came back down raises none.
+ */
+
+const logger = require('../utils/logger');
+const { getScoreHistorySince, getLeadsByIds } = require('../database/lead-repository');
+const leadEvents = require('../services/lead-event-service');
+
+const { EVENT_TYPES } = leadEvents;
+
+// Lowest to highest, as LeadScorer assigns them
+const TIER_ORDER = ['Low Priority', 'Cold Lead', 'Warm Lead', 'Hot Lead'];
+
+class ScoreDriftDetector {
+  constructor(options = {}) {
+    this.windowHours = options.windowHours || parseInt(process.env.SCORE_DRIFT_WINDOW_HOURS) || 24;
+    this.threshold = options.threshold || parseInt(process.env.SCORE_DRIFT_THRESHOLD) || 15;
+  }
+
+  /**
+   * Detect drift in the window and publish an event per drifted lead
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.since] - Start of the window (default: windowHours ago)
+   * @returns {Object} { since, leadsChecked, events: [{ leadId, type, fromScore, toScore, fromTier, toTier }] }
+   */
+  async detect(options = {}) {
+    const since = options.since
+      ? new Date(options.since)
+      : new Date(Date.now() - this.windowHours * 60 * 60 * 1000);
+
+    const rows = await getScoreHistorySince(since.toISOString());
+    const runsByLead = new Map();
+
+    for (const row of rows) {
+      if (!runsByLead.has(row.lead_id)) runsByLead.set(row.lead_id, []);
+      runsByLead.get(row.lead_id).push(row);
+    }
+
+    const drifts = [];
+    for (const [leadId, runs] of runsByLead) {
+      const drift = this.compare(runs);
+      if (drift) drifts.push({ leadId, ...drift });
+    }
+
+    logger.info(`Score drift: ${drifts.length} of ${runsByLead.size} rescored leads changed significantly since ${since.toISOString()}`);
+
+    const leads = drifts.length > 0 ? await getLeadsByIds(drifts.map(drift => drift.leadId)) : [];
+    const leadsById = new Map(leads.map(lead => [lead.id, lead]));
+    const events = [];
+
+    for (const { leadId, type, ...payload } of drifts) {
+      const lead = leadsById.get(leadId);
+      if (!lead) continue;
+
+      try {
+        await leadEvents.publish(type, lead, payload);
+        events.push({ leadId, type, ...payload });
+      } catch (error) {
+        logger.error(`Failed to publish ${type} for lead ${leadId}:`, error);
+      }
+    }
+
+    return {
+      since: since.toISOString(),
+      leadsChecked: runsByLead.size,
+      events
+    };
+  }
+
+  /**
+   * Compare the first and last scoring runs of one lead in the window
+   *
+   * @param {Array} runs - lead_score_history rows, oldest first
+   * @returns {Object|null} Event type and payload, or null when nothing significant changed
+   */
+  compare(runs) {
+    const first = runs[0];
+    const last = runs[runs.length - 1];
+
+    const fromScore = first.previous_score;
+    const fromTier = first.previous_tier;
+    const toScore = last.score;
+    const toTier = last.tier;
+
+    // A lead's first score is not drift
+    if (fromScore === null || fromScore === undefined) return null;
+
+    const change = toScore - fromScore;
+    const tierChange = TIER_ORDER.indexOf(toTier) - TIER_ORDER.indexOf(fromTier);
+
+    let type = null;
+    if (fromTier && toTier !== fromTier) {
+      type = tierChange > 0 ? EVENT_TYPES.TIER_UPGRADED : EVENT_TYPES.TIER_DOWNGRADED;
+    } else if (Math.abs(change) >= this.threshold) {
+      type = change > 0 ? EVENT_TYPES.SCORE_JUMPED : EVENT_TYPES.SCORE_DROPPED;
+    }
+
+    if (!type) return null;
+
+    const { added, removed } = runs.length > 1 ? this.indicatorChanges(first, last) : { added: [], removed: [] };
+
+    return {
+      type,
+      fromScore,
+      toScore,
+      change,
+      fromTier,
+      toTier,
+      runs: runs.length,
+      newIndicators: added,
+      clearedIndicators: removed,
+      scoredAt: last.scored_at
+    };
+  }
+
+  /**
+   * Indicators that fired in the last run but not the first, and the reverse
+   * (only available when the window holds more than one run)
+   */
+  indicatorChanges(first, last) {
+    const names = row => new Set(
+      Object.entries(row.indicators || {}).flatMap(([component, fired]) => fired.map(name => `${component}.${name}`))
+    );
+
+    const before = names(first);
+    const after = names(last);
+
+    return {
+      added: [...after].filter(name => !before.has(name)),
+      removed: [...before].filter(name => !after.has(name))
+    };
+  }
+}
+
+module.exports = new ScoreDriftDetector();
+module.exports.ScoreDriftDetector = ScoreDriftDetector;
+module.exports.TIER_ORDER = TIER_ORDER;
@@ -0,0 +1,335 @@
+/**
+ * Scraper Client Factory
+ * Shared HTTP and browser clients for every scraper
+ *
+ * All clients route through the proxy pool and wear a rotating browser
+ * profile. Pass a `session` (usually the scraping job ID) to keep the same
+ * proxy and profile for a whole job:
+ *
+ *   const http = clientFactory.createHttpClient({ headers: { Accept: 'text/html' } });
+ *   await http.get(url, { session: jobId });
+ *
+ *   const context = await clientFactory.getBrowserContext(jobId);   // Playwright
+ *   const browser = await clientFactory.launchPuppeteer({ session }); // Puppeteer
+ */
+
+const axios = require('axios');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const logger = require('../utils/logger');
+const proxyPool = require('./proxy-pool');
+const fingerprintRotator = require('./fingerprint-rotator');
+
+// Status codes that mean the proxy (not the request) was rejected
+const BLOCKED_STATUS_CODES = [403, 407, 429];
+
+const DEFAULT_SESSION = 'default';
+
+class ScraperClientFactory {
+  constructor() {
+    this.agents = new Map();
+    this.playwrightBrowser = null;
+    this.contexts = new Map();
+    this.pendingContexts = new Map();
+  }
+
+  /**
+   * Create an axios instance that rotates proxies and profiles
+   */
+  createHttpClient(options = {}) {
+    const client = axios.create({
+      timeout: options.timeout || 30000,
+      maxRedirects: options.maxRedirects ?? 5,
+      headers: options.headers || {}
+    });
+
+    client.interceptors.request.use(config => this.prepareRequest(config));
+    client.interceptors.response.use(
+      response => this.handleResponse(response),
+      error => this.handleError(error)
+    );
+
+    return client;
+  }
+
+  /**
+   * Attach proxy agent and profile headers to an outgoing request
+   */
+  prepareRequest(config) {
+    const session = config.session || null;
+    const profile = fingerprintRotator.pick(session);
+    const proxy = proxyPool.acquire(session);
+
+    config.headers = config.headers || {};
+    config.headers['User-Agent'] = profile.userAgent;
+    if (!config.headers['Accept-Language']) {
+      config.headers['Accept-Language'] = profile.acceptLanguage;
+    }
+
+    if (proxy) {
+      const agent = this.getAgent(proxy);
+      config.httpAgent = agent;
+      config.httpsAgent = agent;
+      config.proxy = false;
+    }
+
+    config.metadata = { proxy, startedAt: Date.now() };
+    return config;
+  }
+
+  handleResponse(response) {
+    const { proxy, startedAt } = response.config.metadata || {};
+    proxyPool.reportSuccess(proxy, Date.now() - startedAt);
+    return response;
+  }
+
+  handleError(error) {
+    const { proxy, startedAt } = error.config?.metadata || {};
+    const status = error.response?.status;
+
+    if (proxy) {
+      if (!status || BLOCKED_STATUS_CODES.includes(status)) {
+        proxyPool.reportFailure(proxy, {
+          banned: BLOCKED_STATUS_CODES.includes(status),
+          reason: status ? `HTTP ${status}` : error.code || error.message
+        });
+
+        // A session that lost its proxy also gets a new face
+        if (error.config.session && !proxyPool.isAvailable(proxy)) {
+          fingerprintRotator.rotate(error.config.session);
+        }
+      } else {
+        // 404s and 500s are the site's problem, not the proxy's
+        proxyPool.reportSuccess(proxy, Date.now() - startedAt);
+      }
+    }
+
+    return Promise.reject(error);
+  }
+
+  /**
+   * Reuse one tunnelling agent per proxy
+   */
+  getAgent(proxy) {
+    if (!this.agents.has(proxy.id)) {
+      this.agents.set(proxy.id, new HttpsProxyAgent(proxy.url));
+    }
+    return this.agents.get(proxy.id);
+  }
+
+  /**
+   * Get a Playwright context for a session, creating it on first use
+   * Contexts share one browser but each has its own proxy and profile
+   */
+  async getBrowserContext(session = null) {
+    const key = session || DEFAULT_SESSION;
+
+    if (this.contexts.has(key)) {
+      return this.contexts.get(key).context;
+    }
+
+    // Concurrent callers for the same session share one context
+    if (!this.pendingContexts.has(key)) {
+      const pending = this.openContext(key, session)
+        .finally(() => this.pendingContexts.delete(key));
+      this.pendingContexts.set(key, pending);
+    }
+
+    return this.pendingContexts.get(key);
+  }
+
+  /**
+   * Create and cache a session's context
+   */
+  async openContext(key, session) {
+    const browser = await this.getPlaywrightBrowser();
+    const proxy = proxyPool.acquire(session);
+    const profile = fingerprintRotator.pick(session);
+
+    const context = await browser.newContext({
+      userAgent: profile.userAgent,
+      viewport: profile.viewport,
+      locale: profile.locale,
+      ...(proxy && {
+        proxy: {
+          server: proxy.server,
+          username: proxy.username,
+          password: proxy.password
+        }
+      })
+    });
+
+    this.contexts.set(key, { context, proxy, profile });
+    logger.debug(`Browser context created for session ${key}`, {
+      proxy: proxy?.id || 'direct',
+      profile: profile.name
+    });
+
+    return context;
+  }
+
+  /**
+   * Create a one-off Playwright context on the session's proxy
+   * For pages that need their own emulation (e.g. a mobile device) rather
+   * than the session's rotating profile. Not cached; the caller closes it.
+   */
+  async createBrowserContext(session = null, options = {}) {
+    const browser = await this.getPlaywrightBrowser();
+    const proxy = proxyPool.acquire(session);
+
+    return browser.newContext({
+      ...options,
+      ...(proxy && {
+        proxy: {
+          server: proxy.server,
+          username: proxy.username,
+          password: proxy.password
+        }
+      })
+    });
+  }
+
+  /**
+   * Report how a browser navigation went
+   * A blocked response evicts the proxy and drops the context, so the
+   * next getBrowserContext() call gets a fresh proxy and profile.
+   */
+  async recordBrowserResult(session, { status = null, error = null, latencyMs = null } = {}) {
+    const key = session || DEFAULT_SESSION;
+    const entry = this.contexts.get(key);
+    if (!entry?.proxy) return;
+
+    const blocked = BLOCKED_STATUS_CODES.includes(status);
+
+    if (blocked || (error && !status)) {
+      proxyPool.reportFailure(entry.proxy, {
+        banned: blocked,
+        reason: status ? `HTTP ${status}` : error?.message
+      });
+
+      if (!proxyPool.isAvailable(entry.proxy)) {
+        fingerprintRotator.rotate(key);
+        await this.closeContext(key);
+      }
+    } else {
+      proxyPool.reportSuccess(entry.proxy, latencyMs);
+    }
+  }
+
+  /**
+   * Shared Playwright browser; proxies are set per context
+   */
+  async getPlaywrightBrowser() {
+    // Cache the launch itself, so concurrent callers don't start a browser each
+    if (!this.playwrightBrowser) {
+      const { chromium } = require('playwright');
+
+      const launch = chromium.launch({
+        headless: process.env.HEADLESS_BROWSER !== 'false',
+        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        // Chromium needs a launch-level proxy before contexts can set their own
+        ...(proxyPool.isEnabled() && { proxy: { server: 'http://per-context' } })
+      }).catch(error => {
+        // Let the next call try again
+        if (this.playwrightBrowser === launch) {
+          this.playwrightBrowser = null;
+        }
+        throw error;
+      });
+
+      this.playwrightBrowser = launch;
+    }
+    return this.playwrightBrowser;
+  }
+
+  /**
+   * Launch a Puppeteer browser bound to the session's proxy
+   * Call preparePuppeteerPage() on each new page.
+   */
+  async launchPuppeteer({ session = null, headless = true } = {}) {
+    const puppeteer = require('puppeteer');
+    const proxy = proxyPool.acquire(session);
+    const profile = fingerprintRotator.pick(session);
+
+    const args = ['--no-sandbox', '--disable-setuid-sandbox'];
+    if (proxy) {
+      args.push(`--proxy-server=${proxy.server}`);
+    }
+
+    const browser = await puppeteer.launch({
+      headless,
+      args,
+      defaultViewport: profile.viewport
+    });
+
+    browser.scraperSession = { session, proxy, profile };
+    return browser;
+  }
+
+  /**
+   * Apply the browser's profile and proxy credentials to a Puppeteer page
+   */
+  async preparePuppeteerPage(page) {
+    const { proxy, profile } = page.browser().scraperSession || {};
+
+    if (profile) {
+      await page.setUserAgent(profile.userAgent);
+      await page.setExtraHTTPHeaders({ 'Accept-Language': profile.acceptLanguage });
+    }
+
+    if (proxy?.username) {
+      await page.authenticate({ username: proxy.username, password: proxy.password });
+    }
+
+    return page;
+  }
+
+  /**
+   * Close a session's browser context
+   */
+  async closeContext(session) {
+    const key = session || DEFAULT_SESSION;
+    const entry = this.contexts.get(key);
+    if (!entry) return;
+
+    this.contexts.delete(key);
+    await entry.context.close().catch(error => {
+      logger.debug(`Error closing browser context ${key}:`, error.message);
+    });
+  }
+
+  /**
+   * Drop everything pinned to a session once its job is done
+   */
+  async closeSession(session) {
+    await this.closeContext(session);
+    proxyPool.release(session);
+    fingerprintRotator.release(session);
+  }
+
+  /**
+   * Close every context and the shared browser
+   */
+  async close() {
+    await Promise.allSettled(this.pendingContexts.values());
+
+    for (const key of Array.from(this.contexts.keys())) {
+      await this.closeContext(key);
+    }
+
+    if (this.playwrightBrowser) {
+      const launch = this.playwrightBrowser;
+      this.playwrightBrowser = null;
+
+      const browser = await launch.catch(() => null);
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+}
+
+// Singleton instance
+const clientFactory = new ScraperClientFactory();
+
+module.exports = clientFactory;
+module.exports.BLOCKED_STATUS_CODES = BLOCKED_STATUS_CODES;
@@ -0,0 +1,459 @@
+/**
+ * Contact Crawler
+ * Visits a lead's homepage plus its contact, about and team pages and pulls
+ * out email addresses, phone numbers and owner or manager names
+ *
+ * Every value carries the page it came from and a confidence level:
+ *   high   - machine-readable: mailto:/tel: links, schema.org JSON-LD,
+ *            Cloudflare-protected addresses
+ *   medium - plain or bracket-obfuscated text ("info [at] acme [dot] com"),
+ *            "Owner: Jane Doe" style labels
+ *   low    - loose guesses: "info at acme dot com", a name heading next to a
+ *            job title on a team page
+ */
+
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const clientFactory = require('./client-factory');
+const entityResolver = require('./entity-resolver');
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+// Link text or paths worth following, best first
+const CONTACT_PAGE_PATTERNS = [
+  /contact/i,
+  /about|our-story|who-we-are|company/i,
+  /team|staff|meet|leadership|owner/i
+];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// "info [at] acme [dot] com", "info(at)acme.com"
+const BRACKETED_EMAIL_PATTERN = /([a-z0-9._%+-]+)\s*[[({]\s*at\s*[\])}]\s*([a-z0-9-]+(?:\s*(?:[[({]\s*dot\s*[\])}]|\.)\s*[a-z0-9-]+)+)/gi;
+
+// "info at acme dot com"
+const SPELLED_EMAIL_PATTERN = /\b([a-z0-9._%+-]+)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/gi;
+
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+
+// Addresses that show up on sites but never belong to the business
+const IGNORED_EMAIL_DOMAINS = [
+  'example.com', 'domain.com', 'yourdomain.com', 'email.com', 'sentry.io',
+  'wixpress.com', 'sentry.wixpress.com', 'sentry-next.wixpress.com'
+];
+
+// Asset names like logo@2x.png look like addresses
+const FILE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|css|js)$/i;
+
+const ROLE_PATTERN = 'owner|co-owner|founder|co-founder|president|ceo|general manager|office manager|service manager|manager|operator';
+
+const PERSON_NAME = "[A-Z][a-z]+(?:\\s+[A-Z]\\.)?\\s+[A-Z][a-zA-Z'-]+";
+
+const PEOPLE_PATTERNS = [
+  // "Owner: Jane Doe", "General Manager - Jane Doe"
+  { pattern: new RegExp(`\\b(${ROLE_PATTERN})\\s*[:\\-–]\\s*(${PERSON_NAME})`, 'gi'), role: 1, name: 2 },
+  // "Jane Doe, Owner"
+  { pattern: new RegExp(`(${PERSON_NAME}),\\s*(?:the\\s+)?(${ROLE_PATTERN})\\b`, 'gi'), role: 2, name: 1 },
+  // "owned and operated by Jane Doe", "founded by Jane Doe"
+  { pattern: new RegExp(`\\b(owned and operated|owned|founded|operated) by\\s+(${PERSON_NAME})`, 'gi'), role: 1, name: 2 }
+];
+
+// Capitalized words that are not part of a person's name
+const NOT_NAME_WORDS = new Set([
+  'our', 'the', 'contact', 'us', 'about', 'team', 'meet', 'services', 'service', 'heating',
+  'cooling', 'air', 'plumbing', 'roofing', 'electric', 'electrical', 'home', 'company',
+  'call', 'today', 'free', 'estimate', 'estimates', 'general', 'manager', 'owner', 'llc',
+  'inc', 'and', 'read', 'more', 'learn', 'view', 'all', 'reviews', 'customer', 'office'
+]);
+
+const ORGANIZATION_TYPES = /Organization|LocalBusiness|Business$|Contractor$|Plumber|Electrician|Roofing|HVAC/i;
+
+class ContactCrawler {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || parseInt(process.env.CONTACT_CRAWLER_MAX_PAGES) || 4;
+    this.http = clientFactory.createHttpClient({
+      timeout: options.timeout || 15000,
+      maxRedirects: 5,
+      headers: { Accept: 'text/html,application/xhtml+xml' }
+    });
+  }
+
+  /**
+   * Crawl a website for contact details
+   *
+   * @param {string} website - Lead website
+   * @param {Object} [options]
+   * @param {string} [options.session] - Proxy/profile session (see client-factory)
+   * @returns {Object} { url, pages, emails, phones, people, organization, crawledAt }
+   */
+  async crawl(website, options = {}) {
+    const url = this.normalizeUrl(website);
+    const result = {
+      url,
+      pages: [],
+      emails: [],
+      phones: [],
+      people: [],
+      organization: null,
+      crawledAt: new Date().toISOString()
+    };
+
+    if (!url) return result;
+
+    const homepage = await this.fetchPage(url, options);
+    if (!homepage) return result;
+
+    const queue = [homepage, ...await this.fetchContactPages(homepage, options)];
+
+    for (const page of queue) {
+      const found = this.extract(page.html, page.url);
+
+      result.pages.push(page.url);
+      result.emails = mergeFindings(result.emails, found.emails, 'value');
+      result.phones = mergeFindings(result.phones, found.phones, 'value');
+      result.people = mergeFindings(result.people, found.people, 'name');
+      result.organization = result.organization || found.organization;
+    }
+
+    logger.debug(`Crawled ${result.pages.length} pages on ${url}`, {
+      emails: result.emails.length,
+      phones: result.phones.length,
+      people: result.people.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Fetch the contact, about and team pages linked from the homepage
+   */
+  async fetchContactPages(homepage, options) {
+    const links = this.findContactLinks(cheerio.load(homepage.html), homepage.url);
+    const pages = [];
+
+    for (const link of links.slice(0, this.maxPages - 1)) {
+      const page = await this.fetchPage(link, options);
+      if (page) pages.push(page);
+    }
+
+    return pages;
+  }
+
+  async fetchPage(url, options = {}) {
+    try {
+      const response = await this.http.get(url, { session: options.session });
+      if (typeof response.data !== 'string') return null;
+
+      return {
+        url: response.request?.res?.responseUrl || url,
+        html: response.data
+      };
+    } catch (error) {
+      logger.debug(`Contact crawl could not fetch ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Same-site links that look like contact, about or team pages, best first
+   */
+  findContactLinks($, baseUrl) {
+    const base = new URL(baseUrl);
+    const ranked = new Map();
+
+    $('a[href]').each((i, el) => {
+      const href = $(el).attr('href');
+      const text = $(el).text().trim();
+      let link;
+
+      try {
+        link = new URL(href, base);
+      } catch (error) {
+        return;
+      }
+
+      if (!/^https?:$/.test(link.protocol) || link.hostname.replace(/^www\./, '') !== base.hostname.replace(/^www\./, '')) {
+        return;
+      }
+
+      link.hash = '';
+      const target = link.toString();
+      if (target === base.toString()) return;
+
+      const rank = CONTACT_PAGE_PATTERNS.findIndex(pattern => pattern.test(link.pathname) || pattern.test(text));
+      if (rank === -1) return;
+
+      if (!ranked.has(target) || ranked.get(target) > rank) {
+        ranked.set(target, rank);
+      }
+    });
+
+    return Array.from(ranked.entries())
+      .sort((a, b) => a[1] - b[1])
+      .map(([target]) => target);
+  }
+
+  /**
+   * Pull contact details out of one page
+   */
+  extract(html, url) {
+    const $ = cheerio.load(html);
+    const emails = [];
+    const phones = [];
+    const people = [];
+
+    const organization = this.extractJsonLd($, url, { emails, phones, people });
+
+    $('a[href^="mailto:"]').each((i, el) => {
+      const value = decodeURIComponent($(el).attr('href').slice(7).split('?')[0]);
+      addEmail(emails, value, 'high', url, 'mailto');
+    });
+
+    // Cloudflare email protection swaps addresses for an XOR-encoded hex string
+    $('[data-cfemail]').each((i, el) => {
+      addEmail(emails, decodeCloudflareEmail($(el).attr('data-cfemail')), 'high', url, 'cloudflare');
+    });
+
+    $('a[href^="tel:"]').each((i, el) => {
+      addPhone(phones, $(el).attr('href').slice(4), 'high', url, 'tel');
+    });
+
+    // Keep words in neighbouring elements apart ("Bob Smith" + "Email")
+    $('script, style, noscript').remove();
+    $('body *').append(' ');
+    const text = $('body').text().replace(/\s+/g, ' ');
+
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+      addEmail(emails, match[0], 'medium', url, 'text');
+    }
+
+    for (const match of text.matchAll(BRACKETED_EMAIL_PATTERN)) {
+      addEmail(emails, `${match[1]}@${deobfuscateDomain(match[2])}`, 'medium', url, 'obfuscated');
+    }
+
+    for (const match of text.matchAll(SPELLED_EMAIL_PATTERN)) {
+      addEmail(emails, `${match[1]}@${deobfuscateDomain(match[2])}`, 'low', url, 'obfuscated');
+    }
+
+    for (const match of text.matchAll(PHONE_PATTERN)) {
+      addPhone(phones, match[0], 'medium', url, 'text');
+    }
+
+    for (const { pattern, role, name } of PEOPLE_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        addPerson(people, match[name], formatRole(match[role]), 'medium', url, 'text');
+      }
+    }
+
+    this.extractTeamCards($, url, people);
+
+    return { emails, phones, people, organization };
+  }
+
+  /**
+   * Read schema.org Organization / LocalBusiness JSON-LD
+   * Adds its email, telephone and founder/employee entries to the findings
+   * and returns a summary of the first organization node
+   */
+  extractJsonLd($, url, findings) {
+    let organization = null;
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      let data;
+      try {
+        data = JSON.parse($(el).contents().text());
+      } catch (error) {
+        return;
+      }
+
+      for (const node of flattenJsonLd(data)) {
+        const types = [].concat(node['@type'] || []);
+        if (!types.some(type => ORGANIZATION_TYPES.test(type))) continue;
+
+        for (const email of [].concat(node.email || [])) {
+          addEmail(findings.emails, String(email).replace(/^mailto:/i, ''), 'high', url, 'json-ld');
+        }
+
+        for (const telephone of [].concat(node.telephone || [])) {
+          addPhone(findings.phones, String(telephone), 'high', url, 'json-ld');
+        }
+
+        for (const field of ['founder', 'employee', 'member']) {
+          for (const person of [].concat(node[field] || [])) {
+            const name = typeof person === 'string' ? person : person?.name;
+            const role = person?.jobTitle || (field === 'founder' ? 'Founder' : null);
+            addPerson(findings.people, name, role, 'high', url, 'json-ld', { strict: false });
+          }
+        }
+
+        organization = organization || {
+          name: node.name || null,
+          email: node.email ? String([].concat(node.email)[0]).replace(/^mailto:/i, '') : null,
+          telephone: node.telephone ? String([].concat(node.telephone)[0]) : null,
+          address: formatAddress(node.address),
+          sameAs: [].concat(node.sameAs || []),
+          source: url
+        };
+      }
+    });
+
+    return organization;
+  }
+
+  /**
+   * Team pages: a name heading followed by a job title
+   */
+  extractTeamCards($, url, people) {
+    $('h2, h3, h4, h5, strong, b').each((i, el) => {
+      const name = $(el).text().trim();
+      if (!isPersonName(name)) return;
+
+      const next = $(el).next().text().trim().slice(0, 60);
+      const role = next.match(new RegExp(`\\b(${ROLE_PATTERN})\\b`, 'i'));
+      if (role) {
+        addPerson(people, name, formatRole(role[1]), 'low', url, 'team-page');
+      }
+    });
+  }
+
+  /**
+   * Email to put on the lead: best confidence, preferring the site's own domain
+   */
+  bestEmail(result, website) {
+    const domain = entityResolver.normalizeDomain(website);
+    const ranked = result.emails
+      .filter(email => email.confidence !== 'low')
+      .sort((a, b) =>
+        (CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]) ||
+        (Number(emailDomain(b.value) === domain) - Number(emailDomain(a.value) === domain)));
+
+    return ranked[0] || null;
+  }
+
+  /**
+   * Most likely owner or manager
+   */
+  bestContact(result) {
+    const isOwner = person => /owner|founder|president|ceo|owned|operated/i.test(person.role || '');
+
+    return result.people
+      .filter(person => person.confidence !== 'low' || isOwner(person))
+      .sort((a, b) =>
+        (Number(isOwner(b)) - Number(isOwner(a))) ||
+        (CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]))[0] || null;
+  }
+
+  normalizeUrl(website) {
+    if (!website) return null;
+
+    try {
+      const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+      return `${url.protocol}//${url.host}/`;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+function flattenJsonLd(data) {
+  if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+  if (!data || typeof data !== 'object') return [];
+  return [data, ...flattenJsonLd(data['@graph'] || [])];
+}
+
+function addEmail(list, value, confidence, source, method) {
+  const email = String(value || '').trim().toLowerCase().replace(/^[.]+|[.]+$/g, '');
+  const domain = emailDomain(email);
+
+  if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(email)) return;
+  if (FILE_EXTENSIONS.test(email) || IGNORED_EMAIL_DOMAINS.includes(domain)) return;
+
+  list.push({ value: email, confidence, source, method });
+}
+
+function addPhone(list, value, confidence, source, method) {
+  const digits = entityResolver.normalizePhone(value);
+  if (!digits) return;
+
+  list.push({
+    value: `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`,
+    confidence,
+    source,
+    method
+  });
+}
+
+function addPerson(list, name, role, confidence, source, method, { strict = true } = {}) {
+  const cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+  if (!cleaned || (strict && !isPersonName(cleaned))) return;
+
+  list.push({ name: cleaned, role: role || null, confidence, source, method });
+}
+
+function isPersonName(text) {
+  const words = text.split(/\s+/);
+  if (words.length < 2 || words.length > 3 || text.length > 40) return false;
+
+  return words.every(word => /^[A-Z][a-zA-Z'.-]*$/.test(word) && !NOT_NAME_WORDS.has(word.toLowerCase()));
+}
+
+function formatRole(role) {
+  const normalized = role.toLowerCase();
+  if (/owned|operated/.test(normalized)) return 'Owner';
+  if (normalized === 'founded') return 'Founder';
+  if (normalized === 'ceo') return 'CEO';
+  return normalized.replace(/(^|[\s-])\w/g, letter => letter.toUpperCase());
+}
+
+function formatAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+
+  return [address.streetAddress, address.addressLocality, address.addressRegion, address.postalCode]
+    .filter(Boolean)
+    .join(', ') || null;
+}
+
+function deobfuscateDomain(domain) {
+  return domain.replace(/\s*(?:[[({]\s*dot\s*[\])}]|\s+dot\s+|\.)\s*/gi, '.');
+}
+
+function decodeCloudflareEmail(encoded) {
+  if (!encoded || !/^[0-9a-f]+$/i.test(encoded)) return null;
+
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let email = '';
+  for (let i = 2; i < encoded.length; i += 2) {
+    email += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+  }
+  return email;
+}
+
+function emailDomain(email) {
+  return email.split('@')[1] || null;
+}
+
+/**
+ * Merge findings from another page, keeping the most confident sighting
+ */
+function mergeFindings(existing, incoming, key) {
+  const merged = new Map(existing.map(item => [item[key].toLowerCase(), item]));
+
+  for (const item of incoming) {
+    const id = item[key].toLowerCase();
+    const current = merged.get(id);
+
+    if (!current || CONFIDENCE_RANK[item.confidence] > CONFIDENCE_RANK[current.confidence]) {
+      // A JSON-LD name without a title keeps the title seen in the page text
+      merged.set(id, current?.role && !item.role ? { ...item, role: current.role } : item);
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+// Singleton instance
+const contactCrawler = new ContactCrawler();
+
+module.exports = contactCrawler;
+module.exports.ContactCrawler = ContactCrawler;
@@ -3,12 +3,30 @@
  * Scrapes specialized home service directories
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const SourceAdapter = require('./source-adapter');
+const sourceRegistry = require('./source-registry');
+const fixtureStore = require('./fixture-store');
+const clientFactory = require('./client-factory');
+const { FixtureNotFoundError } = fixtureStore;
 
-class DirectoryScrapers {
+// Keywords that map free-text searches onto directory categories
+const CATEGORY_KEYWORDS = {
+  hvac: ['hvac', 'heating', 'air conditioning', 'furnace'],
+  plumbing: ['plumb', 'drain', 'water heater'],
+  roofing: ['roof'],
+  electrical: ['electric']
+};
+
+class DirectoryScrapers extends SourceAdapter {
   constructor() {
+    super({
+      name: 'directories',
+      label: 'Industry Directories',
+      rateLimitKey: 'default',
+      maxPages: 1
+    });
     this.directories = [
       {
         name: 'Angi',
@@ -42,12 +60,28 @@ class DirectoryScrapers {
       }
     ];
 
-    this.axiosInstance = axios.create({
-      headers: {
-        'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 30000
-    });
+    this.axiosInstance = clientFactory.createHttpClient({ timeout: 30000 });
+  }
+
+  /**
+   * Fetch directory results (SourceAdapter interface)
+   * Directories are searched by category, so only page 1 returns results
+   */
+  async fetchPage(keyword, location, page, options = {}) {
+    if (page > 1) return [];
+
+    const category = options.category || this.resolveCategory(keyword);
+    return this.searchAll(category, location, options);
+  }
+
+  /**
+   * Map a keyword or industry name onto a directory category
+   */
+  resolveCategory(keyword) {
+    const normalized = (keyword || '').toLowerCase();
+    const match = Object.entries(CATEGORY_KEYWORDS)
+      .find(([, terms]) => terms.some(term => normalized.includes(term)));
+    return match ? match[0] : normalized;
   }
 
   /**
@@ -159,46 +193,87 @@ class DirectoryScrapers {
   /**
    * Generic directory scraper template
    */
-  async scrapeGenericDirectory(url, selectors) {
-    const results = [];
+  async scrapeGenericDirectory(url, selectors, location = null, options = {}) {
+    let results = [];
 
     try {
-      const response = await this.axiosInstance.get(url);
-      const $ = cheerio.load(response.data);
-
-      $(selectors.listingSelector).each((index, element) => {
-        try {
-          const $el = $(element);
-
-          const name = $el.find(selectors.nameSelector).text().trim();
-          if (!name) return;
-
-          const phone = $el.find(selectors.phoneSelector).text().trim();
-          const address = $el.find(selectors.addressSelector).text().trim();
-          const website = $el.find(selectors.websiteSelector).attr('href');
-          const rating = this.extractRating($el, selectors.ratingSelector);
-
-          results.push({
-            name,
-            phone,
-            address,
-            website,
-            rating,
-            source: 'directory'
-          });
-
-        } catch (err) {
-          logger.warn('Error parsing directory listing:', err.message);
-        }
-      });
+      const response = await fixtureStore.fetch(
+        { source: this.name, query: url, page: 1 },
+        () => this.axiosInstance.get(url, { session: options.session })
+      );
+
+      results = this.parseListings(response.data, selectors, location, url);
+      await this.inspectResponse(response, results);
 
     } catch (error) {
+      if (error instanceof FixtureNotFoundError) throw error;
+      await this.inspectError(error);
+
       logger.error('Directory scraping error:', error.message);
     }
 
     return results;
   }
 
+  /**
+   * Parse a directory listing page using the given selectors
+   */
+  parseListings(html, selectors, location = null, sourceUrl = null) {
+    const $ = cheerio.load(html);
+    const results = [];
+
+    $(selectors.listingSelector).each((index, element) => {
+      try {
+        const $el = $(element);
+
+        const name = $el.find(selectors.nameSelector).text().trim();
+        if (!name) return;
+
+        const phone = $el.find(selectors.phoneSelector).text().trim();
+        const address = $el.find(selectors.addressSelector).text().trim();
+        const website = $el.find(selectors.websiteSelector).attr('href');
+        const rating = this.extractRating($el, selectors.ratingSelector);
+
+        results.push(this.standardize({
+          name,
+          phone,
+          address,
+          website,
+          rating,
+          sourceUrl
+        }, location));
+
+      } catch (err) {
+        logger.warn('Error parsing directory listing:', err.message);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Standardize raw listing (SourceAdapter interface)
+   */
+  standardize(raw, location) {
+    const zipMatch = raw.address?.match(/\b(\d{5})(?:-\d{4})?\b/);
+    const stateMatch = raw.address?.match(/\b([A-Z]{2})\b/);
+
+    return {
+      name: raw.name,
+      website: raw.website || null,
+      phone: raw.phone ? raw.phone.replace(/[^0-9+]/g, '') : null,
+      address: raw.address || null,
+      city: raw.city || null,
+      state: raw.state || (stateMatch ? stateMatch[1] : null),
+      zipCode: raw.zipCode || (zipMatch ? zipMatch[1] : null),
+      location,
+      rating: raw.rating ?? null,
+      reviewCount: raw.reviewCount ?? null,
+      source: 'directory',
+      sourceUrl: raw.sourceUrl || null
+    };
+  }
+
   /**
    * Extract rating from various formats
    */
@@ -209,4 +284,8 @@ class DirectoryScrapers {
   }
 }
 
-module.exports = new DirectoryScrapers();
+// Singleton instance
+const scraper = new DirectoryScrapers();
+sourceRegistry.register(scraper);
+
+module.exports = scraper;
@@ -0,0 +1,483 @@
+/**
+ * Entity Resolver
+ * Recognizes the same business across sources (Google Maps, Yelp, directories...)
+ *
+ * Compares normalized phone, website domain, company name and address,
+ * clusters matching records and folds each cluster into one golden lead
+ * that keeps a provenance entry per source record.
+ *
+ * Works on both scraped leads (name, zipCode, sourceUrl...) and database
+ * rows (company_name, zip_code, source_url...).
+ */
+
+const logger = require('../utils/logger');
+
+// Relative weight of each signal when both records have it
+const SIGNAL_WEIGHTS = {
+  phone: 0.35,
+  domain: 0.25,
+  name: 0.25,
+  address: 0.15
+};
+
+// Hosts shared by many businesses; a match on these says nothing
+const SHARED_DOMAINS = [
+  'facebook.com', 'instagram.com', 'yelp.com', 'google.com', 'goo.gl',
+  'angi.com', 'angieslist.com', 'homeadvisor.com', 'thumbtack.com',
+  'nextdoor.com', 'yellowpages.com', 'bbb.org', 'linktr.ee'
+];
+
+// Words that don't help tell two businesses apart
+const NAME_STOPWORDS = [
+  'the', 'and', 'llc', 'inc', 'co', 'corp', 'corporation', 'company',
+  'ltd', 'pllc', 'lp', 'services', 'service', 'of'
+];
+
+// Lead columns whose origin is tracked in leads.field_sources
+const TRACKED_FIELDS = [
+  'company_name', 'website', 'phone', 'email', 'address', 'city', 'state',
+  'zip_code', 'location', 'industry', 'estimated_size', 'years_in_business',
+  'rating', 'review_count', 'website_quality', 'tech_stack', 'seo_data', 'ad_presence',
+  'organic_keywords', 'backlinks_count', 'domain_authority', 'social_presence', 'owner_name'
+];
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr',
+  lane: 'ln', court: 'ct', place: 'pl', parkway: 'pkwy', highway: 'hwy',
+  circle: 'cir', terrace: 'ter', suite: 'ste', north: 'n', south: 's',
+  east: 'e', west: 'w', northeast: 'ne', northwest: 'nw', southeast: 'se',
+  southwest: 'sw'
+};
+
+class EntityResolver {
+  constructor(options = {}) {
+    this.matchThreshold = options.matchThreshold ||
+      parseFloat(process.env.ENTITY_MATCH_THRESHOLD) || 0.85;
+    this.reviewThreshold = options.reviewThreshold ||
+      parseFloat(process.env.ENTITY_REVIEW_THRESHOLD) || 0.6;
+  }
+
+  /**
+   * Compare two records
+   * Returns { confidence, decision: match|review|distinct, signals }
+   */
+  compare(a, b) {
+    const left = this.normalize(a);
+    const right = this.normalize(b);
+    const signals = {};
+
+    // Google gives every listing a stable place ID
+    if (left.placeId && right.placeId && left.placeId === right.placeId) {
+      return { confidence: 1, decision: 'match', signals: { placeId: 1 } };
+    }
+
+    if (left.phone && right.phone) {
+      signals.phone = left.phone === right.phone ? 1 : 0;
+    }
+
+    if (left.domain && right.domain) {
+      signals.domain = left.domain === right.domain ? 1 : 0;
+    }
+
+    if (left.name && right.name) {
+      signals.name = this.nameSimilarity(left.name, right.name);
+    }
+
+    if (left.address && right.address) {
+      signals.address = this.addressSimilarity(left, right);
+    }
+
+    const compared = Object.keys(signals);
+    const totalWeight = compared.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+    let confidence = totalWeight > 0
+      ? compared.reduce((sum, signal) => sum + signals[signal] * SIGNAL_WEIGHTS[signal], 0) / totalWeight
+      : 0;
+
+    // A single agreeing signal is never enough for an automatic merge
+    if (compared.length < 2) {
+      confidence = Math.min(confidence, this.matchThreshold - 0.01);
+    }
+
+    confidence = Math.round(confidence * 1000) / 1000;
+
+    return {
+      confidence,
+      decision: this.decide(confidence),
+      signals
+    };
+  }
+
+  /**
+   * Map a confidence score onto a decision
+   */
+  decide(confidence) {
+    if (confidence >= this.matchThreshold) return 'match';
+    if (confidence >= this.reviewThreshold) return 'review';
+    return 'distinct';
+  }
+
+  /**
+   * Find the best matching candidate for a record
+   * Returns { candidate, confidence, decision, signals } or null
+   */
+  findBestMatch(record, candidates = []) {
+    let best = null;
+
+    for (const candidate of candidates) {
+      if (candidate.id && candidate.id === record.id) continue;
+
+      const result = this.compare(record, candidate);
+      if (!best || result.confidence > best.confidence) {
+        best = { candidate, ...result };
+      }
+    }
+
+    return best && best.decision !== 'distinct' ? best : null;
+  }
+
+  /**
+   * Group records that describe the same business
+   * Returns { clusters: [[record...]], reviews: [{ a, b, confidence, signals }] }
+   */
+  cluster(records) {
+    const parent = records.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const confidences = records.map(() => 1);
+    const reviews = [];
+
+    for (let i = 0; i < records.length; i++) {
+      for (let j = i + 1; j < records.length; j++) {
+        const { confidence, decision, signals } = this.compare(records[i], records[j]);
+
+        if (decision === 'match') {
+          const rootI = find(i);
+          const rootJ = find(j);
+          if (rootI !== rootJ) {
+            parent[rootJ] = rootI;
+            confidences[rootI] = Math.min(confidences[rootI], confidences[rootJ], confidence);
+          }
+        } else if (decision === 'review') {
+          reviews.push({ a: records[i], b: records[j], confidence, signals });
+        }
+      }
+    }
+
+    const groups = new Map();
+    records.forEach((record, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(record);
+    });
+
+    const clusters = Array.from(groups.entries()).map(([root, members]) => {
+      members.confidence = confidences[root];
+      return members;
+    });
+
+    // Borderline pairs that ended up in the same cluster anyway need no review
+    const sameCluster = (a, b) => find(records.indexOf(a)) === find(records.indexOf(b));
+
+    return {
+      clusters,
+      reviews: reviews.filter(review => !sameCluster(review.a, review.b))
+    };
+  }
+
+  /**
+   * Fold a cluster of scraped leads into one golden lead
+   * Most complete record wins each field; review data comes from the
+   * source with the most reviews. Every input is kept in sourceRecords.
+   */
+  mergeCluster(leads) {
+    if (leads.length === 1) {
+      return {
+        ...leads[0],
+        sourceRecords: leads[0].sourceRecords || [this.provenance(leads[0])],
+        matchConfidence: leads[0].matchConfidence ?? null
+      };
+    }
+
+    const ranked = [...leads].sort((a, b) => this.completeness(b) - this.completeness(a));
+    const golden = { ...ranked[0] };
+
+    for (const lead of ranked.slice(1)) {
+      for (const [field, value] of Object.entries(lead)) {
+        if (isEmpty(golden[field]) && !isEmpty(value)) {
+          golden[field] = value;
+        }
+      }
+    }
+
+    const mostReviewed = leads.reduce((best, lead) =>
+      (lead.reviewCount || 0) > (best.reviewCount || 0) ? lead : best
+    );
+    golden.rating = mostReviewed.rating ?? golden.rating;
+    golden.reviewCount = mostReviewed.reviewCount ?? golden.reviewCount;
+
+    golden.sourceRecords = leads.flatMap(lead => lead.sourceRecords || [this.provenance(lead)]);
+    golden.matchConfidence = leads.confidence ?? null;
+
+    logger.debug(`Merged ${leads.length} records into golden lead: ${golden.name}`, {
+      sources: golden.sourceRecords.map(record => record.source)
+    });
+
+    return golden;
+  }
+
+  /**
+   * Build the update that folds an incoming lead row into an existing golden row
+   * Only fills gaps; never overwrites status, scoring or owner fields.
+   */
+  mergeIntoGolden(existing, incoming, confidence = null) {
+    const updates = {};
+    const fillable = [
+      'website', 'phone', 'email', 'address', 'city', 'state', 'zip_code',
+      'location', 'normalized_phone', 'website_domain', 'google_place_id', 'target_area',
+      'years_in_business', 'organic_keywords', 'backlinks_count', 'domain_authority',
+      'website_quality', 'tech_stack', 'seo_data', 'ad_presence', 'social_presence', 'owner_name', 'contact_data'
+    ];
+
+    for (const field of fillable) {
+      if (isEmpty(existing[field]) && !isEmpty(incoming[field])) {
+        updates[field] = incoming[field];
+      }
+    }
+
+    if ((incoming.review_count || 0) > (existing.review_count || 0)) {
+      updates.review_count = incoming.review_count;
+      updates.rating = incoming.rating ?? existing.rating;
+    }
+
+    if (existing.estimated_size === 'Unknown' && incoming.estimated_size && incoming.estimated_size !== 'Unknown') {
+      updates.estimated_size = incoming.estimated_size;
+    }
+
+    const filledFields = Object.keys(updates).filter(field => TRACKED_FIELDS.includes(field));
+    updates.field_sources = {
+      ...(existing.field_sources || {}),
+      ...this.fieldSources(incoming, filledFields, { rule: 'auto_match' })
+    };
+
+    updates.source_records = this.combineProvenance(
+      existing.source_records || [],
+      incoming.source_records || [this.provenance(incoming)]
+    );
+
+    if (confidence !== null) {
+      updates.match_confidence = Math.min(existing.match_confidence ?? 1, confidence);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Provenance entry describing one source record
+   */
+  provenance(record) {
+    return {
+      source: record.source || record.data_source || 'unknown',
+      sourceUrl: record.sourceUrl || record.source_url || null,
+      name: record.name || record.company_name || null,
+      phone: record.phone || null,
+      website: record.website || null,
+      address: record.address || null,
+      rating: record.rating ?? null,
+      reviewCount: record.reviewCount ?? record.review_count ?? null,
+      seenAt: record.scraped_at || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Per-field provenance for a lead row; keeps entries the row already carries
+   */
+  fieldSources(record, fields = TRACKED_FIELDS, extra = {}) {
+    const entry = {
+      source: record.data_source || record.source || 'unknown',
+      sourceUrl: record.source_url || record.sourceUrl || null,
+      leadId: record.id || null,
+      updatedAt: new Date().toISOString(),
+      ...extra
+    };
+
+    return fields.reduce((acc, field) => {
+      if (!isEmpty(record[field])) {
+        acc[field] = record.field_sources?.[field] || { ...entry };
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Append provenance entries, replacing older entries for the same source URL
+   */
+  combineProvenance(existing, incoming) {
+    const key = entry => `${entry.source}|${entry.sourceUrl || entry.name}`;
+    const incomingKeys = new Set(incoming.map(key));
+    return [...existing.filter(entry => !incomingKeys.has(key(entry))), ...incoming];
+  }
+
+  /**
+   * Normalized matching keys for a record
+   */
+  normalize(record) {
+    const address = this.normalizeAddress(record.address);
+
+    return {
+      name: this.normalizeName(record.name || record.company_name),
+      phone: this.normalizePhone(record.phone),
+      domain: this.normalizeDomain(record.website),
+      address,
+      streetNumber: address ? (address.match(/^\d+/) || [null])[0] : null,
+      zip: ((record.zipCode || record.zip_code || record.address || '').match(/\b\d{5}\b/) || [null])[0],
+      placeId: record.placeId || record.google_place_id || null
+    };
+  }
+
+  /**
+   * Keep the 10 digit US number
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    let digits = String(phone).replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+      digits = digits.slice(1);
+    }
+
+    return digits.length === 10 ? digits : null;
+  }
+
+  /**
+   * Registrable host without www; null for shared hosts like facebook.com
+   */
+  normalizeDomain(website) {
+    if (!website) return null;
+
+    try {
+      const url = new URL(/^https?:\/\//i.test(website) ? website : `http://${website}`);
+      const host = url.hostname.toLowerCase().replace(/^www\./, '');
+
+      if (SHARED_DOMAINS.some(shared => host === shared || host.endsWith(`.${shared}`))) {
+        return null;
+      }
+
+      return host;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Lowercase, drop punctuation and legal suffixes
+   */
+  normalizeName(name) {
+    if (!name) return null;
+
+    const tokens = String(name)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(token => token && !NAME_STOPWORDS.includes(token));
+
+    return tokens.join(' ') || null;
+  }
+
+  /**
+   * Lowercase street address with USPS-style abbreviations
+   */
+  normalizeAddress(address) {
+    if (!address) return null;
+
+    const street = String(address).split(',')[0];
+
+    const normalized = street
+      .toLowerCase()
+      .replace(/[.#]/g, ' ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(Boolean)
+      .map(token => ADDRESS_ABBREVIATIONS[token] || token)
+      .join(' ');
+
+    return normalized || null;
+  }
+
+  /**
+   * Fuzzy similarity between two normalized names (0-1)
+   * Best of bigram overlap and token containment, so
+   * "joes plumbing" ~ "joes plumbing drain" scores high.
+   */
+  nameSimilarity(a, b) {
+    if (a === b) return 1;
+
+    const dice = diceCoefficient(a.replace(/ /g, ''), b.replace(/ /g, ''));
+
+    const tokensA = a.split(' ');
+    const tokensB = b.split(' ');
+    const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+    const contained = shorter.filter(token => longer.includes(token)).length / shorter.length;
+
+    return Math.round(Math.max(dice, contained * 0.9) * 1000) / 1000;
+  }
+
+  /**
+   * Address similarity (0-1); different street numbers or ZIPs never match
+   */
+  addressSimilarity(left, right) {
+    if (left.streetNumber && right.streetNumber && left.streetNumber !== right.streetNumber) return 0;
+    if (left.zip && right.zip && left.zip !== right.zip) return 0;
+    if (left.address === right.address) return 1;
+
+    return Math.round(diceCoefficient(left.address, right.address) * 1000) / 1000;
+  }
+
+  /**
+   * Count of populated fields, used to pick the base record of a cluster
+   */
+  completeness(record) {
+    return Object.values(record).filter(value => !isEmpty(value)).length;
+  }
+}
+
+/**
+ * Sørensen-Dice coefficient over character bigrams
+ */
+function diceCoefficient(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+// Singleton instance
+const entityResolver = new EntityResolver();
+
+module.exports = entityResolver;
+module.exports.EntityResolver = EntityResolver;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
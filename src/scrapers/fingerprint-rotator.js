@@ -0,0 +1,107 @@
+/**
+ * Fingerprint Rotator
+ * Rotates browser profiles (user agent, viewport, locale) between sessions
+ *
+ * A session keeps the same profile for its whole run so a job looks like
+ * one visitor. Set USER_AGENT to pin a single profile instead.
+ */
+
+const logger = require('../utils/logger');
+
+const PROFILES = [
+  {
+    name: 'chrome-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 },
+    locale: 'en-US',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  {
+    name: 'chrome-mac',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1440, height: 900 },
+    locale: 'en-US',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  {
+    name: 'edge-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0',
+    viewport: { width: 1536, height: 864 },
+    locale: 'en-US',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  {
+    name: 'firefox-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0',
+    viewport: { width: 1366, height: 768 },
+    locale: 'en-US',
+    acceptLanguage: 'en-US,en;q=0.5'
+  },
+  {
+    name: 'safari-mac',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15',
+    viewport: { width: 1680, height: 1050 },
+    locale: 'en-US',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  {
+    name: 'chrome-linux',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1600, height: 900 },
+    locale: 'en-US',
+    acceptLanguage: 'en-US,en;q=0.9'
+  }
+];
+
+class FingerprintRotator {
+  constructor(options = {}) {
+    const pinnedUserAgent = options.userAgent || process.env.USER_AGENT;
+
+    this.profiles = pinnedUserAgent
+      ? [{ ...PROFILES[0], name: 'pinned', userAgent: pinnedUserAgent }]
+      : options.profiles || PROFILES;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get the profile for a session (random per call without a session)
+   */
+  pick(session = null) {
+    if (session && this.sessions.has(session)) {
+      return this.sessions.get(session);
+    }
+
+    const profile = this.profiles[Math.floor(Math.random() * this.profiles.length)];
+
+    if (session) {
+      this.sessions.set(session, profile);
+      logger.debug(`Session ${session} using browser profile ${profile.name}`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Give a session a different profile (e.g. after being blocked)
+   */
+  rotate(session) {
+    const current = this.sessions.get(session);
+    const others = this.profiles.filter(profile => profile !== current);
+    const next = others.length > 0
+      ? others[Math.floor(Math.random() * others.length)]
+      : this.profiles[0];
+
+    this.sessions.set(session, next);
+    return next;
+  }
+
+  release(session) {
+    this.sessions.delete(session);
+  }
+}
+
+// Singleton instance
+const fingerprintRotator = new FingerprintRotator();
+
+module.exports = fingerprintRotator;
+module.exports.FingerprintRotator = FingerprintRotator;
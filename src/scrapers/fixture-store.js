@@ -0,0 +1,202 @@
+/**
+ * Scraper Fixture Store
+ * Records raw source responses to disk and replays them offline
+ *
+ * Modes (SCRAPER_FIXTURE_MODE):
+ *   off    - normal live scraping (default)
+ *   record - hit the live site and save every response
+ *   replay - never touch the network, serve saved responses instead
+ *
+ * Fixtures live under SCRAPER_FIXTURE_DIR as
+ *   <source>/<query-slug>/page-<n>.<html|json> + page-<n>.meta.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MODES = ['off', 'record', 'replay'];
+const MAX_SLUG_LENGTH = 80;
+
+class FixtureNotFoundError extends Error {
+  constructor(key, filePath) {
+    super(`No recorded fixture for ${key.source} "${key.query}" page ${key.page || 1} (${filePath})`);
+    this.name = 'FixtureNotFoundError';
+    this.key = key;
+  }
+}
+
+class FixtureStore {
+  constructor(options = {}) {
+    this.configure({
+      mode: options.mode || process.env.SCRAPER_FIXTURE_MODE || 'off',
+      dir: options.dir || process.env.SCRAPER_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'scrapers')
+    });
+  }
+
+  /**
+   * Change mode and/or fixture directory at runtime (used by tests and scripts)
+   */
+  configure({ mode, dir } = {}) {
+    if (mode !== undefined) {
+      if (!MODES.includes(mode)) {
+        throw new Error(`Invalid fixture mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+      }
+      this.mode = mode;
+    }
+
+    if (dir !== undefined) {
+      this.dir = path.resolve(dir);
+    }
+
+    return this;
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Fetch a response through the fixture layer
+   *
+   * @param {Object} key - { source, query, page }
+   * @param {Function} fetchFn - Live fetch returning { status, headers, data } (an axios response works)
+   * @returns {Object} { status, headers, data, url, fromFixture }
+   */
+  async fetch(key, fetchFn) {
+    if (this.isReplaying()) {
+      return this.load(key);
+    }
+
+    const response = await fetchFn();
+
+    if (this.isRecording()) {
+      this.save(key, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Load a recorded response
+   */
+  load(key) {
+    const basePath = this.resolvePath(key);
+    const metaPath = `${basePath}.meta.json`;
+
+    if (!fs.existsSync(metaPath)) {
+      throw new FixtureNotFoundError(key, metaPath);
+    }
+
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+    const body = fs.readFileSync(`${basePath}.${meta.format}`, 'utf-8');
+
+    logger.debug(`Replaying fixture: ${path.relative(this.dir, basePath)}`);
+
+    return {
+      status: meta.status,
+      headers: meta.headers || {},
+      url: meta.url,
+      data: meta.format === 'json' ? JSON.parse(body) : body,
+      fromFixture: true
+    };
+  }
+
+  /**
+   * Save a live response as a fixture
+   */
+  save(key, response) {
+    const basePath = this.resolvePath(key);
+    const isJson = response.data !== null && typeof response.data === 'object';
+    const format = isJson ? 'json' : 'html';
+
+    try {
+      fs.mkdirSync(path.dirname(basePath), { recursive: true });
+
+      fs.writeFileSync(
+        `${basePath}.${format}`,
+        isJson ? JSON.stringify(response.data, null, 2) : String(response.data ?? '')
+      );
+
+      fs.writeFileSync(`${basePath}.meta.json`, JSON.stringify({
+        source: key.source,
+        query: key.query,
+        page: key.page || 1,
+        url: response.url || response.config?.url || null,
+        status: response.status ?? 200,
+        headers: this.pickHeaders(response.headers),
+        format,
+        recordedAt: new Date().toISOString()
+      }, null, 2));
+
+      logger.info(`Recorded fixture: ${path.relative(this.dir, basePath)}`);
+
+    } catch (error) {
+      // Recording must never break a live scrape
+      logger.warn(`Failed to record fixture for ${key.source}:`, error.message);
+    }
+  }
+
+  /**
+   * Check whether a fixture exists
+   */
+  has(key) {
+    return fs.existsSync(`${this.resolvePath(key)}.meta.json`);
+  }
+
+  /**
+   * Build fixture path (without extension) for a key
+   */
+  resolvePath({ source, query, page = 1 }) {
+    if (!source) {
+      throw new Error('Fixture key requires a source');
+    }
+
+    return path.join(this.dir, this.slugify(source), this.slugify(query || 'default'), `page-${page}`);
+  }
+
+  /**
+   * Turn a query into a filesystem-safe directory name
+   */
+  slugify(value) {
+    const slug = String(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'default';
+
+    if (slug.length <= MAX_SLUG_LENGTH) {
+      return slug;
+    }
+
+    // Long queries (e.g. full URLs) keep a readable prefix plus a stable hash
+    const hash = crypto.createHash('md5').update(String(value)).digest('hex').slice(0, 8);
+    return `${slug.slice(0, MAX_SLUG_LENGTH - 9)}-${hash}`;
+  }
+
+  /**
+   * Keep only headers that matter to parsers (no cookies or auth)
+   */
+  pickHeaders(headers = {}) {
+    const keep = ['content-type', 'content-encoding', 'x-response-time', 'server', 'location'];
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+
+    return Object.entries(plain || {}).reduce((acc, [name, value]) => {
+      if (keep.includes(name.toLowerCase())) {
+        acc[name.toLowerCase()] = value;
+      }
+      return acc;
+    }, {});
+  }
+}
+
+// Singleton instance
+const fixtureStore = new FixtureStore();
+
+module.exports = fixtureStore;
+module.exports.FixtureStore = FixtureStore;
+module.exports.FixtureNotFoundError = FixtureNotFoundError;
@@ -0,0 +1,324 @@
+/**
+ * Google Business Profile Auditor
+ * Opens a lead's Google Maps place page and checks how complete the profile is
+ *
+ * Reads hours, categories, photos, recent owner posts, Q&A, owner responses
+ * to reviews, service areas and whether the profile is claimed, then scores
+ * completeness 0-100 from a weighted checklist. Anything the page did not
+ * show either way (null) is left out of the score rather than counted as missing.
+ */
+
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rate-limiter');
+const clientFactory = require('./client-factory');
+const responseClassifier = require('./response-classifier');
+const { SourceResponseError } = require('./response-classifier');
+
+const SOURCE = 'google_business_profile';
+const RATE_LIMIT_KEY = 'google';
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const RECENT_POST_DAYS = 30;
+const MIN_PHOTOS = 10;
+
+// What a complete profile has, worth 100 points in total
+const CHECKLIST = [
+  { item: 'claimed', points: 20, label: 'Profile has not been claimed by the owner' },
+  { item: 'hours', points: 15, label: 'No business hours listed' },
+  { item: 'ownerResponses', points: 15, label: 'Owner rarely responds to reviews' },
+  { item: 'categories', points: 10, label: 'No business category set' },
+  { item: 'photos', points: 10, label: `Fewer than ${MIN_PHOTOS} photos` },
+  { item: 'posts', points: 10, label: `No posts in the last ${RECENT_POST_DAYS} days` },
+  { item: 'questions', points: 5, label: 'No questions and answers' },
+  { item: 'serviceAreas', points: 5, label: 'No service area listed' },
+  { item: 'website', points: 5, label: 'No website on the profile' },
+  { item: 'phone', points: 5, label: 'No phone number on the profile' }
+];
+
+class GbpAuditor {
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.GBP_AUDIT_TIMEOUT_MS) || 30000;
+  }
+
+  /**
+   * Place page URL for a lead: the scraped Maps link, else one built from its place ID
+   * Returns null for leads that did not come from Google Maps
+   */
+  placeUrlFor(lead) {
+    if (/\/maps\/place\//.test(lead.source_url || '')) {
+      return lead.source_url;
+    }
+
+    const placeId = lead.google_place_id;
+    if (!placeId) return null;
+
+    if (placeId.startsWith('ChIJ')) {
+      return `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(placeId)}`;
+    }
+
+    // Feature IDs (0x...:0x...) end in the listing's CID
+    const cid = placeId.match(/:0x([0-9a-f]+)$/i);
+    return cid ? `https://www.google.com/maps?cid=${BigInt(`0x${cid[1]}`).toString()}` : null;
+  }
+
+  /**
+   * Audit a lead's Business Profile
+   *
+   * @param {Object} lead - Lead row (source_url, google_place_id, company_name)
+   * @param {Object} [options]
+   * @param {string} [options.session] - Proxy/profile session (see client-factory)
+   * @returns {Object|null} { placeUrl, claimed, categories, hours, hoursListed, photoCount,
+   *   latestPostDays, questionCount, reviewsSampled, ownerResponses, ownerResponseRate,
+   *   serviceAreas, hasWebsite, hasPhone, completeness, missing, auditedAt },
+   *   { placeUrl, error, auditedAt } when the page fails to load, or null without a place
+   */
+  async audit(lead, options = {}) {
+    const placeUrl = this.placeUrlFor(lead);
+    if (!placeUrl) return null;
+
+    const cooldown = await rateLimiter.getCooldown(RATE_LIMIT_KEY);
+    if (cooldown) {
+      throw new SourceResponseError(SOURCE, 'blocked', `cooling down after: ${cooldown.reason}`,
+        new Date(cooldown.until).toISOString());
+    }
+
+    await rateLimiter.checkLimit(RATE_LIMIT_KEY);
+    logger.info(`Auditing Business Profile for ${lead.company_name}`);
+
+    const context = await clientFactory.getBrowserContext(options.session);
+    const page = await context.newPage();
+
+    try {
+      let overview;
+      let reviews = '';
+
+      try {
+        const startedAt = Date.now();
+        const response = await page.goto(placeUrl, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+        await page.waitForSelector('h1', { timeout: 10000 }).catch(() => {});
+        // Posts, Q&A and the claim link render after the header
+        await page.waitForTimeout(2000);
+
+        overview = await page.content();
+        await clientFactory.recordBrowserResult(options.session, {
+          status: response?.status() || 200,
+          latencyMs: Date.now() - startedAt
+        });
+
+        const challenge = responseClassifier.detectChallenge(overview, page.url());
+        if (challenge) {
+          const until = await rateLimiter.backoff(RATE_LIMIT_KEY, `Google Business Profile ${challenge.outcome}: ${challenge.reason}`);
+          throw new SourceResponseError(SOURCE, challenge.outcome, challenge.reason, new Date(until.until).toISOString());
+        }
+
+        reviews = await this.loadReviews(page);
+
+      } catch (error) {
+        if (error instanceof SourceResponseError) throw error;
+
+        await clientFactory.recordBrowserResult(options.session, { error });
+        logger.warn(`Business Profile audit could not load ${placeUrl}:`, error.message);
+        return { placeUrl, error: error.message, auditedAt: new Date().toISOString() };
+      }
+
+      const facts = this.parsePlace(overview, reviews);
+      const { completeness, missing } = this.score(facts);
+
+      return {
+        placeUrl,
+        ...facts,
+        completeness,
+        missing,
+        auditedAt: new Date().toISOString()
+      };
+
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Open the Reviews tab and scroll once so a page of reviews is rendered
+   * Returns '' when the place has no reviews tab
+   */
+  async loadReviews(page) {
+    const tab = await page.$('button[role="tab"][aria-label*="Reviews"]');
+    if (!tab) return '';
+
+    await tab.click();
+    await page.waitForSelector('[data-review-id]', { timeout: 8000 }).catch(() => {});
+    await page.evaluate(() => {
+      const panel = document.querySelector('[data-review-id]')?.closest('[tabindex="-1"]');
+      if (panel) panel.scrollTop = panel.scrollHeight;
+    });
+    await page.waitForTimeout(1500);
+
+    return page.content();
+  }
+
+  /**
+   * Extract profile facts from the rendered place page (and its reviews tab)
+   * Each fact is null when the page gave no signal either way
+   */
+  parsePlace(overviewHtml, reviewsHtml = '') {
+    const $ = cheerio.load(overviewHtml);
+    const text = $('body').text().replace(/\s+/g, ' ');
+    const labels = $('[aria-label]').map((i, el) => $(el).attr('aria-label')).get();
+
+    const categories = Array.from(new Set(
+      $('button[jsaction*="category"]').map((i, el) => $(el).text().trim()).get().filter(Boolean)
+    ));
+
+    const hours = parseHours(labels);
+
+    const photoMatch = [...labels, text].join(' ').match(/([\d,]+)\+?\s+photos?\b/i);
+    const hasPhotoImages = $('button[aria-label^="Photo of"], img[src*="googleusercontent.com/p/"]').length > 0;
+
+    const postAges = $('[aria-label*="From the owner"], [aria-label*="Updates from"]')
+      .find('*')
+      .map((i, el) => relativeDays($(el).text()))
+      .get()
+      .filter(days => days !== null);
+
+    const questionMatch = text.match(/See all ([\d,]+) questions?/i) || text.match(/\b([\d,]+) questions?\b/i);
+
+    const serviceAreaMatch = [...labels, text].join(' ; ')
+      .match(/(?:Service area|Serves)\s*:?\s*([^;·\n]+?)(?=\s*(?:;|·|Open|Closed|$))/i);
+
+    let claimed = null;
+    if (/Claim this business/i.test(text)) claimed = false;
+    else if (/Own this business\?/i.test(text)) claimed = true;
+
+    const reviewStats = this.parseReviews(reviewsHtml);
+
+    return {
+      name: $('h1').first().text().trim() || null,
+      claimed,
+      categories,
+      hours,
+      hoursListed: Object.keys(hours).length > 0,
+      photoCount: photoMatch ? parseInt(photoMatch[1].replace(/,/g, '')) : (hasPhotoImages ? null : 0),
+      latestPostDays: postAges.length > 0 ? Math.min(...postAges) : null,
+      hasPosts: postAges.length > 0,
+      questionCount: questionMatch
+        ? parseInt(questionMatch[1].replace(/,/g, ''))
+        : (/Ask a question/i.test(text) ? 0 : null),
+      ...reviewStats,
+      serviceAreas: serviceAreaMatch ? splitAreas(serviceAreaMatch[1]) : [],
+      hasWebsite: $('a[data-item-id="authority"]').length > 0,
+      hasPhone: $('[data-item-id^="phone:tel:"]').length > 0
+    };
+  }
+
+  /**
+   * Owner responses among the reviews rendered on the reviews tab
+   */
+  parseReviews(html) {
+    if (!html) {
+      return { reviewsSampled: 0, ownerResponses: 0, ownerResponseRate: null };
+    }
+
+    const $ = cheerio.load(html);
+    const reviews = new Map();
+
+    $('[data-review-id]').each((i, el) => {
+      const id = $(el).attr('data-review-id');
+      const responded = /Response from the owner/i.test($(el).text());
+      reviews.set(id, reviews.get(id) || responded);
+    });
+
+    const sampled = reviews.size;
+    const responses = Array.from(reviews.values()).filter(Boolean).length;
+
+    return {
+      reviewsSampled: sampled,
+      ownerResponses: responses,
+      ownerResponseRate: sampled > 0 ? Math.round((responses / sampled) * 100) / 100 : null
+    };
+  }
+
+  /**
+   * Completeness 0-100 and the checklist items that are missing
+   */
+  score(facts) {
+    const results = {
+      claimed: facts.claimed === null ? null : (facts.claimed ? 1 : 0),
+      hours: facts.hoursListed ? 1 : 0,
+      ownerResponses: facts.ownerResponseRate === null
+        ? null
+        : (facts.ownerResponseRate >= 0.5 ? 1 : facts.ownerResponseRate > 0 ? 0.5 : 0),
+      categories: facts.categories.length > 0 ? 1 : 0,
+      photos: facts.photoCount === null
+        ? null
+        : (facts.photoCount >= MIN_PHOTOS ? 1 : facts.photoCount > 0 ? 0.5 : 0),
+      posts: facts.latestPostDays === null
+        ? 0
+        : (facts.latestPostDays <= RECENT_POST_DAYS ? 1 : 0.5),
+      questions: facts.questionCount === null ? null : (facts.questionCount > 0 ? 1 : 0),
+      serviceAreas: facts.serviceAreas.length > 0 ? 1 : 0,
+      website: facts.hasWebsite ? 1 : 0,
+      phone: facts.hasPhone ? 1 : 0
+    };
+
+    let possible = 0;
+    let earned = 0;
+    const missing = [];
+
+    for (const { item, points, label } of CHECKLIST) {
+      if (results[item] === null) continue;
+
+      possible += points;
+      earned += points * results[item];
+      if (results[item] < 1) missing.push({ item, label });
+    }
+
+    return {
+      completeness: possible > 0 ? Math.round((earned / possible) * 100) : null,
+      missing
+    };
+  }
+}
+
+/**
+ * Hours from the aria-label Google puts on the weekly hours table:
+ * "Monday, 8 AM to 5 PM; Tuesday, ...; Sunday, Closed. Hide open hours for the week"
+ */
+function parseHours(labels) {
+  const label = labels.find(value => DAYS.filter(day => value.includes(day)).length >= 5);
+  if (!label) return {};
+
+  const hours = {};
+  for (const part of label.replace(/\.\s*Hide.*$/i, '').split(';')) {
+    const [day, ...rest] = part.split(',');
+    if (DAYS.includes(day.trim()) && rest.length > 0) {
+      hours[day.trim()] = rest.join(',').trim();
+    }
+  }
+
+  return hours;
+}
+
+/**
+ * "3 days ago", "a week ago", "2 months ago" -> days; null for anything else
+ */
+function relativeDays(value) {
+  const match = String(value).trim().match(/^(a|an|\d+)\s+(hour|day|week|month|year)s?\s+ago$/i);
+  if (!match) return null;
+
+  const count = /^an?$/i.test(match[1]) ? 1 : parseInt(match[1]);
+  const unitDays = { hour: 0, day: 1, week: 7, month: 30, year: 365 }[match[2].toLowerCase()];
+
+  return count * unitDays;
+}
+
+function splitAreas(value) {
+  return value
+    .split(/,|\band\b/)
+    .map(area => area.trim())
+    .filter(area => area && !/nearby areas?/i.test(area));
+}
+
+module.exports = new GbpAuditor();
+module.exports.GbpAuditor = GbpAuditor;
+module.exports.CHECKLIST = CHECKLIST;
+module.exports.relativeDays = relativeDays;
@@ -0,0 +1,158 @@
+/**
+ * Geo Grid
+ * Splits a city or bounding box into map tiles for grid sweeps
+ *
+ * A location is either free text ("Houston, TX"), geocoded through
+ * Nominatim (GEOCODER_URL), or a bounding box "south,west,north,east".
+ * Tiles carry an id that records how they were split ("2" -> "2.0".."2.3").
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Width of the map area the results feed shows, in pixels
+const VIEWPORT_PX = 800;
+
+const BOUNDS_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+class GeoGrid {
+  constructor(options = {}) {
+    this.geocoderUrl = options.geocoderUrl || process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org/search';
+    this.tileKm = options.tileKm || parseFloat(process.env.GOOGLE_MAPS_GRID_TILE_KM) || 10;
+    this.maxTilesPerSide = options.maxTilesPerSide || 10;
+    this.cache = new Map();
+  }
+
+  /**
+   * Parse "south,west,north,east" into bounds, or null for free text
+   */
+  parseBounds(location) {
+    const match = typeof location === 'string' && location.match(BOUNDS_PATTERN);
+    if (!match) return null;
+
+    const [south, west, north, east] = match.slice(1).map(Number);
+    if (south >= north || west >= east) return null;
+
+    return { south, west, north, east };
+  }
+
+  /**
+   * Resolve a location to bounds, geocoding free text
+   */
+  async resolveBounds(location) {
+    const parsed = this.parseBounds(location);
+    if (parsed) return parsed;
+
+    if (this.cache.has(location)) {
+      return this.cache.get(location);
+    }
+
+    const response = await axios.get(this.geocoderUrl, {
+      params: { q: location, format: 'json', limit: 1, countrycodes: 'us' },
+      // Nominatim's usage policy asks for an identifying user agent
+      headers: { 'User-Agent': 'serviceline-lead-generation/1.0' },
+      timeout: 10000
+    });
+
+    const place = response.data?.[0];
+    if (!place?.boundingbox) {
+      throw new Error(`Could not geocode location for grid sweep: ${location}`);
+    }
+
+    const [south, north, west, east] = place.boundingbox.map(Number);
+    const bounds = { south, west, north, east };
+
+    logger.info(`Geocoded ${location} to bounds`, bounds);
+    this.cache.set(location, bounds);
+
+    return bounds;
+  }
+
+  /**
+   * Split bounds into roughly tileKm-sized tiles
+   */
+  tiles(bounds) {
+    const { heightKm, widthKm } = this.size(bounds);
+    const rows = Math.min(this.maxTilesPerSide, Math.max(1, Math.ceil(heightKm / this.tileKm)));
+    const cols = Math.min(this.maxTilesPerSide, Math.max(1, Math.ceil(widthKm / this.tileKm)));
+
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lngStep = (bounds.east - bounds.west) / cols;
+    const tiles = [];
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        tiles.push({
+          id: String(row * cols + col),
+          depth: 0,
+          south: round(bounds.south + row * latStep),
+          north: round(bounds.south + (row + 1) * latStep),
+          west: round(bounds.west + col * lngStep),
+          east: round(bounds.west + (col + 1) * lngStep)
+        });
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Split a tile into four quadrants
+   */
+  subdivide(tile) {
+    const midLat = round((tile.south + tile.north) / 2);
+    const midLng = round((tile.west + tile.east) / 2);
+
+    return [
+      { south: tile.south, north: midLat, west: tile.west, east: midLng },
+      { south: tile.south, north: midLat, west: midLng, east: tile.east },
+      { south: midLat, north: tile.north, west: tile.west, east: midLng },
+      { south: midLat, north: tile.north, west: midLng, east: tile.east }
+    ].map((quadrant, index) => ({
+      id: `${tile.id}.${index}`,
+      depth: tile.depth + 1,
+      ...quadrant
+    }));
+  }
+
+  /**
+   * Map centre and zoom level that frame a tile
+   */
+  viewport(tile) {
+    const lat = (tile.south + tile.north) / 2;
+    const lng = (tile.west + tile.east) / 2;
+
+    // Web Mercator: 256px * 2^zoom covers 360 degrees of longitude
+    const lngSpan = tile.east - tile.west;
+    const latSpan = (tile.north - tile.south) / Math.cos(lat * Math.PI / 180);
+    const span = Math.max(lngSpan, latSpan);
+    const zoom = Math.floor(Math.log2((VIEWPORT_PX * 360) / (256 * span)));
+
+    return {
+      lat: round(lat),
+      lng: round(lng),
+      zoom: Math.min(18, Math.max(8, zoom))
+    };
+  }
+
+  size(bounds) {
+    const midLat = (bounds.south + bounds.north) / 2;
+
+    return {
+      heightKm: (bounds.north - bounds.south) * KM_PER_DEGREE_LAT,
+      widthKm: (bounds.east - bounds.west) * KM_PER_DEGREE_LAT * Math.cos(midLat * Math.PI / 180)
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Singleton instance
+const geoGrid = new GeoGrid();
+
+module.exports = geoGrid;
+module.exports.GeoGrid = GeoGrid;
@@ -1,54 +1,224 @@
 /**
  * Google Maps Business Scraper
- * Uses Playwright for dynamic content scraping
+ * Uses Playwright for dynamic content scraping, Cheerio for parsing the rendered feed
+ *
+ * A single search scrolls one feed, which Google caps at about 120 results.
+ * Grid mode (options.grid) sweeps a city or bounding box tile by tile for
+ * metro-wide coverage instead.
  */
 
-const { chromium } = require('playwright');
+const cheerio = require('cheerio');
 const logger = require('../utils/logger');
-
-class GoogleMapsScraper {
+const SourceAdapter = require('./source-adapter');
+const sourceRegistry = require('./source-registry');
+const fixtureStore = require('./fixture-store');
+const clientFactory = require('./client-factory');
+const geoGrid = require('./geo-grid');
+const targetAreas = require('./target-areas');
+const { SourceResponseError } = require('./response-classifier');
+
+class GoogleMapsScraper extends SourceAdapter {
   constructor() {
-    this.browser = null;
-    this.context = null;
+    super({
+      name: 'google_maps',
+      label: 'Google Maps',
+      rateLimitKey: 'google',
+      keywordLimit: 2,
+      maxPages: 1, // Results load by scrolling a single feed
+      healthCheckUrl: 'https://www.google.com/maps',
+      noResultsPatterns: [/Google Maps can't find/i, /No results found/i]
+    });
+    this.resultCap = parseInt(process.env.GOOGLE_MAPS_RESULT_CAP) || 120;
+    this.maxGridDepth = parseInt(process.env.GOOGLE_MAPS_GRID_MAX_DEPTH) || 3;
   }
 
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: process.env.HEADLESS_BROWSER !== 'false',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      this.context = await this.browser.newContext({
-        userAgent: process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+  async close() {
+    await clientFactory.close();
+  }
+
+  /**
+   * Iterate over result pages
+   * With options.grid the area is swept tile by tile instead (see sweep())
+   */
+  async *paginate(keyword, location, options = {}) {
+    if (options.grid) {
+      yield* this.sweep(keyword, location, options);
+      return;
+    }
+
+    yield* super.paginate(keyword, location, options);
+  }
+
+  /**
+   * A grid sweep covers a target area in one pass over its bounding box
+   */
+  searchLocations(area, options = {}) {
+    if (options.grid) {
+      return targetAreas.locationsFor(area, 'bounds');
+    }
+
+    return super.searchLocations(area, options);
+  }
+
+  /**
+   * Sweep a city or bounding box with lat/lng-centred searches
+   * Tiles that hit the result cap are split into quadrants, up to
+   * maxGridDepth times. Each tile is yielded as a page holding the listings
+   * not already seen on an earlier tile (by place ID), plus a state that
+   * lets an interrupted sweep continue where it stopped.
+   *
+   * maxResults only budgets the split tiles: every top-level tile is searched
+   * and keeps all its listings, so a small budget still covers the whole area
+   * once, while drilling into dense tiles stops when the budget is spent.
+   *
+   * @param {Object} [options.state] - { queue, seen } from the last page of an earlier run
+   */
+  async *sweep(keyword, location, options = {}) {
+    const maxResults = options.maxResults || 20;
+    let queue = options.state?.queue
+      ? [...options.state.queue]
+      : geoGrid.tiles(await geoGrid.resolveBounds(location));
+    const seen = new Set(options.state?.seen || []);
+    let page = options.startPage || 1;
+    let collected = 0;
+
+    logger.info(`Sweeping Google Maps for ${keyword} in ${location}: ${queue.length} tiles queued`);
+
+    while (queue.length > 0) {
+      // Budget spent: finish the pass over the top-level tiles, skip the splits
+      if (collected >= maxResults && queue.some(tile => tile.depth > 0)) {
+        logger.info(`Grid sweep for ${keyword} in ${location} spent its ${maxResults} result budget; skipping split tiles (raise maxLeadsPerIndustry to cover them)`);
+        queue = queue.filter(tile => tile.depth === 0);
+        if (queue.length === 0) break;
+      }
+
+      await this.assertAvailable();
+
+      const tile = queue.shift();
+      const listings = await this.fetchTile(keyword, location, tile, {
+        session: options.session,
+        // An empty tile (lake, farmland) is expected once the sweep has found businesses
+        allowEmpty: seen.size > 0
       });
+
+      if (listings.length >= this.resultCap && tile.depth < this.maxGridDepth) {
+        logger.info(`Tile ${tile.id} hit the ${this.resultCap} result cap, splitting into quadrants`);
+        queue.unshift(...geoGrid.subdivide(tile));
+      } else if (listings.length >= this.resultCap) {
+        logger.warn(`Tile ${tile.id} hit the result cap at max depth ${this.maxGridDepth}; coverage may be incomplete`);
+      }
+
+      const results = [];
+      for (const listing of listings) {
+        const key = listing.placeId || `${listing.name}|${listing.address || ''}`.toLowerCase();
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        results.push(this.standardizeResult(listing, location));
+      }
+
+      const pageResults = tile.depth === 0
+        ? results
+        : results.slice(0, Math.max(maxResults - collected, 0));
+      collected += pageResults.length;
+
+      yield {
+        page,
+        results: pageResults,
+        state: { queue: [...queue], seen: Array.from(seen) }
+      };
+
+      page++;
     }
   }
 
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.context = null;
+  /**
+   * Search one grid tile, centred on its midpoint at a zoom that frames it
+   */
+  async fetchTile(keyword, location, tile, options = {}) {
+    const viewport = geoGrid.viewport(tile);
+
+    const response = await fixtureStore.fetch(
+      { source: this.name, query: `${keyword} ${location} tile ${tile.id}`, page: 1 },
+      () => this.loadResultsPage(keyword, this.resultCap, options.session, viewport)
+    );
+
+    const listings = this.parseListings(response.data);
+    logger.info(`Tile ${tile.id} (${viewport.lat},${viewport.lng} z${viewport.zoom}): ${listings.length} listings`);
+
+    try {
+      await this.inspectResponse(response, listings);
+    } catch (error) {
+      if (!(options.allowEmpty && error instanceof SourceResponseError && error.outcome === 'layout_changed')) {
+        throw error;
+      }
     }
+
+    return listings;
   }
 
   /**
    * Search Google Maps for businesses
+   * The feed is scrolled rather than paged, so only page 1 returns results
    */
-  async search(keyword, location, options = {}) {
+  async fetchPage(keyword, location, page, options = {}) {
     const maxResults = options.maxResults || 20;
     const results = [];
 
+    if (page > 1) return results;
+
     try {
-      await this.initialize();
-      const page = await this.context.newPage();
+      const searchQuery = `${keyword} ${location}`;
+
+      const response = await fixtureStore.fetch(
+        { source: this.name, query: searchQuery, page },
+        () => this.loadResultsPage(searchQuery, maxResults, options.session)
+      );
+
+      // Extract business listings
+      const businesses = this.parseListings(response.data);
+
+      logger.info(`Extracted ${businesses.length} businesses from Google Maps`);
+      await this.inspectResponse(response, businesses);
 
+      // Process and standardize results
+      for (const business of businesses.slice(0, maxResults)) {
+        results.push(this.standardizeResult(business, location));
+      }
+
+    } catch (error) {
+      logger.error('Google Maps scraping error:', error);
+      throw error;
+    }
+
+    return results;
+  }
+
+  /**
+   * Load the results feed in the browser and return its rendered HTML
+   * Uses the session's browser context so a job keeps one proxy and profile
+   *
+   * @param {Object} [viewport] - { lat, lng, zoom } to centre the search on
+   */
+  async loadResultsPage(searchQuery, maxResults, session = null, viewport = null) {
+    const context = await clientFactory.getBrowserContext(session);
+    const page = await context.newPage();
+
+    try {
       // Build search URL
-      const searchQuery = `${keyword} ${location}`;
-      const url = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}`;
+      let url = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}`;
+      if (viewport) {
+        url += `/@${viewport.lat},${viewport.lng},${viewport.zoom}z`;
+      }
       
       logger.info(`Searching Google Maps: ${searchQuery}`);
-      await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+      const startedAt = Date.now();
+      const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 }).catch(async error => {
+        await clientFactory.recordBrowserResult(session, { error });
+        throw error;
+      });
+
+      const latencyMs = Date.now() - startedAt;
 
       // Wait for results to load
       await page.waitForSelector('[role="feed"]', { timeout: 10000 }).catch(() => {
@@ -58,71 +228,90 @@ class GoogleMapsScraper {
       // Scroll to load more results
       await this.scrollResults(page, maxResults);
 
-      // Extract business listings
-      const businesses = await page.evaluate(() => {
-        const listings = [];
-        const elements = document.querySelectorAll('[role="article"]');
-
-        elements.forEach(el => {
-          try {
-            const nameEl = el.querySelector('[role="heading"]');
-            const name = nameEl?.textContent?.trim();
-            
-            if (!name) return;
-
-            // Extract rating
-            const ratingEl = el.querySelector('[role="img"][aria-label*="star"]');
-            const ratingText = ratingEl?.getAttribute('aria-label') || '';
-            const ratingMatch = ratingText.match(/([0-9.]+)/);
-            const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
-
-            // Extract review count
-            const reviewMatch = ratingText.match(/([0-9,]+)\s+review/);
-            const reviewCount = reviewMatch ? parseInt(reviewMatch[1].replace(',', '')) : null;
-
-            // Extract address
-            const addressEl = el.querySelector('[data-item-id*="address"]');
-            const address = addressEl?.textContent?.trim();
-
-            // Extract phone
-            const phoneEl = el.querySelector('[data-item-id*="phone"]');
-            const phone = phoneEl?.textContent?.trim();
-
-            // Extract website (if visible)
-            const websiteEl = el.querySelector('[data-item-id*="authority"]');
-            const website = websiteEl?.textContent?.trim();
-
-            listings.push({
-              name,
-              rating,
-              reviewCount,
-              address,
-              phone,
-              website
-            });
-          } catch (err) {
-            console.error('Error extracting business:', err);
-          }
-        });
+      const result = {
+        url: page.url(),
+        status: response?.status() || 200,
+        headers: response?.headers() || {},
+        data: await page.content()
+      };
 
-        return listings;
-      });
+      // May drop the context if the proxy was blocked, so read the page first
+      await clientFactory.recordBrowserResult(session, { status: result.status, latencyMs });
 
-      logger.info(`Extracted ${businesses.length} businesses from Google Maps`);
+      return result;
 
-      // Process and standardize results
-      for (const business of businesses.slice(0, maxResults)) {
-        results.push(this.standardizeResult(business, location));
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Parse rendered results feed HTML into raw listings
+   */
+  parseListings(html) {
+    const $ = cheerio.load(html);
+    const listings = [];
+
+    $('[role="article"]').each((index, element) => {
+      try {
+        const $el = $(element);
+
+        const name = $el.find('[role="heading"]').first().text().trim();
+        
+        if (!name) return;
+
+        // Extract rating
+        const ratingText = $el.find('[role="img"][aria-label*="star"]').attr('aria-label') || '';
+        const ratingMatch = ratingText.match(/([0-9.]+)/);
+        const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+
+        // Extract review count
+        const reviewMatch = ratingText.match(/([0-9,]+)\s+review/);
+        const reviewCount = reviewMatch ? parseInt(reviewMatch[1].replace(',', '')) : null;
+
+        // Extract address
+        const address = $el.find('[data-item-id*="address"]').first().text().trim() || undefined;
+
+        // Extract phone
+        const phone = $el.find('[data-item-id*="phone"]').first().text().trim() || undefined;
+
+        // Extract website (if visible)
+        const website = $el.find('[data-item-id*="authority"]').first().text().trim() || undefined;
+
+        // Extract place link and ID
+        const placeUrl = $el.find('a[href*="/maps/place/"]').first().attr('href') || undefined;
+        const placeId = this.extractPlaceId(placeUrl);
+
+        listings.push({
+          name,
+          rating,
+          reviewCount,
+          address,
+          phone,
+          website,
+          placeId,
+          placeUrl
+        });
+      } catch (err) {
+        logger.warn('Error extracting business:', err.message);
       }
+    });
+
+    return listings;
+  }
 
-      await page.close();
+  /**
+   * Pull the place ID out of a /maps/place/ link
+   * Prefers the ChIJ... place ID, falls back to the 0x...:0x... feature ID
+   */
+  extractPlaceId(placeUrl) {
+    if (!placeUrl) return undefined;
 
-    } catch (error) {
-      logger.error('Google Maps scraping error:', error);
-      throw error;
-    }
+    const placeId = placeUrl.match(/!19s(ChIJ[^!?&]+)/);
+    if (placeId) return decodeURIComponent(placeId[1]);
 
-    return results;
+    const featureId = placeUrl.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+    return featureId ? featureId[1] : undefined;
   }
 
   /**
@@ -133,7 +322,8 @@ class GoogleMapsScraper {
       const feedSelector = '[role="feed"]';
       let previousCount = 0;
       let scrollAttempts = 0;
-      const maxScrollAttempts = 5;
+      // Each scroll loads roughly ten more listings
+      const maxScrollAttempts = Math.max(5, Math.ceil(targetCount / 10) + 2);
 
       while (scrollAttempts < maxScrollAttempts) {
         // Scroll the results panel
@@ -163,6 +353,13 @@ class GoogleMapsScraper {
     }
   }
 
+  /**
+   * Standardize raw listing (SourceAdapter interface)
+   */
+  standardize(raw, location) {
+    return this.standardizeResult(raw, location);
+  }
+
   /**
    * Standardize result format
    */
@@ -180,8 +377,10 @@ class GoogleMapsScraper {
       location: location,
       rating: business.rating,
       reviewCount: business.reviewCount,
+      placeId: business.placeId || null,
       source: 'google_maps',
-      sourceUrl: `https://www.google.com/maps/search/${encodeURIComponent(business.name + ' ' + location)}`
+      sourceUrl: business.placeUrl ||
+        `https://www.google.com/maps/search/${encodeURIComponent(business.name + ' ' + location)}`
     };
   }
 
@@ -221,6 +420,7 @@ class GoogleMapsScraper {
 
 // Singleton instance
 const scraper = new GoogleMapsScraper();
+sourceRegistry.register(scraper);
 
 // Cleanup on exit
 process.on('exit', () => scraper.close());
@@ -3,12 +3,16 @@
  * Targets HVAC, Plumbing, Roofing, and Electrical companies
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
 const logger = require('../utils/logger');
 const rateLimiter = require('../utils/rate-limiter');
-const { saveLeadToSupabase } = require('../database/supabase-client');
+const sourceRegistry = require('./source-registry');
+const entityResolver = require('./entity-resolver');
+const clientFactory = require('./client-factory');
+const techFingerprinter = require('./tech-fingerprinter');
+const seoMetrics = require('./seo-metrics');
+const { saveLeadToDatabase } = require('../database/lead-repository');
 
 const HOME_SERVICE_INDUSTRIES = {
   HVAC: ['hvac', 'heating cooling', 'air conditioning', 'furnace repair'],
@@ -23,9 +27,15 @@ class HomeServiceScraper {
       maxResults: options.maxResults || 50,
       location: options.location || 'United States',
       headless: options.headless !== false,
-      timeout: options.timeout || 30000
+      timeout: options.timeout || 30000,
+      sources: options.sources || null,
+      // Sweep sources that support it (Google Maps) tile by tile
+      grid: options.grid || false,
+      // Pins one proxy and browser profile for the scraper's lifetime
+      session: options.session || crypto.randomUUID()
     };
     this.browser = null;
+    this.http = clientFactory.createHttpClient({ timeout: 10000 });
     this.scrapedLeads = [];
   }
 
@@ -35,9 +45,9 @@ class HomeServiceScraper {
   async initBrowser() {
     if (!this.browser) {
       logger.info('Initializing Puppeteer browser...');
-      this.browser = await puppeteer.launch({
-        headless: this.options.headless,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      this.browser = await clientFactory.launchPuppeteer({
+        session: this.options.session,
+        headless: this.options.headless
       });
     }
     return this.browser;
@@ -45,23 +55,34 @@ class HomeServiceScraper {
 
   /**
    * Main scraping orchestrator
+   * Pass a target area (see target-areas) to search each of its locations
+   * and tag the leads with the area that produced them.
    */
-  async scrapeAllSources(industry, location) {
-    logger.info(`Starting scrape for ${industry} in ${location}`);
+  async scrapeAllSources(industry, location, area = null) {
+    logger.info(`Starting scrape for ${industry} in ${area ? area.label : location}`);
     const leads = [];
 
     try {
-      // Scrape from multiple sources in parallel
-      const [googleLeads, yelpLeads, yellowPagesLeads] = await Promise.allSettled([
-        this.scrapeGoogleMaps(industry, location),
-        this.scrapeYelp(industry, location),
-        this.scrapeYellowPages(industry, location)
-      ]);
+      // Scrape from every registered source in parallel
+      const adapters = sourceRegistry.list(this.options.sources);
+      const results = await Promise.allSettled(
+        adapters.map(adapter => (area
+          ? this.scrapeSourceArea(adapter, industry, area)
+          : this.scrapeSource(adapter, industry, location)))
+      );
 
       // Collect successful results
-      if (googleLeads.status === 'fulfilled') leads.push(...googleLeads.value);
-      if (yelpLeads.status === 'fulfilled') leads.push(...yelpLeads.value);
-      if (yellowPagesLeads.status === 'fulfilled') leads.push(...yellowPagesLeads.value);
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          leads.push(...result.value);
+        } else {
+          logger.error(`Error scraping ${adapters[i].label}:`, result.reason);
+        }
+      });
+
+      if (area) {
+        leads.forEach(lead => { lead.targetArea = area.label; });
+      }
 
       // Deduplicate and enrich leads
       const uniqueLeads = this.deduplicateLeads(leads);
@@ -80,182 +101,93 @@ class HomeServiceScraper {
   }
 
   /**
-   * Scrape Google Maps for local businesses
+   * Scrape a single registered source
    */
-  async scrapeGoogleMaps(industry, location) {
-    await rateLimiter.checkLimit('google');
-    logger.info(`Scraping Google Maps for ${industry} in ${location}`);
+  async scrapeSource(adapter, industry, location) {
+    await rateLimiter.checkLimit(adapter.rateLimitKey);
+    logger.info(`Scraping ${adapter.label} for ${industry} in ${location}`);
 
     try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      // Set realistic user agent
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-
-      const searchQuery = `${industry} near ${location}`;
-      const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}`;
-      
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: this.options.timeout });
-      await page.waitForTimeout(3000); // Wait for results to load
-
-      // Scroll to load more results
-      await this.autoScroll(page);
-
-      const leads = await page.evaluate(() => {
-        const results = [];
-        const businessCards = document.querySelectorAll('div[role="article"]');
-
-        businessCards.forEach(card => {
-          try {
-            const name = card.querySelector('div.fontHeadlineSmall')?.textContent || '';
-            const rating = card.querySelector('span[role="img"]')?.getAttribute('aria-label') || '';
-            const reviewCount = card.querySelector('span[role="img"]')?.parentElement?.nextSibling?.textContent || '';
-            const address = card.querySelector('div[class*="fontBodyMedium"]')?.textContent || '';
-            const phone = card.querySelector('span[class*="fontBodyMedium"]')?.textContent || '';
-            const website = card.querySelector('a[href*="http"]')?.href || '';
-
-            if (name) {
-              results.push({
-                name: name.trim(),
-                rating: parseFloat(rating.match(/[\d.]+/)?.[0] || '0'),
-                reviewCount: parseInt(reviewCount.match(/\d+/)?.[0] || '0'),
-                address: address.trim(),
-                phone: phone.trim(),
-                website: website,
-                source: 'Google Maps'
-              });
-            }
-          } catch (err) {
-            console.error('Error parsing business card:', err);
-          }
-        });
-
-        return results;
+      const leads = await adapter.search(industry, location, {
+        maxResults: this.options.maxResults,
+        category: this.resolveCategory(industry),
+        session: this.options.session,
+        grid: this.options.grid
       });
 
-      await page.close();
-      logger.info(`Found ${leads.length} leads from Google Maps`);
+      logger.info(`Found ${leads.length} leads from ${adapter.label}`);
       return leads;
 
     } catch (error) {
-      logger.error('Error scraping Google Maps:', error);
+      logger.error(`Error scraping ${adapter.label}:`, error);
       return [];
     }
   }
 
   /**
-   * Scrape Yelp for business listings
+   * Scrape every search location of a target area from a single source
    */
-  async scrapeYelp(industry, location) {
-    await rateLimiter.checkLimit('yelp');
-    logger.info(`Scraping Yelp for ${industry} in ${location}`);
-
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-
-      const searchUrl = `https://www.yelp.com/search?find_desc=${encodeURIComponent(industry)}&find_loc=${encodeURIComponent(location)}`;
-      
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: this.options.timeout });
-      await page.waitForTimeout(2000);
-
-      const leads = await page.evaluate(() => {
-        const results = [];
-        const businesses = document.querySelectorAll('div[data-testid="serp-ia-card"]');
-
-        businesses.forEach(business => {
-          try {
-            const name = business.querySelector('a[data-testid="business-name"]')?.textContent || '';
-            const rating = business.querySelector('div[aria-label*="star rating"]')?.getAttribute('aria-label') || '';
-            const reviewCount = business.querySelector('span[data-testid="review-count"]')?.textContent || '';
-            const address = business.querySelector('address')?.textContent || '';
-            const phone = business.querySelector('p[data-testid="phone-number"]')?.textContent || '';
-            const website = business.querySelector('a[href*="biz_redir"]')?.href || '';
-
-            if (name) {
-              results.push({
-                name: name.trim(),
-                rating: parseFloat(rating.match(/[\d.]+/)?.[0] || '0'),
-                reviewCount: parseInt(reviewCount.match(/\d+/)?.[0] || '0'),
-                address: address.trim(),
-                phone: phone.trim(),
-                website: website,
-                source: 'Yelp'
-              });
-            }
-          } catch (err) {
-            console.error('Error parsing Yelp listing:', err);
-          }
-        });
-
-        return results;
-      });
-
-      await page.close();
-      logger.info(`Found ${leads.length} leads from Yelp`);
-      return leads;
+  async scrapeSourceArea(adapter, industry, area) {
+    const leads = [];
 
-    } catch (error) {
-      logger.error('Error scraping Yelp:', error);
-      return [];
+    for (const location of adapter.searchLocations(area, { grid: this.options.grid })) {
+      leads.push(...await this.scrapeSource(adapter, industry, location));
     }
+
+    return leads;
   }
 
   /**
-   * Scrape Yellow Pages for business listings
+   * Scrape a single source page by page, saving each page before moving on
+   * Yields { page, leads, found, state } so callers can checkpoint between pages
+   *
+   * @param {Object} options
+   * @param {number} [options.startPage] - First page to fetch (resume point)
+   * @param {number} [options.maxResults] - Results still wanted from this source
+   * @param {Array} [options.seen] - Leads already returned by earlier pages
+   * @param {Object} [options.state] - Adapter state from the last page (grid sweeps)
+   * @param {string} [options.targetArea] - Label of the target area being searched
    */
-  async scrapeYellowPages(industry, location) {
-    await rateLimiter.checkLimit('yellowpages');
-    logger.info(`Scraping Yellow Pages for ${industry} in ${location}`);
+  async *scrapeSourcePages(adapter, industry, location, options = {}) {
+    const seen = options.seen || [];
+    const pages = adapter.paginate(industry, location, {
+      maxResults: options.maxResults || this.options.maxResults,
+      category: this.resolveCategory(industry),
+      startPage: options.startPage || 1,
+      session: this.options.session,
+      grid: this.options.grid,
+      state: options.state
+    });
 
-    try {
-      const searchUrl = `https://www.yellowpages.com/search?search_terms=${encodeURIComponent(industry)}&geo_location_terms=${encodeURIComponent(location)}`;
-      
-      const response = await axios.get(searchUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        timeout: this.options.timeout
-      });
+    logger.info(`Scraping ${adapter.label} for ${industry} in ${location} from page ${options.startPage || 1}`);
+    await rateLimiter.checkLimit(adapter.rateLimitKey);
 
-      const $ = cheerio.load(response.data);
-      const leads = [];
-
-      $('.result').each((i, element) => {
-        try {
-          const name = $(element).find('.business-name span').text().trim();
-          const phone = $(element).find('.phones').text().trim();
-          const address = $(element).find('.street-address').text().trim();
-          const city = $(element).find('.locality').text().trim();
-          const state = $(element).find('.region').text().trim();
-          const website = $(element).find('.track-visit-website').attr('href') || '';
-
-          if (name) {
-            leads.push({
-              name,
-              phone,
-              address: `${address}, ${city}, ${state}`.trim(),
-              website,
-              source: 'Yellow Pages'
-            });
-          }
-        } catch (err) {
-          logger.error('Error parsing Yellow Pages listing:', err);
-        }
-      });
+    for await (const { page, results, state } of pages) {
+      const uniqueLeads = this.deduplicateLeads(results, seen);
+      if (options.targetArea) {
+        uniqueLeads.forEach(lead => { lead.targetArea = options.targetArea; });
+      }
+      const enrichedLeads = await this.enrichLeads(uniqueLeads);
+      await this.saveLeads(enrichedLeads, industry);
 
-      logger.info(`Found ${leads.length} leads from Yellow Pages`);
-      return leads;
+      yield { page, leads: enrichedLeads, found: results.length, state: state || null };
 
-    } catch (error) {
-      logger.error('Error scraping Yellow Pages:', error);
-      return [];
+      // Throttle before the next page is fetched
+      await rateLimiter.checkLimit(adapter.rateLimitKey);
     }
   }
 
+  /**
+   * Map an industry name or keyword onto a category key (hvac, plumbing...)
+   */
+  resolveCategory(industry) {
+    const normalized = (industry || '').toLowerCase();
+    const match = Object.entries(HOME_SERVICE_INDUSTRIES).find(([name, keywords]) =>
+      name.toLowerCase() === normalized || keywords.includes(normalized)
+    );
+    return match ? match[0].toLowerCase() : normalized;
+  }
+
   /**
    * Enrich leads with additional data
    */
@@ -301,13 +233,12 @@ class HomeServiceScraper {
   async analyzeWebsite(websiteUrl) {
     try {
       const startTime = Date.now();
-      const response = await axios.get(websiteUrl, {
-        timeout: 10000,
-        headers: { 'User-Agent': 'Mozilla/5.0' }
-      });
+      const response = await this.http.get(websiteUrl, { session: this.options.session });
       const loadTime = Date.now() - startTime;
 
       const $ = cheerio.load(response.data);
+      const techStack = techFingerprinter.detect({ html: response.data, headers: response.headers, $ });
+      const tech = techFingerprinter.summarize(techStack);
 
       return {
         hasWebsite: true,
@@ -316,9 +247,15 @@ class HomeServiceScraper {
         hasSSL: websiteUrl.startsWith('https'),
         titleLength: $('title').text().length,
         hasMetaDescription: !!$('meta[name="description"]').length,
-        hasGoogleAnalytics: response.data.includes('google-analytics') || response.data.includes('gtag'),
-        hasFacebookPixel: response.data.includes('facebook') && response.data.includes('pixel'),
-        hasLiveChat: response.data.includes('livechat') || response.data.includes('intercom') || response.data.includes('drift')
+        hasGoogleAnalytics: tech.hasGoogleAnalytics,
+        hasFacebookPixel: tech.hasFacebookPixel,
+        hasLiveChat: tech.hasLiveChat,
+        hasOnlineBooking: tech.hasOnlineBooking,
+        hasCallTracking: tech.hasCallTracking,
+        hasReviewWidget: tech.hasReviewWidget,
+        hasDiyBuilder: tech.hasDiyBuilder,
+        cms: tech.cms,
+        techStack
       };
 
     } catch (error) {
@@ -329,22 +266,32 @@ class HomeServiceScraper {
 
   /**
    * Check SEO rankings for the business
+   * Returns null when nothing was measured (no provider configured, or the
+   * lookup failed), so the lead is saved without seo_data and scores as unchecked.
    */
   async checkSEORankings(website, businessName) {
     try {
-      // Simplified SEO check - in production, use SEO APIs like SEMrush, Ahrefs, etc.
       const domain = new URL(website).hostname;
-      
+      const metrics = await seoMetrics.getMetrics(website);
+      if (!metrics) return null;
+
       return {
         domain,
-        indexed: true, // Would check Google Search Console API
-        estimatedRanking: Math.floor(Math.random() * 100), // Placeholder
-        organicKeywords: Math.floor(Math.random() * 500) // Placeholder
+        // Moz reports no keyword counts; without one indexing is unknown, not "no"
+        indexed: typeof metrics.organicKeywords === 'number' ? metrics.organicKeywords > 0 : null,
+        estimatedRanking: metrics.estimatedRanking ?? null,
+        organicKeywords: metrics.organicKeywords ?? null,
+        organicTraffic: metrics.organicTraffic ?? null,
+        topKeywords: metrics.topKeywords || [],
+        backlinksCount: metrics.backlinksCount ?? null,
+        referringDomains: metrics.referringDomains ?? null,
+        domainAuthority: metrics.domainAuthority ?? null,
+        sources: metrics.sources || {}
       };
 
     } catch (error) {
       logger.debug(`Error checking SEO rankings:`, error.message);
-      return { indexed: false };
+      return null;
     }
   }
 
@@ -355,7 +302,7 @@ class HomeServiceScraper {
     try {
       // Simplified ad check - in production, use Google Ads API or similar
       await this.initBrowser();
-      const page = await this.browser.newPage();
+      const page = await clientFactory.preparePuppeteerPage(await this.browser.newPage());
       
       const searchQuery = `${businessName} ${location}`;
       await page.goto(`https://www.google.com/search?q=${encodeURIComponent(searchQuery)}`);
@@ -404,38 +351,19 @@ class HomeServiceScraper {
   }
 
   /**
-   * Remove duplicate leads based on name and location
+   * Collapse leads that describe the same business into golden leads
+   * Pass a shared `seen` array to also drop matches from earlier batches;
+   * anything missed here is resolved against the database on save.
    */
-  deduplicateLeads(leads) {
-    const seen = new Set();
-    return leads.filter(lead => {
-      const key = `${lead.name.toLowerCase()}-${lead.address.toLowerCase()}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  }
+  deduplicateLeads(leads, seen = []) {
+    const { clusters } = entityResolver.cluster(leads.filter(Boolean));
 
-  /**
-   * Auto-scroll page to load dynamic content
-   */
-  async autoScroll(page) {
-    await page.evaluate(async () => {
-      await new Promise((resolve) => {
-        let totalHeight = 0;
-        const distance = 100;
-        const timer = setInterval(() => {
-          const scrollHeight = document.body.scrollHeight;
-          window.scrollBy(0, distance);
-          totalHeight += distance;
-
-          if (totalHeight >= scrollHeight || totalHeight > 3000) {
-            clearInterval(timer);
-            resolve();
-          }
-        }, 100);
-      });
-    });
+    const uniqueLeads = clusters
+      .map(cluster => entityResolver.mergeCluster(cluster))
+      .filter(lead => !seen.some(previous => entityResolver.compare(lead, previous).decision === 'match'));
+
+    seen.push(...uniqueLeads);
+    return uniqueLeads;
   }
 
   /**
@@ -452,19 +380,33 @@ class HomeServiceScraper {
           website: lead.website || null,
           phone: lead.phone || null,
           address: lead.address || null,
+          city: lead.city || null,
+          state: lead.state || null,
+          zip_code: lead.zipCode || null,
+          location: lead.location || null,
           industry: industry,
           estimated_size: lead.estimatedSize || 'Unknown',
           rating: lead.rating || null,
           review_count: lead.reviewCount || null,
-          source: lead.source,
+          google_place_id: lead.placeId || null,
+          target_area: lead.targetArea || null,
+          data_source: lead.source,
+          source_url: lead.sourceUrl || null,
+          source_records: lead.sourceRecords || [],
+          match_confidence: lead.matchConfidence ?? null,
           website_quality: lead.websiteQuality || {},
-          seo_data: lead.seoData || {},
+          tech_stack: lead.websiteQuality?.techStack || null,
+          seo_data: lead.seoData || null,
+          organic_keywords: lead.seoData?.organicKeywords ?? null,
+          backlinks_count: lead.seoData?.backlinksCount ?? null,
+          domain_authority: lead.seoData?.domainAuthority ?? null,
           ad_presence: lead.adPresence || {},
           scraped_at: new Date().toISOString(),
           status: 'new'
         };
 
-        await saveLeadToSupabase(leadData);
+        const saved = await saveLeadToDatabase(leadData);
+        lead.id = saved?.id || null;
         savedCount++;
 
       } catch (error) {
@@ -509,6 +451,7 @@ class HomeServiceScraper {
       this.browser = null;
       logger.info('Browser closed');
     }
+    await clientFactory.closeSession(this.options.session);
   }
 }
 
@@ -4,10 +4,7 @@
  */
 
 const logger = require('../utils/logger');
-const googleMapsScraper = require('./google-maps-scraper');
-const yellowPagesScraper = require('./yellow-pages-scraper');
-const yelpScraper = require('./yelp-scraper');
-const directoryScrapers = require('./directory-scrapers');
+const sourceRegistry = require('./source-registry');
 const seoAnalyzer = require('./seo-analyzer');
 const { saveLeadToDatabase } = require('../database/lead-repository');
 const RateLimiter = require('../utils/rate-limiter');
@@ -24,6 +21,7 @@ class LeadScraper {
     this.locations = options.locations || ['New York, NY', 'Los Angeles, CA', 'Chicago, IL'];
     this.categories = options.categories || Object.keys(HOME_SERVICE_CATEGORIES);
     this.maxLeadsPerCategory = options.maxLeadsPerCategory || 50;
+    this.sources = options.sources || null;
     this.rateLimiter = new RateLimiter({
       maxRequests: 10,
       perMilliseconds: 60000 // 10 requests per minute
@@ -47,13 +45,12 @@ class LeadScraper {
           logger.info(`Location: ${location}`);
           
           try {
-            // Scrape from all sources in parallel
-            const results = await Promise.allSettled([
-              this.scrapeGoogleMaps(category, location),
-              this.scrapeYellowPages(category, location),
-              this.scrapeYelp(category, location),
-              this.scrapeDirectories(category, location)
-            ]);
+            // Scrape from all registered sources in parallel
+            const results = await Promise.allSettled(
+              sourceRegistry.list(this.sources).map(adapter =>
+                this.scrapeSource(adapter, category, location)
+              )
+            );
 
             // Process results
             const allLeads = results
@@ -102,81 +99,26 @@ class LeadScraper {
   }
 
   /**
-   * Scrape Google Maps
+   * Scrape a single registered source
    */
-  async scrapeGoogleMaps(category, location) {
+  async scrapeSource(adapter, category, location) {
     try {
       await this.rateLimiter.wait();
-      const keywords = HOME_SERVICE_CATEGORIES[category];
+      const keywords = HOME_SERVICE_CATEGORIES[category].slice(0, adapter.keywordLimit); // Limit keywords to avoid rate limits
       const leads = [];
 
-      for (const keyword of keywords.slice(0, 2)) { // Limit keywords to avoid rate limits
-        const results = await googleMapsScraper.search(keyword, location, {
-          maxResults: Math.floor(this.maxLeadsPerCategory / keywords.length)
+      for (const keyword of keywords) {
+        const results = await adapter.search(keyword, location, {
+          maxResults: Math.floor(this.maxLeadsPerCategory / keywords.length),
+          category
         });
         leads.push(...results);
       }
 
-      logger.info(`Google Maps: Found ${leads.length} leads`);
+      logger.info(`${adapter.label}: Found ${leads.length} leads`);
       return leads;
     } catch (error) {
-      logger.error('Google Maps scraping error:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Scrape Yellow Pages
-   */
-  async scrapeYellowPages(category, location) {
-    try {
-      await this.rateLimiter.wait();
-      const keyword = HOME_SERVICE_CATEGORIES[category][0];
-      const results = await yellowPagesScraper.search(keyword, location, {
-        maxResults: this.maxLeadsPerCategory
-      });
-
-      logger.info(`Yellow Pages: Found ${results.length} leads`);
-      return results;
-    } catch (error) {
-      logger.error('Yellow Pages scraping error:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Scrape Yelp
-   */
-  async scrapeYelp(category, location) {
-    try {
-      await this.rateLimiter.wait();
-      const keyword = HOME_SERVICE_CATEGORIES[category][0];
-      const results = await yelpScraper.search(keyword, location, {
-        maxResults: this.maxLeadsPerCategory
-      });
-
-      logger.info(`Yelp: Found ${results.length} leads`);
-      return results;
-    } catch (error) {
-      logger.error('Yelp scraping error:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Scrape Industry Directories
-   */
-  async scrapeDirectories(category, location) {
-    try {
-      await this.rateLimiter.wait();
-      const results = await directoryScrapers.searchAll(category, location, {
-        maxResults: this.maxLeadsPerCategory
-      });
-
-      logger.info(`Directories: Found ${results.length} leads`);
-      return results;
-    } catch (error) {
-      logger.error('Directory scraping error:', error);
+      logger.error(`${adapter.label} scraping error:`, error);
       return [];
     }
   }
@@ -225,11 +167,12 @@ class LeadScraper {
         
         // SEO & Marketing data
         seo_score: seoData.seoScore || null,
-        domain_authority: seoData.domainAuthority || null,
+        domain_authority: seoData.domainAuthority ?? null,
         has_google_ads: seoData.hasGoogleAds || false,
         has_facebook_ads: seoData.hasFacebookAds || false,
-        organic_keywords: seoData.organicKeywords || null,
-        backlinks_count: seoData.backlinksCount || null,
+        organic_keywords: seoData.organicKeywords ?? null,
+        backlinks_count: seoData.backlinksCount ?? null,
+        tech_stack: seoData.techStack || null,
         
         // Metadata
         data_source: rawLead.source || 'unknown',
@@ -305,6 +248,7 @@ if (require.main === module) {
     const scraper = new LeadScraper({
       locations: process.env.SCRAPE_LOCATIONS?.split(',') || ['New York, NY'],
       categories: process.env.SCRAPE_CATEGORIES?.split(',') || ['hvac', 'plumbing', 'roofing', 'electrical'],
+      sources: process.env.SCRAPE_SOURCES?.split(','),
       maxLeadsPerCategory: parseInt(process.env.MAX_LEADS_PER_CATEGORY) || 50
     });
 
@@ -0,0 +1,226 @@
+/**
+ * Performance Auditor
+ * Loads a lead's website in headless Chromium under mobile emulation and
+ * measures what a visitor on a phone actually gets
+ *
+ * Records TTFB, FCP, LCP, CLS, bytes transferred, request count,
+ * render-blocking resources and console errors, plus a JPEG of the page
+ * above the fold. Network and CPU are throttled like Lighthouse's mobile
+ * preset (150ms RTT, ~1.6 Mbps, 4x CPU) unless PERFORMANCE_AUDIT_THROTTLE=false.
+ */
+
+const logger = require('../utils/logger');
+const clientFactory = require('./client-factory');
+
+// Core Web Vitals thresholds: [good up to, poor above]
+const THRESHOLDS = {
+  ttfb: [800, 1800],
+  fcp: [1800, 3000],
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25]
+};
+
+const MOBILE_NETWORK = {
+  offline: false,
+  latency: 150,
+  downloadThroughput: (1.6 * 1024 * 1024) / 8,
+  uploadThroughput: (750 * 1024) / 8
+};
+
+const CPU_SLOWDOWN = 4;
+const MAX_CONSOLE_ERRORS = 20;
+const MAX_MESSAGE_LENGTH = 300;
+
+/**
+ * Runs in the page before any of its scripts so LCP and CLS are observed
+ * from the first paint. CLS uses session windows (1s gap, 5s max) like Chrome.
+ */
+function observeVitals() {
+  const vitals = { lcp: null, cls: 0 };
+  window.__performanceAudit = vitals;
+
+  let windowValue = 0;
+  let windowStart = 0;
+  let lastShift = 0;
+
+  try {
+    new PerformanceObserver(list => {
+      const entries = list.getEntries();
+      vitals.lcp = entries[entries.length - 1].startTime;
+    }).observe({ type: 'largest-contentful-paint', buffered: true });
+
+    new PerformanceObserver(list => {
+      for (const entry of list.getEntries()) {
+        if (entry.hadRecentInput) continue;
+
+        if (windowValue && entry.startTime - lastShift < 1000 && entry.startTime - windowStart < 5000) {
+          windowValue += entry.value;
+        } else {
+          windowValue = entry.value;
+          windowStart = entry.startTime;
+        }
+
+        lastShift = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, windowValue);
+      }
+    }).observe({ type: 'layout-shift', buffered: true });
+  } catch (error) {
+    // Browser without these entry types; the metrics stay empty
+  }
+}
+
+/**
+ * Runs in the page once it has loaded
+ */
+function collectTimings() {
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const paint = performance.getEntriesByName('first-contentful-paint')[0];
+  const vitals = window.__performanceAudit || {};
+
+  return {
+    ttfb: navigation ? navigation.responseStart : null,
+    fcp: paint ? paint.startTime : null,
+    lcp: vitals.lcp ?? null,
+    cls: vitals.cls ?? null,
+    domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+    load: navigation ? navigation.loadEventEnd : null,
+    renderBlocking: performance.getEntriesByType('resource')
+      .filter(entry => entry.renderBlockingStatus === 'blocking')
+      .map(entry => ({
+        url: entry.name,
+        type: entry.initiatorType,
+        duration: Math.round(entry.duration)
+      }))
+  };
+}
+
+class PerformanceAuditor {
+  constructor() {
+    this.device = process.env.PERFORMANCE_AUDIT_DEVICE || 'Moto G4';
+    this.throttle = process.env.PERFORMANCE_AUDIT_THROTTLE !== 'false';
+    this.timeout = parseInt(process.env.PERFORMANCE_AUDIT_TIMEOUT_MS) || 45000;
+  }
+
+  /**
+   * Audit a website's homepage
+   *
+   * @param {string} website - URL, with or without protocol
+   * @param {Object} [options]
+   * @param {string} [options.session] - Proxy session (see client-factory)
+   * @returns {Object} { url, finalUrl, status, device, throttled, metrics, ratings,
+   *   totalBytes, requestCount, failedRequests, renderBlocking, consoleErrors,
+   *   screenshot (Buffer), auditedAt } or { url, error, auditedAt } when the page fails to load
+   */
+  async audit(website, options = {}) {
+    const url = website.startsWith('http') ? website : `https://${website}`;
+    const { devices } = require('playwright');
+    const device = devices[this.device];
+
+    if (!device) {
+      throw new Error(`Unknown Playwright device: ${this.device}`);
+    }
+
+    logger.info(`Auditing page performance for ${url} (${this.device})`);
+
+    const context = await clientFactory.createBrowserContext(options.session, device);
+
+    try {
+      const page = await context.newPage();
+      const cdp = await context.newCDPSession(page);
+      const network = { totalBytes: 0, requestCount: 0, failedRequests: 0 };
+      const consoleErrors = [];
+
+      const recordError = (type, text) => {
+        if (consoleErrors.length < MAX_CONSOLE_ERRORS) {
+          consoleErrors.push({ type, message: String(text).slice(0, MAX_MESSAGE_LENGTH) });
+        }
+      };
+
+      cdp.on('Network.requestWillBeSent', () => { network.requestCount++; });
+      cdp.on('Network.loadingFinished', event => { network.totalBytes += event.encodedDataLength; });
+      cdp.on('Network.loadingFailed', () => { network.failedRequests++; });
+      page.on('console', message => {
+        if (message.type() === 'error') recordError('console', message.text());
+      });
+      page.on('pageerror', error => recordError('exception', error.message));
+
+      await cdp.send('Network.enable');
+      await cdp.send('Network.setCacheDisabled', { cacheDisabled: true });
+      if (this.throttle) {
+        await cdp.send('Network.emulateNetworkConditions', MOBILE_NETWORK);
+        await cdp.send('Emulation.setCPUThrottlingRate', { rate: CPU_SLOWDOWN });
+      }
+
+      await page.addInitScript(observeVitals);
+
+      let response;
+      try {
+        response = await page.goto(url, { waitUntil: 'load', timeout: this.timeout });
+      } catch (error) {
+        logger.warn(`Performance audit could not load ${url}:`, error.message);
+        return { url, error: error.message, auditedAt: new Date().toISOString() };
+      }
+
+      // Late images and fonts can still move LCP and CLS after the load event
+      await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+      const timings = await page.evaluate(collectTimings);
+      const screenshot = await page.screenshot({ type: 'jpeg', quality: 70 });
+
+      const metrics = {
+        ttfb: round(timings.ttfb),
+        fcp: round(timings.fcp),
+        lcp: round(timings.lcp),
+        cls: timings.cls === null ? null : Math.round(timings.cls * 1000) / 1000,
+        domContentLoaded: round(timings.domContentLoaded),
+        load: round(timings.load)
+      };
+
+      return {
+        url,
+        finalUrl: page.url(),
+        status: response?.status() || null,
+        device: this.device,
+        throttled: this.throttle,
+        metrics,
+        ratings: this.rate(metrics),
+        totalBytes: network.totalBytes,
+        requestCount: network.requestCount,
+        failedRequests: network.failedRequests,
+        renderBlocking: timings.renderBlocking,
+        consoleErrors,
+        screenshot,
+        auditedAt: new Date().toISOString()
+      };
+
+    } finally {
+      await context.close().catch(error => {
+        logger.debug('Error closing audit context:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Rate each metric good, needs_improvement or poor
+   */
+  rate(metrics) {
+    const ratings = {};
+
+    for (const [metric, [good, poor]] of Object.entries(THRESHOLDS)) {
+      const value = metrics[metric];
+      if (value === null || value === undefined) continue;
+
+      ratings[metric] = value <= good ? 'good' : value <= poor ? 'needs_improvement' : 'poor';
+    }
+
+    return ratings;
+  }
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+module.exports = new PerformanceAuditor();
+module.exports.PerformanceAuditor = PerformanceAuditor;
+module.exports.THRESHOLDS = THRESHOLDS;
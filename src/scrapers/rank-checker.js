@@ -0,0 +1,269 @@
+/**
+ * Rank Checker
+ * Where a lead shows up on Google for its own industry keywords in its city
+ *
+ * For each keyword in rank-keywords.json ("emergency plumber" -> "emergency
+ * plumber tampa fl") it records the organic position of the lead's domain in
+ * the first RANK_CHECK_DEPTH web results, its place in the local pack (the map
+ * block of three above the organic results) and its position in the Google
+ * Maps results for the same search. Searches go through the session's
+ * browser context and share the 'google' rate limit and block cool-down with
+ * the Google Maps scraper.
+ */
+
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rate-limiter');
+const clientFactory = require('./client-factory');
+const entityResolver = require('./entity-resolver');
+const googleMapsScraper = require('./google-maps-scraper');
+const responseClassifier = require('./response-classifier');
+const { SourceResponseError } = require('./response-classifier');
+const rankKeywords = require('./rank-keywords.json');
+
+const SOURCE = 'google_search';
+const RATE_LIMIT_KEY = 'google';
+const RESULTS_PER_PAGE = 10;
+
+// Local pack entries; Google renames these classes now and then
+const LOCAL_PACK_SELECTORS = ['[data-cid]', '.VkpGBb', '[jscontroller][data-hveid] .rllt__details'];
+
+class RankChecker {
+  constructor(options = {}) {
+    this.maxKeywords = options.maxKeywords || parseInt(process.env.RANK_CHECK_MAX_KEYWORDS) || 3;
+    this.depth = Math.min(options.depth || parseInt(process.env.RANK_CHECK_DEPTH) || 30, 100);
+    this.mapsDepth = options.mapsDepth || parseInt(process.env.RANK_CHECK_MAPS_DEPTH) || 20;
+  }
+
+  /**
+   * Industry keywords checked for a lead: [{ keyword, label }]
+   */
+  keywordsFor(lead) {
+    return (rankKeywords[String(lead.industry || '').toLowerCase()] || []).slice(0, this.maxKeywords);
+  }
+
+  /**
+   * Search as a local customer would type it, e.g. "ac repair tampa fl"
+   */
+  queryFor(keyword, lead) {
+    return [keyword, lead.city, lead.state].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  /**
+   * Check every industry keyword for a lead
+   *
+   * @param {Object} lead - Lead row (industry, city, state, website, company_name, phone, google_place_id)
+   * @param {Object} [options]
+   * @param {string} [options.session] - Proxy/profile session (see client-factory)
+   * @returns {Array} [{ keyword, label, query, location, organicPosition, organicUrl,
+   *   localPackPosition, mapsPosition, resultsChecked, checkedAt }]
+   *   Positions are 1-based and null when the lead was not found.
+   * @throws {SourceResponseError} When Google blocks the search; results so far are dropped
+   */
+  async check(lead, options = {}) {
+    const keywords = this.keywordsFor(lead);
+
+    if (!lead.city || keywords.length === 0) {
+      logger.debug(`No rank check for ${lead.company_name}: needs a city and a supported industry`);
+      return [];
+    }
+
+    const results = [];
+
+    for (const { keyword, label } of keywords) {
+      const query = this.queryFor(keyword, lead);
+      const organic = await this.checkOrganic(query, lead, options);
+      const mapsPosition = await this.checkMaps(query, lead, options);
+
+      results.push({
+        keyword,
+        label,
+        query,
+        location: [lead.city, lead.state].filter(Boolean).join(', '),
+        organicPosition: organic.position,
+        organicUrl: organic.url,
+        localPackPosition: organic.localPackPosition,
+        mapsPosition,
+        resultsChecked: organic.resultsChecked,
+        checkedAt: new Date().toISOString()
+      });
+    }
+
+    logger.info(`Rank check for ${lead.company_name}: ${results.length} keywords`, {
+      ranked: results.filter(result => result.organicPosition).length
+    });
+
+    return results;
+  }
+
+  /**
+   * Page through web results until the lead's domain turns up or depth runs out
+   * The local pack is read from the first page only
+   */
+  async checkOrganic(query, lead, options = {}) {
+    const domain = entityResolver.normalizeDomain(lead.website);
+    const result = { position: null, url: null, localPackPosition: null, resultsChecked: 0 };
+
+    for (let start = 0; start < this.depth; start += RESULTS_PER_PAGE) {
+      const html = await this.search(query, start, options.session);
+      const { organic, localPack } = this.parseResults(html);
+
+      if (start === 0) {
+        const index = localPack.findIndex(listing => this.matchesLead(listing, lead));
+        result.localPackPosition = index === -1 ? null : index + 1;
+      }
+
+      const index = domain ? organic.findIndex(url => entityResolver.normalizeDomain(url) === domain) : -1;
+      if (index !== -1) {
+        result.position = result.resultsChecked + index + 1;
+        result.url = organic[index];
+      }
+
+      result.resultsChecked += organic.length;
+
+      // Fewer than a full page means Google has nothing further
+      if (result.position || organic.length < RESULTS_PER_PAGE || !domain) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Position of the lead in the Google Maps results for the same search
+   */
+  async checkMaps(query, lead, options = {}) {
+    await this.assertAvailable();
+    await rateLimiter.checkLimit(RATE_LIMIT_KEY);
+
+    try {
+      const response = await googleMapsScraper.loadResultsPage(query, this.mapsDepth, options.session);
+      const index = googleMapsScraper.parseListings(response.data)
+        .slice(0, this.mapsDepth)
+        .findIndex(listing => this.matchesLead(listing, lead));
+
+      return index === -1 ? null : index + 1;
+
+    } catch (error) {
+      logger.warn(`Google Maps rank check failed for "${query}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load one page of web results in the session's browser
+   */
+  async search(query, start, session) {
+    await this.assertAvailable();
+    await rateLimiter.checkLimit(RATE_LIMIT_KEY);
+
+    const context = await clientFactory.getBrowserContext(session);
+    const page = await context.newPage();
+    const url = `https://www.google.com/search?q=${encodeURIComponent(query)}&hl=en&gl=us&num=${RESULTS_PER_PAGE}` +
+      (start ? `&start=${start}` : '');
+
+    try {
+      const startedAt = Date.now();
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(async error => {
+        await clientFactory.recordBrowserResult(session, { error });
+        throw error;
+      });
+
+      const html = await page.content();
+      const status = response?.status() || 200;
+      await clientFactory.recordBrowserResult(session, { status, latencyMs: Date.now() - startedAt });
+
+      const challenge = responseClassifier.detectChallenge(html, page.url()) ||
+        ([403, 429].includes(status) ? { outcome: 'blocked', reason: `HTTP ${status}` } : null);
+
+      if (challenge) {
+        const cooldown = await rateLimiter.backoff(RATE_LIMIT_KEY, `Google Search ${challenge.outcome}: ${challenge.reason}`);
+        throw new SourceResponseError(SOURCE, challenge.outcome, challenge.reason, new Date(cooldown.until).toISOString());
+      }
+
+      await rateLimiter.clearBackoff(RATE_LIMIT_KEY);
+      return html;
+
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Organic result URLs (ads and Google's own links excluded) and local pack
+   * listings ({ name, website }) from a results page
+   */
+  parseResults(html) {
+    const $ = cheerio.load(html);
+    const organic = [];
+    const localPack = [];
+
+    $('#search a[href]:has(h3), #rso a[href]:has(h3)').each((i, el) => {
+      const url = this.resultUrl($(el).attr('href'));
+      if (url && !organic.includes(url)) organic.push(url);
+    });
+
+    for (const selector of LOCAL_PACK_SELECTORS) {
+      $(selector).each((i, el) => {
+        const $el = $(el);
+        const name = $el.find('[role="heading"], .dbg0pd, .OSrXXb').first().text().trim();
+        if (!name) return;
+
+        const website = $el.find('a[href^="http"]')
+          .map((j, link) => this.resultUrl($(link).attr('href')))
+          .get()
+          .find(Boolean);
+
+        localPack.push({ name, website: website || null });
+      });
+
+      if (localPack.length > 0) break;
+    }
+
+    return { organic, localPack: localPack.slice(0, 3) };
+  }
+
+  /**
+   * Unwrap /url?q= redirects and drop links back to Google
+   */
+  resultUrl(href) {
+    if (!href) return null;
+
+    try {
+      const url = new URL(href, 'https://www.google.com');
+      const target = url.pathname === '/url' ? url.searchParams.get('q') || url.searchParams.get('url') : url.href;
+      const host = new URL(target).hostname;
+
+      return /(^|\.)google\.[a-z.]+$/.test(host) ? null : target;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a Maps or local pack listing is the lead
+   * The same place ID, phone or website settles it; otherwise the names must
+   * match closely. Place IDs come as ChIJ... or 0x...:0x..., so a mismatch proves nothing.
+   */
+  matchesLead(listing, lead) {
+    const left = entityResolver.normalize(listing);
+    const right = entityResolver.normalize(lead);
+
+    if (left.placeId && left.placeId === right.placeId) return true;
+    if (left.phone && right.phone && left.phone === right.phone) return true;
+    if (left.domain && right.domain && left.domain === right.domain) return true;
+
+    return !!(left.name && right.name) &&
+      entityResolver.nameSimilarity(left.name, right.name) >= entityResolver.matchThreshold;
+  }
+
+  async assertAvailable() {
+    const cooldown = await rateLimiter.getCooldown(RATE_LIMIT_KEY);
+    if (cooldown) {
+      throw new SourceResponseError(SOURCE, 'blocked', `cooling down after: ${cooldown.reason}`,
+        new Date(cooldown.until).toISOString());
+    }
+  }
+}
+
+module.exports = new RankChecker();
+module.exports.RankChecker = RankChecker;
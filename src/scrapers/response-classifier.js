@@ -0,0 +1,138 @@
+/**
+ * Response Classifier
+ * Tells a real results page apart from a block, a CAPTCHA or a page the
+ * parser no longer understands
+ *
+ * Outcomes:
+ *   ok             - the page produced results
+ *   empty          - the source genuinely had nothing (e.g. "No results found")
+ *   blocked        - 403/429 or a bot-protection page
+ *   captcha        - a CAPTCHA challenge was served instead of results
+ *   layout_changed - a normal-looking page that yielded nothing and does not
+ *                    say "no results"; the selectors are probably stale
+ */
+
+const cheerio = require('cheerio');
+
+const OUTCOMES = ['ok', 'empty', 'blocked', 'captcha', 'layout_changed'];
+
+// Status codes the source uses to turn scrapers away
+const BLOCKED_STATUS_CODES = [403, 429];
+
+const CAPTCHA_PATTERNS = [
+  { name: 'reCAPTCHA', pattern: /g-recaptcha|grecaptcha/i },
+  { name: 'hCaptcha', pattern: /hcaptcha\.com|h-captcha/i },
+  { name: 'DataDome', pattern: /captcha-delivery\.com/i },
+  { name: 'PerimeterX', pattern: /px-captcha/i },
+  { name: 'Cloudflare Turnstile', pattern: /challenges\.cloudflare\.com|cf-turnstile/i },
+  { name: 'Google unusual traffic', pattern: /\/sorry\/index|unusual traffic from your computer network/i }
+];
+
+const BLOCKED_PATTERNS = [
+  { name: 'Cloudflare', pattern: /Attention Required! \| Cloudflare|Sorry, you have been blocked/i },
+  { name: 'Akamai', pattern: /You don't have permission to access/i },
+  { name: 'PerimeterX', pattern: /Access to this page has been denied/i }
+];
+
+const DEFAULT_NO_RESULTS_PATTERNS = [
+  /no results found/i,
+  /no results for/i,
+  /0 results/i,
+  /did not match any/i
+];
+
+class SourceResponseError extends Error {
+  constructor(source, outcome, reason, retryAt = null) {
+    super(`${source} ${outcome.replace('_', ' ')}: ${reason}`);
+    this.name = 'SourceResponseError';
+    this.source = source;
+    this.outcome = outcome;
+    this.reason = reason;
+    this.retryAt = retryAt;
+  }
+}
+
+class ResponseClassifier {
+  /**
+   * Classify a fetched page
+   *
+   * @param {Object} response - { url, status, data } as returned by fixtureStore.fetch()
+   * @param {Array} results - Listings parsed from the page
+   * @param {Object} [options]
+   * @param {Array<RegExp>} [options.noResultsPatterns] - Text the source shows on a genuine empty search
+   * @returns {Object} { outcome, reason }
+   */
+  classify(response, results = [], options = {}) {
+    if (results.length > 0) {
+      return { outcome: 'ok', reason: `${results.length} results` };
+    }
+
+    const status = response?.status || 200;
+    const html = typeof response?.data === 'string' ? response.data : '';
+
+    const challenge = this.detectChallenge(html, response?.url);
+    if (challenge) return challenge;
+
+    if (BLOCKED_STATUS_CODES.includes(status)) {
+      return { outcome: 'blocked', reason: `HTTP ${status}` };
+    }
+
+    // JSON APIs say "nothing" with an empty list
+    if (!html) {
+      return { outcome: 'empty', reason: 'No results returned' };
+    }
+
+    const text = cheerio.load(html)('body').text();
+    const noResultsPatterns = options.noResultsPatterns || DEFAULT_NO_RESULTS_PATTERNS;
+
+    if (noResultsPatterns.some(pattern => pattern.test(text))) {
+      return { outcome: 'empty', reason: 'Source reported no results' };
+    }
+
+    return { outcome: 'layout_changed', reason: 'Page loaded but no listings matched the parser' };
+  }
+
+  /**
+   * Classify a failed request (axios error)
+   * Returns null when the failure is not a block
+   */
+  classifyError(error) {
+    const status = error.response?.status;
+    if (!status) return null;
+
+    const data = error.response.data;
+    const challenge = this.detectChallenge(typeof data === 'string' ? data : '', error.config?.url);
+    if (challenge) return challenge;
+
+    if (BLOCKED_STATUS_CODES.includes(status)) {
+      return { outcome: 'blocked', reason: `HTTP ${status}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Look for CAPTCHA and bot-protection pages
+   */
+  detectChallenge(html, url = '') {
+    const captcha = CAPTCHA_PATTERNS.find(({ pattern }) => pattern.test(html) || pattern.test(url || ''));
+    if (captcha) {
+      return { outcome: 'captcha', reason: `${captcha.name} challenge` };
+    }
+
+    const block = BLOCKED_PATTERNS.find(({ pattern }) => pattern.test(html));
+    if (block) {
+      return { outcome: 'blocked', reason: `${block.name} block page` };
+    }
+
+    return null;
+  }
+}
+
+// Singleton instance
+const responseClassifier = new ResponseClassifier();
+
+module.exports = responseClassifier;
+module.exports.ResponseClassifier = ResponseClassifier;
+module.exports.SourceResponseError = SourceResponseError;
+module.exports.OUTCOMES = OUTCOMES;
@@ -0,0 +1,246 @@
+/**
+ * Review Analyzer
+ * Sentiment, complaint themes and response/velocity metrics for collected reviews
+ *
+ * Everything runs locally against review-lexicon.json: sentiment sums word
+ * and phrase scores (flipped after a negator, boosted after an intensifier)
+ * and squashes the total into -1..1; complaint themes are regular expressions
+ * matched only in reviews that are negative or rated 3 stars or lower, so
+ * "they were not late" in a 5-star review does not count as a lateness complaint.
+ */
+
+const lexicon = require('./review-lexicon.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VELOCITY_WINDOW_DAYS = 90;
+const NEGATION_WINDOW = 3;
+
+// Phrases up to three words long are looked up before single words
+const MAX_PHRASE_WORDS = 3;
+
+class ReviewAnalyzer {
+  constructor() {
+    this.scores = { ...lexicon.positive, ...lexicon.negative };
+    this.negators = new Set(lexicon.negators);
+    this.themes = Object.entries(lexicon.themes).map(([theme, { label, patterns }]) => ({
+      theme,
+      label,
+      pattern: new RegExp(patterns.join('|'), 'i')
+    }));
+  }
+
+  /**
+   * Sentiment of a review text, -1 (negative) to 1 (positive)
+   * Falls back to the star rating when there is no text; null without either
+   */
+  sentiment(text, rating = null) {
+    // A negator only reaches words in its own clause
+    const clauses = normalizeText(text)
+      .toLowerCase()
+      .split(/[.!?;,]+|\bbut\b/)
+      .map(clause => clause.match(/[a-z]+(?:['-][a-z]+)*/g) || [])
+      .filter(words => words.length > 0);
+
+    if (clauses.length === 0) {
+      return Number.isFinite(rating) ? round((rating - 3) / 2) : null;
+    }
+
+    const total = clauses.reduce((sum, words) => sum + this.scoreClause(words), 0);
+
+    return round(total / Math.sqrt(total * total + 15));
+  }
+
+  scoreClause(words) {
+    let total = 0;
+
+    for (let i = 0; i < words.length; i++) {
+      const match = this.lookup(words, i);
+      if (!match) continue;
+
+      let value = match.score;
+
+      const intensifier = lexicon.intensifiers[words[i - 1]];
+      if (intensifier) value *= intensifier;
+
+      if (this.isNegated(words, i)) value *= -0.75;
+
+      total += value;
+      i += match.length - 1;
+    }
+
+    return total;
+  }
+
+  /**
+   * Longest lexicon phrase starting at words[index]
+   */
+  lookup(words, index) {
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - index); length > 0; length--) {
+      const phrase = words.slice(index, index + length).join(' ');
+      if (phrase in this.scores) {
+        return { score: this.scores[phrase], length };
+      }
+    }
+    return null;
+  }
+
+  isNegated(words, index) {
+    const before = words.slice(Math.max(0, index - NEGATION_WINDOW), index);
+    return before.some((word, i) => this.negators.has(word) || this.negators.has(`${word} ${before[i + 1]}`));
+  }
+
+  /**
+   * Complaint themes mentioned in a text: ['no_show', 'late', ...]
+   */
+  complaintThemes(text) {
+    if (!text) return [];
+    return this.themes.filter(({ pattern }) => pattern.test(normalizeText(text))).map(({ theme }) => theme);
+  }
+
+  /**
+   * Sentiment and complaint themes for one review
+   * @returns {Object} { sentiment, sentimentLabel, themes }
+   */
+  analyzeReview(review) {
+    const sentiment = this.sentiment(review.text, review.rating);
+    const complaint = (sentiment !== null && sentiment < 0) ||
+      (Number.isFinite(review.rating) && review.rating <= 3);
+
+    return {
+      sentiment,
+      sentimentLabel: label(sentiment),
+      themes: complaint ? this.complaintThemes(review.text) : []
+    };
+  }
+
+  /**
+   * Roll reviews up into the metrics stored on the lead as review_analysis
+   *
+   * @param {Array} reviews - [{ source, rating, text, publishedAt, responded, sentiment, themes }]
+   *   (responded null = unknown; sentiment and themes are filled in when missing)
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Object|null} { reviewsAnalyzed, sources, averageRating, ownerResponseRate, respondedCount,
+   *   unansweredNegative, reviewsLast90Days, previous90Days, velocity90d, velocityTrend,
+   *   daysSinceLastReview, averageSentiment, sentiment: { positive, neutral, negative },
+   *   complaintThemes: [{ theme, label, count, share, example }], analyzedAt }
+   *   null when there are no reviews
+   */
+  summarize(reviews, options = {}) {
+    if (!reviews || reviews.length === 0) return null;
+
+    const now = options.now || new Date();
+    const analyzed = reviews.map(review => (
+      review.sentiment === undefined || review.themes === undefined
+        ? { ...review, ...this.analyzeReview(review) }
+        : review
+    ));
+
+    const sources = {};
+    for (const review of analyzed) {
+      sources[review.source] = (sources[review.source] || 0) + 1;
+    }
+
+    const rated = analyzed.filter(review => Number.isFinite(review.rating));
+    const known = analyzed.filter(review => review.responded === true || review.responded === false);
+    const responded = known.filter(review => review.responded).length;
+
+    // Velocity from publish dates; Google's are approximate ("2 months ago")
+    const ages = analyzed
+      .map(review => review.publishedAt ? (now - new Date(review.publishedAt)) / DAY_MS : null)
+      .filter(age => age !== null && age >= 0);
+    const last90 = ages.filter(age => age <= VELOCITY_WINDOW_DAYS).length;
+    const previous90 = ages.filter(age => age > VELOCITY_WINDOW_DAYS && age <= 2 * VELOCITY_WINDOW_DAYS).length;
+
+    const sentiments = analyzed.map(review => review.sentiment).filter(value => value !== null);
+    const negative = analyzed.filter(review => label(review.sentiment) === 'negative' ||
+      (Number.isFinite(review.rating) && review.rating <= 3));
+
+    return {
+      reviewsAnalyzed: analyzed.length,
+      sources,
+      averageRating: rated.length > 0
+        ? round(rated.reduce((sum, review) => sum + review.rating, 0) / rated.length, 2)
+        : null,
+      ownerResponseRate: known.length > 0 ? round(responded / known.length, 2) : null,
+      respondedCount: responded,
+      unansweredNegative: negative.filter(review => review.responded === false).length,
+      reviewsLast90Days: last90,
+      previous90Days: previous90,
+      velocity90d: round(last90 / (VELOCITY_WINDOW_DAYS / 30), 1),
+      velocityTrend: trend(last90, previous90),
+      daysSinceLastReview: ages.length > 0 ? Math.floor(Math.min(...ages)) : null,
+      averageSentiment: sentiments.length > 0
+        ? round(sentiments.reduce((sum, value) => sum + value, 0) / sentiments.length)
+        : null,
+      sentiment: {
+        positive: analyzed.filter(review => label(review.sentiment) === 'positive').length,
+        neutral: analyzed.filter(review => label(review.sentiment) === 'neutral').length,
+        negative: analyzed.filter(review => label(review.sentiment) === 'negative').length
+      },
+      complaintThemes: this.rankThemes(analyzed, negative.length),
+      analyzedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Themes by number of reviews mentioning them, with the share of complaint
+   * reviews and the shortest example text
+   */
+  rankThemes(reviews, complaintCount) {
+    return this.themes
+      .map(({ theme, label: themeLabel }) => {
+        const mentions = reviews.filter(review => (review.themes || []).includes(theme));
+        const example = mentions
+          .map(review => review.text)
+          .filter(Boolean)
+          .sort((a, b) => a.length - b.length)[0];
+
+        return {
+          theme,
+          label: themeLabel,
+          count: mentions.length,
+          share: complaintCount > 0 ? round(mentions.length / complaintCount, 2) : 0,
+          example: example ? truncate(example, 200) : null
+        };
+      })
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count);
+  }
+}
+
+/**
+ * Straight apostrophes, so "didn’t" matches the lexicon
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/[\u2018\u2019]/g, "'");
+}
+
+function label(sentiment) {
+  if (sentiment === null || sentiment === undefined) return null;
+  if (sentiment > 0.05) return 'positive';
+  if (sentiment < -0.05) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * 'up' / 'down' when the last 90 days differ from the 90 before by more than 20%
+ */
+function trend(current, previous) {
+  if (current === 0 && previous === 0) return null;
+  if (current > previous * 1.2) return 'up';
+  if (current < previous * 0.8) return 'down';
+  return 'flat';
+}
+
+function round(value, places = 3) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trim()}…` : text;
+}
+
+module.exports = new ReviewAnalyzer();
+module.exports.ReviewAnalyzer = ReviewAnalyzer;
@@ -0,0 +1,305 @@
+/**
+ * Review Collector
+ * Pulls a lead's individual reviews from Google Maps and Yelp, newest first
+ *
+ * Google reviews come from the place page's Reviews tab (sorted by newest and
+ * scrolled until REVIEW_COLLECT_MAX are loaded) in the session's browser; Yelp
+ * reviews from the business page, ten per request, over HTTP. Each source
+ * shares its rate limit and block cool-down with the matching scraper.
+ * Google only shows relative dates ("3 weeks ago"), so its publishedAt is an
+ * estimate. Sentiment and themes are added later by review-analyzer.
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rate-limiter');
+const clientFactory = require('./client-factory');
+const gbpAuditor = require('./gbp-auditor');
+const responseClassifier = require('./response-classifier');
+const { SourceResponseError } = require('./response-classifier');
+const { relativeDays } = gbpAuditor;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YELP_PAGE_SIZE = 10;
+
+class ReviewCollector {
+  constructor(options = {}) {
+    this.maxReviews = options.maxReviews || parseInt(process.env.REVIEW_COLLECT_MAX) || 100;
+    this.http = clientFactory.createHttpClient({
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      },
+      timeout: 30000
+    });
+  }
+
+  /**
+   * Collect reviews from every source the lead can be found on
+   *
+   * @param {Object} lead - Lead row (google_place_id, source_url, website, company_name)
+   * @param {Object} [options]
+   * @param {string} [options.session] - Proxy/profile session (see client-factory)
+   * @returns {Object} { reviews, sources: { google: { collected, error }, yelp: { ... } } }
+   *   reviews: [{ source, reviewId, author, rating, text, publishedAt, responded,
+   *   ownerResponse }]
+   * @throws {SourceResponseError} When every source was blocked and nothing was collected
+   */
+  async collect(lead, options = {}) {
+    const sources = {};
+    const reviews = [];
+    const blocked = [];
+
+    const targets = [
+      { source: 'google', url: gbpAuditor.placeUrlFor(lead), collect: url => this.collectGoogle(url, options.session) },
+      { source: 'yelp', url: this.yelpUrlFor(lead), collect: url => this.collectYelp(url, options.session) }
+    ];
+
+    for (const { source, url, collect } of targets) {
+      if (!url) continue;
+
+      try {
+        const collected = await collect(url);
+        reviews.push(...collected);
+        sources[source] = { collected: collected.length, error: null };
+
+      } catch (error) {
+        if (error instanceof SourceResponseError) blocked.push(error);
+
+        logger.warn(`Review collection from ${source} failed for ${lead.company_name}:`, error.message);
+        sources[source] = { collected: 0, error: error.message };
+      }
+    }
+
+    if (reviews.length === 0 && blocked.length > 0) {
+      throw blocked[0];
+    }
+
+    logger.info(`Collected ${reviews.length} reviews for ${lead.company_name}`, sources);
+
+    return { reviews, sources };
+  }
+
+  /**
+   * Yelp business page for a lead, without tracking parameters
+   * Yelp API leads keep it in website, scraped ones in source_url
+   */
+  yelpUrlFor(lead) {
+    for (const value of [lead.source_url, lead.website]) {
+      const match = String(value || '').match(/^https?:\/\/(?:www\.)?yelp\.com\/biz\/([^/?#]+)/i);
+      if (match) return `https://www.yelp.com/biz/${match[1]}`;
+    }
+    return null;
+  }
+
+  /**
+   * Newest Google reviews from the place page
+   */
+  async collectGoogle(placeUrl, session) {
+    await assertAvailable('google', 'google_reviews');
+    await rateLimiter.checkLimit('google');
+
+    const context = await clientFactory.getBrowserContext(session);
+    const page = await context.newPage();
+
+    try {
+      const startedAt = Date.now();
+      const response = await page.goto(placeUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(async error => {
+        await clientFactory.recordBrowserResult(session, { error });
+        throw error;
+      });
+
+      await clientFactory.recordBrowserResult(session, {
+        status: response?.status() || 200,
+        latencyMs: Date.now() - startedAt
+      });
+
+      const challenge = responseClassifier.detectChallenge(await page.content(), page.url());
+      if (challenge) {
+        const cooldown = await rateLimiter.backoff('google', `Google reviews ${challenge.outcome}: ${challenge.reason}`);
+        throw new SourceResponseError('google_reviews', challenge.outcome, challenge.reason, new Date(cooldown.until).toISOString());
+      }
+
+      const tab = await page.$('button[role="tab"][aria-label*="Reviews"]');
+      if (!tab) return [];
+
+      await tab.click();
+      await page.waitForSelector('[data-review-id]', { timeout: 8000 }).catch(() => {});
+      await this.sortGoogleByNewest(page);
+
+      // Each scroll loads about ten more; stop when the count stops growing
+      let loaded = 0;
+      for (let scroll = 0; scroll < Math.ceil(this.maxReviews / 10) + 2; scroll++) {
+        const count = await page.evaluate(() => {
+          const reviews = document.querySelectorAll('[data-review-id][aria-label]');
+          const panel = reviews[0]?.closest('[tabindex="-1"]');
+          if (panel) panel.scrollTop = panel.scrollHeight;
+          return reviews.length;
+        });
+
+        if (count >= this.maxReviews || (scroll > 0 && count === loaded)) break;
+        loaded = count;
+        await page.waitForTimeout(1500);
+      }
+
+      // Expand truncated texts and owner responses
+      await page.$$eval('button[aria-label="See more"], button.w8nwRe', buttons => buttons.forEach(button => button.click()))
+        .catch(() => {});
+
+      await rateLimiter.clearBackoff('google');
+      return this.parseGoogleReviews(await page.content()).slice(0, this.maxReviews);
+
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async sortGoogleByNewest(page) {
+    const sort = await page.$('button[aria-label*="Sort reviews"], button[data-value="Sort"]');
+    if (!sort) return;
+
+    await sort.click();
+    const newest = await page.waitForSelector('[role="menuitemradio"]:has-text("Newest")', { timeout: 5000 }).catch(() => null);
+    if (newest) {
+      await newest.click();
+      await page.waitForTimeout(1500);
+    }
+  }
+
+  /**
+   * Reviews from a rendered Google Reviews tab
+   * Nested elements repeat data-review-id; the outermost one is the review
+   */
+  parseGoogleReviews(html, now = new Date()) {
+    const $ = cheerio.load(html);
+    const reviews = [];
+    const seen = new Set();
+
+    $('[data-review-id]').each((i, el) => {
+      const $el = $(el);
+      const reviewId = $el.attr('data-review-id');
+      if (!reviewId || seen.has(reviewId)) return;
+      seen.add(reviewId);
+
+      const ratingLabel = $el.find('[role="img"][aria-label*="star"]').first().attr('aria-label') || '';
+      const rating = ratingLabel.match(/(\d(?:\.\d)?)/);
+
+      // Outermost block whose text starts with the owner response header
+      const $response = $el.find('div').filter((j, node) => /^Response from the owner/i.test($(node).text().trim())).first();
+      const responseText = $response.find('.wiI7pd').text().trim() ||
+        $response.text().trim().replace(/^Response from the owner\s*(?:\S+ )?\S+ ago/i, '').trim();
+
+      const text = $el.find('.wiI7pd')
+        .filter((j, node) => $response.length === 0 || !cheerio.contains($response[0], node))
+        .first()
+        .text()
+        .trim();
+
+      const dateText = $el.find('.rsqaWe').first().text().trim() ||
+        $el.find('span').map((j, node) => $(node).text().trim()).get().find(value => relativeDays(value.replace(/^Edited\s+/i, '')) !== null) ||
+        '';
+      const days = relativeDays(dateText.replace(/^Edited\s+/i, ''));
+
+      reviews.push({
+        source: 'google',
+        reviewId,
+        author: $el.attr('aria-label') || $el.find('.d4r55').first().text().trim() || null,
+        rating: rating ? parseFloat(rating[1]) : null,
+        text: text || null,
+        publishedAt: days === null ? null : new Date(now.getTime() - days * DAY_MS).toISOString(),
+        responded: $response.length > 0,
+        ownerResponse: $response.length > 0 ? responseText || null : null
+      });
+    });
+
+    return reviews;
+  }
+
+  /**
+   * Newest Yelp reviews from the business page
+   */
+  async collectYelp(bizUrl, session) {
+    const reviews = [];
+
+    for (let start = 0; start < this.maxReviews; start += YELP_PAGE_SIZE) {
+      await assertAvailable('yelp', 'yelp_reviews');
+      await rateLimiter.checkLimit('yelp');
+
+      const url = `${bizUrl}?sort_by=date_desc${start ? `&start=${start}` : ''}`;
+      const response = await this.http.get(url, { session });
+
+      const challenge = responseClassifier.detectChallenge(response.data, url);
+      if (challenge) {
+        const cooldown = await rateLimiter.backoff('yelp', `Yelp reviews ${challenge.outcome}: ${challenge.reason}`);
+        throw new SourceResponseError('yelp_reviews', challenge.outcome, challenge.reason, new Date(cooldown.until).toISOString());
+      }
+
+      const page = this.parseYelpReviews(response.data);
+      reviews.push(...page);
+
+      if (page.length < YELP_PAGE_SIZE) break;
+    }
+
+    return reviews.slice(0, this.maxReviews);
+  }
+
+  /**
+   * Reviews from a Yelp business page
+   */
+  parseYelpReviews(html) {
+    const $ = cheerio.load(html);
+    const reviews = [];
+
+    $('#reviews li, section[aria-label*="Reviews"] li').each((i, el) => {
+      const $el = $(el);
+      const ratingLabel = $el.find('[aria-label$="star rating"]').first().attr('aria-label');
+      if (!ratingLabel) return;
+
+      const dateText = $el.find('span').map((j, node) => $(node).text().trim()).get()
+        .find(value => /^[A-Z][a-z]{2} \d{1,2}, \d{4}$/.test(value));
+      const published = dateText ? new Date(`${dateText} UTC`) : null;
+
+      const text = $el.find('p[class*="comment"] span[lang], p[class*="comment"]').first().text().trim();
+      const author = $el.find('a[href^="/user_details"]').first().text().trim() || null;
+
+      const $reply = $el.find('[class*="bizOwnerReply"], [class*="business-owner-reply"]').first();
+      const replied = $reply.length > 0 || /Business Owner|Business Customer Service/.test($el.text());
+
+      const reviewId = ($el.find('a[href*="hrid="]').attr('href') || '').match(/hrid=([^&]+)/)?.[1] ||
+        fallbackId(author, dateText, text);
+
+      if (reviews.some(review => review.reviewId === reviewId)) return;
+
+      reviews.push({
+        source: 'yelp',
+        reviewId,
+        author,
+        rating: parseFloat(ratingLabel) || null,
+        text: text || null,
+        publishedAt: published && !isNaN(published) ? published.toISOString() : null,
+        responded: replied,
+        ownerResponse: $reply.length > 0 ? $reply.find('p, span[lang]').last().text().trim() || null : null
+      });
+    });
+
+    return reviews;
+  }
+}
+
+async function assertAvailable(rateLimitKey, source) {
+  const cooldown = await rateLimiter.getCooldown(rateLimitKey);
+  if (cooldown) {
+    throw new SourceResponseError(source, 'blocked', `cooling down after: ${cooldown.reason}`,
+      new Date(cooldown.until).toISOString());
+  }
+}
+
+/**
+ * Stable ID for reviews the page gives none for
+ */
+function fallbackId(...parts) {
+  return crypto.createHash('sha1').update(parts.map(part => part || '').join('|')).digest('hex').slice(0, 16);
+}
+
+module.exports = new ReviewCollector();
+module.exports.ReviewCollector = ReviewCollector;
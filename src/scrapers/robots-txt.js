@@ -0,0 +1,116 @@
+/**
+ * robots.txt
+ * Parses a robots.txt file and answers whether a path may be crawled
+ *
+ * Follows RFC 9309: the group for the most specific matching user agent
+ * wins (falling back to `*`), the longest matching Allow/Disallow rule
+ * decides, Allow wins ties, and `*` / `$` wildcards are supported.
+ */
+
+class RobotsTxt {
+  /**
+   * @param {string} text - robots.txt contents ('' when the site has none)
+   * @param {string} [userAgent] - Product token to look for, e.g. 'ServiceLineBot'
+   */
+  constructor(text = '', userAgent = '*') {
+    this.userAgent = userAgent.toLowerCase();
+    this.groups = [];
+    this.sitemaps = [];
+    this.parse(text);
+
+    const group = this.selectGroup();
+    this.rules = group?.rules || [];
+    this.crawlDelay = group?.crawlDelay || null; // seconds
+  }
+
+  parse(text) {
+    let group = null;
+    let collectingAgents = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!collectingAgents) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        collectingAgents = true;
+        continue;
+      }
+
+      collectingAgents = false;
+      if (!group) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything
+        if (value) group.rules.push({ allow: field === 'allow', pattern: value, regex: toRegex(value) });
+      } else if (field === 'crawl-delay') {
+        group.crawlDelay = parseFloat(value) || null;
+      }
+    }
+  }
+
+  selectGroup() {
+    if (this.userAgent !== '*') {
+      const specific = this.groups.find(group =>
+        group.agents.some(agent => agent !== '*' && this.userAgent.includes(agent))
+      );
+      if (specific) return specific;
+    }
+
+    return this.groups.find(group => group.agents.includes('*')) || null;
+  }
+
+  /**
+   * @param {string} url - Absolute URL or path
+   */
+  isAllowed(url) {
+    let target = url;
+
+    try {
+      const parsed = new URL(url, 'http://robots.invalid');
+      target = parsed.pathname + parsed.search;
+    } catch (error) {
+      // Treat as a path
+    }
+
+    let decision = null;
+
+    for (const rule of this.rules) {
+      if (!rule.regex.test(target)) continue;
+
+      if (!decision ||
+          rule.pattern.length > decision.pattern.length ||
+          (rule.pattern.length === decision.pattern.length && rule.allow)) {
+        decision = rule;
+      }
+    }
+
+    return decision ? decision.allow : true;
+  }
+}
+
+function toRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+module.exports = RobotsTxt;
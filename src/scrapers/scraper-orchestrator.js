@@ -4,15 +4,16 @@
  */
 
 const HomeServiceScraper = require('./home-service-scraper');
-const LeadScorer = require('../scoring/lead-scorer');
+const targetAreas = require('./target-areas');
+const scoringProfiles = require('../services/scoring-profile-service');
 const { updateLeadScore, getUnscoredLeads } = require('../database/supabase-client');
+const { saveScoreHistory } = require('../database/lead-repository');
 const logger = require('../utils/logger');
 const cron = require('node-cron');
 
 class ScraperOrchestrator {
   constructor() {
     this.scraper = null;
-    this.scorer = new LeadScorer();
     this.isRunning = false;
     this.cronJob = null;
   }
@@ -33,9 +34,15 @@ class ScraperOrchestrator {
       const {
         industries = ['HVAC', 'PLUMBING', 'ROOFING', 'ELECTRICAL'],
         locations = ['United States'],
-        maxLeadsPerIndustry = 50
+        targets = null,
+        maxLeadsPerIndustry = 50,
+        sources = null,
+        grid = false
       } = options;
 
+      // Target areas (ZIPs, counties, radii) replace the free-text location
+      const areas = targets?.length ? targetAreas.expand(targets) : null;
+
       const results = {
         totalLeads: 0,
         totalScored: 0,
@@ -50,8 +57,15 @@ class ScraperOrchestrator {
         
         try {
           // Scrape leads
-          this.scraper = new HomeServiceScraper({ maxResults: maxLeadsPerIndustry });
-          const leads = await this.scraper.scrapeAllSources(industry, locations[0]);
+          this.scraper = new HomeServiceScraper({ maxResults: maxLeadsPerIndustry, sources, grid });
+          const leads = [];
+          if (areas) {
+            for (const area of areas) {
+              leads.push(...await this.scraper.scrapeAllSources(industry, area.label, area));
+            }
+          } else {
+            leads.push(...await this.scraper.scrapeAllSources(industry, locations[0]));
+          }
           
           results.totalLeads += leads.length;
           results.industries[industry] = {
@@ -61,7 +75,8 @@ class ScraperOrchestrator {
 
           // Score leads
           if (leads.length > 0) {
-            const scoredLeads = await this.scorer.scoreLeads(leads);
+            const scorer = await scoringProfiles.getScorer();
+            const scoredLeads = await scorer.scoreLeads(leads);
             results.industries[industry].leadsScored = scoredLeads.length;
             results.totalScored += scoredLeads.length;
 
@@ -110,7 +125,8 @@ class ScraperOrchestrator {
         return { scored: 0, message: 'No unscored leads found' };
       }
 
-      const scoredLeads = await this.scorer.scoreLeads(unscoredLeads);
+      const scorer = await scoringProfiles.getScorer();
+      const scoredLeads = await scorer.scoreLeads(unscoredLeads);
       await this.updateLeadScores(scoredLeads);
 
       logger.info(`Successfully scored ${scoredLeads.length} leads`);
@@ -131,14 +147,26 @@ class ScraperOrchestrator {
 
     for (const lead of scoredLeads) {
       try {
-        await updateLeadScore(lead.id, {
+        const scoreData = {
           totalScore: lead.score,
+          ruleScore: lead.rule_score,
+          model: lead.score_model,
           tier: lead.tier,
+          confidence: { score: lead.score_confidence },
           componentScores: lead.component_scores,
           recommendations: lead.recommendations,
+          profile: { id: lead.scoring_profile_id, version: lead.scoring_profile_version },
           calculatedAt: lead.scored_at
-        });
+        };
+
+        await updateLeadScore(lead.id, scoreData);
         updated++;
+
+        // Campaign leads are new or unscored, so there is no previous score to keep
+        if (lead.tier !== 'Error') {
+          await saveScoreHistory({ id: lead.id }, scoreData)
+            .catch(error => logger.warn(`Score history not recorded for lead ${lead.id}:`, error.message));
+        }
       } catch (error) {
         logger.error(`Error updating score for lead ${lead.id}:`, error);
       }
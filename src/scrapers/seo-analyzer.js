@@ -3,16 +3,23 @@
  * Analyzes website SEO metrics and ad presence
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const clientFactory = require('./client-factory');
+const techFingerprinter = require('./tech-fingerprinter');
+const siteCrawler = require('./site-crawler');
+const seoMetrics = require('./seo-metrics');
+const { pageKey } = require('./site-crawler');
+const servicePages = require('./service-pages.json');
+
+const THIN_PAGE_WORDS = parseInt(process.env.SEO_AUDIT_THIN_PAGE_WORDS) || 250;
+
+// Pages that list the towns a contractor covers
+const SERVICE_AREA_PATTERN = /service[- ]areas?|areas[- ]we[- ]serve|cities[- ]we[- ]serve|locations|where[- ]we[- ]work/i;
 
 class SEOAnalyzer {
   constructor() {
-    this.axiosInstance = axios.create({
-      headers: {
-        'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
+    this.axiosInstance = clientFactory.createHttpClient({
       timeout: 15000,
       maxRedirects: 5
     });
@@ -32,16 +39,18 @@ class SEOAnalyzer {
     logger.info(`Analyzing SEO for: ${url}`);
 
     try {
-      const [basicSEO, adsPresence] = await Promise.allSettled([
+      const [basicSEO, adsPresence, metrics] = await Promise.allSettled([
         this.analyzeBasicSEO(url),
-        this.checkAdsPresence(url)
+        this.checkAdsPresence(url),
+        this.getSeoMetrics(url)
       ]);
 
       const result = {
         url,
         analyzedAt: new Date().toISOString(),
         ...( basicSEO.status === 'fulfilled' ? basicSEO.value : {}),
-        ...(adsPresence.status === 'fulfilled' ? adsPresence.value : {})
+        ...(adsPresence.status === 'fulfilled' ? adsPresence.value : {}),
+        ...(metrics.status === 'fulfilled' ? metrics.value : {})
       };
 
       // Calculate overall SEO score
@@ -63,6 +72,8 @@ class SEOAnalyzer {
       const response = await this.axiosInstance.get(url);
       const $ = cheerio.load(response.data);
       const html = response.data;
+      const techStack = techFingerprinter.detect({ html, headers: response.headers, $ });
+      const tech = techFingerprinter.summarize(techStack);
 
       return {
         // Title tag
@@ -84,8 +95,16 @@ class SEOAnalyzer {
         hasMobileViewport: $('meta[name="viewport"]').length > 0,
         
         // Analytics
-        hasGoogleAnalytics: html.includes('google-analytics.com') || html.includes('gtag'),
-        hasFacebookPixel: html.includes('facebook.net/en_US/fbevents.js') || html.includes('fbq'),
+        hasGoogleAnalytics: tech.hasGoogleAnalytics,
+        hasFacebookPixel: tech.hasFacebookPixel,
+
+        // CMS, booking, chat, call tracking and review vendors (see tech-fingerprinter)
+        techStack,
+        cms: tech.cms,
+        hasOnlineBooking: tech.hasOnlineBooking,
+        hasLiveChat: tech.hasLiveChat,
+        hasCallTracking: tech.hasCallTracking,
+        hasReviewWidget: tech.hasReviewWidget,
         
         // SSL
         hasSSL: url.startsWith('https'),
@@ -103,6 +122,156 @@ class SEOAnalyzer {
     }
   }
 
+  /**
+   * Crawl the whole site (see site-crawler) and report on-site SEO problems
+   *
+   * @param {string} website
+   * @param {Object} [options]
+   * @param {string} [options.industry] - Lead industry, picks the expected service pages
+   * @param {string} [options.city] - Lead city, for location page checks
+   * @param {string} [options.session] - Proxy/profile session
+   * @returns {Object} seo_audit document: { url, crawledAt, pagesCrawled, truncated, robotsTxt,
+   *   sitemap, blockedByRobots, pages, issues, servicePages, locationPages, issueCount }
+   */
+  async auditSite(website, options = {}) {
+    const crawl = await siteCrawler.crawl(website, { session: options.session });
+    const okPages = crawl.pages.filter(page => page.status === 200);
+    const indexable = okPages.filter(page => !page.noindex);
+
+    const issues = {
+      missingTitles: indexable.filter(page => !page.titles[0]).map(page => page.url),
+      duplicateTitles: findDuplicates(indexable, page => page.titles[0]),
+      missingMetaDescriptions: indexable.filter(page => !page.metaDescriptions[0]).map(page => page.url),
+      duplicateMetaDescriptions: findDuplicates(indexable, page => page.metaDescriptions[0]),
+      missingH1: indexable.filter(page => page.h1Count === 0).map(page => page.url),
+      multipleH1: indexable.filter(page => page.h1Count > 1).map(page => page.url),
+      thinPages: indexable
+        .filter(page => page.wordCount < THIN_PAGE_WORDS)
+        .map(page => ({ url: page.url, wordCount: page.wordCount })),
+      brokenLinks: crawl.links
+        .filter(link => link.status >= 400 && link.foundOn)
+        .map(link => ({ url: link.url, status: link.status, foundOn: link.foundOn })),
+      canonical: this.findCanonicalIssues(okPages, crawl.links)
+    };
+
+    const audit = {
+      url: crawl.url,
+      crawledAt: crawl.crawledAt,
+      pagesCrawled: crawl.pages.length,
+      truncated: crawl.truncated,
+      robotsTxt: crawl.robotsTxt,
+      sitemap: crawl.sitemap,
+      blockedByRobots: crawl.blockedByRobots,
+      pages: crawl.pages.map(page => ({
+        url: page.url,
+        status: page.status,
+        depth: page.depth,
+        title: page.titles[0] || null,
+        metaDescription: page.metaDescriptions[0] || null,
+        h1Count: page.h1Count,
+        wordCount: page.wordCount,
+        canonical: page.canonicals[0] || null,
+        noindex: page.noindex
+      })),
+      issues,
+      servicePages: this.checkServicePages(okPages, options.industry),
+      locationPages: this.checkLocationPages(okPages, options.city)
+    };
+
+    audit.issueCount = Object.values(issues).reduce((count, list) => count + list.length, 0) +
+      (audit.servicePages?.missing.length || 0) +
+      (audit.locationPages?.missing ? 1 : 0) +
+      (crawl.sitemap.present ? 0 : 1) +
+      (crawl.robotsTxt.present ? 0 : 1);
+
+    logger.info(`SEO audit for ${crawl.url}: ${crawl.pages.length} pages, ${audit.issueCount} issues`);
+    return audit;
+  }
+
+  /**
+   * Canonical tags that are missing, repeated, or point somewhere odd
+   */
+  findCanonicalIssues(pages, links) {
+    const statusByKey = new Map(links.map(link => [pageKey(link.url), link.status]));
+    const problems = [];
+
+    for (const page of pages) {
+      const [canonical] = page.canonicals;
+      const add = problem => problems.push({ url: page.url, canonical: canonical || null, problem });
+
+      if (!canonical) {
+        if (!page.noindex) add('missing');
+        continue;
+      }
+
+      if (new Set(page.canonicals).size > 1) add('multiple');
+
+      const target = new URL(canonical);
+      const self = new URL(page.finalUrl || page.url);
+
+      if (target.hostname.replace(/^www\./, '') !== self.hostname.replace(/^www\./, '')) {
+        add('cross_domain');
+      } else if (target.protocol === 'http:' && self.protocol === 'https:') {
+        add('insecure');
+      } else if (pageKey(canonical) !== pageKey(self.href)) {
+        add(statusByKey.get(pageKey(canonical)) >= 400 ? 'broken' : 'points_elsewhere');
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Service pages a site in this industry would be expected to have
+   * (see service-pages.json), matched on URL path and title
+   */
+  checkServicePages(pages, industry) {
+    const expected = servicePages[String(industry || '').toLowerCase()];
+    if (!expected) return null;
+
+    const found = [];
+    const missing = [];
+
+    for (const { service, patterns } of expected) {
+      const regexes = patterns.map(pattern => new RegExp(pattern, 'i'));
+      const page = pages.find(candidate => {
+        const text = `${new URL(candidate.url).pathname} ${candidate.titles[0] || ''}`;
+        return new URL(candidate.url).pathname !== '/' && regexes.some(regex => regex.test(text));
+      });
+
+      if (page) {
+        found.push({ service, url: page.url });
+      } else {
+        missing.push(service);
+      }
+    }
+
+    return { expected: expected.length, found, missing };
+  }
+
+  /**
+   * A service area page, or pages targeting the lead's city
+   */
+  checkLocationPages(pages, city) {
+    const citySlug = city ? city.toLowerCase().trim().replace(/[^a-z0-9]+/g, '[- ]?') : null;
+    const cityPattern = citySlug ? new RegExp(citySlug, 'i') : null;
+
+    const inner = pages.filter(page => new URL(page.url).pathname !== '/');
+    const serviceAreaPage = inner.find(page =>
+      SERVICE_AREA_PATTERN.test(new URL(page.url).pathname) || SERVICE_AREA_PATTERN.test(page.titles[0] || '')
+    );
+    const cityPages = cityPattern
+      ? inner.filter(page => cityPattern.test(new URL(page.url).pathname)).map(page => page.url)
+      : [];
+
+    return {
+      city: city || null,
+      serviceAreaPage: serviceAreaPage?.url || null,
+      cityPages,
+      missing: !serviceAreaPage && cityPages.length === 0
+    };
+  }
+
   /**
    * Check for Google Ads and Facebook Ads presence
    */
@@ -277,35 +446,66 @@ class SEOAnalyzer {
   }
 
   /**
-   * Get organic keyword rankings (requires third-party API)
+   * Keyword, backlink and authority metrics from the configured providers
+   * (see seo-metrics). Fields are null when no provider could supply them.
+   */
+  async getSeoMetrics(url) {
+    const metrics = await seoMetrics.getMetrics(url);
+    if (!metrics) return {};
+
+    return {
+      organicKeywords: metrics.organicKeywords,
+      organicTraffic: metrics.organicTraffic,
+      topKeywords: metrics.topKeywords,
+      estimatedRanking: metrics.estimatedRanking,
+      backlinksCount: metrics.backlinksCount,
+      referringDomains: metrics.referringDomains,
+      domainAuthority: metrics.domainAuthority,
+      seoMetricSources: metrics.sources
+    };
+  }
+
+  /**
+   * Get organic keyword count
    */
   async getOrganicKeywords(domain) {
-    // This would integrate with services like:
-    // - SEMrush API
-    // - Ahrefs API
-    // - Moz API
-    
-    logger.info('Organic keyword tracking requires third-party API integration');
-    return null;
+    const metrics = await seoMetrics.getMetrics(domain);
+    return metrics?.organicKeywords ?? null;
   }
 
   /**
-   * Get backlinks count (requires third-party API)
+   * Get backlinks count
    */
   async getBacklinksCount(domain) {
-    // Would integrate with Ahrefs, Moz, or similar
-    logger.info('Backlink tracking requires third-party API integration');
-    return null;
+    const metrics = await seoMetrics.getMetrics(domain);
+    return metrics?.backlinksCount ?? null;
   }
 
   /**
-   * Get domain authority (requires Moz API)
+   * Get domain authority (0-100)
    */
   async getDomainAuthority(domain) {
-    // Would integrate with Moz API
-    logger.info('Domain authority requires Moz API integration');
-    return null;
+    const metrics = await seoMetrics.getMetrics(domain);
+    return metrics?.domainAuthority ?? null;
   }
 }
 
+/**
+ * Values shared by more than one page: [{ value, urls }]
+ */
+function findDuplicates(pages, getValue) {
+  const groups = new Map();
+
+  for (const page of pages) {
+    const value = getValue(page);
+    if (!value) continue;
+
+    const key = value.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { value, urls: [] });
+    groups.get(key).urls.push(page.url);
+  }
+
+  return Array.from(groups.values()).filter(group => group.urls.length > 1);
+}
+
 module.exports = new SEOAnalyzer();
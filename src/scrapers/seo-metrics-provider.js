@@ -0,0 +1,73 @@
+/**
+ * SEO Metrics Provider
+ * Base interface for third-party SEO data APIs (SEMrush, Ahrefs, Moz...)
+ *
+ * A provider fetches some or all of the metrics below for a domain and
+ * declares which ones it supplies, so seo-metrics can take each metric from
+ * the first configured provider that has it.
+ */
+
+const axios = require('axios');
+
+// Everything a provider may return; anything it does not supply is left out
+const METRICS = [
+  'organicKeywords',   // Keywords the domain ranks for in the top 100
+  'organicTraffic',    // Estimated monthly organic visits
+  'topKeywords',       // [{ keyword, position, volume, url }], best traffic first
+  'backlinksCount',    // Live backlinks to the domain
+  'referringDomains',  // Distinct domains linking to it
+  'domainAuthority'    // 0-100 authority (Moz DA, Ahrefs DR, SEMrush Authority Score)
+];
+
+class SeoMetricsProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Unique provider name, used in cache keys and SEO_METRICS_PROVIDERS
+   * @param {string} [options.label] - Human readable name for logs
+   * @param {Array<string>} options.metrics - Subset of METRICS this provider returns
+   * @param {number} [options.creditCost] - Credits one fetchMetrics() call uses
+   * @param {number} [options.monthlyCredits] - Credits the provider may spend per calendar month (0 = unlimited)
+   * @param {string} [options.apiUrl] - Base URL, overridable for compatible APIs
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('SEO metrics provider requires a name');
+    }
+
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.metrics = (options.metrics || []).filter(metric => METRICS.includes(metric));
+    this.creditCost = options.creditCost || 1;
+    this.monthlyCredits = options.monthlyCredits ?? 0;
+    this.apiUrl = options.apiUrl || null;
+    this.http = axios.create({ timeout: options.timeout || 20000 });
+  }
+
+  /**
+   * Whether credentials are present; unconfigured providers are skipped
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Fetch metrics for a bare domain (no protocol or www.)
+   * Must be implemented by each provider; return null for unknown values
+   */
+  async fetchMetrics(domain) {
+    throw new Error(`${this.label} provider does not implement fetchMetrics()`);
+  }
+}
+
+/**
+ * Parse an API number, keeping null for missing values
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = SeoMetricsProvider;
+module.exports.METRICS = METRICS;
+module.exports.toNumber = toNumber;
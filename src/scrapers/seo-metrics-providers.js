@@ -0,0 +1,245 @@
+/**
+ * SEO Metrics Providers
+ * Adapters for SEMrush-, Ahrefs- and Moz-style APIs, plus a mock for tests
+ *
+ * Each adapter reads its credentials from the environment and can point at a
+ * compatible API through its *_API_URL variable.
+ */
+
+const crypto = require('crypto');
+const SeoMetricsProvider = require('./seo-metrics-provider');
+const { toNumber } = require('./seo-metrics-provider');
+
+const TOP_KEYWORD_LIMIT = 10;
+
+/**
+ * SEMrush Analytics API (CSV responses)
+ * Units: domain_ranks 10, domain_organic 10 per row, backlinks_overview 40
+ */
+class SemrushProvider extends SeoMetricsProvider {
+  constructor() {
+    super({
+      name: 'semrush',
+      label: 'SEMrush',
+      metrics: ['organicKeywords', 'organicTraffic', 'topKeywords', 'backlinksCount', 'referringDomains', 'domainAuthority'],
+      creditCost: 10 + 10 * TOP_KEYWORD_LIMIT + 40,
+      monthlyCredits: parseInt(process.env.SEMRUSH_MONTHLY_CREDITS) || 10000,
+      apiUrl: process.env.SEMRUSH_API_URL || 'https://api.semrush.com'
+    });
+    this.apiKey = process.env.SEMRUSH_API_KEY;
+    this.database = process.env.SEMRUSH_DATABASE || 'us';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async fetchMetrics(domain) {
+    const [ranks, organic, backlinks] = await Promise.all([
+      this.report('/', {
+        type: 'domain_ranks',
+        domain,
+        database: this.database,
+        export_columns: 'Dn,Rk,Or,Ot'
+      }),
+      this.report('/', {
+        type: 'domain_organic',
+        domain,
+        database: this.database,
+        display_limit: TOP_KEYWORD_LIMIT,
+        display_sort: 'tr_desc',
+        export_columns: 'Ph,Po,Nq,Ur'
+      }),
+      this.report('/analytics/v1/', {
+        type: 'backlinks_overview',
+        target: domain,
+        target_type: 'root_domain',
+        export_columns: 'ascore,total,domains_num'
+      })
+    ]);
+
+    return {
+      organicKeywords: toNumber(ranks[0]?.['Organic Keywords']) ?? 0,
+      organicTraffic: toNumber(ranks[0]?.['Organic Traffic']) ?? 0,
+      topKeywords: organic.map(row => ({
+        keyword: row.Keyword,
+        position: toNumber(row.Position),
+        volume: toNumber(row['Search Volume']),
+        url: row.Url || null
+      })),
+      backlinksCount: toNumber(backlinks[0]?.total),
+      referringDomains: toNumber(backlinks[0]?.domains_num),
+      domainAuthority: toNumber(backlinks[0]?.ascore)
+    };
+  }
+
+  /**
+   * Run one report and parse its semicolon-separated rows
+   * SEMrush answers with HTTP 200 and "ERROR 50 :: NOTHING FOUND" for unknown domains
+   */
+  async report(path, params) {
+    const response = await this.http.get(`${this.apiUrl}${path}`, {
+      params: { key: this.apiKey, ...params },
+      responseType: 'text'
+    });
+
+    const text = String(response.data || '').trim();
+    if (/^ERROR 50\b/.test(text)) return [];
+    if (/^ERROR/.test(text)) {
+      throw new Error(`SEMrush ${params.type}: ${text}`);
+    }
+
+    const [header, ...lines] = text.split(/\r?\n/);
+    const columns = header.split(';');
+
+    return lines.filter(Boolean).map(line => {
+      const values = line.split(';');
+      return Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    });
+  }
+}
+
+/**
+ * Ahrefs API v3 (Site Explorer)
+ */
+class AhrefsProvider extends SeoMetricsProvider {
+  constructor() {
+    super({
+      name: 'ahrefs',
+      label: 'Ahrefs',
+      metrics: ['organicKeywords', 'organicTraffic', 'topKeywords', 'backlinksCount', 'referringDomains', 'domainAuthority'],
+      creditCost: 4,
+      monthlyCredits: parseInt(process.env.AHREFS_MONTHLY_CREDITS) || 2000,
+      apiUrl: process.env.AHREFS_API_URL || 'https://api.ahrefs.com/v3/site-explorer'
+    });
+    this.apiKey = process.env.AHREFS_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async fetchMetrics(domain) {
+    const base = { target: domain, date: new Date().toISOString().slice(0, 10) };
+
+    const [rating, backlinks, organic, keywords] = await Promise.all([
+      this.request('/domain-rating', base),
+      this.request('/backlinks-stats', { ...base, mode: 'subdomains' }),
+      this.request('/metrics', { ...base, mode: 'subdomains' }),
+      this.request('/organic-keywords', {
+        ...base,
+        mode: 'subdomains',
+        select: 'keyword,best_position,volume,best_position_url',
+        order_by: 'sum_traffic:desc',
+        limit: TOP_KEYWORD_LIMIT
+      })
+    ]);
+
+    return {
+      organicKeywords: toNumber(organic.metrics?.org_keywords),
+      organicTraffic: toNumber(organic.metrics?.org_traffic),
+      topKeywords: (keywords.keywords || []).map(row => ({
+        keyword: row.keyword,
+        position: toNumber(row.best_position),
+        volume: toNumber(row.volume),
+        url: row.best_position_url || null
+      })),
+      backlinksCount: toNumber(backlinks.metrics?.live),
+      referringDomains: toNumber(backlinks.metrics?.live_refdomains),
+      domainAuthority: toNumber(rating.domain_rating?.domain_rating)
+    };
+  }
+
+  async request(path, params) {
+    const response = await this.http.get(`${this.apiUrl}${path}`, {
+      params,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        Accept: 'application/json'
+      }
+    });
+    return response.data || {};
+  }
+}
+
+/**
+ * Moz Links API v2
+ * One url_metrics row per lookup; no keyword data
+ */
+class MozProvider extends SeoMetricsProvider {
+  constructor() {
+    super({
+      name: 'moz',
+      label: 'Moz',
+      metrics: ['backlinksCount', 'referringDomains', 'domainAuthority'],
+      creditCost: 1,
+      monthlyCredits: parseInt(process.env.MOZ_MONTHLY_CREDITS) || 3000,
+      apiUrl: process.env.MOZ_API_URL || 'https://lsapi.seomoz.com/v2'
+    });
+    this.accessId = process.env.MOZ_ACCESS_ID;
+    this.secretKey = process.env.MOZ_SECRET_KEY;
+  }
+
+  isConfigured() {
+    return !!(this.accessId && this.secretKey);
+  }
+
+  async fetchMetrics(domain) {
+    const response = await this.http.post(
+      `${this.apiUrl}/url_metrics`,
+      { targets: [domain] },
+      { auth: { username: this.accessId, password: this.secretKey } }
+    );
+
+    const result = response.data?.results?.[0] || {};
+
+    return {
+      backlinksCount: toNumber(result.external_pages_to_root_domain),
+      referringDomains: toNumber(result.root_domains_to_root_domain),
+      domainAuthority: toNumber(result.domain_authority)
+    };
+  }
+}
+
+/**
+ * Deterministic fake metrics derived from the domain name
+ * For tests and local development: SEO_METRICS_PROVIDERS=mock
+ */
+class MockSeoMetricsProvider extends SeoMetricsProvider {
+  constructor() {
+    super({
+      name: 'mock',
+      label: 'Mock',
+      metrics: ['organicKeywords', 'organicTraffic', 'topKeywords', 'backlinksCount', 'referringDomains', 'domainAuthority'],
+      creditCost: 1,
+      monthlyCredits: 0
+    });
+  }
+
+  async fetchMetrics(domain) {
+    const seed = crypto.createHash('sha1').update(domain).digest();
+    const organicKeywords = seed.readUInt16BE(0) % 400;
+    const name = domain.split('.')[0].replace(/[^a-z0-9]+/gi, ' ');
+
+    return {
+      organicKeywords,
+      organicTraffic: organicKeywords * (seed[2] % 20 + 1),
+      topKeywords: Array.from({ length: Math.min(3, organicKeywords) }, (_, index) => ({
+        keyword: index === 0 ? name : `${name} near me ${index}`,
+        position: seed[3 + index] % 60 + 1,
+        volume: (seed[6 + index] % 50 + 1) * 10,
+        url: `https://${domain}/`
+      })),
+      backlinksCount: seed.readUInt16BE(9) % 2000,
+      referringDomains: seed.readUInt16BE(11) % 150,
+      domainAuthority: seed[13] % 60 + 1
+    };
+  }
+}
+
+module.exports = {
+  SemrushProvider,
+  AhrefsProvider,
+  MozProvider,
+  MockSeoMetricsProvider
+};
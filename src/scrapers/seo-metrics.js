@@ -0,0 +1,296 @@
+/**
+ * SEO Metrics
+ * Organic keywords, backlinks and domain authority from third-party providers
+ *
+ * Providers are tried in SEO_METRICS_PROVIDERS order (e.g. "semrush,moz") and
+ * each metric comes from the first one that returns it, so a cheap Moz plan
+ * can fill authority while SEMrush supplies keywords. Responses are cached per
+ * provider and domain for SEO_METRICS_CACHE_TTL_HOURS, and every provider has
+ * a monthly credit budget (<PROVIDER>_MONTHLY_CREDITS) that is never exceeded.
+ * Cache and credit counters live in Redis so all workers share them, with
+ * per-process fallbacks when Redis is unreachable.
+ */
+
+const logger = require('../utils/logger');
+const { redisClient } = require('../queues/queue-config');
+const { METRICS } = require('./seo-metrics-provider');
+const {
+  SemrushProvider,
+  AhrefsProvider,
+  MozProvider,
+  MockSeoMetricsProvider
+} = require('./seo-metrics-providers');
+
+const KEY_PREFIX = 'seo-metrics';
+const DEFAULT_PROVIDERS = 'semrush,ahrefs,moz';
+
+class SeoMetrics {
+  constructor(options = {}) {
+    this.redis = options.redis || redisClient;
+    this.cacheTtlSeconds = (parseInt(process.env.SEO_METRICS_CACHE_TTL_HOURS) || 720) * 3600;
+    this.providers = new Map();
+
+    // Per-process fallback state
+    this.cache = new Map();
+    this.credits = new Map();
+
+    for (const Provider of [SemrushProvider, AhrefsProvider, MozProvider, MockSeoMetricsProvider]) {
+      this.register(new Provider());
+    }
+
+    this.order = (options.providers || process.env.SEO_METRICS_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Add (or replace) a provider; it is used once its name is in the order
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Providers in priority order that have credentials
+   */
+  activeProviders() {
+    return this.order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Whether counters and cache are currently shared through Redis
+   */
+  isShared() {
+    return this.redis.status === 'ready';
+  }
+
+  /**
+   * Get SEO metrics for a website or domain
+   *
+   * @param {string} website - URL or bare domain
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore cached responses (still spends credits)
+   * @returns {Object|null} { organicKeywords, organicTraffic, topKeywords, backlinksCount,
+   *   referringDomains, domainAuthority, estimatedRanking, sources, fetchedAt }
+   *   sources maps each metric to the provider it came from. null when no
+   *   provider is configured or none could answer.
+   */
+  async getMetrics(website, options = {}) {
+    const domain = this.toDomain(website);
+    if (!domain) return null;
+
+    const providers = this.activeProviders();
+    if (providers.length === 0) {
+      logger.debug('No SEO metrics provider configured (set SEO_METRICS_PROVIDERS and credentials)');
+      return null;
+    }
+
+    const metrics = {};
+    const sources = {};
+    let fetchedAt = null;
+
+    for (const provider of providers) {
+      const missing = provider.metrics.filter(metric => !(metric in sources));
+      if (missing.length === 0) continue;
+
+      const response = await this.fetchFromProvider(provider, domain, options);
+      if (!response) continue;
+
+      for (const metric of missing) {
+        const value = response.metrics[metric];
+        if (value === null || value === undefined) continue;
+
+        metrics[metric] = value;
+        sources[metric] = provider.name;
+      }
+
+      if (!fetchedAt || response.fetchedAt < fetchedAt) {
+        fetchedAt = response.fetchedAt;
+      }
+
+      if (METRICS.every(metric => metric in sources)) break;
+    }
+
+    if (Object.keys(sources).length === 0) return null;
+
+    const result = {};
+    for (const metric of METRICS) {
+      result[metric] = metrics[metric] ?? null;
+    }
+
+    return {
+      ...result,
+      estimatedRanking: estimateRanking(result.topKeywords),
+      sources,
+      fetchedAt
+    };
+  }
+
+  /**
+   * One provider's metrics for a domain, from cache or the API
+   * Returns { metrics, fetchedAt } or null when over budget or the call failed
+   */
+  async fetchFromProvider(provider, domain, options = {}) {
+    const cacheKey = `${KEY_PREFIX}:${provider.name}:${domain}`;
+
+    if (!options.refresh) {
+      const cached = await this.readCache(cacheKey);
+      if (cached) return cached;
+    }
+
+    if (!(await this.reserveCredits(provider))) {
+      logger.warn(`${provider.label} monthly credit budget of ${provider.monthlyCredits} used up, skipping ${domain}`);
+      return null;
+    }
+
+    try {
+      const response = {
+        metrics: await provider.fetchMetrics(domain),
+        fetchedAt: new Date().toISOString()
+      };
+
+      await this.writeCache(cacheKey, response);
+      return response;
+
+    } catch (error) {
+      // A failed call may or may not have been billed; keep the reservation
+      logger.warn(`${provider.label} SEO metrics failed for ${domain}:`, error.response?.status || error.message);
+      return null;
+    }
+  }
+
+  async readCache(key) {
+    if (this.isShared()) {
+      try {
+        const stored = await this.redis.get(key);
+        return stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        logger.debug(`Could not read SEO metrics cache ${key}:`, error.message);
+      }
+    }
+
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt < Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async writeCache(key, value) {
+    if (this.isShared()) {
+      try {
+        await this.redis.set(key, JSON.stringify(value), 'EX', this.cacheTtlSeconds);
+        return;
+      } catch (error) {
+        logger.debug(`Could not write SEO metrics cache ${key}:`, error.message);
+      }
+    }
+
+    this.cache.set(key, { value, expiresAt: Date.now() + this.cacheTtlSeconds * 1000 });
+  }
+
+  /**
+   * Take one call's credits from the provider's monthly budget
+   * Returns false (and takes nothing) when the call would exceed it
+   */
+  async reserveCredits(provider) {
+    if (!provider.monthlyCredits) return true;
+
+    const key = this.creditKey(provider);
+
+    if (this.isShared()) {
+      try {
+        const used = await this.redis.incrby(key, provider.creditCost);
+        await this.redis.expire(key, 40 * 24 * 3600);
+
+        if (used > provider.monthlyCredits) {
+          await this.redis.decrby(key, provider.creditCost);
+          return false;
+        }
+        return true;
+      } catch (error) {
+        logger.warn(`Shared credit budget unavailable for ${provider.name}, using local counter:`, error.message);
+      }
+    }
+
+    const used = this.credits.get(key) || 0;
+    if (used + provider.creditCost > provider.monthlyCredits) return false;
+
+    this.credits.set(key, used + provider.creditCost);
+    return true;
+  }
+
+  /**
+   * Credits used this month per provider
+   * @returns {Array} [{ name, configured, used, budget }]
+   */
+  async getUsage() {
+    const usage = [];
+
+    for (const name of this.order) {
+      const provider = this.providers.get(name);
+      if (!provider) continue;
+
+      const key = this.creditKey(provider);
+      let used = this.credits.get(key) || 0;
+
+      if (this.isShared()) {
+        try {
+          used = parseInt(await this.redis.get(key)) || 0;
+        } catch (error) {
+          logger.debug(`Could not read credit usage for ${name}:`, error.message);
+        }
+      }
+
+      usage.push({
+        name,
+        configured: provider.isConfigured(),
+        used,
+        budget: provider.monthlyCredits || null
+      });
+    }
+
+    return usage;
+  }
+
+  creditKey(provider) {
+    return `${KEY_PREFIX}:credits:${provider.name}:${new Date().toISOString().slice(0, 7)}`;
+  }
+
+  /**
+   * Bare hostname without www., which is how the APIs key domains
+   */
+  toDomain(website) {
+    if (!website) return null;
+
+    try {
+      const url = new URL(website.startsWith('http') ? website : `https://${website}`);
+      return url.hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Average position of the domain's top keywords (1 = best), or null
+ */
+function estimateRanking(topKeywords) {
+  const positions = (topKeywords || [])
+    .map(keyword => keyword.position)
+    .filter(position => Number.isFinite(position));
+
+  if (positions.length === 0) return null;
+  return Math.round(positions.reduce((sum, position) => sum + position, 0) / positions.length);
+}
+
+module.exports = new SeoMetrics();
+module.exports.SeoMetrics = SeoMetrics;
@@ -0,0 +1,316 @@
+/**
+ * Site Crawler
+ * Bounded, robots.txt-aware crawl of a lead's website for on-site SEO audits
+ *
+ * Starts at the homepage plus any sitemap URLs and follows same-site links
+ * breadth first, stopping at SITE_CRAWL_MAX_PAGES pages, SITE_CRAWL_MAX_DEPTH
+ * clicks from the homepage or SITE_CRAWL_TIME_BUDGET_MS, whichever comes first.
+ * Internal links that were found but not crawled are checked for status (up
+ * to SITE_CRAWL_MAX_LINK_CHECKS) so broken links are still reported.
+ */
+
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const clientFactory = require('./client-factory');
+const RobotsTxt = require('./robots-txt');
+
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|docx?|xlsx?|mp4|mp3|mov|woff2?|ttf)$/i;
+const SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+const MAX_SITEMAP_SEEDS = 100;
+
+class SiteCrawler {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || parseInt(process.env.SITE_CRAWL_MAX_PAGES) || 25;
+    this.maxDepth = options.maxDepth || parseInt(process.env.SITE_CRAWL_MAX_DEPTH) || 3;
+    this.timeBudgetMs = options.timeBudgetMs || parseInt(process.env.SITE_CRAWL_TIME_BUDGET_MS) || 60000;
+    this.maxLinkChecks = options.maxLinkChecks ?? (parseInt(process.env.SITE_CRAWL_MAX_LINK_CHECKS) || 20);
+    this.robotsAgent = options.robotsAgent || process.env.SITE_CRAWL_ROBOTS_AGENT || '*';
+    this.http = clientFactory.createHttpClient({
+      timeout: options.timeout || 10000,
+      maxRedirects: 5,
+      headers: { Accept: 'text/html,application/xhtml+xml' }
+    });
+  }
+
+  /**
+   * Crawl a website
+   *
+   * @param {string} website - Lead website
+   * @param {Object} [options]
+   * @param {string} [options.session] - Proxy/profile session (see client-factory)
+   * @returns {Object} { url, robotsTxt, sitemap, pages, links, blockedByRobots, truncated, crawledAt }
+   *   pages: [{ url, finalUrl, status, depth, titles, metaDescriptions, h1Count, wordCount,
+   *             canonicals, noindex, links }]
+   *   links: [{ url, status, foundOn }] every internal link seen, with its status when known
+   */
+  async crawl(website, options = {}) {
+    const startedAt = Date.now();
+    const url = this.normalizeUrl(website);
+    const result = {
+      url,
+      robotsTxt: { present: false, sitemaps: [], crawlDelay: null },
+      sitemap: { present: false, url: null, urlCount: 0 },
+      pages: [],
+      links: [],
+      blockedByRobots: [],
+      truncated: false,
+      crawledAt: new Date().toISOString()
+    };
+
+    if (!url) return result;
+
+    const origin = new URL(url).origin;
+    const robots = await this.loadRobots(origin, result, options);
+    const sitemapUrls = await this.loadSitemap(origin, robots, result, options);
+
+    const queue = [{ url, depth: 0 }];
+    const queued = new Set([pageKey(url)]);
+    const links = new Map();
+
+    for (const seed of sitemapUrls.slice(0, MAX_SITEMAP_SEEDS)) {
+      if (!this.isSameSite(seed, url) || queued.has(pageKey(seed))) continue;
+      queued.add(pageKey(seed));
+      queue.push({ url: seed, depth: 1 });
+      recordLink(links, seed, result.sitemap.url);
+    }
+
+    while (queue.length > 0 && result.pages.length < this.maxPages) {
+      if (Date.now() - startedAt > this.timeBudgetMs) {
+        result.truncated = true;
+        break;
+      }
+
+      const next = queue.shift();
+
+      if (!robots.isAllowed(next.url)) {
+        result.blockedByRobots.push(next.url);
+        continue;
+      }
+
+      const page = await this.fetchPage(next.url, next.depth, options);
+      result.pages.push(page);
+      recordLink(links, next.url, null, page.status);
+
+      if (next.depth >= this.maxDepth) continue;
+
+      for (const link of page.links) {
+        recordLink(links, link, page.url);
+
+        if (queued.has(pageKey(link))) continue;
+        queued.add(pageKey(link));
+        queue.push({ url: link, depth: next.depth + 1 });
+      }
+
+      if (robots.crawlDelay) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(robots.crawlDelay, 10) * 1000));
+      }
+    }
+
+    if (queue.length > 0) {
+      result.truncated = true;
+    }
+
+    await this.checkUncrawledLinks(links, robots, startedAt, options);
+    result.links = Array.from(links.values());
+
+    logger.debug(`Site crawl of ${url}: ${result.pages.length} pages, ${result.links.length} internal links`, {
+      truncated: result.truncated,
+      blockedByRobots: result.blockedByRobots.length
+    });
+
+    return result;
+  }
+
+  async loadRobots(origin, result, options) {
+    const response = await this.get(`${origin}/robots.txt`, options);
+    const present = response.status === 200 && typeof response.data === 'string' && !/<html/i.test(response.data);
+    const robots = new RobotsTxt(present ? response.data : '', this.robotsAgent);
+
+    result.robotsTxt = { present, sitemaps: robots.sitemaps, crawlDelay: robots.crawlDelay };
+    return robots;
+  }
+
+  /**
+   * Find the sitemap (robots.txt Sitemap lines first) and return its page URLs
+   * A sitemap index is followed one level down, to its first child sitemap
+   */
+  async loadSitemap(origin, robots, result, options) {
+    const candidates = [...robots.sitemaps, ...SITEMAP_PATHS.map(path => origin + path)];
+
+    for (const candidate of candidates) {
+      const response = await this.get(candidate, options);
+      if (response.status !== 200 || typeof response.data !== 'string') continue;
+      if (!/<(urlset|sitemapindex)\b/i.test(response.data)) continue;
+
+      let locations = extractLocations(response.data);
+
+      if (/<sitemapindex\b/i.test(response.data) && locations[0]) {
+        const child = await this.get(locations[0], options);
+        locations = child.status === 200 && typeof child.data === 'string' ? extractLocations(child.data) : [];
+      }
+
+      result.sitemap = { present: true, url: candidate, urlCount: locations.length };
+      return locations;
+    }
+
+    return [];
+  }
+
+  /**
+   * Fetch and parse one page
+   */
+  async fetchPage(url, depth, options) {
+    const response = await this.get(url, options);
+    const page = {
+      url,
+      finalUrl: response.finalUrl,
+      status: response.status,
+      depth,
+      titles: [],
+      metaDescriptions: [],
+      h1Count: 0,
+      wordCount: 0,
+      canonicals: [],
+      noindex: false,
+      links: []
+    };
+
+    if (response.status !== 200 || typeof response.data !== 'string') {
+      return page;
+    }
+
+    const $ = cheerio.load(response.data);
+    const base = response.finalUrl || url;
+
+    page.titles = $('head title').map((i, el) => $(el).text().trim()).get();
+    page.metaDescriptions = $('meta[name="description" i]').map((i, el) => ($(el).attr('content') || '').trim()).get();
+    page.h1Count = $('h1').length;
+    page.canonicals = $('link[rel="canonical" i]').map((i, el) => absolute($(el).attr('href'), base)).get().filter(Boolean);
+    page.noindex = /noindex/i.test($('meta[name="robots" i]').attr('content') || '');
+
+    $('a[href]').each((i, el) => {
+      const link = absolute($(el).attr('href'), base);
+      if (link && this.isSameSite(link, base) && !NON_HTML_EXTENSIONS.test(new URL(link).pathname)) {
+        page.links.push(link);
+      }
+    });
+    page.links = Array.from(new Set(page.links));
+
+    // Navigation and boilerplate inflate word counts on every page alike
+    $('script, style, noscript, nav, header, footer, svg').remove();
+    $('body *').append(' ');
+    page.wordCount = $('body').text().split(/\s+/).filter(word => /\w/.test(word)).length;
+
+    return page;
+  }
+
+  /**
+   * Status-check internal links the crawl found but did not fetch
+   */
+  async checkUncrawledLinks(links, robots, startedAt, options) {
+    const unchecked = Array.from(links.values())
+      .filter(link => link.status === null && robots.isAllowed(link.url))
+      .slice(0, this.maxLinkChecks);
+
+    for (const link of unchecked) {
+      if (Date.now() - startedAt > this.timeBudgetMs) break;
+
+      const response = await this.get(link.url, { ...options, method: 'head' });
+      // Some servers reject HEAD outright
+      link.status = response.status === 405 || response.status === 501
+        ? (await this.get(link.url, options)).status
+        : response.status;
+    }
+  }
+
+  /**
+   * GET (or HEAD) a URL, returning { status, data, finalUrl }
+   * status is null when the request failed without a response
+   */
+  async get(url, options = {}) {
+    try {
+      const response = await this.http.request({
+        url,
+        method: options.method || 'get',
+        session: options.session
+      });
+
+      return {
+        status: response.status,
+        data: response.data,
+        finalUrl: response.request?.res?.responseUrl || url
+      };
+    } catch (error) {
+      if (!error.response) {
+        logger.debug(`Site crawl could not fetch ${url}:`, error.message);
+      }
+
+      return {
+        status: error.response?.status || null,
+        data: null,
+        finalUrl: url
+      };
+    }
+  }
+
+  isSameSite(link, base) {
+    try {
+      return new URL(link).hostname.replace(/^www\./, '') === new URL(base).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  normalizeUrl(url) {
+    if (!url) return null;
+
+    try {
+      return new URL(url.startsWith('http') ? url : `https://${url}`).href;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+function absolute(href, base) {
+  if (!href) return null;
+
+  try {
+    const link = new URL(href, base);
+    if (!/^https?:$/.test(link.protocol)) return null;
+
+    link.hash = '';
+    return link.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Dedup key: /services and /services/ are the same page, as are http and https
+ */
+function pageKey(url) {
+  const link = new URL(url);
+  return `${link.hostname.replace(/^www\./, '')}${link.pathname.replace(/\/+$/, '') || '/'}${link.search}`;
+}
+
+function recordLink(links, url, foundOn, status = null) {
+  const key = pageKey(url);
+  const existing = links.get(key);
+
+  if (!existing) {
+    links.set(key, { url, status, foundOn });
+    return;
+  }
+
+  if (status !== null) existing.status = status;
+  if (!existing.foundOn && foundOn) existing.foundOn = foundOn;
+}
+
+function extractLocations(xml) {
+  return Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)/gi), match => match[1].trim());
+}
+
+module.exports = new SiteCrawler();
+module.exports.SiteCrawler = SiteCrawler;
+module.exports.pageKey = pageKey;
@@ -0,0 +1,221 @@
+/**
+ * Source Adapter
+ * Base interface shared by every lead source (Google Maps, Yelp, directories...)
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rate-limiter');
+const { FixtureNotFoundError } = require('./fixture-store');
+const responseClassifier = require('./response-classifier');
+const { SourceResponseError } = require('./response-classifier');
+const targetAreas = require('./target-areas');
+
+class SourceAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Unique source name, also used as the `source` field on results
+   * @param {string} [options.label] - Human readable name for logs
+   * @param {string} [options.rateLimitKey] - Bucket name in utils/rate-limiter
+   * @param {number} [options.keywordLimit] - How many category keywords to search per run
+   * @param {number} [options.maxPages] - Upper bound on pages fetched by paginate()
+   * @param {string} [options.healthCheckUrl] - URL pinged by the default healthCheck()
+   * @param {Array<RegExp>} [options.noResultsPatterns] - Text shown on a genuine empty search
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Source adapter requires a name');
+    }
+
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.rateLimitKey = options.rateLimitKey || 'default';
+    this.keywordLimit = options.keywordLimit || 1;
+    this.maxPages = options.maxPages || 1;
+    this.healthCheckUrl = options.healthCheckUrl || null;
+    this.noResultsPatterns = options.noResultsPatterns || null;
+  }
+
+  /**
+   * Search the source and return standardized results
+   * Walks pages until maxResults is reached or a page comes back empty
+   */
+  async search(keyword, location, options = {}) {
+    const maxResults = options.maxResults || 20;
+    const results = [];
+
+    for await (const { results: pageResults } of this.paginate(keyword, location, options)) {
+      results.push(...pageResults);
+      if (results.length >= maxResults) break;
+    }
+
+    return results.slice(0, maxResults);
+  }
+
+  /**
+   * Iterate over result pages
+   * Yields { page, results } so callers can checkpoint between pages.
+   * Adapters that page some other way may add a `state` to each page and
+   * accept it back as options.state to resume.
+   */
+  async *paginate(keyword, location, options = {}) {
+    const maxResults = options.maxResults || 20;
+    const maxPages = options.maxPages || this.maxPages;
+    const startPage = options.startPage || 1;
+    let page = startPage;
+    let collected = 0;
+
+    while (page <= maxPages && collected < maxResults) {
+      let results;
+
+      await this.assertAvailable();
+
+      try {
+        results = await this.fetchPage(keyword, location, page, {
+          ...options,
+          maxResults: maxResults - collected
+        });
+      } catch (error) {
+        // Replayed runs end where the recording ended
+        if (error instanceof FixtureNotFoundError && page > startPage) break;
+        throw error;
+      }
+
+      yield { page, results };
+
+      if (results.length === 0) break;
+
+      collected += results.length;
+      page++;
+    }
+  }
+
+  /**
+   * Concrete locations to search for a target area (see target-areas)
+   * Text search sources query one ZIP or city at a time; adapters that can
+   * search a whole box at once may override this.
+   */
+  searchLocations(area, options = {}) {
+    return targetAreas.locationsFor(area);
+  }
+
+  /**
+   * Fetch a single page of standardized results
+   * Must be implemented by each source
+   */
+  async fetchPage(keyword, location, page, options = {}) {
+    throw new Error(`${this.label} adapter does not implement fetchPage()`);
+  }
+
+  /**
+   * Classify a fetched page; call from fetchPage() after parsing
+   * Throws SourceResponseError for blocks, CAPTCHAs and layout changes so a
+   * broken source never looks like an empty one. Blocks start a cool-down.
+   *
+   * @returns {string} 'ok' or 'empty'
+   */
+  async inspectResponse(response, results) {
+    const { outcome, reason } = responseClassifier.classify(response, results, {
+      noResultsPatterns: this.noResultsPatterns || undefined
+    });
+    return this.handleOutcome(outcome, reason);
+  }
+
+  /**
+   * Classify a failed request; call from fetchPage()'s catch block
+   * Throws SourceResponseError for blocks and returns otherwise
+   */
+  async inspectError(error) {
+    if (error instanceof SourceResponseError) throw error;
+
+    const classified = responseClassifier.classifyError(error);
+    if (classified) {
+      await this.handleOutcome(classified.outcome, classified.reason);
+    }
+  }
+
+  async handleOutcome(outcome, reason) {
+    if (outcome === 'blocked' || outcome === 'captcha') {
+      const cooldown = await rateLimiter.backoff(this.rateLimitKey, `${this.label} ${outcome}: ${reason}`);
+      throw new SourceResponseError(this.name, outcome, reason, new Date(cooldown.until).toISOString());
+    }
+
+    if (outcome === 'layout_changed') {
+      logger.warn(`${this.label} layout may have changed: ${reason}`);
+      throw new SourceResponseError(this.name, outcome, reason);
+    }
+
+    await rateLimiter.clearBackoff(this.rateLimitKey);
+    return outcome;
+  }
+
+  /**
+   * Refuse to fetch while the source is cooling down
+   */
+  async assertAvailable() {
+    const cooldown = await rateLimiter.getCooldown(this.rateLimitKey);
+    if (cooldown) {
+      throw new SourceResponseError(
+        this.name,
+        'blocked',
+        `cooling down after: ${cooldown.reason}`,
+        new Date(cooldown.until).toISOString()
+      );
+    }
+  }
+
+  /**
+   * Convert a raw source record into the shared lead shape:
+   * { name, website, phone, address, city, state, zipCode, location,
+   *   rating, reviewCount, source, sourceUrl }
+   */
+  standardize(raw, location) {
+    throw new Error(`${this.label} adapter does not implement standardize()`);
+  }
+
+  /**
+   * Check that the source is reachable
+   * Returns the same status vocabulary as monitoring/health-monitor
+   */
+  async healthCheck() {
+    if (!this.healthCheckUrl) {
+      return { source: this.name, status: 'healthy', message: 'No health check configured' };
+    }
+
+    try {
+      const start = Date.now();
+      const response = await axios.get(this.healthCheckUrl, {
+        timeout: 10000,
+        maxRedirects: 5,
+        validateStatus: () => true
+      });
+      const responseTime = Date.now() - start;
+
+      if (response.status >= 400) {
+        return {
+          source: this.name,
+          status: 'degraded',
+          message: `${this.label} responded with HTTP ${response.status}`,
+          responseTime
+        };
+      }
+
+      return { source: this.name, status: 'healthy', responseTime };
+
+    } catch (error) {
+      logger.debug(`${this.label} health check failed:`, error.message);
+      return {
+        source: this.name,
+        status: 'critical',
+        message: `${this.label} unreachable: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Release any resources (browsers, sockets) held by the adapter
+   */
+  async close() {}
+}
+
+module.exports = SourceAdapter;
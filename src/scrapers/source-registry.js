@@ -0,0 +1,139 @@
+/**
+ * Source Registry
+ * Central list of scraper source adapters
+ *
+ * Built-in scrapers register themselves when their module is loaded.
+ * New sources only need to extend SourceAdapter and call register().
+ */
+
+const SourceAdapter = require('./source-adapter');
+const logger = require('../utils/logger');
+
+// Modules that register a built-in adapter on load
+const BUILT_IN_SOURCES = [
+  './google-maps-scraper',
+  './yelp-scraper',
+  './yellow-pages-scraper',
+  './directory-scrapers'
+];
+
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.builtInsLoaded = false;
+  }
+
+  /**
+   * Register a source adapter
+   */
+  register(adapter) {
+    if (!(adapter instanceof SourceAdapter)) {
+      throw new Error('Only SourceAdapter instances can be registered');
+    }
+
+    if (this.adapters.has(adapter.name) && this.adapters.get(adapter.name) !== adapter) {
+      logger.warn(`Replacing registered source adapter: ${adapter.name}`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    logger.debug(`Source adapter registered: ${adapter.name}`);
+    return adapter;
+  }
+
+  /**
+   * Remove a source adapter
+   */
+  unregister(name) {
+    return this.adapters.delete(name);
+  }
+
+  /**
+   * Get adapter by name
+   */
+  get(name) {
+    this.loadBuiltIns();
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Check if a source is registered
+   */
+  has(name) {
+    this.loadBuiltIns();
+    return this.adapters.has(name);
+  }
+
+  /**
+   * Get registered source names
+   */
+  names() {
+    this.loadBuiltIns();
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Get adapters to run
+   * Falls back to SCRAPE_SOURCES, then to every registered source
+   */
+  list(names) {
+    this.loadBuiltIns();
+
+    const requested = names && names.length > 0
+      ? names
+      : process.env.SCRAPE_SOURCES?.split(',').map(s => s.trim()).filter(Boolean);
+
+    if (!requested || requested.length === 0) {
+      return Array.from(this.adapters.values());
+    }
+
+    return requested
+      .map(name => {
+        const adapter = this.adapters.get(name);
+        if (!adapter) {
+          logger.warn(`Unknown scraping source requested: ${name}`);
+        }
+        return adapter;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Run health checks for every registered source
+   */
+  async healthCheckAll() {
+    const adapters = this.list();
+    const results = await Promise.allSettled(adapters.map(adapter => adapter.healthCheck()));
+
+    return results.reduce((acc, result, i) => {
+      const name = adapters[i].name;
+      acc[name] = result.status === 'fulfilled'
+        ? result.value
+        : { source: name, status: 'critical', message: result.reason?.message };
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Close resources held by every adapter
+   */
+  async closeAll() {
+    await Promise.allSettled(Array.from(this.adapters.values()).map(adapter => adapter.close()));
+  }
+
+  /**
+   * Load built-in scrapers so they can self-register
+   */
+  loadBuiltIns() {
+    if (this.builtInsLoaded) return;
+    this.builtInsLoaded = true;
+
+    for (const modulePath of BUILT_IN_SOURCES) {
+      require(modulePath);
+    }
+  }
+}
+
+// Singleton instance
+const sourceRegistry = new SourceRegistry();
+
+module.exports = sourceRegistry;
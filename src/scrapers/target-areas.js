@@ -0,0 +1,262 @@
+/**
+ * Target Areas
+ * Expands ZIP, county and radius targets into concrete search locations
+ *
+ * Uses the offline ZIP centroid dataset in database/zip-centroids.csv
+ * (GeoNames, CC BY 4.0), so no geocoding service is needed. Targets:
+ *
+ *   { type: 'zips', zips: ['77002', '77003'] }          one area per ZIP
+ *   { type: 'county', county: 'Harris', state: 'TX' }
+ *   { type: 'radius', miles: 15, address: '1200 Main St, Houston, TX 77002' }
+ *   { type: 'radius', miles: 15, zip: '77002' }  or  { lat, lng }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DATASET_PATH = path.join(__dirname, '..', '..', 'database', 'zip-centroids.csv');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+class TargetAreaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TargetAreaError';
+    this.statusCode = 400;
+  }
+}
+
+class TargetAreas {
+  constructor(options = {}) {
+    this.datasetPath = options.datasetPath || DATASET_PATH;
+    this.zips = null;
+    this.counties = null;
+    this.cities = null;
+  }
+
+  /**
+   * Load the ZIP centroid dataset on first use
+   */
+  load() {
+    if (this.zips) return this;
+
+    const [header, ...lines] = fs.readFileSync(this.datasetPath, 'utf-8').trim().split('\n');
+    const columns = header.split(',');
+
+    this.zips = new Map();
+    this.counties = new Map();
+    this.cities = new Map();
+
+    for (const line of lines) {
+      const values = line.split(',');
+      const entry = columns.reduce((acc, column, index) => {
+        acc[column] = values[index];
+        return acc;
+      }, {});
+      entry.lat = parseFloat(entry.lat);
+      entry.lng = parseFloat(entry.lng);
+
+      this.zips.set(entry.zip, entry);
+      addToIndex(this.counties, countyKey(entry.county, entry.state), entry);
+      addToIndex(this.cities, cityKey(entry.city, entry.state), entry);
+    }
+
+    logger.debug(`Loaded ${this.zips.size} ZIP centroids`);
+    return this;
+  }
+
+  lookup(zip) {
+    return this.load().zips.get(String(zip).padStart(5, '0')) || null;
+  }
+
+  /**
+   * Expand job targets into target areas
+   * Each area: { id, type, label, zips, center, bounds }
+   *
+   * @throws {TargetAreaError} For unknown ZIPs, counties or addresses
+   */
+  expand(targets = []) {
+    this.load();
+    return targets.flatMap(target => {
+      switch (target.type) {
+        case 'zips':
+          return target.zips.map(zip => this.zipArea(zip));
+        case 'county':
+          return [this.countyArea(target.county, target.state)];
+        case 'radius':
+          return [this.radiusArea(target)];
+        default:
+          throw new TargetAreaError(`Unknown target type: ${target.type}`);
+      }
+    });
+  }
+
+  zipArea(zip) {
+    const entry = this.lookup(zip);
+    if (!entry) {
+      throw new TargetAreaError(`Unknown ZIP code: ${zip}`);
+    }
+
+    return this.buildArea('zip', `zip:${entry.zip}`, `ZIP ${entry.zip}`, [entry]);
+  }
+
+  countyArea(county, state) {
+    const name = county.replace(/\s+(county|parish|borough)$/i, '').trim();
+    const entries = this.counties.get(countyKey(name, state));
+
+    if (!entries) {
+      throw new TargetAreaError(`Unknown county: ${county}, ${state}`);
+    }
+
+    return this.buildArea(
+      'county',
+      `county:${name.toLowerCase()}-${state.toLowerCase()}`,
+      `${entries[0].county} County, ${entries[0].state}`,
+      entries
+    );
+  }
+
+  radiusArea(target) {
+    const center = this.resolveCenter(target);
+    const entries = Array.from(this.zips.values())
+      .filter(entry => distanceMiles(center, entry) <= target.miles);
+
+    if (entries.length === 0) {
+      throw new TargetAreaError(`No ZIP codes within ${target.miles} miles of ${center.label}`);
+    }
+
+    const area = this.buildArea(
+      'radius',
+      `radius:${center.lat},${center.lng},${target.miles}`,
+      `${target.miles} mi of ${center.label}`,
+      entries
+    );
+
+    area.center = { lat: center.lat, lng: center.lng };
+    area.radiusMiles = target.miles;
+    return area;
+  }
+
+  /**
+   * Find the centre of a radius target without a geocoder:
+   * lat/lng as given, else the ZIP (or the ZIP in the address), else the
+   * average of the ZIPs in the address's "City, ST"
+   */
+  resolveCenter(target) {
+    if (typeof target.lat === 'number' && typeof target.lng === 'number') {
+      return { lat: target.lat, lng: target.lng, label: `${target.lat},${target.lng}` };
+    }
+
+    const label = target.address || target.zip;
+    const zip = target.zip || (target.address || '').match(/\b(\d{5})(?:-\d{4})?\b/)?.[1];
+    const zipEntry = zip && this.lookup(zip);
+    if (zipEntry) {
+      return { lat: zipEntry.lat, lng: zipEntry.lng, label };
+    }
+
+    const cityMatch = (target.address || '').match(/([A-Za-z .'-]+),\s*([A-Z]{2})\b/);
+    const cityEntries = cityMatch && this.cities.get(cityKey(cityMatch[1].split(',').pop(), cityMatch[2]));
+    if (cityEntries) {
+      return { ...centroid(cityEntries), label };
+    }
+
+    throw new TargetAreaError(`Could not locate "${label}"; include a ZIP code or "City, ST"`);
+  }
+
+  buildArea(type, id, label, entries) {
+    const lats = entries.map(entry => entry.lat);
+    const lngs = entries.map(entry => entry.lng);
+
+    return {
+      id,
+      type,
+      label,
+      zips: entries,
+      center: centroid(entries),
+      bounds: {
+        south: Math.min(...lats),
+        west: Math.min(...lngs),
+        north: Math.max(...lats),
+        east: Math.max(...lngs)
+      }
+    };
+  }
+
+  /**
+   * Search locations for an area
+   *   zip    - "City, ST 77002" per ZIP (ZIP and radius targets)
+   *   city   - "City, ST" per distinct city (county targets)
+   *   bounds - one "south,west,north,east" box, for grid sweeps
+   */
+  locationsFor(area, granularity = null) {
+    const mode = granularity || (area.type === 'county' ? 'city' : 'zip');
+
+    if (mode === 'bounds') {
+      return [padBounds(area.bounds)];
+    }
+
+    const locations = area.zips.map(entry => (mode === 'city'
+      ? `${entry.city}, ${entry.state}`
+      : `${entry.city}, ${entry.state} ${entry.zip}`));
+
+    return Array.from(new Set(locations));
+  }
+}
+
+function countyKey(county, state) {
+  return `${county.trim().toLowerCase()}|${state.trim().toUpperCase()}`;
+}
+
+function cityKey(city, state) {
+  return `${city.trim().toLowerCase()}|${state.trim().toUpperCase()}`;
+}
+
+function addToIndex(index, key, entry) {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(entry);
+}
+
+function centroid(entries) {
+  return {
+    lat: round(entries.reduce((sum, entry) => sum + entry.lat, 0) / entries.length),
+    lng: round(entries.reduce((sum, entry) => sum + entry.lng, 0) / entries.length)
+  };
+}
+
+/**
+ * Great-circle distance (haversine)
+ */
+function distanceMiles(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Centroids sit inside their ZIPs, so widen the box to cover the edges
+ */
+function padBounds(bounds, padding = 0.05) {
+  return [
+    bounds.south - padding,
+    bounds.west - padding,
+    bounds.north + padding,
+    bounds.east + padding
+  ].map(round).join(',');
+}
+
+function round(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+// Singleton instance
+const targetAreas = new TargetAreas();
+
+module.exports = targetAreas;
+module.exports.TargetAreas = TargetAreas;
+module.exports.TargetAreaError = TargetAreaError;
+module.exports.distanceMiles = distanceMiles;
@@ -0,0 +1,213 @@
+/**
+ * Technology Fingerprinter
+ * Detects the CMS, booking widget, live chat, call tracking, review widget and
+ * analytics vendors a website runs on
+ *
+ * Rules are data, one JSON file per category in tech-rules/ (extra
+ * directories can be added with TECH_RULES_DIRS). Each technology lists
+ * regex patterns, all case-insensitive, matched against:
+ *
+ *   html     - raw page source
+ *   scripts  - <script src> URLs
+ *   meta     - { metaName: pattern } e.g. { "generator": "^WordPress ?([\\d.]+)?" }
+ *   headers  - { headerName: pattern }; an empty pattern only requires the header
+ *   cookies  - cookie names set by the response
+ *
+ * A capture group in the pattern, where present, is reported as the version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+
+const RULES_DIR = path.join(__dirname, 'tech-rules');
+
+// Signals the site itself controls are stronger than a string in the page body
+const SIGNAL_CONFIDENCE = {
+  headers: 'high',
+  cookies: 'high',
+  meta: 'high',
+  scripts: 'high',
+  html: 'medium'
+};
+
+const EVIDENCE_MAX_LENGTH = 120;
+
+class TechFingerprinter {
+  constructor(options = {}) {
+    this.ruleDirs = options.ruleDirs || [
+      RULES_DIR,
+      ...(process.env.TECH_RULES_DIRS || '').split(',').map(dir => dir.trim()).filter(Boolean)
+    ];
+    this.rules = null;
+  }
+
+  /**
+   * Load and compile every rule file on first use
+   */
+  load() {
+    if (this.rules) return this.rules;
+
+    const rules = new Map();
+
+    for (const dir of this.ruleDirs) {
+      if (!fs.existsSync(dir)) {
+        logger.warn(`Technology rules directory not found: ${dir}`);
+        continue;
+      }
+
+      for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        const ruleSet = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+        for (const [name, definition] of Object.entries(ruleSet.technologies || {})) {
+          // Later directories override earlier ones, so local rules can patch the shipped set
+          rules.set(name, this.compile(name, ruleSet.category, definition));
+        }
+      }
+    }
+
+    this.rules = Array.from(rules.values());
+    logger.debug(`Loaded ${this.rules.length} technology rules`);
+
+    return this.rules;
+  }
+
+  compile(name, category, definition) {
+    const toRegex = pattern => new RegExp(pattern, 'i');
+    const compileMap = (map = {}) => Object.entries(map).map(([key, pattern]) => ({
+      key: key.toLowerCase(),
+      regex: pattern ? toRegex(pattern) : null
+    }));
+
+    return {
+      name,
+      category,
+      website: definition.website || null,
+      diy: !!definition.diy,
+      html: (definition.html || []).map(toRegex),
+      scripts: (definition.scripts || []).map(toRegex),
+      cookies: (definition.cookies || []).map(toRegex),
+      meta: compileMap(definition.meta),
+      headers: compileMap(definition.headers)
+    };
+  }
+
+  /**
+   * Fingerprint a fetched page
+   *
+   * @param {Object} page
+   * @param {string} page.html - Page source
+   * @param {Object} [page.headers] - Response headers
+   * @param {Object} [page.$] - Already loaded cheerio document for the html
+   * @returns {Array<Object>} [{ name, category, version, confidence, diy, evidence }]
+   */
+  detect({ html = '', headers = {}, $ = null } = {}) {
+    const rules = this.load();
+    const signals = this.collectSignals(html, headers, $ || cheerio.load(html || ''));
+    const detected = [];
+
+    for (const rule of rules) {
+      const match = this.matchRule(rule, signals);
+      if (!match) continue;
+
+      detected.push({
+        name: rule.name,
+        category: rule.category,
+        version: match.version || null,
+        confidence: SIGNAL_CONFIDENCE[match.signal],
+        diy: rule.diy,
+        evidence: `${match.signal}: ${match.value.slice(0, EVIDENCE_MAX_LENGTH)}`
+      });
+    }
+
+    return detected;
+  }
+
+  /**
+   * Pull the matchable parts out of a response
+   */
+  collectSignals(html, headers, $) {
+    const normalizedHeaders = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+      normalizedHeaders[key.toLowerCase()] = Array.isArray(value) ? value.join('\n') : String(value ?? '');
+    }
+
+    const setCookie = headers?.['set-cookie'] || headers?.['Set-Cookie'] || [];
+    const cookies = (Array.isArray(setCookie) ? setCookie : [setCookie])
+      .map(cookie => String(cookie).split('=')[0].trim())
+      .filter(Boolean);
+
+    const meta = {};
+    $('meta[name], meta[property]').each((i, el) => {
+      const key = ($(el).attr('name') || $(el).attr('property')).toLowerCase();
+      meta[key] = meta[key] ? `${meta[key]}\n${$(el).attr('content') || ''}` : ($(el).attr('content') || '');
+    });
+
+    const scripts = $('script[src]').map((i, el) => $(el).attr('src')).get();
+
+    return { html: html || '', headers: normalizedHeaders, cookies, meta, scripts };
+  }
+
+  /**
+   * First signal matching the rule, strongest signal types first
+   */
+  matchRule(rule, signals) {
+    for (const { key, regex } of rule.headers) {
+      if (signals.headers[key] === undefined) continue;
+      if (!regex) return { signal: 'headers', value: key };
+
+      const match = signals.headers[key].match(regex);
+      if (match) return { signal: 'headers', value: `${key}: ${match[0]}`, version: match[1] };
+    }
+
+    for (const { key, regex } of rule.meta) {
+      const content = signals.meta[key];
+      if (content === undefined) continue;
+
+      const match = regex ? content.match(regex) : [content];
+      if (match) return { signal: 'meta', value: `${key}: ${match[0]}`, version: match[1] };
+    }
+
+    for (const regex of rule.cookies) {
+      const cookie = signals.cookies.find(name => regex.test(name));
+      if (cookie) return { signal: 'cookies', value: cookie };
+    }
+
+    for (const regex of rule.scripts) {
+      for (const src of signals.scripts) {
+        const match = src.match(regex);
+        if (match) return { signal: 'scripts', value: src, version: match[1] };
+      }
+    }
+
+    for (const regex of rule.html) {
+      const match = signals.html.match(regex);
+      if (match) return { signal: 'html', value: match[0], version: match[1] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Summary flags used by website quality scoring
+   */
+  summarize(techStack = []) {
+    const inCategory = category => techStack.some(tech => tech.category === category);
+    const named = name => techStack.some(tech => tech.name === name);
+
+    return {
+      cms: techStack.find(tech => tech.category === 'cms')?.name || null,
+      hasDiyBuilder: techStack.some(tech => tech.diy),
+      hasOnlineBooking: inCategory('booking'),
+      hasLiveChat: inCategory('chat'),
+      hasCallTracking: inCategory('call_tracking'),
+      hasReviewWidget: inCategory('reviews'),
+      hasGoogleAnalytics: named('Google Analytics'),
+      hasFacebookPixel: named('Facebook Pixel')
+    };
+  }
+}
+
+module.exports = new TechFingerprinter();
+module.exports.TechFingerprinter = TechFingerprinter;
@@ -3,16 +3,27 @@
  * Uses Axios + Cheerio for static content scraping
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const SourceAdapter = require('./source-adapter');
+const sourceRegistry = require('./source-registry');
+const fixtureStore = require('./fixture-store');
+const clientFactory = require('./client-factory');
+const { FixtureNotFoundError } = fixtureStore;
 
-class YellowPagesScraper {
+class YellowPagesScraper extends SourceAdapter {
   constructor() {
+    super({
+      name: 'yellow_pages',
+      label: 'Yellow Pages',
+      rateLimitKey: 'yellowpages',
+      maxPages: 5,
+      healthCheckUrl: 'https://www.yellowpages.com',
+      noResultsPatterns: [/No results found for/i, /We did not find any business/i]
+    });
     this.baseUrl = 'https://www.yellowpages.com';
-    this.axiosInstance = axios.create({
+    this.axiosInstance = clientFactory.createHttpClient({
       headers: {
-        'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.5',
         'Accept-Encoding': 'gzip, deflate',
@@ -24,71 +35,36 @@ class YellowPagesScraper {
   }
 
   /**
-   * Search Yellow Pages for businesses
+   * Fetch one page of Yellow Pages results
    */
-  async search(keyword, location, options = {}) {
+  async fetchPage(keyword, location, page, options = {}) {
     const maxResults = options.maxResults || 20;
-    const results = [];
+    let results = [];
 
     try {
       // Format location for URL
       const formattedLocation = location.replace(/,\s*/g, '-').replace(/\s+/g, '-');
-      const url = `${this.baseUrl}/search?search_terms=${encodeURIComponent(keyword)}&geo_location_terms=${encodeURIComponent(formattedLocation)}`;
+      let url = `${this.baseUrl}/search?search_terms=${encodeURIComponent(keyword)}&geo_location_terms=${encodeURIComponent(formattedLocation)}`;
+      if (page > 1) {
+        url += `&page=${page}`;
+      }
       
       logger.info(`Scraping Yellow Pages: ${url}`);
 
-      const response = await this.axiosInstance.get(url);
-      const $ = cheerio.load(response.data);
-
-      // Extract business listings
-      $('.result').each((index, element) => {
-        if (results.length >= maxResults) return false;
-
-        try {
-          const $el = $(element);
-
-          const name = $el.find('.business-name').text().trim();
-          if (!name) return;
-
-          const phone = $el.find('.phones').text().trim();
-          const address = $el.find('.street-address').text().trim();
-          const locality = $el.find('.locality').text().trim();
-          const website = $el.find('.track-visit-website').attr('href');
-          
-          // Extract rating
-          const ratingClass = $el.find('.result-rating').attr('class') || '';
-          const ratingMatch = ratingClass.match(/result-rating-(\d+)/);
-          const rating = ratingMatch ? parseInt(ratingMatch[1]) / 10 : null;
-
-          // Extract review count
-          const reviewText = $el.find('.count').text();
-          const reviewMatch = reviewText.match(/(\d+)/);
-          const reviewCount = reviewMatch ? parseInt(reviewMatch[1]) : null;
-
-          // Extract years in business
-          const yearsText = $el.find('.years-in-business').text();
-          const yearsMatch = yearsText.match(/(\d+)/);
-          const yearsInBusiness = yearsMatch ? parseInt(yearsMatch[1]) : null;
-
-          results.push(this.standardizeResult({
-            name,
-            phone,
-            address,
-            locality,
-            website,
-            rating,
-            reviewCount,
-            yearsInBusiness
-          }, location));
-
-        } catch (err) {
-          logger.warn('Error parsing Yellow Pages listing:', err.message);
-        }
-      });
+      const response = await fixtureStore.fetch(
+        { source: this.name, query: `${keyword} ${location}`, page },
+        () => this.axiosInstance.get(url, { session: options.session })
+      );
+
+      results = this.parseResults(response.data, location, maxResults);
 
       logger.info(`Extracted ${results.length} businesses from Yellow Pages`);
+      await this.inspectResponse(response, results);
 
     } catch (error) {
+      if (error instanceof FixtureNotFoundError) throw error;
+      await this.inspectError(error);
+
       logger.error('Yellow Pages scraping error:', error.message);
       if (error.response) {
         logger.error('Response status:', error.response.status);
@@ -98,6 +74,69 @@ class YellowPagesScraper {
     return results;
   }
 
+  /**
+   * Parse a Yellow Pages search results page into standardized results
+   */
+  parseResults(html, location, maxResults = 20) {
+    const $ = cheerio.load(html);
+    const results = [];
+
+    // Extract business listings
+    $('.result').each((index, element) => {
+      if (results.length >= maxResults) return false;
+
+      try {
+        const $el = $(element);
+
+        const name = $el.find('.business-name').text().trim();
+        if (!name) return;
+
+        const phone = $el.find('.phones').text().trim();
+        const address = $el.find('.street-address').text().trim();
+        const locality = $el.find('.locality').text().trim();
+        const website = $el.find('.track-visit-website').attr('href');
+        
+        // Extract rating
+        const ratingClass = $el.find('.result-rating').attr('class') || '';
+        const ratingMatch = ratingClass.match(/result-rating-(\d+)/);
+        const rating = ratingMatch ? parseInt(ratingMatch[1]) / 10 : null;
+
+        // Extract review count
+        const reviewText = $el.find('.count').text();
+        const reviewMatch = reviewText.match(/(\d+)/);
+        const reviewCount = reviewMatch ? parseInt(reviewMatch[1]) : null;
+
+        // Extract years in business
+        const yearsText = $el.find('.years-in-business').text();
+        const yearsMatch = yearsText.match(/(\d+)/);
+        const yearsInBusiness = yearsMatch ? parseInt(yearsMatch[1]) : null;
+
+        results.push(this.standardizeResult({
+          name,
+          phone,
+          address,
+          locality,
+          website,
+          rating,
+          reviewCount,
+          yearsInBusiness
+        }, location));
+
+      } catch (err) {
+        logger.warn('Error parsing Yellow Pages listing:', err.message);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Standardize raw listing (SourceAdapter interface)
+   */
+  standardize(raw, location) {
+    return this.standardizeResult(raw, location);
+  }
+
   /**
    * Standardize result format
    */
@@ -168,4 +207,8 @@ class YellowPagesScraper {
   }
 }
 
-module.exports = new YellowPagesScraper();
+// Singleton instance
+const scraper = new YellowPagesScraper();
+sourceRegistry.register(scraper);
+
+module.exports = scraper;
@@ -6,14 +6,29 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const SourceAdapter = require('./source-adapter');
+const sourceRegistry = require('./source-registry');
+const fixtureStore = require('./fixture-store');
+const clientFactory = require('./client-factory');
+const { FixtureNotFoundError } = fixtureStore;
 
-class YelpScraper {
+// Results per page on Yelp's search pages
+const SCRAPE_PAGE_SIZE = 10;
+
+class YelpScraper extends SourceAdapter {
   constructor() {
+    super({
+      name: 'yelp',
+      label: 'Yelp',
+      rateLimitKey: 'yelp',
+      maxPages: 5,
+      healthCheckUrl: 'https://www.yelp.com',
+      noResultsPatterns: [/No Results for/i, /Suggestions for improving the results/i]
+    });
     this.baseUrl = 'https://www.yelp.com';
     this.apiKey = process.env.YELP_API_KEY;
-    this.axiosInstance = axios.create({
+    this.axiosInstance = clientFactory.createHttpClient({
       headers: {
-        'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
       },
       timeout: 30000
@@ -21,16 +36,18 @@ class YelpScraper {
   }
 
   /**
-   * Search Yelp for businesses
+   * Fetch one page of Yelp results
    * Uses API if key available, falls back to scraping
    */
-  async search(keyword, location, options = {}) {
+  async fetchPage(keyword, location, page, options = {}) {
     if (this.apiKey) {
-      return this.searchViaAPI(keyword, location, options);
-    } else {
+      return this.searchViaAPI(keyword, location, { ...options, page });
+    }
+
+    if (page === 1) {
       logger.warn('No Yelp API key found, using web scraping (less reliable)');
-      return this.searchViaScraping(keyword, location, options);
     }
+    return this.searchViaScraping(keyword, location, { ...options, page });
   }
 
   /**
@@ -38,32 +55,42 @@ class YelpScraper {
    */
   async searchViaAPI(keyword, location, options = {}) {
     const maxResults = options.maxResults || 20;
+    const page = options.page || 1;
     const results = [];
 
     try {
       const apiUrl = 'https://api.yelp.com/v3/businesses/search';
+      const limit = Math.min(maxResults, 50);
       
-      const response = await axios.get(apiUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        params: {
-          term: keyword,
-          location: location,
-          limit: Math.min(maxResults, 50),
-          sort_by: 'rating'
-        }
-      });
+      const response = await fixtureStore.fetch(
+        { source: 'yelp_api', query: `${keyword} ${location}`, page },
+        () => axios.get(apiUrl, {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`
+          },
+          params: {
+            term: keyword,
+            location: location,
+            limit,
+            offset: (page - 1) * limit,
+            sort_by: 'rating'
+          }
+        })
+      );
 
       const businesses = response.data.businesses || [];
       
       logger.info(`Yelp API returned ${businesses.length} businesses`);
+      await this.inspectResponse(response, businesses);
 
       for (const business of businesses) {
         results.push(this.standardizeAPIResult(business, location));
       }
 
     } catch (error) {
+      if (error instanceof FixtureNotFoundError) throw error;
+      await this.inspectError(error);
+
       logger.error('Yelp API error:', error.message);
       if (error.response) {
         logger.error('Response status:', error.response.status);
@@ -79,59 +106,91 @@ class YelpScraper {
    */
   async searchViaScraping(keyword, location, options = {}) {
     const maxResults = options.maxResults || 20;
-    const results = [];
+    const page = options.page || 1;
+    let results = [];
 
     try {
-      const url = `${this.baseUrl}/search?find_desc=${encodeURIComponent(keyword)}&find_loc=${encodeURIComponent(location)}`;
+      let url = `${this.baseUrl}/search?find_desc=${encodeURIComponent(keyword)}&find_loc=${encodeURIComponent(location)}`;
+      if (page > 1) {
+        url += `&start=${(page - 1) * SCRAPE_PAGE_SIZE}`;
+      }
       
       logger.info(`Scraping Yelp: ${url}`);
 
-      const response = await this.axiosInstance.get(url);
-      const $ = cheerio.load(response.data);
+      const response = await fixtureStore.fetch(
+        { source: this.name, query: `${keyword} ${location}`, page },
+        () => this.axiosInstance.get(url, { session: options.session })
+      );
 
-      // Yelp's HTML structure (subject to change)
-      $('[data-testid="serp-ia-card"]').each((index, element) => {
-        if (results.length >= maxResults) return false;
+      results = this.parseSearchResults(response.data, location, maxResults);
 
-        try {
-          const $el = $(element);
+      logger.info(`Extracted ${results.length} businesses from Yelp`);
+      await this.inspectResponse(response, results);
 
-          const name = $el.find('h3').first().text().trim();
-          if (!name) return;
+    } catch (error) {
+      if (error instanceof FixtureNotFoundError) throw error;
+      await this.inspectError(error);
 
-          const ratingText = $el.find('[aria-label*="star rating"]').attr('aria-label') || '';
-          const ratingMatch = ratingText.match(/([0-9.]+)/);
-          const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+      logger.error('Yelp scraping error:', error.message);
+    }
 
-          const reviewText = $el.find('[aria-label*="review"]').text();
-          const reviewMatch = reviewText.match(/(\d+)/);
-          const reviewCount = reviewMatch ? parseInt(reviewMatch[1]) : null;
+    return results;
+  }
 
-          const address = $el.find('[data-testid="address"]').text().trim();
-          const phone = $el.find('[data-testid="phone"]').text().trim();
+  /**
+   * Parse a Yelp search results page into standardized results
+   */
+  parseSearchResults(html, location, maxResults = 20) {
+    const $ = cheerio.load(html);
+    const results = [];
 
-          results.push(this.standardizeScrapedResult({
-            name,
-            rating,
-            reviewCount,
-            address,
-            phone
-          }, location));
+    // Yelp's HTML structure (subject to change)
+    $('[data-testid="serp-ia-card"]').each((index, element) => {
+      if (results.length >= maxResults) return false;
 
-        } catch (err) {
-          logger.warn('Error parsing Yelp listing:', err.message);
-        }
-      });
+      try {
+        const $el = $(element);
 
-      logger.info(`Extracted ${results.length} businesses from Yelp`);
+        const name = $el.find('h3').first().text().trim();
+        if (!name) return;
 
-    } catch (error) {
-      logger.error('Yelp scraping error:', error.message);
-    }
+        const ratingText = $el.find('[aria-label*="star rating"]').attr('aria-label') || '';
+        const ratingMatch = ratingText.match(/([0-9.]+)/);
+        const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+
+        const reviewText = $el.find('[aria-label*="review"]').text();
+        const reviewMatch = reviewText.match(/(\d+)/);
+        const reviewCount = reviewMatch ? parseInt(reviewMatch[1]) : null;
+
+        const address = $el.find('[data-testid="address"]').text().trim();
+        const phone = $el.find('[data-testid="phone"]').text().trim();
+
+        results.push(this.standardizeScrapedResult({
+          name,
+          rating,
+          reviewCount,
+          address,
+          phone
+        }, location));
+
+      } catch (err) {
+        logger.warn('Error parsing Yelp listing:', err.message);
+      }
+    });
 
     return results;
   }
 
+  /**
+   * Standardize raw listing (SourceAdapter interface)
+   * API records carry a nested location object, scraped ones a flat address
+   */
+  standardize(raw, location) {
+    return raw.location && typeof raw.location === 'object'
+      ? this.standardizeAPIResult(raw, location)
+      : this.standardizeScrapedResult(raw, location);
+  }
+
   /**
    * Standardize API result
    */
@@ -199,4 +258,8 @@ class YelpScraper {
   }
 }
 
-module.exports = new YelpScraper();
+// Singleton instance
+const scraper = new YelpScraper();
+sourceRegistry.register(scraper);
+
+module.exports = scraper;
@@ -0,0 +1,358 @@
+/**
+ * Email Verification Service
+ * Checks whether an address is worth sending to before we risk a bounce
+ *
+ * Checks, in order: syntax, no-reply / disposable / role-based addresses,
+ * DNS MX records and (with EMAIL_VERIFY_SMTP_PROBE=true) an SMTP RCPT probe
+ * that also sends a random address to detect catch-all domains. Nothing is
+ * ever sent: the probe quits after RCPT TO.
+ *
+ * Statuses:
+ *   valid   - the domain takes mail (and the mailbox was accepted, if probed)
+ *   risky   - role-based address or catch-all domain
+ *   invalid - bad syntax, no-reply, disposable, no mail server or mailbox rejected
+ *   unknown - DNS or SMTP could not give an answer (timeouts, greylisting)
+ *
+ * Point EMAIL_VERIFY_DNS_SERVERS and EMAIL_VERIFY_SMTP_PORT at a local fake
+ * DNS and SMTP server to exercise every path offline.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const logger = require('../utils/logger');
+
+const EMAIL_STATUSES = ['valid', 'risky', 'invalid', 'unknown'];
+
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+  'mailinator.com', 'maildrop.cc', 'yopmail.com', 'tempmail.com', 'temp-mail.org',
+  'trashmail.com', 'getnada.com', 'dispostable.com', 'fakeinbox.com', 'throwawaymail.com',
+  'mintemail.com', 'mohmal.com', 'emailondeck.com', 'mailnesia.com', 'spamgourmet.com',
+  'tempr.email', 'discard.email', 'burnermail.io', 'mailpoof.com', 'moakt.com'
+];
+
+const NO_REPLY_LOCALS = ['noreply', 'no-reply', 'donotreply', 'do-not-reply', 'mailer-daemon', 'postmaster'];
+
+const ROLE_LOCALS = [
+  'abuse', 'accounts', 'admin', 'billing', 'careers', 'contact', 'customerservice',
+  'dispatch', 'enquiries', 'help', 'hello', 'hr', 'info', 'inquiries', 'jobs',
+  'marketing', 'office', 'sales', 'service', 'support', 'team', 'webmaster'
+];
+
+// DNS answers that mean "this name has no such record", not "DNS is broken"
+const NO_RECORD_CODES = [dns.NODATA, dns.NOTFOUND];
+
+// How long MX lookups are reused within a process
+const MX_CACHE_MS = 60 * 60 * 1000;
+
+class EmailVerificationService {
+  constructor(options = {}) {
+    this.smtpProbe = options.smtpProbe ?? process.env.EMAIL_VERIFY_SMTP_PROBE === 'true';
+    this.smtpPort = options.smtpPort || parseInt(process.env.EMAIL_VERIFY_SMTP_PORT) || 25;
+    this.heloHost = options.heloHost || process.env.EMAIL_VERIFY_HELO_HOST || 'localhost';
+    this.mailFrom = options.mailFrom || process.env.EMAIL_VERIFY_MAIL_FROM || process.env.FROM_EMAIL || 'verify@localhost';
+    this.timeout = options.timeout || parseInt(process.env.EMAIL_VERIFY_TIMEOUT_MS) || 10000;
+    this.maxAgeDays = options.maxAgeDays || parseInt(process.env.EMAIL_VERIFY_MAX_AGE_DAYS) || 30;
+
+    this.disposableDomains = new Set([
+      ...DISPOSABLE_DOMAINS,
+      ...splitList(options.disposableDomains || process.env.EMAIL_VERIFY_DISPOSABLE_DOMAINS)
+    ]);
+
+    this.resolver = new dns.promises.Resolver({ timeout: this.timeout, tries: 2 });
+    const dnsServers = splitList(options.dnsServers || process.env.EMAIL_VERIFY_DNS_SERVERS);
+    if (dnsServers.length > 0) {
+      this.resolver.setServers(dnsServers);
+    }
+
+    this.mxCache = new Map();
+  }
+
+  /**
+   * Verify one address
+   *
+   * @param {string} email
+   * @returns {Object} { email, status, reason, checks, verifiedAt }
+   */
+  async verify(email) {
+    const address = String(email || '').trim().toLowerCase();
+    const [local, domain] = address.split('@');
+    const checks = {
+      syntax: isValidSyntax(address),
+      noReply: false,
+      disposable: false,
+      roleBased: false,
+      mx: [],
+      smtp: null,
+      catchAll: null
+    };
+
+    const result = (status, reason) => {
+      logger.debug(`Email ${address} verified as ${status}${reason ? ` (${reason})` : ''}`);
+      return { email: address, status, reason, checks, verifiedAt: new Date().toISOString() };
+    };
+
+    if (!checks.syntax) return result('invalid', 'syntax');
+
+    checks.noReply = NO_REPLY_LOCALS.includes(local);
+    checks.disposable = this.disposableDomains.has(domain);
+    checks.roleBased = ROLE_LOCALS.includes(local.split('+')[0]);
+
+    if (checks.noReply) return result('invalid', 'no_reply');
+    if (checks.disposable) return result('invalid', 'disposable');
+
+    try {
+      checks.mx = await this.lookupMx(domain);
+    } catch (error) {
+      logger.debug(`MX lookup failed for ${domain}:`, error.message);
+      return result('unknown', 'dns_error');
+    }
+
+    if (checks.mx.length === 0) return result('invalid', 'no_mx');
+
+    if (this.smtpProbe) {
+      checks.smtp = await this.probe(address, checks.mx);
+      checks.catchAll = checks.smtp.catchAll;
+
+      if (checks.smtp.stage === 'rcpt' && checks.smtp.code >= 500) {
+        return result('invalid', 'mailbox_rejected');
+      }
+
+      if (checks.smtp.stage !== 'rcpt' || checks.smtp.code >= 400) {
+        return result('unknown', 'smtp_inconclusive');
+      }
+
+      if (checks.catchAll) return result('risky', 'catch_all');
+    }
+
+    if (checks.roleBased) return result('risky', 'role_based');
+
+    return result('valid', null);
+  }
+
+  /**
+   * Mail servers for a domain, best first
+   * Falls back to the A record when there is no MX (RFC 5321 implicit MX);
+   * a null MX ("0 .") means the domain accepts no mail.
+   *
+   * @throws When DNS itself fails (timeouts, SERVFAIL)
+   */
+  async lookupMx(domain) {
+    const cached = this.mxCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.hosts;
+    }
+
+    let hosts;
+    try {
+      const records = await this.resolver.resolveMx(domain);
+      hosts = records
+        .filter(record => record.exchange && record.exchange !== '.')
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => record.exchange);
+    } catch (error) {
+      if (!NO_RECORD_CODES.includes(error.code)) throw error;
+      hosts = await this.lookupImplicitMx(domain);
+    }
+
+    this.mxCache.set(domain, { hosts, expiresAt: Date.now() + MX_CACHE_MS });
+    return hosts;
+  }
+
+  async lookupImplicitMx(domain) {
+    try {
+      const addresses = await this.resolver.resolve4(domain);
+      return addresses.length > 0 ? [domain] : [];
+    } catch (error) {
+      if (NO_RECORD_CODES.includes(error.code)) return [];
+      throw error;
+    }
+  }
+
+  /**
+   * RCPT probe against the first reachable mail server
+   * Returns { host, stage, code, message, catchAll }; stage is the last
+   * command that got an answer (greeting, helo, mail_from, rcpt) or
+   * 'connect' when no server could be reached.
+   */
+  async probe(email, mxHosts) {
+    let lastError = null;
+
+    for (const host of mxHosts.slice(0, 2)) {
+      try {
+        return await this.probeHost(host, email);
+      } catch (error) {
+        lastError = error;
+        logger.debug(`SMTP probe to ${host} failed:`, error.message);
+      }
+    }
+
+    return {
+      host: null,
+      stage: 'connect',
+      code: null,
+      message: lastError?.message || 'No mail server reachable',
+      catchAll: null
+    };
+  }
+
+  async probeHost(host, email) {
+    const connection = new SmtpConnection(host, this.smtpPort, this.timeout);
+    const answer = (stage, reply, catchAll = null) => ({ host, stage, code: reply.code, message: reply.message, catchAll });
+
+    try {
+      const greeting = await connection.read();
+      if (greeting.code !== 220) return answer('greeting', greeting);
+
+      let hello = await connection.send(`EHLO ${this.heloHost}`);
+      if (hello.code !== 250) {
+        hello = await connection.send(`HELO ${this.heloHost}`);
+      }
+      if (hello.code !== 250) return answer('helo', hello);
+
+      const from = await connection.send(`MAIL FROM:<${this.mailFrom}>`);
+      if (from.code !== 250) return answer('mail_from', from);
+
+      const rcpt = await connection.send(`RCPT TO:<${email}>`);
+      if (!isAccepted(rcpt.code)) return answer('rcpt', rcpt);
+
+      // A domain that also takes a random mailbox accepts everything
+      const domain = email.split('@')[1];
+      const random = await connection.send(`RCPT TO:<${crypto.randomBytes(8).toString('hex')}@${domain}>`);
+
+      return answer('rcpt', rcpt, isAccepted(random.code));
+
+    } finally {
+      connection.close();
+    }
+  }
+
+  /**
+   * Whether a lead's stored status is missing, stale or for another address
+   */
+  needsVerification(lead) {
+    if (!lead.email) return false;
+
+    const verification = lead.email_verification;
+    if (!lead.email_status || !verification?.verifiedAt) return true;
+    if (verification.email !== lead.email.trim().toLowerCase()) return true;
+
+    // A hard bounce is final for that address
+    if (verification.reason === 'bounced') return false;
+
+    const ageMs = Date.now() - new Date(verification.verifiedAt).getTime();
+    return ageMs > this.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Lead columns for a verification result
+   */
+  toLeadFields(verification) {
+    return {
+      email_status: verification.status,
+      email_verification: verification
+    };
+  }
+}
+
+/**
+ * Minimal SMTP client: send a command, read the (possibly multi-line) reply
+ */
+class SmtpConnection {
+  constructor(host, port, timeout) {
+    this.buffer = '';
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    this.socket = net.createConnection({ host, port });
+    this.socket.setEncoding('utf8');
+    this.socket.setTimeout(timeout);
+
+    this.socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.drain();
+    });
+    this.socket.on('timeout', () => {
+      this.fail(new Error(`SMTP timeout talking to ${host}`));
+      this.socket.destroy();
+    });
+    this.socket.on('error', error => this.fail(error));
+    this.socket.on('close', () => this.fail(new Error(`SMTP connection to ${host} closed`)));
+  }
+
+  drain() {
+    // "250-first line\r\n250-second\r\n250 last\r\n" is one reply
+    const pattern = /^((?:\d{3}-[^\r\n]*\r?\n)*)(\d{3})(?: ([^\r\n]*))?\r?\n/;
+    let match;
+
+    while ((match = this.buffer.match(pattern))) {
+      this.buffer = this.buffer.slice(match[0].length);
+
+      const lines = match[1].split(/\r?\n/).filter(Boolean).map(line => line.slice(4));
+      const reply = {
+        code: parseInt(match[2]),
+        message: [...lines, match[3] || ''].join(' ').trim()
+      };
+
+      if (this.waiting) {
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve(reply);
+      } else {
+        this.replies.push(reply);
+      }
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  send(command) {
+    this.socket.write(`${command}\r\n`);
+    return this.read();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  close() {
+    if (!this.socket.destroyed) {
+      this.socket.end('QUIT\r\n');
+    }
+  }
+}
+
+function isValidSyntax(address) {
+  if (address.length > 254 || !EMAIL_PATTERN.test(address)) return false;
+  return address.split('@')[0].length <= 64;
+}
+
+function isAccepted(code) {
+  return code === 250 || code === 251;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = new EmailVerificationService();
+module.exports.EmailVerificationService = EmailVerificationService;
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
@@ -0,0 +1,119 @@
+/**
+ * Lead Event Service
+ * Records lead events and hands them to whoever listens
+ *
+ * Events are stored in lead_events, emitted on this service (an EventEmitter)
+ * under their type, and, when the lead is assigned, emailed to the rep.
+ * Listeners run in the process that published the event, which for score
+ * drift is the worker. scoring-processor listens for lead.tier_upgraded to
+ * start the hot lead campaign.
+ */
+
+const EventEmitter = require('events');
+const { saveLeadEvent } = require('../database/lead-repository');
+const { getUserById } = require('../database/user-repository');
+const emailService = require('./email-service');
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = {
+  TIER_UPGRADED: 'lead.tier_upgraded',
+  TIER_DOWNGRADED: 'lead.tier_downgraded',
+  SCORE_JUMPED: 'lead.score_jumped',
+  SCORE_DROPPED: 'lead.score_dropped'
+};
+
+class LeadEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.notifyReps = process.env.SCORE_EVENT_NOTIFY_REPS !== 'false';
+  }
+
+  /**
+   * Record an event and notify listeners and the assigned rep
+   *
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} lead - Lead row (id, company_name, assigned_to)
+   * @param {Object} payload - Event details, stored as-is
+   * @returns {Object} { id, type, leadId, lead, payload, occurredAt }
+   */
+  async publish(type, lead, payload = {}) {
+    const event = {
+      type,
+      leadId: lead.id,
+      lead,
+      payload,
+      occurredAt: new Date().toISOString()
+    };
+
+    const saved = await saveLeadEvent(event);
+    event.id = saved.id;
+
+    logger.info(`${type}: ${lead.company_name} (${lead.id})`, payload);
+
+    // A failing listener must not stop the others or the caller
+    for (const listener of this.listeners(type)) {
+      try {
+        await listener(event);
+      } catch (error) {
+        logger.error(`${type} listener failed for lead ${lead.id}:`, error);
+      }
+    }
+
+    if (this.notifyReps && lead.assigned_to) {
+      await this.notifyRep(event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Email the assigned rep about an event
+   */
+  async notifyRep(event) {
+    try {
+      const rep = await getUserById(event.lead.assigned_to);
+      if (!rep?.email) return;
+
+      const { subject, body } = this.describe(event);
+      await emailService.send({ to: rep.email, subject, body });
+
+    } catch (error) {
+      logger.warn(`Could not notify the rep about ${event.type} for lead ${event.leadId}:`, error.message);
+    }
+  }
+
+  /**
+   * Subject and plain-text body for a rep notification
+   */
+  describe(event) {
+    const { lead, payload } = event;
+    const name = lead.company_name;
+    const change = `${payload.fromScore ?? '?'} → ${payload.toScore}`;
+
+    const subjects = {
+      [EVENT_TYPES.TIER_UPGRADED]: `${name} is now a ${payload.toTier}`,
+      [EVENT_TYPES.TIER_DOWNGRADED]: `${name} dropped to ${payload.toTier}`,
+      [EVENT_TYPES.SCORE_JUMPED]: `${name}'s lead score jumped (${change})`,
+      [EVENT_TYPES.SCORE_DROPPED]: `${name}'s lead score dropped (${change})`
+    };
+
+    const lines = [
+      `${name} went from ${payload.fromTier || 'unscored'} (${payload.fromScore ?? '-'}) to ${payload.toTier} (${payload.toScore}).`
+    ];
+
+    if (payload.newIndicators?.length > 0) {
+      lines.push('', 'New since the last score:', ...payload.newIndicators.map(indicator => `- ${indicator}`));
+    }
+    if (payload.clearedIndicators?.length > 0) {
+      lines.push('', 'No longer applies:', ...payload.clearedIndicators.map(indicator => `- ${indicator}`));
+    }
+
+    lines.push('', `Score breakdown: /api/leads/${lead.id}/score/explain`);
+
+    return { subject: subjects[event.type] || `${name}: ${event.type}`, body: lines.join('\n') };
+  }
+}
+
+module.exports = new LeadEventService();
+module.exports.LeadEventService = LeadEventService;
+module.exports.EVENT_TYPES = EVENT_TYPES;
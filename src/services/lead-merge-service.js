@@ -0,0 +1,276 @@
+/**
+ * Lead Merge Service
+ * Combines duplicate leads into a survivor and undoes merges
+ *
+ * Every merge is recorded in lead_merges with full snapshots of the
+ * survivor and victims, so undo can restore the originals exactly.
+ */
+
+const {
+  updateLead,
+  deleteLead,
+  createLeadMerge,
+  updateLeadMerge,
+  getLaterLeadMerges,
+  getLeadRecordIds,
+  getLeadRecords,
+  reassignLeadRecords,
+  restoreLeads,
+  restoreLeadRecords
+} = require('../database/lead-repository');
+const entityResolver = require('../scrapers/entity-resolver');
+const { TRACKED_FIELDS } = require('../scrapers/entity-resolver');
+const logger = require('../utils/logger');
+
+// Child tables that follow a lead when it is merged away
+const LEAD_RECORD_TABLES = ['lead_notes', 'messages', 'lead_rankings'];
+
+// Child tables that describe the victim itself and stay with it: their rows are
+// copied into the merge record before the victim's delete cascades, and
+// re-inserted on undo. Moving lead_reviews would collide on
+// (lead_id, source, review_id); the next collection refreshes the survivor
+const SNAPSHOT_RECORD_TABLES = ['lead_reviews', 'lead_score_history', 'lead_events'];
+
+/**
+ * A merge that cannot be undone yet because later merges built on it
+ */
+class LeadMergeUndoError extends Error {
+  constructor(message, laterMergeIds = []) {
+    super(message);
+    this.name = 'LeadMergeUndoError';
+    this.statusCode = 409;
+    this.laterMergeIds = laterMergeIds;
+  }
+}
+
+// Field rules
+const MERGE_STRATEGIES = ['most_complete', 'most_recent'];
+
+// Fields that must come from the same lead as another field
+const PAIRED_FIELDS = {
+  rating: 'review_count',
+  email_status: 'email',
+  email_verification: 'email'
+};
+
+class LeadMergeService {
+  /**
+   * Merge victims into the survivor
+   *
+   * @param {Object} survivor - Lead row that is kept
+   * @param {Array} victims - Lead rows folded in and deleted
+   * @param {Object} options
+   * @param {string} [options.strategy] - most_complete (default) or most_recent
+   * @param {Object} [options.overrides] - { field: leadId } manual picks
+   * @param {string} [options.userId] - User performing the merge
+   * @returns {Object} { merge, lead }
+   */
+  async merge(survivor, victims, options = {}) {
+    const strategy = options.strategy || 'most_complete';
+    const overrides = options.overrides || {};
+    const victimIds = victims.map(victim => victim.id);
+
+    const updates = this.buildSurvivorUpdates(survivor, victims, strategy, overrides);
+
+    // Note which rows move so undo can send them back
+    const movedRecords = {};
+    for (const table of LEAD_RECORD_TABLES) {
+      const rows = await getLeadRecordIds(table, victimIds);
+      movedRecords[table] = rows.reduce((acc, row) => {
+        (acc[row.lead_id] = acc[row.lead_id] || []).push(row.id);
+        return acc;
+      }, {});
+    }
+
+    const recordSnapshots = {};
+    for (const table of SNAPSHOT_RECORD_TABLES) {
+      recordSnapshots[table] = await getLeadRecords(table, victimIds);
+    }
+
+    // Audit first, so a merge that fails halfway can still be undone
+    const merge = await createLeadMerge({
+      survivor_id: survivor.id,
+      victim_ids: victimIds,
+      strategy,
+      overrides,
+      changed_fields: Object.keys(updates),
+      survivor_snapshot: survivor,
+      victim_snapshots: victims,
+      moved_records: movedRecords,
+      record_snapshots: recordSnapshots,
+      status: 'merged',
+      merged_by: options.userId || null
+    });
+
+    for (const table of LEAD_RECORD_TABLES) {
+      await reassignLeadRecords(table, Object.values(movedRecords[table]).flat(), survivor.id);
+    }
+
+    const lead = Object.keys(updates).length > 0
+      ? await updateLead(survivor.id, updates)
+      : survivor;
+
+    for (const victimId of victimIds) {
+      await deleteLead(victimId);
+    }
+
+    logger.info(`Merged ${victimIds.length} leads into ${survivor.id}`, {
+      mergeId: merge.id,
+      strategy,
+      changedFields: merge.changed_fields
+    });
+
+    return { merge, lead };
+  }
+
+  /**
+   * Undo a merge: re-create the victims with their reviews, score history
+   * and events, move their notes and messages back and restore the survivor
+   * fields the merge changed
+   *
+   * Merges into the same survivor are undone newest first; a later merge
+   * may have changed the same fields, so restoring this snapshot over it
+   * would lose that merge's values.
+   *
+   * @throws {LeadMergeUndoError} While a later merge into the survivor is in place
+   * @returns {Object} { merge, lead, restored }
+   */
+  async undo(merge, userId = null) {
+    const laterMerges = await getLaterLeadMerges(merge);
+    if (laterMerges.length > 0) {
+      throw new LeadMergeUndoError(
+        `Lead ${merge.survivor_id} was merged again afterwards; undo merge ${laterMerges[0].id} first`,
+        laterMerges.map(later => later.id)
+      );
+    }
+
+    const restored = await restoreLeads(merge.victim_snapshots);
+
+    for (const table of SNAPSHOT_RECORD_TABLES) {
+      await restoreLeadRecords(table, merge.record_snapshots?.[table] || []);
+    }
+
+    for (const table of LEAD_RECORD_TABLES) {
+      for (const [victimId, recordIds] of Object.entries(merge.moved_records?.[table] || {})) {
+        await reassignLeadRecords(table, recordIds, victimId);
+      }
+    }
+
+    const previousValues = (merge.changed_fields || []).reduce((acc, field) => {
+      acc[field] = merge.survivor_snapshot[field] ?? null;
+      return acc;
+    }, {});
+
+    const lead = await updateLead(merge.survivor_id, previousValues);
+
+    const updatedMerge = await updateLeadMerge(merge.id, {
+      status: 'undone',
+      undone_by: userId,
+      undone_at: new Date().toISOString()
+    });
+
+    logger.info(`Undid lead merge ${merge.id}: restored ${restored.length} leads`);
+
+    return { merge: updatedMerge, lead, restored };
+  }
+
+  /**
+   * Work out which survivor fields change and where each value came from
+   */
+  buildSurvivorUpdates(survivor, victims, strategy, overrides = {}) {
+    const leads = [survivor, ...victims];
+    const now = new Date().toISOString();
+    const updates = {};
+    const fieldSources = {
+      ...entityResolver.fieldSources(survivor),
+      ...(survivor.field_sources || {})
+    };
+
+    for (const field of TRACKED_FIELDS) {
+      if (PAIRED_FIELDS[field]) continue;
+
+      const rule = overrides[field] ? 'manual' : strategy;
+      const chosen = overrides[field]
+        ? leads.find(lead => lead.id === overrides[field])
+        : this.pickLead(leads, field, strategy);
+
+      const pairedFields = Object.keys(PAIRED_FIELDS).filter(paired => PAIRED_FIELDS[paired] === field);
+
+      for (const target of [field, ...pairedFields]) {
+        if (!chosen || chosen.id === survivor.id) continue;
+        if (JSON.stringify(chosen[target]) === JSON.stringify(survivor[target])) continue;
+
+        updates[target] = chosen[target] ?? null;
+        fieldSources[target] = {
+          ...(chosen.field_sources?.[target] || {
+            source: chosen.data_source || 'unknown',
+            sourceUrl: chosen.source_url || null,
+            updatedAt: now
+          }),
+          leadId: chosen.id,
+          rule
+        };
+      }
+    }
+
+    // Matching keys follow the chosen phone and website
+    const keys = entityResolver.normalize({ ...survivor, ...updates });
+    if ('phone' in updates) updates.normalized_phone = keys.phone;
+    if ('website' in updates) updates.website_domain = keys.domain;
+
+    // Keep a Google place ID if only a victim had one
+    const placeIdLead = victims.find(victim => victim.google_place_id);
+    if (!survivor.google_place_id && placeIdLead) {
+      updates.google_place_id = placeIdLead.google_place_id;
+    }
+
+    updates.field_sources = fieldSources;
+    updates.source_records = victims.reduce(
+      (records, victim) => entityResolver.combineProvenance(
+        records,
+        victim.source_records?.length ? victim.source_records : [entityResolver.provenance(victim)]
+      ),
+      survivor.source_records?.length ? survivor.source_records : [entityResolver.provenance(survivor)]
+    );
+
+    return updates;
+  }
+
+  /**
+   * Pick the lead whose value wins a field under a strategy
+   * Ties go to the earliest lead, i.e. the survivor
+   */
+  pickLead(leads, field, strategy) {
+    const candidates = leads.filter(lead => !isEmpty(lead[field]));
+    if (candidates.length === 0) return null;
+
+    const rank = strategy === 'most_recent'
+      ? lead => Date.parse(lead.field_sources?.[field]?.updatedAt || lead.updated_at || lead.created_at) || 0
+      : lead => completeness(lead[field], field);
+
+    return candidates.reduce((best, lead) => (rank(lead) > rank(best) ? lead : best));
+  }
+}
+
+/**
+ * How much information a value carries
+ */
+function completeness(value, field) {
+  if (typeof value === 'number') return field === 'review_count' ? value : 1;
+  if (typeof value === 'string') return value.trim().length;
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return value ? 1 : 0;
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+module.exports = new LeadMergeService();
+module.exports.MERGE_STRATEGIES = MERGE_STRATEGIES;
+module.exports.MERGEABLE_FIELDS = TRACKED_FIELDS;
+module.exports.LeadMergeUndoError = LeadMergeUndoError;
@@ -0,0 +1,182 @@
+/**
+ * Scoring Model Service
+ * Trains the outcome model on past leads and manages its versions
+ *
+ * Training takes every lead with a known outcome as it was scored when we
+ * first reached out: the last lead_score_history row before its first email
+ * (or its first row, if it never got one), so nothing learned after contact
+ * leaks into the features. Each snapshot becomes features (see
+ * scoring/outcome-model) and the lead is labelled by the target:
+ * - conversion: converted is positive, lost is negative
+ * - engagement: converted, qualified or a clicked email is positive; lost,
+ *   or emails sent and never opened, is negative
+ * Leads lost to a bounced address never saw the pitch and are left out.
+ * Saved versions only take part in scoring once activated, and then only as
+ * far as SCORING_MODE allows.
+ */
+
+const OutcomeModel = require('../scoring/outcome-model');
+const { featuresForSnapshot, TRAINING_DEFAULTS } = require('../scoring/outcome-model');
+const { getTrainingLeads, getLeadEngagement, getScoreSnapshots } = require('../database/lead-repository');
+const {
+  getLatestScoringModelVersion,
+  insertScoringModel,
+  activateScoringModel,
+  deactivateScoringModel
+} = require('../database/scoring-model-repository');
+const scoringProfiles = require('./scoring-profile-service');
+const logger = require('../utils/logger');
+
+// Lead statuses each target learns from
+const TARGETS = {
+  conversion: ['converted', 'lost'],
+  engagement: ['contacted', 'qualified', 'converted', 'lost']
+};
+
+class ScoringModelService {
+  constructor(options = {}) {
+    this.minExamples = options.minExamples || parseInt(process.env.SCORING_MODEL_MIN_EXAMPLES) || 100;
+  }
+
+  /**
+   * Fit a model on the leads in the database
+   *
+   * @param {Object} [options] - target (conversion or engagement), industry, minExamples,
+   *   plus the OutcomeModel.train options (holdout, l2, learningRate, iterations, seed)
+   * @returns {Object} { model, metrics, options } ready for save()
+   */
+  async train(options = {}) {
+    const target = options.target || 'conversion';
+    if (!TARGETS[target]) {
+      throw new Error(`Unknown training target "${target}"; use ${Object.keys(TARGETS).join(' or ')}`);
+    }
+
+    const leads = await getTrainingLeads({ statuses: TARGETS[target], industry: options.industry });
+    const engagement = await getLeadEngagement(leads.map(lead => lead.id));
+
+    // Features as the lead was scored at first contact, not as it looks now
+    const snapshots = await getScoreSnapshots(leads.reduce((cutoffs, lead) => {
+      cutoffs[lead.id] = engagement[lead.id]?.firstSentAt || null;
+      return cutoffs;
+    }, {}));
+
+    const examples = this.buildExamples(leads, engagement, snapshots, target);
+    const withoutSnapshot = leads.filter(lead => !snapshots[lead.id]).length;
+    const minExamples = options.minExamples || this.minExamples;
+
+    logger.info(`Training a ${target} model on ${examples.length} of ${leads.length} leads (${withoutSnapshot} without score history)`);
+
+    if (examples.length < minExamples) {
+      throw new Error(`Only ${examples.length} labelled leads; at least ${minExamples} are needed to train a model`);
+    }
+
+    const training = { ...TRAINING_DEFAULTS };
+    for (const key of Object.keys(TRAINING_DEFAULTS)) {
+      if (options[key] !== undefined) training[key] = options[key];
+    }
+
+    const { model, metrics } = OutcomeModel.train(examples, { ...training, target });
+
+    return {
+      model,
+      metrics: { ...metrics, leads: leads.length, unlabelled: leads.length - examples.length, withoutSnapshot },
+      options: {
+        ...training,
+        target,
+        industry: options.industry || null
+      }
+    };
+  }
+
+  /**
+   * Training examples for the leads that have a label under the target and
+   * a score snapshot ({ leadId: lead_score_history row })
+   * @returns {Array} [{ leadId, features, label, ruleScore }]
+   */
+  buildExamples(leads, engagement, snapshots, target) {
+    const examples = [];
+
+    for (const lead of leads) {
+      const label = this.labelFor(lead, engagement[lead.id], target);
+      const snapshot = snapshots[lead.id];
+      if (label === null || !snapshot) continue;
+
+      examples.push({
+        leadId: lead.id,
+        features: featuresForSnapshot(snapshot),
+        label,
+        ruleScore: snapshot.rule_score ?? snapshot.score
+      });
+    }
+
+    return examples;
+  }
+
+  /**
+   * 1, 0, or null when the lead says nothing about the target
+   */
+  labelFor(lead, engagement, target) {
+    if (lead.status === 'lost' && lead.email_status === 'invalid') return null;
+
+    if (target === 'conversion') {
+      if (lead.status === 'converted') return 1;
+      if (lead.status === 'lost') return 0;
+      return null;
+    }
+
+    if (lead.status === 'converted' || lead.status === 'qualified') return 1;
+    if (lead.status === 'lost') return 0;
+    if (engagement?.clicked > 0) return 1;
+    if (engagement?.sent > 0 && engagement.opened === 0) return 0;
+    return null;
+  }
+
+  /**
+   * Save a trained model as the next version
+   *
+   * @param {Object} trained - train() result
+   * @param {Object} [options]
+   * @param {boolean} [options.activate] - Score with it from now on
+   * @returns {Object} scoring_models row
+   */
+  async save(trained, options = {}) {
+    const version = await getLatestScoringModelVersion() + 1;
+
+    let row = await insertScoringModel({
+      version,
+      target: trained.model.target,
+      model: trained.model.toArtifact(),
+      metrics: trained.metrics,
+      options: trained.options,
+      created_by: options.userId || null
+    });
+
+    if (options.activate) {
+      row = await this.activate(row.id);
+    }
+
+    return row;
+  }
+
+  /**
+   * Score new leads with a model version from now on
+   */
+  async activate(id) {
+    const row = await activateScoringModel(id);
+    scoringProfiles.clearCache();
+    return row;
+  }
+
+  /**
+   * Go back to rule-only scoring
+   */
+  async deactivate(id) {
+    const row = await deactivateScoringModel(id);
+    scoringProfiles.clearCache();
+    return row;
+  }
+}
+
+module.exports = new ScoringModelService();
+module.exports.ScoringModelService = ScoringModelService;
+module.exports.TARGETS = TARGETS;
@@ -0,0 +1,186 @@
+/**
+ * Scoring Profile Service
+ * Versioned scoring profiles and the LeadScorer built from the active one
+ *
+ * A profile holds the LeadScorer weights, tier thresholds, indicator points
+ * and per-industry overrides (see scoring/default-profile). Profiles only
+ * store the values they change. Editing a profile saves its next version
+ * instead of changing the old one, so lead.scoring_profile_id always points
+ * at the settings that produced its score. Without an active profile, leads
+ * are scored with the built-in default (version 0).
+ *
+ * The scorer also carries the active outcome model (see scoring-model-service),
+ * which SCORING_MODE decides how to use: rule ignores it, model and blend
+ * score with it and shadow only logs its score next to the rule score.
+ */
+
+const LeadScorer = require('../scoring/lead-scorer');
+const { DEFAULT_PROFILE } = require('../scoring/lead-scorer');
+const OutcomeModel = require('../scoring/outcome-model');
+const {
+  getActiveScoringProfile,
+  getLatestScoringProfileVersion,
+  insertScoringProfile,
+  activateScoringProfile
+} = require('../database/scoring-profile-repository');
+const { getActiveScoringModel } = require('../database/scoring-model-repository');
+const logger = require('../utils/logger');
+
+class ScoringProfileService {
+  constructor(options = {}) {
+    this.cacheTtlMs = (options.cacheTtlSeconds || parseInt(process.env.SCORING_PROFILE_CACHE_SECONDS) || 60) * 1000;
+    this.active = null;
+  }
+
+  /**
+   * LeadScorer for the active profile and model, cached per process so a
+   * batch of scoring jobs reads them once
+   */
+  async getScorer(options = {}) {
+    if (this.active && !options.refresh && this.active.expiresAt > Date.now()) {
+      return this.active.scorer;
+    }
+
+    let profile = DEFAULT_PROFILE;
+
+    try {
+      const row = await getActiveScoringProfile();
+      if (row) profile = this.toProfile(row);
+
+    } catch (error) {
+      logger.warn('Could not load the active scoring profile:', error.message);
+
+      // Keep scoring with the last profile that loaded
+      if (this.active) return this.active.scorer;
+    }
+
+    const model = await this.loadModel();
+    const scorer = new LeadScorer(profile, { model });
+    this.active = { scorer, expiresAt: Date.now() + this.cacheTtlMs };
+
+    logger.debug(`Scoring with profile ${profile.name} v${profile.version}` +
+      (model ? `, model v${model.version} in ${scorer.mode} mode` : ''));
+    return scorer;
+  }
+
+  /**
+   * The active outcome model, or null when none is active or SCORING_MODE is rule
+   * A model that does not load leaves scoring to the rules.
+   */
+  async loadModel() {
+    if ((process.env.SCORING_MODE || 'rule') === 'rule') return null;
+
+    try {
+      const row = await getActiveScoringModel();
+      return row ? OutcomeModel.fromRow(row) : null;
+
+    } catch (error) {
+      logger.warn('Could not load the active scoring model:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * The profile LeadScorer takes, from a scoring_profiles row
+   */
+  toProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: row.version,
+      weights: row.weights || {},
+      thresholds: row.thresholds || {},
+      indicators: row.indicators || {},
+      industryOverrides: row.industry_overrides || {}
+    };
+  }
+
+  /**
+   * Problems with a profile once merged over the defaults, for the profile
+   * itself and for every industry override
+   * @returns {Array} [{ field, message }], empty when the profile is usable
+   */
+  validate(profile) {
+    const scorer = new LeadScorer(profile);
+    const errors = [];
+
+    const industries = [null, ...Object.keys(scorer.profile.industryOverrides)];
+
+    for (const industry of industries) {
+      const { weights, thresholds } = scorer.configFor(industry);
+      const prefix = industry ? `industry_overrides.${industry}.` : '';
+
+      const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+      if (total !== 100) {
+        errors.push({ field: `${prefix}weights`, message: `Weights must add up to 100, not ${total}` });
+      }
+
+      if (!(thresholds.hot > thresholds.warm && thresholds.warm > thresholds.cold)) {
+        errors.push({ field: `${prefix}thresholds`, message: 'Thresholds must go hot > warm > cold' });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Save a new profile or the next version of an existing one
+   *
+   * @param {Object|null} previous - Row of the version being edited, null for a new profile
+   * @param {Object} changes - { name, description, weights, thresholds, indicators,
+   *   industry_overrides, activate }; weights, thresholds and indicators are merged
+   *   into the previous version, industry_overrides replaces it
+   * @param {string} userId
+   * @returns {Object} { profile } or { errors } when the settings do not add up (nothing is saved)
+   */
+  async saveVersion(previous, changes, userId) {
+    const indicators = { ...previous?.indicators };
+    for (const [component, points] of Object.entries(changes.indicators || {})) {
+      indicators[component] = { ...indicators[component], ...points };
+    }
+
+    const row = {
+      name: previous ? previous.name : changes.name,
+      description: changes.description !== undefined ? changes.description : previous?.description ?? null,
+      weights: { ...previous?.weights, ...changes.weights },
+      thresholds: { ...previous?.thresholds, ...changes.thresholds },
+      indicators,
+      industry_overrides: changes.industry_overrides !== undefined
+        ? changes.industry_overrides
+        : previous?.industry_overrides || {},
+      based_on: previous?.id || null,
+      created_by: userId
+    };
+
+    const errors = this.validate(this.toProfile(row));
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    row.version = await getLatestScoringProfileVersion(row.name) + 1;
+    let profile = await insertScoringProfile(row);
+
+    // A new version of the active profile takes over unless told otherwise
+    if (changes.activate ?? Boolean(previous?.is_active)) {
+      profile = await this.activate(profile.id);
+    }
+
+    return { profile };
+  }
+
+  /**
+   * Score new leads with a profile version from now on
+   */
+  async activate(id) {
+    const profile = await activateScoringProfile(id);
+    this.clearCache();
+    return profile;
+  }
+
+  clearCache() {
+    this.active = null;
+  }
+}
+
+module.exports = new ScoringProfileService();
+module.exports.ScoringProfileService = ScoringProfileService;
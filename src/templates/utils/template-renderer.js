@@ -163,7 +163,22 @@ class TemplateRenderer {
       avgJobValue: '3,500',
       estimatedMonthlyCalls: '45-60',
       reviewCount: '47',
-      technicalIssues: '23'
+      technicalIssues: '23',
+      competitors: {
+        city: 'Phoenix',
+        marketSize: 42,
+        rank: 18,
+        count: 3,
+        top: [
+          { name: 'Desert Star Services', rating: 4.9, reviewCount: 612 },
+          { name: 'Valley Pro Services', rating: 4.8, reviewCount: 455 },
+          { name: 'Sun State Services', rating: 4.7, reviewCount: 389 }
+        ],
+        you: { rating: 4.4, reviewCount: 47 },
+        averageRating: 4.8,
+        averageReviews: 485,
+        summary: 'the top 3 competitors in Phoenix average 485 reviews; you have 47'
+      }
     };
 
     // Industry-specific additions
@@ -1,52 +1,302 @@
 /**
  * Rate Limiter Utility
  * Prevents overwhelming external services with requests
+ *
+ * Budgets live in Redis so every worker process shares them: each service
+ * keeps a sliding window log (sorted set of request timestamps). Limits can
+ * be changed at runtime with setLimit() and are picked up by all processes.
+ * If Redis is unreachable the limiter falls back to per-process counters.
  */
 
+const crypto = require('crypto');
 const logger = require('./logger');
+const { redisClient } = require('../queues/queue-config');
+
+const KEY_PREFIX = 'ratelimit';
+const CONFIG_KEY = `${KEY_PREFIX}:config`;
+
+const DEFAULT_LIMITS = {
+  google: { limit: 10, window: 60000 },
+  yelp: { limit: 15, window: 60000 },
+  yellowpages: { limit: 20, window: 60000 },
+  enrichment: { limit: 30, window: 60000 },
+  default: { limit: 50, window: 60000 }
+};
+
+// Drop timestamps outside the window, then take a slot if one is free.
+// Returns 0 when allowed, otherwise ms until the oldest request expires.
+// Uses the Redis clock so workers on different hosts agree on "now".
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+
+if redis.call('ZCARD', KEYS[1]) < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], window)
+  return 0
+end
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return math.max(1, tonumber(oldest[2]) + window - now)
+`;
+
+redisClient.defineCommand('takeRateLimitSlot', {
+  numberOfKeys: 1,
+  lua: SLIDING_WINDOW_SCRIPT
+});
 
 class RateLimiter {
-  constructor() {
-    this.limits = {
-      google: { requests: 0, limit: 10, window: 60000, resetTime: Date.now() },
-      yelp: { requests: 0, limit: 15, window: 60000, resetTime: Date.now() },
-      yellowpages: { requests: 0, limit: 20, window: 60000, resetTime: Date.now() },
-      enrichment: { requests: 0, limit: 30, window: 60000, resetTime: Date.now() },
-      default: { requests: 0, limit: 50, window: 60000, resetTime: Date.now() }
-    };
+  constructor(options = {}) {
+    this.redis = options.redis || redisClient;
+
+    // Per-process fallback state
+    this.limits = {};
+    this.overrides = {};
+    this.cooldowns = {};
+
+    this.backoffBaseMs = parseInt(process.env.SCRAPER_BACKOFF_BASE_MS) || 2 * 60 * 1000;
+    this.backoffMaxMs = parseInt(process.env.SCRAPER_BACKOFF_MAX_MS) || 2 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Whether counters are currently shared through Redis
+   */
+  isShared() {
+    return this.redis.status === 'ready';
+  }
+
+  /**
+   * Services with a budget; anything else uses the default bucket
+   */
+  services() {
+    return Object.keys(DEFAULT_LIMITS);
+  }
+
+  resolveService(service) {
+    return DEFAULT_LIMITS[service] ? service : 'default';
   }
 
   /**
    * Check if request is allowed
+   * Waits until the service's window has room, then takes a slot
    */
   async checkLimit(service = 'default') {
-    const limiter = this.limits[service] || this.limits.default;
+    const bucket = this.resolveService(service);
+    const { limit, window } = await this.getLimit(bucket);
+
+    let waitTime = await this.takeSlot(bucket, limit, window);
+
+    while (waitTime > 0) {
+      logger.warn(`Rate limit reached for ${service}. Waiting ${waitTime}ms...`);
+      await this.sleep(waitTime);
+      waitTime = await this.takeSlot(bucket, limit, window);
+    }
+
+    // Add small delay between requests
+    await this.sleep(Math.random() * 1000 + 500);
+
+    return true;
+  }
+
+  /**
+   * Take a slot in the shared window (or the local one without Redis)
+   * Returns ms to wait, 0 when the request may go ahead
+   */
+  async takeSlot(service, limit, window) {
+    if (this.isShared()) {
+      try {
+        const waitTime = await this.redis.takeRateLimitSlot(
+          `${KEY_PREFIX}:${service}`,
+          window,
+          limit,
+          crypto.randomUUID()
+        );
+        return Number(waitTime);
+      } catch (error) {
+        logger.warn(`Shared rate limit unavailable for ${service}, using local counters:`, error.message);
+      }
+    }
+
+    return this.takeLocalSlot(service, limit, window);
+  }
+
+  takeLocalSlot(service, limit, window) {
     const now = Date.now();
+    const limiter = this.limits[service] || (this.limits[service] = { requests: 0, resetTime: now });
 
     // Reset counter if window has passed
-    if (now - limiter.resetTime >= limiter.window) {
+    if (now - limiter.resetTime >= window) {
       limiter.requests = 0;
       limiter.resetTime = now;
     }
 
-    // Check if limit exceeded
-    if (limiter.requests >= limiter.limit) {
-      const waitTime = limiter.window - (now - limiter.resetTime);
-      logger.warn(`Rate limit reached for ${service}. Waiting ${waitTime}ms...`);
-      await this.sleep(waitTime);
-      
-      // Reset after waiting
-      limiter.requests = 0;
-      limiter.resetTime = Date.now();
+    if (limiter.requests >= limit) {
+      return window - (now - limiter.resetTime);
     }
 
-    // Increment counter
     limiter.requests++;
-    
-    // Add small delay between requests
-    await this.sleep(Math.random() * 1000 + 500);
-    
-    return true;
+    return 0;
+  }
+
+  /**
+   * Current { limit, window } for a service, including runtime overrides
+   */
+  async getLimit(service = 'default') {
+    const bucket = this.resolveService(service);
+    let override = this.overrides[bucket];
+
+    if (this.isShared()) {
+      try {
+        const stored = await this.redis.hget(CONFIG_KEY, bucket);
+        override = stored ? JSON.parse(stored) : null;
+        this.overrides[bucket] = override;
+      } catch (error) {
+        logger.debug(`Could not read rate limit config for ${bucket}:`, error.message);
+      }
+    }
+
+    return { ...DEFAULT_LIMITS[bucket], ...override };
+  }
+
+  /**
+   * Change a service's budget at runtime for every process
+   *
+   * @param {string} service - One of services()
+   * @param {Object} updates - { limit, window } (window in ms)
+   * @returns {Object} The new { limit, window }
+   */
+  async setLimit(service, updates = {}) {
+    if (!DEFAULT_LIMITS[service]) {
+      throw new Error(`Unknown rate limit service: ${service}`);
+    }
+
+    const current = await this.getLimit(service);
+    const override = {
+      limit: updates.limit ?? current.limit,
+      window: updates.window ?? current.window
+    };
+
+    this.overrides[service] = override;
+
+    if (this.isShared()) {
+      await this.redis.hset(CONFIG_KEY, service, JSON.stringify(override));
+    } else {
+      logger.warn(`Redis unavailable: rate limit for ${service} changed in this process only`);
+    }
+
+    logger.info(`Rate limit for ${service} set to ${override.limit} requests per ${override.window}ms`);
+    return override;
+  }
+
+  /**
+   * Drop a runtime override and go back to the built-in budget
+   */
+  async resetLimit(service) {
+    delete this.overrides[service];
+
+    if (this.isShared()) {
+      await this.redis.hdel(CONFIG_KEY, service);
+    }
+
+    return { ...DEFAULT_LIMITS[service] };
+  }
+
+  /**
+   * Put a service into cool-down after it blocked us
+   * Each consecutive block doubles the wait, up to backoffMaxMs
+   */
+  async backoff(service = 'default', reason = 'blocked') {
+    service = this.resolveService(service);
+    const previous = await this.readCooldown(service);
+    const strikes = (previous?.strikes || 0) + 1;
+    const duration = Math.min(this.backoffBaseMs * 2 ** (strikes - 1), this.backoffMaxMs);
+
+    const cooldown = {
+      strikes,
+      until: Date.now() + duration,
+      reason
+    };
+
+    // Strikes outlive the cool-down so a repeat block backs off longer
+    await this.writeCooldown(service, cooldown, duration + this.backoffMaxMs);
+
+    logger.warn(`${service} cooling down for ${Math.round(duration / 1000)}s (strike ${strikes}): ${reason}`);
+    return cooldown;
+  }
+
+  /**
+   * Get a service's active cool-down, or null
+   */
+  async getCooldown(service = 'default') {
+    service = this.resolveService(service);
+    const cooldown = await this.readCooldown(service);
+    return cooldown && cooldown.until > Date.now() ? cooldown : null;
+  }
+
+  /**
+   * Reset a service's strikes once it answers normally again
+   */
+  async clearBackoff(service = 'default') {
+    service = this.resolveService(service);
+    const cooldown = await this.readCooldown(service);
+    if (!cooldown) return;
+
+    delete this.cooldowns[service];
+    if (this.isShared()) {
+      await this.redis.del(`${KEY_PREFIX}:cooldown:${service}`).catch(() => {});
+    }
+
+    logger.info(`${service} recovered after ${cooldown.strikes} blocks`);
+  }
+
+  /**
+   * Active cool-downs, for health checks
+   */
+  async getCooldowns() {
+    const cooldowns = [];
+
+    for (const service of this.services()) {
+      const cooldown = await this.getCooldown(service);
+      if (cooldown) {
+        cooldowns.push({
+          service,
+          strikes: cooldown.strikes,
+          reason: cooldown.reason,
+          until: new Date(cooldown.until).toISOString()
+        });
+      }
+    }
+
+    return cooldowns;
+  }
+
+  async readCooldown(service) {
+    if (this.isShared()) {
+      try {
+        const stored = await this.redis.get(`${KEY_PREFIX}:cooldown:${service}`);
+        return stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        logger.debug(`Could not read cool-down for ${service}:`, error.message);
+      }
+    }
+
+    return this.cooldowns[service] || null;
+  }
+
+  async writeCooldown(service, cooldown, ttlMs) {
+    this.cooldowns[service] = cooldown;
+
+    if (this.isShared()) {
+      try {
+        await this.redis.set(`${KEY_PREFIX}:cooldown:${service}`, JSON.stringify(cooldown), 'PX', ttlMs);
+      } catch (error) {
+        logger.warn(`Could not share cool-down for ${service}:`, error.message);
+      }
+    }
   }
 
   /**
@@ -59,33 +309,62 @@ class RateLimiter {
   /**
    * Reset all limits
    */
-  resetAll() {
-    Object.keys(this.limits).forEach(service => {
-      this.limits[service].requests = 0;
-      this.limits[service].resetTime = Date.now();
-    });
+  async resetAll() {
+    this.limits = {};
+    this.cooldowns = {};
+
+    if (this.isShared()) {
+      const keys = this.services().flatMap(service => [
+        `${KEY_PREFIX}:${service}`,
+        `${KEY_PREFIX}:cooldown:${service}`
+      ]);
+      await this.redis.del(...keys);
+    }
+
     logger.info('All rate limits reset');
   }
 
   /**
    * Get current status
    */
-  getStatus() {
+  async getStatus() {
     const status = {};
-    Object.keys(this.limits).forEach(service => {
-      const limiter = this.limits[service];
+
+    for (const service of this.services()) {
+      const { limit, window } = await this.getLimit(service);
+      const requests = await this.countRequests(service, window);
+      const cooldown = await this.getCooldown(service);
+
       status[service] = {
-        requests: limiter.requests,
-        limit: limiter.limit,
-        remaining: limiter.limit - limiter.requests,
-        resetIn: Math.max(0, limiter.window - (Date.now() - limiter.resetTime))
+        requests,
+        limit,
+        window,
+        remaining: Math.max(0, limit - requests),
+        shared: this.isShared(),
+        coolingDownUntil: cooldown ? new Date(cooldown.until).toISOString() : null
       };
-    });
+    }
+
     return status;
   }
+
+  async countRequests(service, window) {
+    if (this.isShared()) {
+      try {
+        return await this.redis.zcount(`${KEY_PREFIX}:${service}`, Date.now() - window, '+inf');
+      } catch (error) {
+        logger.debug(`Could not count requests for ${service}:`, error.message);
+      }
+    }
+
+    const limiter = this.limits[service];
+    return limiter && Date.now() - limiter.resetTime < window ? limiter.requests : 0;
+  }
 }
 
 // Singleton instance
 const rateLimiter = new RateLimiter();
 
 module.exports = rateLimiter;
+module.exports.RateLimiter = RateLimiter;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -3,6 +3,7 @@
  */
 
 const Joi = require('joi');
+const { EMAIL_STATUSES } = require('../services/email-verification-service');
 
 const list = Joi.object({
   query: Joi.object({
@@ -12,6 +13,7 @@ const list = Joi.object({
     minScore: Joi.number().min(0).max(100),
     maxScore: Joi.number().min(0).max(100),
     tier: Joi.string().valid('Hot Lead', 'Warm Lead', 'Cold Lead', 'Low Priority'),
+    emailStatus: Joi.string().valid(...EMAIL_STATUSES),
     search: Joi.string(),
     limit: Joi.number().min(1).max(100).default(50),
     offset: Joi.number().min(0).default(0),
@@ -32,6 +34,7 @@ const create = Joi.object({
     website: Joi.string().uri().allow(null, ''),
     phone: Joi.string().allow(null, ''),
     email: Joi.string().email().allow(null, ''),
+    owner_name: Joi.string().allow(null, ''),
     address: Joi.string().allow(null, ''),
     city: Joi.string().allow(null, ''),
     state: Joi.string().length(2).allow(null, ''),
@@ -54,6 +57,7 @@ const update = Joi.object({
     website: Joi.string().uri().allow(null, ''),
     phone: Joi.string().allow(null, ''),
     email: Joi.string().email().allow(null, ''),
+    owner_name: Joi.string().allow(null, ''),
     address: Joi.string().allow(null, ''),
     city: Joi.string().allow(null, ''),
     state: Joi.string().length(2).allow(null, ''),
@@ -83,6 +87,7 @@ const bulkImport = Joi.object({
         website: Joi.string().uri().allow(null, ''),
         phone: Joi.string().allow(null, ''),
         email: Joi.string().email().allow(null, ''),
+        owner_name: Joi.string().allow(null, ''),
         address: Joi.string().allow(null, ''),
         city: Joi.string().allow(null, ''),
         state: Joi.string().length(2).allow(null, ''),
@@ -105,6 +110,82 @@ const exportLeads = Joi.object({
   })
 });
 
+const listMatchReviews = Joi.object({
+  query: Joi.object({
+    status: Joi.string().valid('pending', 'merged', 'rejected').default('pending'),
+    limit: Joi.number().min(1).max(100).default(50),
+    offset: Joi.number().min(0).default(0)
+  })
+});
+
+const resolveMatchReview = Joi.object({
+  params: Joi.object({
+    reviewId: Joi.string().uuid().required()
+  }),
+  body: Joi.object({
+    decision: Joi.string().valid('merge', 'reject').required()
+  })
+});
+
+const merge = Joi.object({
+  body: Joi.object({
+    survivorId: Joi.string().uuid().required(),
+    victimIds: Joi.array()
+      .items(Joi.string().uuid())
+      .min(1)
+      .max(20)
+      .unique()
+      .required(),
+    strategy: Joi.string().valid('most_complete', 'most_recent').default('most_complete'),
+    overrides: Joi.object().pattern(/^[a-z_]+$/, Joi.string().uuid())
+  })
+});
+
+const undoMerge = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  })
+});
+
+const competitors = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+  query: Joi.object({
+    refresh: Joi.boolean().default(false)
+  })
+});
+
+const explainScore = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+  query: Joi.object({
+    recalculate: Joi.boolean().default(false)
+  })
+});
+
+const scoreHistory = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+  query: Joi.object({
+    since: Joi.date().iso(),
+    limit: Joi.number().min(1).max(500).default(100)
+  })
+});
+
+const rankings = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+  query: Joi.object({
+    keyword: Joi.string(),
+    since: Joi.date().iso(),
+    limit: Joi.number().min(1).max(1000).default(500)
+  })
+});
+
 module.exports = {
   list,
   getById,
@@ -112,5 +193,13 @@ module.exports = {
   update,
   delete: deleteLead,
   bulkImport,
-  export: exportLeads
+  export: exportLeads,
+  listMatchReviews,
+  resolveMatchReview,
+  merge,
+  undoMerge,
+  rankings,
+  competitors,
+  explainScore,
+  scoreHistory
 };
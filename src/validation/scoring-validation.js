@@ -0,0 +1,104 @@
+/**
+ * Scoring Validation Schemas
+ */
+
+const Joi = require('joi');
+const { DEFAULT_PROFILE } = require('../scoring/lead-scorer');
+
+// Profiles may only set the weights, thresholds and indicators LeadScorer knows
+const weights = Joi.object(Object.fromEntries(
+  Object.keys(DEFAULT_PROFILE.weights).map(component => [component, Joi.number().min(0).max(100)])
+));
+
+const thresholds = Joi.object({
+  hot: Joi.number().min(0).max(100),
+  warm: Joi.number().min(0).max(100),
+  cold: Joi.number().min(0).max(100)
+});
+
+const indicators = Joi.object(Object.fromEntries(
+  Object.entries(DEFAULT_PROFILE.indicators).map(([component, points]) => [
+    component,
+    Joi.object(Object.fromEntries(Object.keys(points).map(indicator => [indicator, Joi.number().min(-100).max(100)])))
+  ])
+));
+
+const industryOverrides = Joi.object().pattern(
+  Joi.string().valid('HVAC', 'PLUMBING', 'ROOFING', 'ELECTRICAL'),
+  Joi.object({ weights, thresholds, indicators })
+);
+
+const listProfiles = Joi.object({
+  query: Joi.object({
+    name: Joi.string(),
+    active: Joi.boolean(),
+    limit: Joi.number().min(1).max(100).default(50),
+    offset: Joi.number().min(0).default(0)
+  })
+});
+
+const getProfile = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  })
+});
+
+const createProfile = Joi.object({
+  body: Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(100).required(),
+    description: Joi.string().allow('', null),
+    weights,
+    thresholds,
+    indicators,
+    industry_overrides: industryOverrides,
+    activate: Joi.boolean().default(false)
+  })
+});
+
+const updateProfile = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+  body: Joi.object({
+    description: Joi.string().allow('', null),
+    weights,
+    thresholds,
+    indicators,
+    industry_overrides: industryOverrides,
+    activate: Joi.boolean()
+  }).min(1)
+});
+
+const listModels = Joi.object({
+  query: Joi.object({
+    target: Joi.string().valid('conversion', 'engagement'),
+    active: Joi.boolean(),
+    limit: Joi.number().min(1).max(100).default(50),
+    offset: Joi.number().min(0).default(0)
+  })
+});
+
+const getModel = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  })
+});
+
+const updateModel = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+  body: Joi.object({
+    activate: Joi.boolean().required()
+  })
+});
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  listModels,
+  getModel,
+  updateModel
+};
@@ -4,6 +4,29 @@
 
 const Joi = require('joi');
 
+const zipCode = Joi.string().pattern(/^\d{5}$/);
+
+// ZIP lists, counties and "within N miles of" (see scrapers/target-areas)
+const target = Joi.object({
+  type: Joi.string().valid('zips', 'county', 'radius').required(),
+  zips: Joi.array().items(zipCode).min(1).max(500)
+    .when('type', { is: 'zips', then: Joi.required(), otherwise: Joi.forbidden() }),
+  county: Joi.string()
+    .when('type', { is: 'county', then: Joi.required(), otherwise: Joi.forbidden() }),
+  state: Joi.string().length(2).uppercase()
+    .when('type', { is: 'county', then: Joi.required(), otherwise: Joi.forbidden() }),
+  miles: Joi.number().min(1).max(100)
+    .when('type', { is: 'radius', then: Joi.required(), otherwise: Joi.forbidden() }),
+  address: Joi.string(),
+  zip: zipCode,
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180)
+})
+  .and('lat', 'lng')
+  .when(Joi.object({ type: 'radius' }).unknown(), {
+    then: Joi.object().or('address', 'zip', 'lat')
+  });
+
 const start = Joi.object({
   body: Joi.object({
     industries: Joi.array()
@@ -13,8 +36,19 @@ const start = Joi.object({
     locations: Joi.array()
       .items(Joi.string())
       .min(1)
-      .required(),
-    maxLeadsPerIndustry: Joi.number().min(1).max(500).default(50)
+      .when('targets', { is: Joi.exist(), otherwise: Joi.required() }),
+    targets: Joi.array()
+      .items(target)
+      .min(1)
+      .max(20),
+    // Grid sweeps cover a whole metro, so they may collect far more
+    maxLeadsPerIndustry: Joi.number().min(1)
+      .when('grid', { is: true, then: Joi.number().max(5000), otherwise: Joi.number().max(500) })
+      .default(50),
+    sources: Joi.array()
+      .items(Joi.string())
+      .min(1),
+    grid: Joi.boolean().default(false)
   })
 });
 
@@ -26,7 +60,7 @@ const status = Joi.object({
 
 const listJobs = Joi.object({
   query: Joi.object({
-    status: Joi.string().valid('pending', 'running', 'completed', 'failed', 'cancelled'),
+    status: Joi.string().valid('pending', 'running', 'retrying', 'completed', 'failed', 'cancelled'),
     limit: Joi.number().min(1).max(100).default(50),
     offset: Joi.number().min(0).default(0)
   })
@@ -38,9 +72,34 @@ const cancel = Joi.object({
   })
 });
 
+const resume = Joi.object({
+  params: Joi.object({
+    jobId: Joi.string().uuid().required()
+  })
+});
+
+const rateLimitService = Joi.object({
+  service: Joi.string().required()
+});
+
+const updateRateLimit = Joi.object({
+  params: rateLimitService,
+  body: Joi.object({
+    limit: Joi.number().integer().min(1).max(10000),
+    window: Joi.number().integer().min(1000).max(24 * 60 * 60 * 1000)
+  }).or('limit', 'window')
+});
+
+const resetRateLimit = Joi.object({
+  params: rateLimitService
+});
+
 module.exports = {
   start,
   status,
   listJobs,
-  cancel
+  cancel,
+  resume,
+  updateRateLimit,
+  resetRateLimit
 };
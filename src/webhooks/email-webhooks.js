@@ -88,6 +88,7 @@ async function processSendGridEvent(event) {
         updateData.status = 'bounced';
         updateData.error_message = event.reason || 'Email bounced';
         await updateLeadStatus(leadId, 'lost', 'Email bounced');
+        await markEmailInvalid(leadId, 'bounced');
         break;
 
       case 'spam_report':
@@ -162,6 +163,7 @@ async function handleMailgunWebhook(req, res) {
         updateData.status = 'bounced';
         updateData.error_message = event.error || 'Email bounced';
         await updateLeadStatus(leadId, 'lost', 'Email bounced');
+        await markEmailInvalid(leadId, 'bounced');
         break;
 
       case 'complained':
@@ -274,6 +276,35 @@ async function updateLeadStatus(leadId, status, notes = null) {
   }
 }
 
+/**
+ * Record a hard bounce as a failed email verification
+ */
+async function markEmailInvalid(leadId, reason) {
+  try {
+    const { data: lead } = await supabase
+      .from('leads')
+      .select('email')
+      .eq('id', leadId)
+      .single();
+
+    await supabase
+      .from('leads')
+      .update({
+        email_status: 'invalid',
+        email_verification: {
+          email: lead?.email?.trim().toLowerCase() || null,
+          status: 'invalid',
+          reason,
+          verifiedAt: new Date().toISOString()
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', leadId);
+  } catch (error) {
+    logger.error('Error marking lead email invalid:', error);
+  }
+}
+
 /**
  * Increment lead engagement score
  */
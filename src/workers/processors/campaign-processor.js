@@ -58,6 +58,9 @@ async function process(job) {
       query = query.eq('status', targetCriteria.status);
     }
 
+    // Skip addresses verification found undeliverable
+    query = query.or('email_status.is.null,email_status.neq.invalid');
+
     // Exclude already contacted leads (optional)
     if (targetCriteria?.excludeContacted !== false) {
       query = query.neq('status', 'contacted');
@@ -8,6 +8,7 @@ const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
+const emailVerificationService = require('../../services/email-verification-service');
 const { createClient } = require('@supabase/supabase-js');
 
 const supabase = createClient(
@@ -78,6 +79,13 @@ async function process(job) {
       return { skipped: true, reason: 'no_email' };
     }
 
+    // Never send to an address we know will bounce
+    const emailStatus = await verifyLeadEmail(lead);
+    if (emailStatus === 'invalid') {
+      logger.warn(`Lead ${leadId} email ${lead.email} is invalid, skipping`);
+      return { skipped: true, reason: 'invalid_email' };
+    }
+
     // Load and compile email template
     const emailContent = await loadEmailTemplate(
       templateType, 
@@ -114,6 +122,31 @@ async function process(job) {
   }
 }
 
+/**
+ * Verify the lead's email unless a recent check is stored, and save the result
+ */
+async function verifyLeadEmail(lead) {
+  if (!emailVerificationService.needsVerification(lead)) {
+    return lead.email_status;
+  }
+
+  const verification = await emailVerificationService.verify(lead.email);
+
+  const { error } = await supabase
+    .from('leads')
+    .update({
+      ...emailVerificationService.toLeadFields(verification),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', lead.id);
+
+  if (error) {
+    logger.error(`Failed to save email verification for lead ${lead.id}:`, error);
+  }
+
+  return verification.status;
+}
+
 /**
  * Load and compile email template
  */
@@ -141,12 +174,17 @@ async function loadEmailTemplate(templateType, industry, lead, customVariables =
   // Prepare variables
   const variables = {
     companyName: lead.company_name,
-    contactName: extractFirstName(lead.company_name),
+    contactName: lead.owner_name ? lead.owner_name.split(' ')[0] : extractFirstName(lead.company_name),
     industry: lead.industry,
     location: lead.city || lead.location || '',
     website: lead.website || 'your website',
     score: lead.lead_score,
     recommendations: lead.recommendations || [],
+    pageSpeed: pageSpeedVariables(lead.performance_audit),
+    ranking: rankingVariables(lead.seo_data?.industryKeywords),
+    gbp: gbpVariables(lead.gbp_audit),
+    reviews: reviewVariables(lead.review_analysis),
+    competitors: competitorVariables(lead.market_benchmark),
     senderName: process.env.FROM_NAME || 'ServiceLine Team',
     senderEmail: process.env.FROM_EMAIL,
     senderPhone: process.env.SENDER_PHONE || '',
@@ -164,6 +202,149 @@ async function loadEmailTemplate(templateType, industry, lead, customVariables =
   };
 }
 
+/**
+ * Measured page speed for templates, e.g. "your site takes {{pageSpeed.loadSeconds}}s on a phone"
+ * null when the site has not been audited, so templates can wrap it in {{#if pageSpeed}}
+ */
+function pageSpeedVariables(audit) {
+  if (!audit?.metrics?.lcp) return null;
+
+  return {
+    loadSeconds: (audit.metrics.lcp / 1000).toFixed(1),
+    serverResponseMs: audit.metrics.ttfb,
+    layoutShift: audit.metrics.cls,
+    pageWeightMb: (audit.totalBytes / (1024 * 1024)).toFixed(1),
+    requestCount: audit.requestCount,
+    renderBlockingCount: audit.renderBlocking?.length || 0,
+    consoleErrorCount: audit.consoleErrors?.length || 0,
+    rating: audit.ratings?.lcp || null,
+    screenshotUrl: audit.screenshot?.url || null
+  };
+}
+
+/**
+ * Latest local rank check for templates, e.g. "you're {{ranking.summary}}"
+ * Picks the first (most searched) keyword where the lead is not in the top 3;
+ * null when rankings were never checked or the lead already leads every search
+ */
+function rankingVariables(industryKeywords) {
+  const result = (industryKeywords || []).find(entry => !entry.organicPosition || entry.organicPosition > 3);
+  if (!result) return null;
+
+  const city = (result.location || '').split(',')[0];
+  const summary = result.organicPosition
+    ? `#${result.organicPosition} for ${result.label} in ${city}`
+    : `not in the top ${result.resultsChecked || 'results'} for ${result.label} in ${city}`;
+
+  return {
+    keyword: result.label,
+    city,
+    position: result.organicPosition,
+    page: result.organicPosition ? Math.ceil(result.organicPosition / 10) : null,
+    inLocalPack: !!result.localPackPosition,
+    mapsPosition: result.mapsPosition,
+    summary
+  };
+}
+
+/**
+ * Business Profile audit for templates, e.g. "your Google profile is {{gbp.completeness}}% complete"
+ * null when the profile was not audited or is already complete
+ */
+function gbpVariables(audit) {
+  if (!audit || audit.error || audit.completeness == null || audit.missing?.length === 0) return null;
+
+  const missing = audit.missing.map(entry => entry.label);
+
+  return {
+    completeness: audit.completeness,
+    claimed: audit.claimed,
+    missing,
+    missingCount: missing.length,
+    topIssue: missing[0],
+    photoCount: audit.photoCount,
+    ownerResponseRate: audit.ownerResponseRate === null ? null : Math.round(audit.ownerResponseRate * 100),
+    summary: audit.claimed === false
+      ? 'your Google Business Profile has not been claimed'
+      : `your Google Business Profile is ${audit.completeness}% complete`
+  };
+}
+
+/**
+ * Mined reviews for templates, e.g. "{{reviews.summary}}"
+ * The summary picks the strongest talking point: unanswered reviews, then
+ * few new reviews, then a recurring complaint. null when reviews were never
+ * collected or there is nothing to point out
+ */
+function reviewVariables(analysis) {
+  if (!analysis) return null;
+
+  const responseRate = analysis.ownerResponseRate === null ? null : Math.round(analysis.ownerResponseRate * 100);
+  const topComplaint = (analysis.complaintThemes || []).find(theme => theme.count >= 2) || null;
+
+  let summary = null;
+  if (responseRate !== null && responseRate < 30) {
+    summary = `you've replied to ${responseRate}% of your recent reviews`;
+  } else if (analysis.velocity90d < 1) {
+    summary = `you've had ${analysis.reviewsLast90Days} new review${analysis.reviewsLast90Days === 1 ? '' : 's'} in the last 3 months`;
+  } else if (topComplaint) {
+    summary = `${topComplaint.count} recent reviews mention ${topComplaint.label}`;
+  }
+
+  if (!summary) return null;
+
+  return {
+    summary,
+    responseRate,
+    reviewsLast90Days: analysis.reviewsLast90Days,
+    perMonth: analysis.velocity90d,
+    daysSinceLastReview: analysis.daysSinceLastReview,
+    unansweredNegative: analysis.unansweredNegative,
+    sentiment: analysis.averageSentiment,
+    topComplaint: topComplaint ? topComplaint.label : null,
+    complaints: (analysis.complaintThemes || []).map(theme => theme.label)
+  };
+}
+
+/**
+ * The lead vs. the top competitors in its city, e.g. "{{competitors.summary}}"
+ * Review counts and ratings are what a prospect can check for themselves;
+ * null without a benchmark
+ */
+function competitorVariables(benchmark) {
+  if (!benchmark || !benchmark.competitors?.length) return null;
+
+  const { market, you, competitors, comparison } = benchmark;
+  const averageReviews = comparison.reviewCount.competitors;
+  const averageRating = comparison.rating.competitors;
+
+  let summary = null;
+  if (averageReviews !== null && you.reviewCount !== null && averageReviews > you.reviewCount) {
+    summary = `the top ${competitors.length} competitors in ${market.city} average ${Math.round(averageReviews)} reviews; you have ${you.reviewCount}`;
+  } else if (averageRating !== null && you.rating !== null && averageRating > you.rating) {
+    summary = `the top ${competitors.length} competitors in ${market.city} average ${averageRating.toFixed(1)} stars; you have ${you.rating.toFixed(1)}`;
+  }
+
+  return {
+    city: market.city,
+    marketSize: market.size,
+    rank: you.rank,
+    count: competitors.length,
+    top: competitors.map(competitor => ({
+      name: competitor.name,
+      rating: competitor.rating,
+      reviewCount: competitor.reviewCount
+    })),
+    you: {
+      rating: you.rating,
+      reviewCount: you.reviewCount
+    },
+    averageRating,
+    averageReviews: averageReviews === null ? null : Math.round(averageReviews),
+    summary
+  };
+}
+
 /**
  * Send email via transporter
  */
@@ -5,6 +5,17 @@
 
 const axios = require('axios');
 const logger = require('../../utils/logger');
+const contactCrawler = require('../../scrapers/contact-crawler');
+const seoAnalyzer = require('../../scrapers/seo-analyzer');
+const seoMetrics = require('../../scrapers/seo-metrics');
+const performanceAuditor = require('../../scrapers/performance-auditor');
+const rankChecker = require('../../scrapers/rank-checker');
+const gbpAuditor = require('../../scrapers/gbp-auditor');
+const reviewCollector = require('../../scrapers/review-collector');
+const reviewAnalyzer = require('../../scrapers/review-analyzer');
+const { saveLeadRankings, saveLeadReviews, getLeadReviews } = require('../../database/lead-repository');
+const emailVerificationService = require('../../services/email-verification-service');
+const { addJob } = require('../../queues/queue-config');
 const { createClient } = require('@supabase/supabase-js');
 
 const supabase = createClient(
@@ -12,6 +23,8 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+const SCREENSHOT_BUCKET = process.env.PERFORMANCE_SCREENSHOT_BUCKET || 'lead-screenshots';
+
 /**
  * Process enrichment job
  */
@@ -39,19 +52,55 @@ async function process(job) {
       case 'email':
         enrichedData = await enrichEmail(lead);
         break;
+      case 'contacts':
+        enrichedData = await enrichContacts(lead);
+        break;
       case 'social':
         enrichedData = await enrichSocial(lead);
         break;
       case 'company':
         enrichedData = await enrichCompanyData(lead);
         break;
+      case 'technology':
+        enrichedData = await enrichTechStack(lead);
+        break;
+      case 'performance':
+        enrichedData = await enrichPerformance(lead);
+        break;
+      case 'seo':
+        enrichedData = await enrichSeoAudit(lead);
+        break;
+      case 'seo_metrics':
+        enrichedData = await enrichSeoMetrics(lead);
+        break;
+      case 'rankings':
+        enrichedData = await enrichRankings(lead);
+        break;
+      case 'gbp':
+        enrichedData = await enrichBusinessProfile(lead);
+        break;
+      case 'reviews':
+        enrichedData = await enrichReviews(lead);
+        break;
       default:
         enrichedData = await enrichAll(lead);
     }
 
+    // Check a newly found address before anything is sent to it
+    if (enrichedData.email && enrichedData.email !== lead.email) {
+      const verification = await emailVerificationService.verify(enrichedData.email);
+      Object.assign(enrichedData, emailVerificationService.toLeadFields(verification));
+    }
+
     // Update lead with enriched data
     await updateLeadWithEnrichment(leadId, enrichedData);
 
+    // Every field the scorer reads changes the lead score and its confidence
+    const scoringFields = ['tech_stack', 'performance_audit', 'seo_data', 'gbp_audit', 'review_analysis', 'social_presence', 'employee_count'];
+    if (scoringFields.some(field => enrichedData[field] != null)) {
+      await addJob('scoring', 'score-lead', { leadId }, { priority: 8 });
+    }
+
     logger.info(`Lead ${leadId} enrichment completed`);
 
     return {
@@ -67,16 +116,18 @@ async function process(job) {
 }
 
 /**
- * Enrich email data using Hunter.io or similar
+ * Enrich email data from the lead's own website, then Hunter.io
  */
 async function enrichEmail(lead) {
-  if (!process.env.HUNTER_API_KEY || lead.email) {
-    return {};
+  const contactData = await enrichContacts(lead);
+
+  if (lead.email || contactData.email || !process.env.HUNTER_API_KEY) {
+    return contactData;
   }
 
   try {
     const domain = lead.website?.replace(/https?:\/\/(www\.)?/, '').split('/')[0];
-    if (!domain) return {};
+    if (!domain) return contactData;
 
     const response = await axios.get('https://api.hunter.io/v2/email-finder', {
       params: {
@@ -89,6 +140,7 @@ async function enrichEmail(lead) {
 
     if (response.data?.data?.email) {
       return {
+        ...contactData,
         email: response.data.data.email,
         email_confidence: response.data.data.score
       };
@@ -97,7 +149,63 @@ async function enrichEmail(lead) {
     logger.debug('Email enrichment failed:', error.message);
   }
 
-  return {};
+  return contactData;
+}
+
+/**
+ * Crawl the lead's homepage, contact, about and team pages
+ * Everything found is kept in contact_data with its confidence and source
+ * page; the best email, phone and owner name fill the lead's empty fields.
+ */
+async function enrichContacts(lead) {
+  if (!lead.website) return {};
+
+  try {
+    const contacts = await contactCrawler.crawl(lead.website, { session: lead.id });
+    const updates = { contact_data: contacts };
+    const fieldSources = {};
+
+    const email = contactCrawler.bestEmail(contacts, lead.website);
+    if (!lead.email && email) {
+      updates.email = email.value;
+      fieldSources.email = crawlerSource(email);
+    }
+
+    const phone = contacts.phones.find(found => found.confidence !== 'low');
+    if (!lead.phone && phone) {
+      updates.phone = phone.value;
+      fieldSources.phone = crawlerSource(phone);
+    }
+
+    const owner = contactCrawler.bestContact(contacts);
+    if (!lead.owner_name && owner) {
+      updates.owner_name = owner.name;
+      fieldSources.owner_name = crawlerSource(owner);
+    }
+
+    if (Object.keys(fieldSources).length > 0) {
+      updates.field_sources = { ...(lead.field_sources || {}), ...fieldSources };
+    }
+
+    return updates;
+
+  } catch (error) {
+    logger.debug('Contact enrichment failed:', error.message);
+    return {};
+  }
+}
+
+/**
+ * field_sources entry for a value found by the contact crawler
+ */
+function crawlerSource(found) {
+  return {
+    source: 'website',
+    sourceUrl: found.source,
+    confidence: found.confidence,
+    method: found.method,
+    updatedAt: new Date().toISOString()
+  };
 }
 
 /**
@@ -184,7 +292,6 @@ async function enrichCompanyData(lead) {
       employee_count: data.metrics?.employees,
       estimated_revenue: data.metrics?.estimatedAnnualRevenue,
       industry_tags: data.tags,
-      tech_stack: data.tech,
       company_description: data.description,
       founded_year: data.foundedYear
     };
@@ -195,36 +302,234 @@ async function enrichCompanyData(lead) {
   }
 }
 
+/**
+ * Fingerprint the lead's website (CMS, booking, chat, call tracking, reviews)
+ * Clearbit's tech list is not used: it has no booking or call tracking vendors
+ */
+async function enrichTechStack(lead) {
+  const url = seoAnalyzer.normalizeUrl(lead.website);
+  if (!url) return {};
+
+  const page = await seoAnalyzer.analyzeBasicSEO(url);
+  if (!page.techStack) return {};
+
+  return { tech_stack: page.techStack };
+}
+
+/**
+ * Audit page speed in a throttled mobile browser (see performance-auditor)
+ * Not part of 'all': it drives a browser, so it is queued on its own
+ */
+async function enrichPerformance(lead) {
+  if (!lead.website) return {};
+
+  const { screenshot, ...audit } = await performanceAuditor.audit(lead.website, { session: lead.id });
+
+  if (screenshot) {
+    audit.screenshot = await saveScreenshot(lead.id, screenshot);
+  }
+
+  return { performance_audit: audit };
+}
+
+/**
+ * Crawl the whole site for on-site SEO problems (see SEOAnalyzer#auditSite)
+ * Not part of 'all': a crawl can take up to SITE_CRAWL_TIME_BUDGET_MS
+ */
+async function enrichSeoAudit(lead) {
+  if (!lead.website) return {};
+
+  const audit = await seoAnalyzer.auditSite(lead.website, {
+    industry: lead.industry,
+    city: lead.city,
+    session: lead.id
+  });
+
+  return { seo_audit: audit };
+}
+
+/**
+ * Keywords, backlinks and authority from the SEO metric providers (see seo-metrics)
+ * Ranking details go into seo_data, where LeadScorer#scoreSEORanking reads them.
+ * Only the fields measured here are returned; updateLeadWithEnrichment merges
+ * them into the stored seo_data.
+ */
+async function enrichSeoMetrics(lead) {
+  if (!lead.website) return {};
+
+  const metrics = await seoMetrics.getMetrics(lead.website);
+  if (!metrics) return {};
+
+  return {
+    organic_keywords: metrics.organicKeywords,
+    backlinks_count: metrics.backlinksCount,
+    domain_authority: metrics.domainAuthority,
+    seo_data: {
+      // Without a keyword count (Moz alone) the last known index status stays
+      ...(typeof metrics.organicKeywords === 'number' && { indexed: metrics.organicKeywords > 0 }),
+      estimatedRanking: metrics.estimatedRanking,
+      organicKeywords: metrics.organicKeywords,
+      organicTraffic: metrics.organicTraffic,
+      topKeywords: metrics.topKeywords,
+      backlinksCount: metrics.backlinksCount,
+      referringDomains: metrics.referringDomains,
+      domainAuthority: metrics.domainAuthority,
+      sources: metrics.sources,
+      fetchedAt: metrics.fetchedAt
+    }
+  };
+}
+
+/**
+ * Check Google positions for the lead's industry keywords (see rank-checker)
+ * Every check is kept in lead_rankings; seo_data.industryKeywords holds the
+ * latest one for scoring and templates. Not part of 'all': a check runs
+ * several Google searches per keyword under the shared rate limit.
+ */
+async function enrichRankings(lead) {
+  const results = await rankChecker.check(lead, { session: lead.id });
+  if (results.length === 0) return {};
+
+  await saveLeadRankings(lead.id, results);
+
+  return {
+    rankings_checked_at: new Date().toISOString(),
+    seo_data: {
+      industryKeywords: results.map(result => ({
+        keyword: result.keyword,
+        label: result.label,
+        location: result.location,
+        organicPosition: result.organicPosition,
+        localPackPosition: result.localPackPosition,
+        mapsPosition: result.mapsPosition,
+        resultsChecked: result.resultsChecked,
+        checkedAt: result.checkedAt
+      }))
+    }
+  };
+}
+
+/**
+ * Audit the lead's Google Business Profile for completeness (see gbp-auditor)
+ * Until reviews have been mined, the owner response rate from the audit also
+ * fills review_response_rate. Not part of 'all': it loads the Maps place page in a browser.
+ */
+async function enrichBusinessProfile(lead) {
+  const audit = await gbpAuditor.audit(lead, { session: lead.id });
+  if (!audit) return {};
+
+  const enrichedData = { gbp_audit: audit };
+
+  if (!lead.review_analysis && audit.ownerResponseRate != null && audit.reviewsSampled >= 3) {
+    enrichedData.review_response_rate = Math.round(audit.ownerResponseRate * 100);
+  }
+
+  return enrichedData;
+}
+
+/**
+ * Collect Google and Yelp reviews and mine them (see review-collector, review-analyzer)
+ * Each review is stored in lead_reviews with its sentiment and complaint
+ * themes; review_analysis summarizes everything stored for the lead, so
+ * reviews from earlier collections still count towards velocity.
+ * Not part of 'all': Google reviews are scrolled in a browser.
+ */
+async function enrichReviews(lead) {
+  const { reviews, sources } = await reviewCollector.collect(lead, { session: lead.id });
+  if (Object.keys(sources).length === 0) return {};
+
+  await saveLeadReviews(lead.id, reviews.map(review => ({
+    ...review,
+    ...reviewAnalyzer.analyzeReview(review)
+  })));
+
+  const stored = await getLeadReviews(lead.id);
+  const analysis = reviewAnalyzer.summarize(stored.map(row => ({
+    source: row.source,
+    rating: row.rating === null ? null : Number(row.rating),
+    text: row.text,
+    publishedAt: row.published_at,
+    responded: row.responded,
+    sentiment: row.sentiment === null ? null : Number(row.sentiment),
+    themes: row.themes || []
+  })));
+
+  const enrichedData = {
+    reviews_collected_at: new Date().toISOString(),
+    review_analysis: analysis
+  };
+
+  if (analysis?.ownerResponseRate != null) {
+    enrichedData.review_response_rate = Math.round(analysis.ownerResponseRate * 100);
+  }
+
+  return enrichedData;
+}
+
+/**
+ * Upload an above-the-fold screenshot to Supabase Storage
+ * Returns { bucket, path, url }, or null if the upload fails; the audit is kept either way
+ */
+async function saveScreenshot(leadId, image) {
+  const objectPath = `${leadId}/${Date.now()}.jpg`;
+  const bucket = supabase.storage.from(SCREENSHOT_BUCKET);
+
+  const { error } = await bucket.upload(objectPath, image, {
+    contentType: 'image/jpeg',
+    upsert: true
+  });
+
+  if (error) {
+    logger.warn(`Failed to upload screenshot for lead ${leadId}:`, error.message);
+    return null;
+  }
+
+  return {
+    bucket: SCREENSHOT_BUCKET,
+    path: objectPath,
+    url: bucket.getPublicUrl(objectPath).data.publicUrl
+  };
+}
+
 /**
  * Perform all enrichment types
  */
 async function enrichAll(lead) {
-  const [emailData, socialData, companyData] = await Promise.allSettled([
+  const [emailData, socialData, companyData, techData, seoData] = await Promise.allSettled([
     enrichEmail(lead),
     enrichSocial(lead),
-    enrichCompanyData(lead)
+    enrichCompanyData(lead),
+    enrichTechStack(lead),
+    enrichSeoMetrics(lead)
   ]);
 
   return {
     ...(emailData.status === 'fulfilled' ? emailData.value : {}),
     ...(socialData.status === 'fulfilled' ? socialData.value : {}),
-    ...(companyData.status === 'fulfilled' ? companyData.value : {})
+    ...(companyData.status === 'fulfilled' ? companyData.value : {}),
+    ...(techData.status === 'fulfilled' ? techData.value : {}),
+    ...(seoData.status === 'fulfilled' ? seoData.value : {})
   };
 }
 
 /**
  * Update lead with enriched data
+ * seo_data is merged into the stored value by the database: the SEO metric
+ * and rank check enrichments can run side by side, and writing the whole
+ * object from the lead each job read would drop the other job's fields.
  */
 async function updateLeadWithEnrichment(leadId, enrichedData) {
   if (Object.keys(enrichedData).length === 0) {
     return;
   }
 
+  const { seo_data: seoData, ...columns } = enrichedData;
+
   try {
     const { error } = await supabase
       .from('leads')
       .update({
-        ...enrichedData,
+        ...columns,
         updated_at: new Date().toISOString()
       })
       .eq('id', leadId);
@@ -232,6 +537,17 @@ async function updateLeadWithEnrichment(leadId, enrichedData) {
     if (error) {
       logger.error('Failed to update lead with enrichment:', error);
     }
+
+    if (seoData) {
+      const { error: seoError } = await supabase.rpc('merge_lead_seo_data', {
+        p_lead_id: leadId,
+        p_seo_data: seoData
+      });
+
+      if (seoError) {
+        logger.error('Failed to merge lead seo_data:', seoError);
+      }
+    }
   } catch (error) {
     logger.error('Error updating lead with enrichment:', error);
   }
@@ -3,25 +3,70 @@
  * Handles lead scoring jobs from the queue
  */
 
-const LeadScorer = require('../../scoring/lead-scorer');
+const scoringProfiles = require('../../services/scoring-profile-service');
+const marketModel = require('../../scoring/market-model');
+const scoreDrift = require('../../scoring/score-drift');
+const leadEvents = require('../../services/lead-event-service');
+const { saveScoreHistory } = require('../../database/lead-repository');
 const logger = require('../../utils/logger');
 const { addJob } = require('../../queues/queue-config');
 const { createClient } = require('@supabase/supabase-js');
 
+// Enrichment job (see enrichment-processor) that collects each lead field the
+// scorer reads; website_quality and location come from scraping, ad_presence
+// has no enrichment yet
+const ENRICHMENT_FOR_FIELD = {
+  tech_stack: 'technology',
+  performance_audit: 'performance',
+  seo_data: 'seo_metrics',
+  organic_keywords: 'seo_metrics',
+  'seo_data.industryKeywords': 'rankings',
+  rating: 'reviews',
+  review_count: 'reviews',
+  review_analysis: 'reviews',
+  gbp_audit: 'gbp',
+  social_presence: 'social',
+  employee_count: 'company'
+};
+
+// Enrichments that drive a browser through several pages need longer than the default
+const ENRICHMENT_TIMEOUTS = {
+  reviews: 5 * 60 * 1000,
+  rankings: 10 * 60 * 1000
+};
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const scorer = new LeadScorer();
+// Leads that reach Hot outside this processor (API rescores, scraping
+// campaigns) start the hot lead campaign when the daily drift check sees them
+leadEvents.on(leadEvents.EVENT_TYPES.TIER_UPGRADED, async (event) => {
+  if (event.payload.toTier !== 'Hot Lead') return;
+
+  const breakdown = event.lead.component_scores?.breakdown;
+  const scorer = await scoringProfiles.getScorer();
+
+  await triggerHotLeadCampaign(event.leadId, event.lead, {
+    totalScore: event.payload.toScore,
+    tier: event.payload.toTier,
+    confidence: breakdown ? scorer.confidence(breakdown) : null
+  });
+});
 
 /**
  * Process scoring job
  */
 async function process(job) {
-  const { leadId, leadIds } = job.data;
+  const { leadId, leadIds, driftCheck } = job.data;
 
   try {
+    // Daily score drift check
+    if (driftCheck) {
+      return await scoreDrift.detect({ since: job.data.since });
+    }
+
     // Single lead scoring
     if (leadId) {
       return await scoreSingleLead(leadId);
@@ -32,7 +77,7 @@ async function process(job) {
       return await scoreBatchLeads(leadIds);
     }
 
-    throw new Error('No leadId or leadIds provided');
+    throw new Error('No leadId, leadIds or driftCheck provided');
 
   } catch (error) {
     logger.error('Scoring job failed:', error);
@@ -57,7 +102,15 @@ async function scoreSingleLead(leadId) {
     throw new Error(`Lead ${leadId} not found`);
   }
 
-  // Calculate score
+  // Compare with the rest of the market first; market competitiveness reads it
+  try {
+    lead.market_benchmark = await marketModel.benchmark(lead);
+  } catch (benchmarkError) {
+    logger.warn(`Market benchmark failed for lead ${leadId}:`, benchmarkError.message);
+  }
+
+  // Calculate score with the active scoring profile
+  const scorer = await scoringProfiles.getScorer();
   const scoreData = scorer.calculateScore(lead);
 
   // Update lead with score
@@ -66,8 +119,12 @@ async function scoreSingleLead(leadId) {
     .update({
       lead_score: scoreData.totalScore,
       tier: scoreData.tier,
+      score_confidence: scoreData.confidence.score,
       component_scores: scoreData.componentScores,
       recommendations: scoreData.recommendations,
+      market_benchmark: lead.market_benchmark ?? null,
+      scoring_profile_id: scoreData.profile.id,
+      scoring_profile_version: scoreData.profile.version,
       scored_at: scoreData.calculatedAt,
       updated_at: new Date().toISOString()
     })
@@ -77,17 +134,24 @@ async function scoreSingleLead(leadId) {
     throw new Error(`Failed to update lead score: ${updateError.message}`);
   }
 
-  logger.info(`Lead ${leadId} scored: ${scoreData.totalScore} (${scoreData.tier})`);
+  try {
+    await saveScoreHistory(lead, scoreData);
+  } catch (historyError) {
+    logger.warn(`Score history not recorded for lead ${leadId}:`, historyError.message);
+  }
+
+  logger.info(`Lead ${leadId} scored: ${scoreData.totalScore} (${scoreData.tier}, ${scoreData.confidence.score}% confidence)`);
 
   // Auto-trigger campaign for hot leads
-  if (scoreData.totalScore >= 80) {
+  if (scoreData.tier === 'Hot Lead') {
     await triggerHotLeadCampaign(leadId, lead, scoreData);
   }
 
   return {
     leadId,
     score: scoreData.totalScore,
-    tier: scoreData.tier
+    tier: scoreData.tier,
+    confidence: scoreData.confidence.score
   };
 }
 
@@ -121,15 +185,34 @@ async function scoreBatchLeads(leadIds) {
 
 /**
  * Trigger automated campaign for hot leads
+ * Leads whose score rests on too little checked data (below
+ * AUTO_CAMPAIGN_MIN_CONFIDENCE) are held back and enriched instead; the
+ * rescore after enrichment brings them back here. A score with no
+ * confidence counts as below the minimum.
  */
 async function triggerHotLeadCampaign(leadId, lead, scoreData) {
   try {
     const hotLeadThreshold = parseInt(process.env.AUTO_EMAIL_THRESHOLD || '80');
+    const minConfidence = parseInt(process.env.AUTO_CAMPAIGN_MIN_CONFIDENCE || '50');
     
     if (scoreData.totalScore < hotLeadThreshold) {
       return;
     }
 
+    // Without a breakdown (tier upgrades seen by the drift check on old
+    // rows) there is no confidence to check, so score the lead again first
+    if (!scoreData.confidence && minConfidence > 0) {
+      logger.info(`Holding back hot lead ${leadId}: no score confidence, rescoring`);
+      await addJob('scoring', 'score-lead', { leadId }, { priority: 8 });
+      return;
+    }
+
+    if (scoreData.confidence && scoreData.confidence.score < minConfidence) {
+      logger.info(`Holding back hot lead ${leadId}: ${scoreData.confidence.score}% confidence (minimum ${minConfidence}%)`);
+      await queueMissingEnrichment(leadId, lead, scoreData.confidence.missingData);
+      return;
+    }
+
     logger.info(`Triggering auto-campaign for hot lead ${leadId} (score: ${scoreData.totalScore})`);
 
     // Check if lead already has been contacted
@@ -152,6 +235,7 @@ async function triggerHotLeadCampaign(leadId, lead, scoreData) {
       priority: 'high',
       autoTriggered: true
     }, { 
+      jobId: `hot-lead-intro-${leadId}`, // Rescoring before it runs must not queue a second intro
       priority: 10, // High priority
       delay: 300000 // 5 minute delay to allow for manual review
     });
@@ -166,6 +250,33 @@ async function triggerHotLeadCampaign(leadId, lead, scoreData) {
   }
 }
 
+/**
+ * Queue the enrichment jobs that collect a lead's missing scoring data
+ */
+async function queueMissingEnrichment(leadId, lead, missingData = []) {
+  const types = [...new Set(missingData.map(field => ENRICHMENT_FOR_FIELD[field]).filter(Boolean))]
+    // Website checks need a website
+    .filter(type => lead.website || !['technology', 'performance', 'seo_metrics'].includes(type));
+
+  for (const enrichmentType of types) {
+    try {
+      const options = {
+        jobId: `missing-${enrichmentType}-${leadId}`, // Held leads are rescored often; enrich each once
+        priority: 8
+      };
+      if (ENRICHMENT_TIMEOUTS[enrichmentType]) options.timeout = ENRICHMENT_TIMEOUTS[enrichmentType];
+
+      await addJob('enrichment', `enrich-${enrichmentType}`, { leadId, enrichmentType }, options);
+    } catch (error) {
+      logger.error(`Failed to queue ${enrichmentType} enrichment for ${leadId}:`, error);
+    }
+  }
+
+  if (types.length > 0) {
+    logger.info(`Queued ${types.join(', ')} enrichment for lead ${leadId}`);
+  }
+}
+
 /**
  * Schedule follow-up sequence for a lead
  */
@@ -183,6 +294,7 @@ async function scheduleFollowUpSequence(leadId, lead) {
         industry: lead.industry,
         sequence: followUp.type
       }, {
+        jobId: `${followUp.type}-${leadId}`, // Rescores trigger the campaign again; schedule each step once
         delay: followUp.delay * 24 * 60 * 60 * 1000, // Convert days to milliseconds
         priority: 5
       });
@@ -3,7 +3,11 @@
  * Handles web scraping jobs from the queue
  */
 
+const crypto = require('crypto');
 const HomeServiceScraper = require('../../scrapers/home-service-scraper');
+const sourceRegistry = require('../../scrapers/source-registry');
+const targetAreas = require('../../scrapers/target-areas');
+const reviewCollector = require('../../scrapers/review-collector');
 const logger = require('../../utils/logger');
 const { addJob } = require('../../queues/queue-config');
 const { createClient } = require('@supabase/supabase-js');
@@ -13,90 +17,359 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+/**
+ * Another runner (a retry or a resume) claimed the job; this one must stop
+ */
+class RunnerSupersededError extends Error {
+  constructor(jobId) {
+    super(`Scraping job ${jobId} was taken over by another runner`);
+    this.name = 'RunnerSupersededError';
+  }
+}
+
 /**
  * Process scraping job
+ * Work is split into industry / location / source units and checkpointed
+ * after every page, so a retry (or POST /api/scraping/jobs/:id/resume)
+ * picks up from the last saved page instead of starting over.
+ * Jobs with `targets` (ZIP lists, counties, radii) search each target
+ * area's ZIPs or cities instead of the free-text locations.
+ *
+ * Each run claims the job row with a fresh runner token and only writes
+ * while it still holds it, so an older run that is still going stops at
+ * its next checkpoint instead of overwriting the new run's progress.
  */
 async function process(job) {
-  const { industries, locations, maxLeadsPerIndustry } = job.data;
+  const { jobId, industries, locations, targets, maxLeadsPerIndustry, sources, grid } = job.data;
   
   logger.info('Starting scraping job', { 
+    jobId,
     industries, 
     locations,
-    maxLeadsPerIndustry 
+    targets,
+    maxLeadsPerIndustry,
+    sources,
+    grid,
+    attempt: job.attemptsMade + 1
   });
 
+  // Claim the job before reading the checkpoint, so no older run can write after the read
+  const runnerToken = crypto.randomUUID();
+  if (!await claimScrapingJob(jobId, runnerToken)) {
+    logger.info(`Scraping job ${jobId} was cancelled or removed, skipping attempt`);
+    return { cancelled: true };
+  }
+
+  const checkpoint = await loadCheckpoint(jobId);
+
+  if (checkpoint.completed.length > 0 || checkpoint.cursor) {
+    logger.info('Resuming scraping job from checkpoint', {
+      jobId,
+      completedUnits: checkpoint.completed.length,
+      cursor: checkpoint.cursor,
+      leadsSaved: checkpoint.leadIds.length
+    });
+  }
+
   const results = {
     totalLeadsScraped: 0,
     leadsByIndustry: {},
     errors: []
   };
 
+  // Sources are resolved through the scraper registry (all registered sources by default)
+  const maxResults = maxLeadsPerIndustry || 50;
   const scraper = new HomeServiceScraper({
-    maxResults: maxLeadsPerIndustry || 50,
-    headless: true
+    maxResults,
+    headless: true,
+    sources,
+    grid,
+    session: jobId
   });
+  const adapters = sourceRegistry.list(sources);
 
   try {
-    // Update job status in database
-    await updateScrapingJobStatus(job.data.jobId, 'running');
+    // Target areas expand into ZIP, city or bounding-box searches per source
+    const searches = targets?.length
+      ? targetAreas.expand(targets).map(area => ({ label: area.label, area }))
+      : locations.map(location => ({ label: location, area: null }));
 
     for (const industry of industries) {
-      for (const location of locations) {
-        try {
-          logger.info(`Scraping ${industry} in ${location}`);
-          
-          const leads = await scraper.scrapeAllSources(industry, location);
-          
-          results.leadsByIndustry[`${industry}_${location}`] = leads.length;
-          results.totalLeadsScraped += leads.length;
-
-          // Automatically queue each lead for scoring
-          for (const lead of leads) {
-            await addJob('scoring', 'score-lead', {
-              leadId: lead.id
-            }, { priority: 8 });
-          }
+      for (const search of searches) {
+        const seen = [];
 
-          // Wait between locations to avoid rate limits
-          await sleep(5000);
+        for (const adapter of adapters) {
+          const searchLocations = search.area
+            ? adapter.searchLocations(search.area, { grid })
+            : [search.label];
 
-        } catch (error) {
-          logger.error(`Error scraping ${industry} in ${location}:`, error);
-          results.errors.push({
-            industry,
-            location,
-            error: error.message
-          });
+          for (const location of searchLocations) {
+            await scrapeUnit({
+              scraper, adapter, industry, location, maxResults, seen, checkpoint, results,
+              jobId,
+              runnerToken,
+              targetArea: search.area?.label || null
+            });
+          }
         }
+
+        // Wait between locations to avoid rate limits
+        await sleep(5000);
       }
     }
 
+    // Fail the attempt so Bull retries it; the retry skips completed units
+    // and continues the failed ones from their checkpoint
+    if (results.errors.length > 0) {
+      const error = new Error(`${results.errors.length} scraping unit(s) failed: ${results.errors.map(unit => `${unit.source} ${unit.industry} in ${unit.location}`).join(', ')}`);
+      error.unitErrors = results.errors;
+      throw error;
+    }
+
     // Cleanup browser
     await scraper.cleanup();
 
+    // Totals include leads saved by earlier attempts
+    results.totalLeadsScraped = checkpoint.leadIds.length;
+    results.leadsByIndustry = await countLeadsByIndustry(checkpoint.leadIds);
+
     // Update job as completed
-    await updateScrapingJobStatus(job.data.jobId, 'completed', results);
+    await updateScrapingJobStatus(jobId, 'completed', results, runnerToken);
 
     logger.info('Scraping job completed', results);
     
     return results;
 
   } catch (error) {
-    logger.error('Scraping job failed:', error);
-    
     await scraper.cleanup();
-    await updateScrapingJobStatus(job.data.jobId, 'failed', { 
-      error: error.message 
-    });
+
+    // The run that took over owns the job row and its status now
+    if (error instanceof RunnerSupersededError) {
+      logger.warn(error.message, { attempt: job.attemptsMade + 1 });
+      return { superseded: true };
+    }
+
+    logger.error('Scraping job failed:', error);
+
+    // Bull still has attempts left: keep the row out of POST /resume until it gives up
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+    await updateScrapingJobStatus(jobId, finalAttempt ? 'failed' : 'retrying', {
+      error: error.message,
+      errors: error.unitErrors || [],
+      attempt: job.attemptsMade + 1
+    }, runnerToken);
 
     throw error;
   }
 }
 
+/**
+ * Scrape one industry / location / source unit, checkpointing every page
+ * Errors are recorded on the results and leave the unit incomplete; the job
+ * carries on with the other units and then fails so the next attempt
+ * retries this one.
+ */
+async function scrapeUnit({ scraper, adapter, industry, location, maxResults, seen, checkpoint, results, jobId, runnerToken, targetArea }) {
+  const unit = unitKey(industry, location, adapter.name);
+
+  if (checkpoint.completed.includes(unit)) {
+    logger.debug(`Skipping completed unit ${unit}`);
+    return;
+  }
+
+  // Continue after the last saved page of an interrupted source
+  const cursor = isCursorFor(checkpoint.cursor, industry, location, adapter.name)
+    ? checkpoint.cursor
+    : null;
+
+  try {
+    const pages = scraper.scrapeSourcePages(adapter, industry, location, {
+      startPage: cursor ? cursor.page + 1 : 1,
+      maxResults: maxResults - (cursor?.collected || 0),
+      seen,
+      state: cursor?.state,
+      targetArea
+    });
+
+    let collected = cursor?.collected || 0;
+
+    for await (const { page, leads, found, state } of pages) {
+      // The same business can come back from several sources
+      const leadIds = leads
+        .map(lead => lead.id)
+        .filter(id => id && !checkpoint.leadIds.includes(id));
+      collected += found;
+
+      // Automatically queue each lead for scoring
+      for (const leadId of leadIds) {
+        await addJob('scoring', 'score-lead', { leadId }, { priority: 8 });
+      }
+
+      // Crawl the websites of leads that came without an email
+      for (const lead of leads.filter(lead => leadIds.includes(lead.id) && lead.website && !lead.email)) {
+        await addJob('enrichment', 'enrich-contacts', { leadId: lead.id, enrichmentType: 'contacts' }, { priority: 9 });
+      }
+
+      // Measure real page speed (the lead is scored again when the audit lands) and crawl for SEO issues
+      for (const lead of leads.filter(lead => leadIds.includes(lead.id) && lead.website)) {
+        await addJob('enrichment', 'audit-performance', { leadId: lead.id, enrichmentType: 'performance' }, { priority: 10 });
+        await addJob('enrichment', 'audit-seo', { leadId: lead.id, enrichmentType: 'seo' }, { priority: 10 });
+      }
+
+      // Audit the Business Profile of leads found on Google Maps
+      for (const lead of leads.filter(lead => leadIds.includes(lead.id) && lead.google_place_id)) {
+        await addJob('enrichment', 'audit-gbp', { leadId: lead.id, enrichmentType: 'gbp' }, { priority: 10 });
+      }
+
+      // Mine the reviews of leads with a Google or Yelp listing
+      for (const lead of leads.filter(lead => leadIds.includes(lead.id) && (lead.google_place_id || reviewCollector.yelpUrlFor(lead)))) {
+        await addJob('enrichment', 'collect-reviews', { leadId: lead.id, enrichmentType: 'reviews' }, { priority: 10, timeout: 5 * 60 * 1000 });
+      }
+
+      checkpoint.leadIds.push(...leadIds);
+      checkpoint.cursor = { industry, location, source: adapter.name, page, collected, state };
+      await saveCheckpoint(jobId, checkpoint, runnerToken);
+    }
+
+    checkpoint.completed.push(unit);
+    checkpoint.cursor = null;
+    await saveCheckpoint(jobId, checkpoint, runnerToken);
+
+  } catch (error) {
+    if (error instanceof RunnerSupersededError) throw error;
+
+    logger.error(`Error scraping ${adapter.label} for ${industry} in ${location}:`, error);
+    results.errors.push({
+      industry,
+      location,
+      targetArea,
+      source: adapter.name,
+      error: error.message,
+      // blocked, captcha or layout_changed when the source turned us away
+      outcome: error.outcome || null
+    });
+  }
+}
+
+/**
+ * Key for one industry / location / source unit of work
+ */
+function unitKey(industry, location, source) {
+  return `${industry}|${location}|${source}`;
+}
+
+/**
+ * Check whether a checkpoint cursor points into the given unit
+ */
+function isCursorFor(cursor, industry, location, source) {
+  return !!cursor &&
+    cursor.industry === industry &&
+    cursor.location === location &&
+    cursor.source === source;
+}
+
+/**
+ * Load the checkpoint saved by a previous attempt
+ */
+async function loadCheckpoint(jobId) {
+  const empty = { completed: [], cursor: null, leadIds: [] };
+  if (!jobId) return empty;
+
+  const { data, error } = await supabase
+    .from('scraping_jobs')
+    .select('checkpoint')
+    .eq('id', jobId)
+    .single();
+
+  if (error) {
+    logger.warn(`Could not load checkpoint for scraping job ${jobId}:`, error.message);
+    return empty;
+  }
+
+  return {
+    ...empty,
+    ...(data?.checkpoint || {})
+  };
+}
+
+/**
+ * Persist progress on the scraping job row
+ * @throws {RunnerSupersededError} When another runner holds the job
+ */
+async function saveCheckpoint(jobId, checkpoint, runnerToken) {
+  if (!jobId) return;
+
+  checkpoint.updatedAt = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('scraping_jobs')
+    .update({ checkpoint })
+    .eq('id', jobId)
+    .eq('runner_token', runnerToken)
+    .select('id');
+
+  if (error) {
+    // Losing one checkpoint only costs re-scraping a page
+    logger.error(`Failed to save checkpoint for scraping job ${jobId}:`, error);
+    return;
+  }
+
+  if (!data || data.length === 0) {
+    throw new RunnerSupersededError(jobId);
+  }
+}
+
+/**
+ * Count saved leads per industry for the job results
+ */
+async function countLeadsByIndustry(leadIds) {
+  if (leadIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('leads')
+    .select('industry')
+    .in('id', leadIds);
+
+  if (error) {
+    logger.warn('Could not count leads by industry:', error.message);
+    return {};
+  }
+
+  return data.reduce((acc, lead) => {
+    acc[lead.industry] = (acc[lead.industry] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+/**
+ * Mark the job running under a new runner token
+ * A cancelled job stays cancelled, even when Bull still has a retry queued
+ * @returns {Promise<boolean>} False when the job was cancelled or removed
+ */
+async function claimScrapingJob(jobId, runnerToken) {
+  if (!jobId) return true;
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('scraping_jobs')
+    .update({ status: 'running', runner_token: runnerToken, started_at: now, updated_at: now })
+    .eq('id', jobId)
+    .neq('status', 'cancelled')
+    .select('id');
+
+  if (error) {
+    // Without the claim every checkpoint write is refused, so fail the attempt
+    throw new Error(`Failed to claim scraping job ${jobId}: ${error.message}`);
+  }
+
+  return data.length > 0;
+}
+
 /**
  * Update scraping job status in database
+ * Only written while the runner token still holds the job
  */
-async function updateScrapingJobStatus(jobId, status, results = null) {
+async function updateScrapingJobStatus(jobId, status, results, runnerToken) {
   if (!jobId) return;
 
   try {
@@ -105,10 +378,6 @@ async function updateScrapingJobStatus(jobId, status, results = null) {
       updated_at: new Date().toISOString()
     };
 
-    if (status === 'running') {
-      updateData.started_at = new Date().toISOString();
-    }
-
     if (status === 'completed' || status === 'failed') {
       updateData.completed_at = new Date().toISOString();
     }
@@ -117,14 +386,15 @@ async function updateScrapingJobStatus(jobId, status, results = null) {
       updateData.results = results;
     }
 
-    if (status === 'failed' && results?.error) {
+    if ((status === 'failed' || status === 'retrying') && results?.error) {
       updateData.error_message = results.error;
     }
 
     const { error } = await supabase
       .from('scraping_jobs')
       .update(updateData)
-      .eq('id', jobId);
+      .eq('id', jobId)
+      .eq('runner_token', runnerToken);
 
     if (error) {
       logger.error('Failed to update scraping job status:', error);
@@ -142,3 +412,4 @@ function sleep(ms) {
 }
 
 module.exports = { process };
+module.exports.RunnerSupersededError = RunnerSupersededError;
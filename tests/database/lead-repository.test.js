@@ -0,0 +1,124 @@
+/**
+ * Lead repository queries against a recording Supabase stand-in
+ */
+
+jest.mock('../../src/database/supabase-client', () => ({ getClient: jest.fn() }));
+
+const supabaseClient = require('../../src/database/supabase-client');
+const { findMatchingLeads, getScoreSnapshots } = require('../../src/database/lead-repository');
+
+/**
+ * Chainable query builder that records every call and resolves with respond(query)
+ */
+function fakeClient(respond) {
+  const queries = [];
+
+  return {
+    queries,
+    from(table) {
+      const query = { table, calls: [] };
+      queries.push(query);
+
+      const builder = {};
+      for (const method of ['select', 'or', 'ilike', 'eq', 'not', 'in', 'order', 'range', 'limit']) {
+        builder[method] = (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+      builder.then = (resolve, reject) => Promise.resolve({ data: respond(query), error: null }).then(resolve, reject);
+
+      return builder;
+    }
+  };
+}
+
+const callsOf = (query, method) => query.calls.filter(call => call[0] === method).map(call => call.slice(1));
+
+describe('findMatchingLeads', () => {
+  const lead = {
+    company_name: 'Bay Area Plumbing LLC',
+    phone: '(813) 555-0142',
+    website: 'https://www.bayareaplumbing.com',
+    state: 'FL'
+  };
+
+  test('returns exact key matches before name candidates', async () => {
+    const client = fakeClient(query => (callsOf(query, 'or').length > 0
+      ? [{ id: 'exact-1' }]
+      : [{ id: 'name-1' }, { id: 'name-2' }]));
+    supabaseClient.getClient.mockReturnValue(client);
+
+    const matches = await findMatchingLeads(lead, 3);
+
+    expect(matches.map(match => match.id)).toEqual(['exact-1', 'name-1', 'name-2']);
+
+    const [exact, byName] = client.queries;
+    expect(callsOf(exact, 'or')).toEqual([['normalized_phone.eq.8135550142,website_domain.eq.bayareaplumbing.com']]);
+    expect(callsOf(exact, 'ilike')).toEqual([]);
+    expect(callsOf(byName, 'ilike')).toEqual([['company_name', '%bay%']]);
+    expect(callsOf(byName, 'eq')).toEqual([['state', 'FL']]);
+    expect(callsOf(byName, 'not')).toEqual([['id', 'in', '(exact-1)']]);
+    expect(callsOf(byName, 'limit')).toEqual([[2]]);
+  });
+
+  test('skips the name lookup when exact matches fill the limit', async () => {
+    const client = fakeClient(() => [{ id: 'exact-1' }, { id: 'exact-2' }]);
+    supabaseClient.getClient.mockReturnValue(client);
+
+    const matches = await findMatchingLeads(lead, 2);
+
+    expect(matches).toHaveLength(2);
+    expect(client.queries).toHaveLength(1);
+  });
+
+  test('falls back to name candidates when the lead has no exact keys', async () => {
+    const client = fakeClient(() => [{ id: 'name-1' }]);
+    supabaseClient.getClient.mockReturnValue(client);
+
+    const matches = await findMatchingLeads({ company_name: 'Drain Pros', state: 'Florida' });
+
+    expect(matches.map(match => match.id)).toEqual(['name-1']);
+    expect(client.queries).toHaveLength(1);
+    expect(callsOf(client.queries[0], 'ilike')).toEqual([['company_name', '%drain%']]);
+    expect(callsOf(client.queries[0], 'eq')).toEqual([]);
+    expect(callsOf(client.queries[0], 'not')).toEqual([]);
+  });
+});
+
+describe('getScoreSnapshots', () => {
+  const history = [
+    { lead_id: 'lead-1', score: 40, scored_at: '2026-05-01T00:00:00Z' },
+    { lead_id: 'lead-2', score: 55, scored_at: '2026-05-02T00:00:00Z' },
+    { lead_id: 'lead-1', score: 62, scored_at: '2026-06-01T10:00:00Z' },
+    { lead_id: 'lead-2', score: 58, scored_at: '2026-06-03T00:00:00Z' },
+    { lead_id: 'lead-1', score: 90, scored_at: '2026-07-01T00:00:00Z' }
+  ];
+
+  test('picks the last row at or before each cutoff, or the first row without one', async () => {
+    supabaseClient.getClient.mockReturnValue(fakeClient(() => history));
+
+    const snapshots = await getScoreSnapshots({
+      'lead-1': '2026-06-01T10:00:00Z',
+      'lead-2': null,
+      'lead-3': '2026-06-01T00:00:00Z'
+    });
+
+    expect(snapshots['lead-1'].score).toBe(62);
+    expect(snapshots['lead-2'].score).toBe(55);
+    expect(snapshots).not.toHaveProperty('lead-3');
+  });
+
+  test('pages through long histories', async () => {
+    const client = fakeClient(query => {
+      const [[from]] = callsOf(query, 'range');
+      return history.slice(from, from + 2);
+    });
+    supabaseClient.getClient.mockReturnValue(client);
+
+    const snapshots = await getScoreSnapshots({ 'lead-1': '2026-08-01T00:00:00Z' }, { pageSize: 2 });
+
+    expect(client.queries).toHaveLength(3);
+    expect(snapshots['lead-1'].score).toBe(90);
+  });
+});
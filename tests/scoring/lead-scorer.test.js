@@ -0,0 +1,192 @@
+/**
+ * LeadScorer confidence, score breakdowns and explanations
+ */
+
+const LeadScorer = require('../../src/scoring/lead-scorer');
+const { DEFAULT_PROFILE, DATA_SOURCES } = require('../../src/scoring/lead-scorer');
+
+/**
+ * A lead with every source the scorer reads filled in
+ */
+function enrichedLead(overrides = {}) {
+  return {
+    company_name: 'Gulf Coast Air',
+    industry: 'HVAC',
+    website: 'https://gulfcoastair.example',
+    location: 'Tampa, FL',
+    website_quality: { hasWebsite: true, loadTime: 4200, hasSSL: false, hasMobileViewport: true },
+    tech_stack: [{ name: 'Wix', category: 'cms', diy: true }],
+    performance_audit: { metrics: { lcp: 5200 } },
+    seo_data: {
+      indexed: true,
+      estimatedRanking: 38,
+      organicKeywords: 40,
+      industryKeywords: [{ keyword: 'ac repair', organicPosition: null, localPackPosition: null }]
+    },
+    organic_keywords: 40,
+    ad_presence: { hasGoogleAds: false, estimatedAdSpend: 'None' },
+    rating: 4.1,
+    review_count: 18,
+    review_analysis: { reviewsAnalyzed: 18, ownerResponseRate: 0, unansweredNegative: 2 },
+    review_response_rate: 0,
+    gbp_audit: { completeness: 60, claimed: true, ownerResponseRate: 0, reviewsSampled: 5 },
+    social_presence: { facebook: { hasProfile: true, followersCount: 40 }, instagram: null },
+    estimated_size: 'Small',
+    employee_count: 8,
+    market_benchmark: { market: { size: 12 }, you: { strength: 30 }, reliable: true },
+    ...overrides
+  };
+}
+
+let scorer;
+
+beforeEach(() => {
+  scorer = new LeadScorer(DEFAULT_PROFILE, { mode: 'rule' });
+});
+
+describe('confidence', () => {
+  test('is full when every data source was checked', () => {
+    const { confidence } = scorer.calculateScore(enrichedLead());
+
+    expect(confidence).toEqual({ score: 100, level: 'high', missingData: [] });
+  });
+
+  test('a missing source lowers it and is listed in missingData', () => {
+    const full = scorer.calculateScore(enrichedLead());
+    const { confidence } = scorer.calculateScore(enrichedLead({ gbp_audit: null }));
+
+    expect(confidence.score).toBe(100 - DEFAULT_PROFILE.weights.businessProfile);
+    expect(confidence.score).toBeLessThan(full.confidence.score);
+    expect(confidence.missingData).toEqual(['gbp_audit']);
+  });
+
+  test('a partly covered component counts by the share of its sources present', () => {
+    const { confidence, componentScores } = scorer.calculateScore(enrichedLead({ review_analysis: null }));
+    const { weight, coverage } = componentScores.breakdown.reviewScore;
+
+    expect(coverage).toBe(Math.round(2 / DATA_SOURCES.reviewScore.length * 100));
+    expect(confidence.score).toBe(Math.round(100 - weight * (100 - coverage) / 100));
+    expect(confidence.missingData).toEqual(['review_analysis']);
+  });
+
+  test('an unenriched lead gets a low confidence that lists what to collect', () => {
+    const { confidence } = scorer.calculateScore({ company_name: 'Bay Plumbing', industry: 'PLUMBING', website: 'https://bayplumbing.example' });
+
+    expect(confidence.level).toBe('low');
+    expect(confidence.missingData).toEqual(expect.arrayContaining([
+      'website_quality', 'tech_stack', 'performance_audit', 'seo_data', 'ad_presence',
+      'rating', 'review_count', 'review_analysis', 'gbp_audit', 'social_presence'
+    ]));
+  });
+
+  test('levels follow CONFIDENCE_LEVELS', () => {
+    const breakdown = weight => ({
+      websiteQuality: { weight, missing: [] },
+      adPresence: { weight: 100 - weight, missing: ['ad_presence'] }
+    });
+
+    expect(scorer.confidence(breakdown(75)).level).toBe('high');
+    expect(scorer.confidence(breakdown(74)).level).toBe('medium');
+    expect(scorer.confidence(breakdown(50)).level).toBe('medium');
+    expect(scorer.confidence(breakdown(49)).level).toBe('low');
+  });
+});
+
+describe('breakdown', () => {
+  test.each([
+    ['an enriched lead', enrichedLead()],
+    ['an unenriched lead', { company_name: 'Bay Plumbing', industry: 'PLUMBING', website: 'https://bayplumbing.example' }],
+    ['a lead without a website', enrichedLead({ website: null, website_quality: null, tech_stack: null, performance_audit: null })]
+  ])('contributions of %s add up to totalScore', (_, lead) => {
+    const { totalScore, componentScores } = scorer.calculateScore(lead);
+    const total = Object.values(componentScores.breakdown).reduce((sum, entry) => sum + entry.contribution, 0);
+
+    // totalScore is the rounded weighted total
+    expect(Math.round(total)).toBe(totalScore);
+  });
+
+  test('each contribution is the component score at its weight', () => {
+    const { componentScores } = scorer.calculateScore(enrichedLead());
+
+    for (const [component, entry] of Object.entries(componentScores.breakdown)) {
+      expect(entry.score).toBe(componentScores[component]);
+      expect(entry.weight).toBe(DEFAULT_PROFILE.weights[component]);
+      expect(entry.contribution).toBeCloseTo(entry.score * entry.weight / 100, 2);
+    }
+  });
+
+  test('indicators add up to the component score unless it was capped', () => {
+    const { componentScores } = scorer.calculateScore(enrichedLead());
+
+    for (const entry of Object.values(componentScores.breakdown)) {
+      const points = entry.indicators.reduce((sum, indicator) => sum + indicator.points, 0);
+      expect(points === entry.score).toBe(!entry.capped);
+    }
+  });
+});
+
+describe('unchecked data', () => {
+  const unchecked = { company_name: 'Bay Plumbing', industry: 'PLUMBING', website: 'https://bayplumbing.example', location: 'Tampa, FL' };
+
+  test.each([
+    ['websiteQuality', 'website_quality'],
+    ['seoRanking', 'seo_data'],
+    ['adPresence', 'ad_presence'],
+    ['reviewScore', 'review_count'],
+    ['socialPresence', 'social_presence']
+  ])('%s scores the neutral notChecked points', (component, field) => {
+    const { componentScores } = scorer.calculateScore(unchecked);
+    const entry = componentScores.breakdown[component];
+
+    expect(entry.score).toBe(DEFAULT_PROFILE.indicators[component].notChecked);
+    expect(entry.indicators).toEqual([
+      expect.objectContaining({ indicator: 'notChecked', points: DEFAULT_PROFILE.indicators[component].notChecked, field, value: null })
+    ]);
+    expect(entry.coverage).toBe(0);
+  });
+
+  test('seo_data without an index status or keyword count is not "not indexed"', () => {
+    const { indicators, score } = scorer.scoreSEORanking({ seo_data: { domain: 'bayplumbing.example', indexed: null } });
+
+    expect(indicators.map(entry => entry.indicator)).toEqual(['notChecked']);
+    expect(score).toBe(DEFAULT_PROFILE.indicators.seoRanking.notChecked);
+  });
+
+  test('a measured zero keyword count is', () => {
+    const { indicators } = scorer.scoreSEORanking({ seo_data: { indexed: false, organicKeywords: 0 }, organic_keywords: 0 });
+
+    expect(indicators.map(entry => entry.indicator)).toEqual(['notIndexed']);
+  });
+
+  test('checked flags that are absent add nothing', () => {
+    const { indicators } = scorer.scoreWebsiteQuality({ website: 'https://bayplumbing.example', website_quality: { hasWebsite: true } });
+
+    expect(indicators.map(entry => entry.indicator)).not.toContain('noSsl');
+  });
+});
+
+describe('explain', () => {
+  test('lists components by contribution with the data they lacked', () => {
+    const { componentScores } = scorer.calculateScore(enrichedLead({ gbp_audit: null, social_presence: null }));
+    const explanation = scorer.explain(componentScores.breakdown);
+
+    const contributions = explanation.components.map(entry => entry.contribution);
+    expect(contributions).toEqual([...contributions].sort((a, b) => b - a));
+    expect(explanation.missingData).toEqual(expect.arrayContaining(['gbp_audit', 'social_presence']));
+    expect(explanation.missingData).toHaveLength(2);
+    expect(explanation.confidence).toEqual(scorer.confidence(componentScores.breakdown));
+  });
+
+  test('top reasons are the indicators worth the most weighted points', () => {
+    const { componentScores } = scorer.calculateScore(enrichedLead());
+    const { topReasons } = scorer.explain(componentScores.breakdown);
+
+    expect(topReasons.length).toBeLessThanOrEqual(5);
+    for (const reason of topReasons) {
+      expect(reason.points).toBeGreaterThan(0);
+      expect(reason.weightedPoints).toBeCloseTo(reason.points * componentScores.breakdown[reason.component].weight / 100, 2);
+    }
+    const weighted = topReasons.map(reason => reason.weightedPoints);
+    expect(weighted).toEqual([...weighted].sort((a, b) => b - a));
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Outcome model metrics, training and the percentile score scale
+ */
+
+const OutcomeModel = require('../../src/scoring/outcome-model');
+const { FEATURES, auc, calibration, splitHoldout } = require('../../src/scoring/outcome-model');
+
+const [SIGNAL, NOISE] = FEATURES;
+
+/**
+ * Leads whose first feature mostly decides the outcome; seeded so every run is the same
+ */
+function syntheticExamples(n = 200) {
+  let state = 7;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+
+  return Array.from({ length: n }, (_, i) => {
+    const signal = random();
+    const noise = random();
+    return {
+      leadId: `lead-${i}`,
+      features: { [SIGNAL]: signal, [NOISE]: noise, confidence: 0.8 },
+      label: signal + (random() - 0.5) * 0.3 > 0.5 ? 1 : 0,
+      ruleScore: Math.round(noise * 100)
+    };
+  });
+}
+
+function probabilityOf(model, features) {
+  const logit = model.standardize(features)
+    .reduce((sum, value, i) => sum + model.coefficients[i] * value, model.intercept);
+  return 1 / (1 + Math.exp(-logit));
+}
+
+describe('auc', () => {
+  test('is 1 when every converted lead outranks every lost one', () => {
+    expect(auc([0, 0, 1, 1], [0.1, 0.2, 0.8, 0.9])).toBe(1);
+  });
+
+  test('is 0 when the ranking is reversed', () => {
+    expect(auc([1, 1, 0, 0], [0.1, 0.2, 0.8, 0.9])).toBe(0);
+  });
+
+  test('counts ties as half', () => {
+    expect(auc([0, 1, 0, 1], [0.5, 0.5, 0.5, 0.5])).toBe(0.5);
+    expect(auc([0, 1, 1], [0.2, 0.2, 0.9])).toBe(0.75);
+  });
+
+  test('is null without both outcomes', () => {
+    expect(auc([1, 1], [0.2, 0.4])).toBeNull();
+    expect(auc([], [])).toBeNull();
+  });
+});
+
+describe('calibration', () => {
+  test('compares predicted and observed rates per bin, leaving out empty bins', () => {
+    const bins = calibration([0, 1, 1, 1], [0.1, 0.15, 0.9, 1], 4);
+
+    expect(bins).toEqual([
+      { from: 0, to: 0.25, count: 2, meanPredicted: 0.125, observedRate: 0.5 },
+      { from: 0.75, to: 1, count: 2, meanPredicted: 0.95, observedRate: 1 }
+    ]);
+  });
+});
+
+describe('OutcomeModel.train', () => {
+  const examples = syntheticExamples();
+  const { model, metrics } = OutcomeModel.train(examples, { target: 'conversion' });
+
+  test('reports training and holdout sizes', () => {
+    const positives = examples.filter(example => example.label === 1).length;
+
+    expect(metrics.examples).toBe(200);
+    expect(metrics.positives).toBe(positives);
+    expect(metrics.training.examples + metrics.holdout.examples).toBe(200);
+    expect(metrics.holdout.examples).toBe(50);
+    expect(metrics.training.positives + metrics.holdout.positives).toBe(positives);
+  });
+
+  test('learns the signal and beats the rule score on the holdout', () => {
+    expect(metrics.holdout.auc).toBeGreaterThan(0.9);
+    expect(metrics.holdout.ruleAuc).toBeLessThan(0.7);
+    expect(model.coefficients[0]).toBeGreaterThan(Math.abs(model.coefficients[1]));
+    expect(metrics.holdout.brierScore).toBeLessThan(0.15);
+    expect(metrics.holdout.calibration.reduce((sum, bin) => sum + bin.count, 0)).toBe(50);
+  });
+
+  test('builds the score scale from training predictions only', () => {
+    const { training } = splitHoldout(examples, 0.25, 42);
+    const sorted = training.map(example => probabilityOf(model, example.features)).sort((a, b) => a - b);
+    const percentile = p => Math.round(sorted[Math.round(p / 100 * (sorted.length - 1))] * 1e6) / 1e6;
+
+    expect(model.quantiles).toHaveLength(101);
+    expect(model.quantiles[0]).toBe(percentile(0));
+    expect(model.quantiles[50]).toBe(percentile(50));
+    expect(model.quantiles[100]).toBe(percentile(100));
+  });
+
+  test('scores are percentiles of the training predictions', () => {
+    expect(model.scoreFor(model.quantiles[100] + 0.001)).toBe(100);
+    expect(model.scoreFor(-1)).toBe(0);
+    expect(model.scoreFor(model.quantiles[50])).toBeGreaterThanOrEqual(50);
+  });
+
+  test('refuses a training set with one outcome', () => {
+    const lost = examples.map(example => ({ ...example, label: 0 }));
+
+    expect(() => OutcomeModel.train(lost)).toThrow('Training set needs both converted and lost leads');
+  });
+
+  test('round-trips through the saved artifact', () => {
+    const restored = new OutcomeModel(model.toArtifact());
+    const features = { [SIGNAL]: 0.9, [NOISE]: 0.1, confidence: 0.8 };
+
+    expect(probabilityOf(restored, features)).toBeCloseTo(probabilityOf(model, features), 10);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Shared Playwright browser and per-session contexts under concurrent use
+ */
+
+jest.mock('playwright', () => ({ chromium: { launch: jest.fn() } }));
+
+const { chromium } = require('playwright');
+const clientFactory = require('../../src/scrapers/client-factory');
+
+function fakeBrowser() {
+  return {
+    newContext: jest.fn(async () => ({ close: jest.fn(async () => {}) })),
+    close: jest.fn(async () => {})
+  };
+}
+
+afterEach(async () => {
+  await clientFactory.close();
+  chromium.launch.mockReset();
+});
+
+describe('getPlaywrightBrowser', () => {
+  test('concurrent callers share one launch', async () => {
+    const browser = fakeBrowser();
+    chromium.launch.mockResolvedValue(browser);
+
+    const [first, second] = await Promise.all([
+      clientFactory.getPlaywrightBrowser(),
+      clientFactory.getPlaywrightBrowser()
+    ]);
+
+    expect(first).toBe(browser);
+    expect(second).toBe(browser);
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed launch is not cached', async () => {
+    const browser = fakeBrowser();
+    chromium.launch
+      .mockRejectedValueOnce(new Error('Executable not found'))
+      .mockResolvedValueOnce(browser);
+
+    await expect(clientFactory.getPlaywrightBrowser()).rejects.toThrow('Executable not found');
+    await expect(clientFactory.getPlaywrightBrowser()).resolves.toBe(browser);
+    expect(chromium.launch).toHaveBeenCalledTimes(2);
+  });
+
+  test('close() waits for a launch in flight and closes the browser', async () => {
+    const browser = fakeBrowser();
+    chromium.launch.mockResolvedValue(browser);
+
+    clientFactory.getPlaywrightBrowser();
+    await clientFactory.close();
+
+    expect(browser.close).toHaveBeenCalledTimes(1);
+    expect(clientFactory.playwrightBrowser).toBeNull();
+  });
+});
+
+describe('getBrowserContext', () => {
+  test('concurrent callers for a session share one context', async () => {
+    const browser = fakeBrowser();
+    chromium.launch.mockResolvedValue(browser);
+
+    const [first, second] = await Promise.all([
+      clientFactory.getBrowserContext('job-1'),
+      clientFactory.getBrowserContext('job-1')
+    ]);
+
+    expect(first).toBe(second);
+    expect(browser.newContext).toHaveBeenCalledTimes(1);
+    expect(await clientFactory.getBrowserContext('job-1')).toBe(first);
+    expect(clientFactory.pendingContexts.size).toBe(0);
+  });
+
+  test('sessions get their own contexts', async () => {
+    const browser = fakeBrowser();
+    chromium.launch.mockResolvedValue(browser);
+
+    const [first, second] = await Promise.all([
+      clientFactory.getBrowserContext('job-1'),
+      clientFactory.getBrowserContext('job-2')
+    ]);
+
+    expect(first).not.toBe(second);
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed context is retried on the next call', async () => {
+    const browser = fakeBrowser();
+    browser.newContext.mockRejectedValueOnce(new Error('Target closed'));
+    chromium.launch.mockResolvedValue(browser);
+
+    await expect(clientFactory.getBrowserContext('job-1')).rejects.toThrow('Target closed');
+    await expect(clientFactory.getBrowserContext('job-1')).resolves.toBeDefined();
+    expect(browser.newContext).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Entity resolver confidence scoring and match/review/distinct thresholds
+ */
+
+const { EntityResolver } = require('../../src/scrapers/entity-resolver');
+
+describe('EntityResolver thresholds', () => {
+  const resolver = new EntityResolver({ matchThreshold: 0.85, reviewThreshold: 0.6 });
+
+  test('maps confidence onto match, review and distinct', () => {
+    expect(resolver.decide(1)).toBe('match');
+    expect(resolver.decide(0.85)).toBe('match');
+    expect(resolver.decide(0.849)).toBe('review');
+    expect(resolver.decide(0.6)).toBe('review');
+    expect(resolver.decide(0.599)).toBe('distinct');
+  });
+
+  test('honours custom thresholds', () => {
+    const strict = new EntityResolver({ matchThreshold: 0.95, reviewThreshold: 0.8 });
+
+    expect(strict.decide(0.9)).toBe('review');
+    expect(strict.decide(0.7)).toBe('distinct');
+  });
+
+  test('a shared place ID is always a match', () => {
+    const result = resolver.compare(
+      { name: 'Bay Area Plumbing', placeId: 'ChIJ123' },
+      { company_name: 'Totally Different', google_place_id: 'ChIJ123' }
+    );
+
+    expect(result).toEqual({ confidence: 1, decision: 'match', signals: { placeId: 1 } });
+  });
+
+  test('matching phone, domain and name merge automatically', () => {
+    const result = resolver.compare(
+      { name: 'Bay Area Plumbing LLC', phone: '(813) 555-0142', website: 'https://www.bayareaplumbing.com' },
+      { company_name: 'Bay Area Plumbing', phone: '+1 813-555-0142', website: 'bayareaplumbing.com/contact' }
+    );
+
+    expect(result.decision).toBe('match');
+    expect(result.confidence).toBe(1);
+  });
+
+  test('a single agreeing signal stays below the match threshold', () => {
+    const result = resolver.compare(
+      { name: 'Bay Area Plumbing' },
+      { company_name: 'Bay Area Plumbing Inc' }
+    );
+
+    expect(result.signals).toEqual({ name: 1 });
+    expect(result.confidence).toBe(0.84);
+    expect(result.decision).toBe('review');
+  });
+
+  test('the same name with a different phone is kept apart', () => {
+    const result = resolver.compare(
+      { name: 'Bay Area Plumbing', phone: '8135550142' },
+      { company_name: 'Bay Area Plumbing', phone: '8135559999' }
+    );
+
+    expect(result.signals).toEqual({ phone: 0, name: 1 });
+    expect(result.decision).toBe('distinct');
+  });
+
+  test('different street numbers never count as the same address', () => {
+    const result = resolver.compare(
+      { name: 'Suncoast Rooter', address: '12 Main Street, Tampa, FL 33602' },
+      { company_name: 'Suncoast Rooter', address: '14 Main St, Tampa, FL 33602' }
+    );
+
+    expect(result.signals.address).toBe(0);
+    expect(result.decision).not.toBe('match');
+  });
+
+  test('shared hosts like facebook.com are not a domain signal', () => {
+    expect(resolver.normalizeDomain('https://www.facebook.com/bayareaplumbing')).toBeNull();
+    expect(resolver.normalizeDomain('www.BayAreaPlumbing.com')).toBe('bayareaplumbing.com');
+  });
+
+  test('findBestMatch ignores distinct candidates and the record itself', () => {
+    const record = { id: 'lead-1', name: 'Bay Area Plumbing', phone: '8135550142', website: 'bayareaplumbing.com' };
+
+    expect(resolver.findBestMatch(record, [record, { id: 'lead-2', company_name: 'Ybor Pipe Pros', phone: '8135550199' }])).toBeNull();
+
+    const best = resolver.findBestMatch(record, [{ id: 'lead-3', company_name: 'Bay Area Plumbing', phone: '813-555-0142' }]);
+    expect(best.candidate.id).toBe('lead-3');
+    expect(best.decision).toBe('match');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Source parsers replayed against recorded fixtures (tests/fixtures/scrapers)
+ */
+
+const path = require('path');
+
+jest.mock('../../src/queues/queue-config', () => ({
+  redisClient: { status: 'end', defineCommand: jest.fn() }
+}));
+
+const fixtureStore = require('../../src/scrapers/fixture-store');
+const yellowPages = require('../../src/scrapers/yellow-pages-scraper');
+const yelp = require('../../src/scrapers/yelp-scraper');
+const directories = require('../../src/scrapers/directory-scrapers');
+const rateLimiter = require('../../src/utils/rate-limiter');
+const { SourceResponseError } = require('../../src/scrapers/response-classifier');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'scrapers');
+
+beforeAll(() => {
+  fixtureStore.configure({ mode: 'replay', dir: FIXTURE_DIR });
+});
+
+afterEach(async () => {
+  await rateLimiter.resetAll();
+});
+
+describe('Yellow Pages', () => {
+  test('parses a results page into standardized leads', async () => {
+    const results = await yellowPages.fetchPage('plumber', 'Tampa, FL', 1);
+
+    expect(results).toHaveLength(2);
+    expect(results[0]).toEqual({
+      name: 'Bay Area Plumbing',
+      website: 'https://bayareaplumbing.example.com',
+      phone: '8135550142',
+      address: '4102 N Armenia Ave',
+      city: 'Tampa',
+      state: 'FL',
+      zipCode: '33607',
+      location: 'Tampa, FL',
+      rating: 4.5,
+      reviewCount: 27,
+      yearsInBusiness: 18,
+      source: 'yellow_pages',
+      sourceUrl: null
+    });
+    expect(results[1]).toMatchObject({
+      name: 'DrainWorks LLC',
+      website: null,
+      phone: '8135550199',
+      zipCode: '33612',
+      rating: null,
+      reviewCount: null
+    });
+  });
+
+  test('search() walks the recorded pages and stops where the recording ends', async () => {
+    const results = await yellowPages.search('plumber', 'Tampa, FL', { maxPages: 5, maxResults: 50 });
+
+    expect(results.map(result => result.name)).toEqual([
+      'Bay Area Plumbing',
+      'DrainWorks LLC',
+      'Suncoast Rooter'
+    ]);
+    expect(results[2]).toMatchObject({ rating: 3, reviewCount: 4, zipCode: '33615' });
+  });
+
+  test('a genuine "no results" page is empty, not an error', async () => {
+    await expect(yellowPages.fetchPage('plumber', 'Nowhere, KS', 1)).resolves.toEqual([]);
+  });
+
+  test('a page the parser no longer understands is reported as a layout change', async () => {
+    await expect(yellowPages.fetchPage('plumber', 'Redesign, FL', 1)).rejects.toMatchObject({
+      name: 'SourceResponseError',
+      outcome: 'layout_changed'
+    });
+  });
+
+  test('a query that was never recorded fails instead of going live', async () => {
+    await expect(yellowPages.fetchPage('roofer', 'Tampa, FL', 1)).rejects.toThrow(/No recorded fixture/);
+  });
+});
+
+describe('Yelp searchViaScraping', () => {
+  test('parses search cards into standardized leads', async () => {
+    const results = await yelp.searchViaScraping('plumber', 'Tampa, FL');
+
+    expect(results).toEqual([
+      {
+        name: 'Gulf Coast Plumbing',
+        website: null,
+        phone: '8135550110',
+        address: '2210 W Kennedy Blvd, Tampa, FL 33606',
+        city: null,
+        state: 'FL',
+        zipCode: '33606',
+        location: 'Tampa, FL',
+        rating: 4.5,
+        reviewCount: 112,
+        source: 'yelp',
+        sourceUrl: null
+      },
+      expect.objectContaining({
+        name: 'Westshore Drain & Sewer',
+        phone: null,
+        state: 'FL',
+        zipCode: null,
+        rating: 3.8,
+        reviewCount: 9
+      })
+    ]);
+  });
+
+  test('respects maxResults', async () => {
+    const results = await yelp.searchViaScraping('plumber', 'Tampa, FL', { maxResults: 1 });
+
+    expect(results.map(result => result.name)).toEqual(['Gulf Coast Plumbing']);
+  });
+});
+
+describe('scrapeGenericDirectory', () => {
+  const url = 'https://www.angi.com/companylist/us/fl/tampa/plumbing.htm';
+  const selectors = {
+    listingSelector: '.pro-card',
+    nameSelector: '.pro-name',
+    phoneSelector: '.pro-phone',
+    addressSelector: '.pro-address',
+    websiteSelector: '.pro-website',
+    ratingSelector: '.pro-rating'
+  };
+
+  test('parses listings with the given selectors', async () => {
+    const results = await directories.scrapeGenericDirectory(url, selectors, 'Tampa, FL');
+
+    expect(results).toEqual([
+      {
+        name: 'Hillsborough Plumbing Co.',
+        website: 'https://hillsboroughplumbing.example.com',
+        phone: '8135550188',
+        address: '3500 S Dale Mabry Hwy, Tampa, FL 33629',
+        city: null,
+        state: 'FL',
+        zipCode: '33629',
+        location: 'Tampa, FL',
+        rating: 4.9,
+        reviewCount: null,
+        source: 'directory',
+        sourceUrl: url
+      },
+      expect.objectContaining({
+        name: 'Ybor Pipe Pros',
+        website: null,
+        phone: null,
+        state: 'FL',
+        rating: null
+      })
+    ]);
+  });
+
+  test('stale selectors are reported as a layout change', async () => {
+    const stale = { ...selectors, listingSelector: '.provider-card' };
+
+    await expect(directories.scrapeGenericDirectory(url, stale, 'Tampa, FL'))
+      .rejects.toBeInstanceOf(SourceResponseError);
+  });
+});
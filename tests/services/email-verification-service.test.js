@@ -0,0 +1,183 @@
+/**
+ * Email verification against stubbed DNS and a local fake SMTP server
+ */
+
+const net = require('net');
+const dns = require('dns');
+const { EmailVerificationService } = require('../../src/services/email-verification-service');
+
+/**
+ * Tiny SMTP server: accepts RCPT for known mailboxes (or any mailbox when
+ * catchAll is set), and never greets when silent is set
+ */
+function startSmtpServer() {
+  const settings = { mailboxes: [], catchAll: false, silent: false };
+  const sockets = new Set();
+  const commands = [];
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    if (settings.silent) return;
+    socket.write('220 mx.test ESMTP\r\n');
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const command = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        commands.push(command);
+
+        if (/^EHLO /.test(command)) {
+          socket.write('250-mx.test\r\n250 SIZE 1000000\r\n');
+        } else if (/^MAIL FROM:/.test(command)) {
+          socket.write('250 2.1.0 Ok\r\n');
+        } else if (/^RCPT TO:/.test(command)) {
+          const mailbox = command.match(/<(.*)>/)[1];
+          socket.write(settings.catchAll || settings.mailboxes.includes(mailbox)
+            ? '250 2.1.5 Ok\r\n'
+            : '550 5.1.1 No such user\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('502 Command not implemented\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      settings,
+      commands,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+}
+
+function dnsError(code) {
+  return Object.assign(new Error(`queryMx ${code}`), { code });
+}
+
+describe('EmailVerificationService', () => {
+  let smtp;
+  let verifier;
+
+  beforeAll(async () => {
+    smtp = await startSmtpServer();
+  });
+
+  afterAll(async () => {
+    await smtp.close();
+  });
+
+  beforeEach(() => {
+    Object.assign(smtp.settings, { mailboxes: ['owner@bayareaplumbing.com'], catchAll: false, silent: false });
+    smtp.commands.length = 0;
+
+    verifier = new EmailVerificationService({
+      smtpProbe: true,
+      smtpPort: smtp.port,
+      timeout: 300,
+      mailFrom: 'verify@serviceline.test'
+    });
+    verifier.resolver = {
+      resolveMx: jest.fn(async () => [
+        { exchange: '127.0.0.1', priority: 10 },
+        { exchange: '.', priority: 0 }
+      ]),
+      resolve4: jest.fn(async () => { throw dnsError(dns.NOTFOUND); })
+    };
+  });
+
+  test('accepts a mailbox the server takes', async () => {
+    const result = await verifier.verify('Owner@BayAreaPlumbing.com');
+
+    expect(result).toMatchObject({ email: 'owner@bayareaplumbing.com', status: 'valid', reason: null });
+    expect(result.checks).toMatchObject({ mx: ['127.0.0.1'], catchAll: false });
+    expect(result.checks.smtp).toMatchObject({ stage: 'rcpt', code: 250 });
+    expect(smtp.commands).toContain('MAIL FROM:<verify@serviceline.test>');
+    expect(smtp.commands).toContain('RCPT TO:<owner@bayareaplumbing.com>');
+  });
+
+  test('rejects a mailbox the server refuses', async () => {
+    const result = await verifier.verify('nobody@bayareaplumbing.com');
+
+    expect(result).toMatchObject({ status: 'invalid', reason: 'mailbox_rejected' });
+    expect(result.checks.smtp).toMatchObject({ stage: 'rcpt', code: 550 });
+  });
+
+  test('flags a catch-all domain as risky', async () => {
+    smtp.settings.catchAll = true;
+
+    const result = await verifier.verify('owner@bayareaplumbing.com');
+
+    expect(result).toMatchObject({ status: 'risky', reason: 'catch_all' });
+    expect(result.checks.catchAll).toBe(true);
+    expect(smtp.commands.filter(command => command.startsWith('RCPT TO:'))).toHaveLength(2);
+  });
+
+  test('falls back to the A record when the domain has no MX', async () => {
+    verifier.resolver.resolveMx.mockRejectedValue(dnsError(dns.NODATA));
+    verifier.resolver.resolve4.mockResolvedValue(['127.0.0.1']);
+    verifier.smtpProbe = false;
+
+    const result = await verifier.verify('owner@bayareaplumbing.com');
+
+    expect(verifier.resolver.resolve4).toHaveBeenCalledWith('bayareaplumbing.com');
+    expect(result).toMatchObject({ status: 'valid', checks: { mx: ['bayareaplumbing.com'] } });
+  });
+
+  test('treats a domain with neither MX nor A record as invalid', async () => {
+    verifier.resolver.resolveMx.mockRejectedValue(dnsError(dns.NOTFOUND));
+
+    const result = await verifier.verify('owner@bayareaplumbing.com');
+
+    expect(result).toMatchObject({ status: 'invalid', reason: 'no_mx' });
+  });
+
+  test('reports unknown when DNS itself fails', async () => {
+    verifier.resolver.resolveMx.mockRejectedValue(dnsError(dns.TIMEOUT));
+
+    const result = await verifier.verify('owner@bayareaplumbing.com');
+
+    expect(result).toMatchObject({ status: 'unknown', reason: 'dns_error' });
+  });
+
+  test('rejects disposable addresses without a lookup', async () => {
+    const result = await verifier.verify('tradesman@mailinator.com');
+
+    expect(result).toMatchObject({ status: 'invalid', reason: 'disposable', checks: { disposable: true } });
+    expect(verifier.resolver.resolveMx).not.toHaveBeenCalled();
+  });
+
+  test('marks role addresses risky even when accepted', async () => {
+    smtp.settings.mailboxes.push('info@bayareaplumbing.com');
+
+    const result = await verifier.verify('info@bayareaplumbing.com');
+
+    expect(result).toMatchObject({ status: 'risky', reason: 'role_based', checks: { roleBased: true } });
+  });
+
+  test('reports unknown when the server never answers', async () => {
+    smtp.settings.silent = true;
+
+    const result = await verifier.verify('owner@bayareaplumbing.com');
+
+    expect(result).toMatchObject({ status: 'unknown', reason: 'smtp_inconclusive' });
+    expect(result.checks.smtp).toMatchObject({ stage: 'connect', message: 'SMTP timeout talking to 127.0.0.1' });
+  });
+
+  test('rejects bad syntax and no-reply addresses', async () => {
+    expect((await verifier.verify('owner@@bayareaplumbing')).reason).toBe('syntax');
+    expect((await verifier.verify('noreply@bayareaplumbing.com')).reason).toBe('no_reply');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Lead merges and their undo, with the repository stubbed out
+ */
+
+jest.mock('../../src/database/lead-repository', () => ({
+  updateLead: jest.fn(),
+  deleteLead: jest.fn(),
+  createLeadMerge: jest.fn(),
+  updateLeadMerge: jest.fn(),
+  getLaterLeadMerges: jest.fn(),
+  getLeadRecordIds: jest.fn(),
+  getLeadRecords: jest.fn(),
+  reassignLeadRecords: jest.fn(),
+  restoreLeads: jest.fn(),
+  restoreLeadRecords: jest.fn()
+}));
+
+const repository = require('../../src/database/lead-repository');
+const leadMergeService = require('../../src/services/lead-merge-service');
+const { LeadMergeUndoError } = require('../../src/services/lead-merge-service');
+
+const survivor = { id: 'lead-1', company_name: 'Bay Area Plumbing', phone: '8135550142', review_count: 10 };
+const victim = { id: 'lead-2', company_name: 'Bay Area Plumbing & Drain LLC', phone: '8135550142', review_count: 40, rating: 4.5 };
+
+const victimRecords = {
+  lead_reviews: [{ id: 'review-1', lead_id: 'lead-2', source: 'google', review_id: 'g-1' }],
+  lead_score_history: [{ id: 'history-1', lead_id: 'lead-2', score: 72, tier: 'warm' }],
+  lead_events: [{ id: 'event-1', lead_id: 'lead-2', type: 'lead.tier_upgraded' }]
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  repository.getLeadRecordIds.mockImplementation(async table => (table === 'lead_notes' ? [{ id: 'note-1', lead_id: 'lead-2' }] : []));
+  repository.getLeadRecords.mockImplementation(async table => victimRecords[table]);
+  repository.createLeadMerge.mockImplementation(async merge => ({ id: 'merge-1', created_at: '2026-10-01T12:00:00Z', ...merge }));
+  repository.updateLead.mockImplementation(async (id, updates) => ({ ...survivor, ...updates }));
+  repository.updateLeadMerge.mockImplementation(async (id, updates) => ({ id, ...updates }));
+  repository.restoreLeads.mockImplementation(async snapshots => snapshots);
+  repository.getLaterLeadMerges.mockResolvedValue([]);
+});
+
+describe('merge', () => {
+  test('moves notes to the survivor and snapshots reviews, score history and events', async () => {
+    const { merge } = await leadMergeService.merge(survivor, [victim]);
+
+    expect(merge.moved_records.lead_notes).toEqual({ 'lead-2': ['note-1'] });
+    expect(merge.record_snapshots).toEqual(victimRecords);
+    expect(repository.reassignLeadRecords).toHaveBeenCalledWith('lead_notes', ['note-1'], 'lead-1');
+    expect(repository.reassignLeadRecords).not.toHaveBeenCalledWith('lead_reviews', expect.anything(), expect.anything());
+    expect(repository.deleteLead).toHaveBeenCalledWith('lead-2');
+  });
+});
+
+describe('undo', () => {
+  test('restores the victim with its history and moves its notes back', async () => {
+    const { merge } = await leadMergeService.merge(survivor, [victim]);
+
+    const result = await leadMergeService.undo(merge, 'user-1');
+
+    expect(repository.restoreLeads).toHaveBeenCalledWith([victim]);
+    for (const [table, rows] of Object.entries(victimRecords)) {
+      expect(repository.restoreLeadRecords).toHaveBeenCalledWith(table, rows);
+    }
+    expect(repository.reassignLeadRecords).toHaveBeenLastCalledWith('lead_notes', ['note-1'], 'lead-2');
+    expect(repository.updateLead).toHaveBeenLastCalledWith('lead-1', expect.objectContaining({
+      company_name: 'Bay Area Plumbing',
+      review_count: 10
+    }));
+    expect(result.merge.status).toBe('undone');
+  });
+
+  test('refuses while a later merge into the same survivor is in place', async () => {
+    const { merge } = await leadMergeService.merge(survivor, [victim]);
+    repository.getLaterLeadMerges.mockResolvedValue([{ id: 'merge-3' }, { id: 'merge-2' }]);
+
+    const undo = leadMergeService.undo(merge, 'user-1');
+
+    await expect(undo).rejects.toThrow(LeadMergeUndoError);
+    await expect(undo).rejects.toMatchObject({ statusCode: 409, laterMergeIds: ['merge-3', 'merge-2'] });
+    expect(repository.getLaterLeadMerges).toHaveBeenCalledWith(merge);
+    expect(repository.restoreLeads).not.toHaveBeenCalled();
+    expect(repository.updateLeadMerge).not.toHaveBeenCalled();
+  });
+
+  test('undoes merges recorded before snapshots were kept', async () => {
+    const { merge } = await leadMergeService.merge(survivor, [victim]);
+    delete merge.record_snapshots;
+
+    await leadMergeService.undo(merge, 'user-1');
+
+    expect(repository.restoreLeadRecords).toHaveBeenCalledWith('lead_reviews', []);
+    expect(repository.updateLeadMerge).toHaveBeenCalledWith('merge-1', expect.objectContaining({ status: 'undone' }));
+  });
+});
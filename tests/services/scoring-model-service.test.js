@@ -0,0 +1,115 @@
+/**
+ * Outcome model training data: labels and point-in-time score snapshots
+ */
+
+jest.mock('../../src/database/lead-repository', () => ({
+  getTrainingLeads: jest.fn(),
+  getLeadEngagement: jest.fn(),
+  getScoreSnapshots: jest.fn()
+}));
+jest.mock('../../src/database/scoring-model-repository', () => ({}));
+jest.mock('../../src/services/scoring-profile-service', () => ({ clearCache: jest.fn() }));
+
+const repository = require('../../src/database/lead-repository');
+const { ScoringModelService } = require('../../src/services/scoring-model-service');
+
+/**
+ * Converted leads had a strong website score when first emailed; every lead
+ * now looks the same, so only the snapshots carry the signal
+ */
+function trainingData(n = 120) {
+  const leads = [];
+  const engagement = {};
+  const snapshots = {};
+
+  for (let i = 0; i < n; i++) {
+    const converted = i % 2 === 0;
+    const id = `lead-${i}`;
+    leads.push({ id, status: converted ? 'converted' : 'lost', component_scores: { websiteQuality: 50 } });
+    engagement[id] = { sent: 1, opened: 1, clicked: 0, firstSentAt: '2026-06-01T10:00:00Z' };
+    snapshots[id] = {
+      lead_id: id,
+      score: converted ? 72 : 41,
+      rule_score: converted ? 70 : 40,
+      confidence: 60,
+      component_scores: { websiteQuality: converted ? 80 + (i % 7) : 30 + (i % 7), seoRanking: 50 },
+      indicators: { websiteQuality: converted ? [] : ['noMobile'] },
+      scored_at: '2026-05-30T08:00:00Z'
+    };
+  }
+
+  return { leads, engagement, snapshots };
+}
+
+describe('ScoringModelService.train', () => {
+  const service = new ScoringModelService({ minExamples: 10 });
+
+  beforeEach(() => {
+    const { leads, engagement, snapshots } = trainingData();
+    repository.getTrainingLeads.mockResolvedValue(leads);
+    repository.getLeadEngagement.mockResolvedValue(engagement);
+    repository.getScoreSnapshots.mockResolvedValue(snapshots);
+  });
+
+  test('asks for each lead\'s score as of its first email', async () => {
+    repository.getLeadEngagement.mockResolvedValue({ 'lead-0': { sent: 2, opened: 0, clicked: 0, firstSentAt: '2026-06-01T10:00:00Z' } });
+
+    await service.train();
+
+    const cutoffs = repository.getScoreSnapshots.mock.calls[0][0];
+    expect(cutoffs['lead-0']).toBe('2026-06-01T10:00:00Z');
+    expect(cutoffs['lead-1']).toBeNull();
+    expect(Object.keys(cutoffs)).toHaveLength(120);
+  });
+
+  test('learns from the snapshots rather than current lead data', async () => {
+    const trained = await service.train();
+
+    expect(trained.metrics.examples).toBe(120);
+    expect(trained.metrics.holdout.auc).toBe(1);
+    expect(trained.metrics.holdout.ruleAuc).toBe(1);
+    expect(trained.metrics.withoutSnapshot).toBe(0);
+    expect(trained.options).toMatchObject({ target: 'conversion', industry: null });
+  });
+
+  test('leaves out leads without a snapshot', async () => {
+    const { snapshots } = trainingData();
+    delete snapshots['lead-0'];
+    delete snapshots['lead-1'];
+    repository.getScoreSnapshots.mockResolvedValue(snapshots);
+
+    const trained = await service.train();
+
+    expect(trained.metrics.examples).toBe(118);
+    expect(trained.metrics.withoutSnapshot).toBe(2);
+    expect(trained.metrics.unlabelled).toBe(2);
+  });
+
+  test('needs enough labelled leads', async () => {
+    await expect(new ScoringModelService({ minExamples: 500 }).train())
+      .rejects.toThrow('Only 120 labelled leads; at least 500 are needed to train a model');
+  });
+});
+
+describe('ScoringModelService.buildExamples', () => {
+  test('turns a snapshot into features and keeps its rule score', () => {
+    const service = new ScoringModelService();
+    const lead = { id: 'lead-1', status: 'converted' };
+    const snapshot = {
+      score: 65,
+      rule_score: null,
+      confidence: 80,
+      component_scores: { websiteQuality: 90 },
+      indicators: { websiteQuality: ['noSsl', 'noSsl'] }
+    };
+
+    const [example] = service.buildExamples([lead], {}, { 'lead-1': snapshot }, 'conversion');
+
+    expect(example).toEqual({
+      leadId: 'lead-1',
+      features: { 'websiteQuality.score': 0.9, 'websiteQuality.noSsl': 2, confidence: 0.8 },
+      label: 1,
+      ruleScore: 65
+    });
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * Jest setup: keep test output to errors and never reach live services
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SCRAPER_FIXTURE_MODE = 'replay';
+delete process.env.YELP_API_KEY;
@@ -0,0 +1,157 @@
+/**
+ * Rate limit windows, shared budgets and runtime overrides
+ */
+
+jest.mock('../../src/queues/queue-config', () => ({
+  redisClient: { status: 'end', defineCommand: jest.fn() }
+}));
+
+const { RateLimiter, DEFAULT_LIMITS } = require('../../src/utils/rate-limiter');
+
+/**
+ * Stand-in for the ioredis client with the sliding window command defined
+ */
+function fakeRedis(overrides = {}) {
+  const config = {};
+
+  return {
+    status: 'ready',
+    takeRateLimitSlot: jest.fn(async () => 0),
+    hget: jest.fn(async (key, field) => config[field] || null),
+    hset: jest.fn(async (key, field, value) => { config[field] = value; }),
+    hdel: jest.fn(async (key, field) => { delete config[field]; }),
+    get: jest.fn(async () => null),
+    set: jest.fn(async () => 'OK'),
+    del: jest.fn(async () => 1),
+    ...overrides
+  };
+}
+
+describe('local window', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-01T12:00:00Z') });
+    limiter = new RateLimiter({ redis: { status: 'end' } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('allows up to the limit and then reports the wait', () => {
+    expect(limiter.takeLocalSlot('google', 2, 60000)).toBe(0);
+    expect(limiter.takeLocalSlot('google', 2, 60000)).toBe(0);
+
+    jest.advanceTimersByTime(15000);
+    expect(limiter.takeLocalSlot('google', 2, 60000)).toBe(45000);
+  });
+
+  test('opens a new window once the old one has passed', () => {
+    limiter.takeLocalSlot('google', 1, 60000);
+    expect(limiter.takeLocalSlot('google', 1, 60000)).toBe(60000);
+
+    jest.advanceTimersByTime(60000);
+    expect(limiter.takeLocalSlot('google', 1, 60000)).toBe(0);
+  });
+
+  test('services count separately', () => {
+    limiter.takeLocalSlot('google', 1, 60000);
+
+    expect(limiter.takeLocalSlot('yelp', 1, 60000)).toBe(0);
+    expect(limiter.takeLocalSlot('google', 1, 60000)).toBeGreaterThan(0);
+  });
+
+  test('checkLimit waits until the window has room', async () => {
+    const sleep = jest.spyOn(limiter, 'sleep').mockResolvedValue();
+    const takeSlot = jest.spyOn(limiter, 'takeSlot').mockResolvedValueOnce(1000).mockResolvedValueOnce(0);
+
+    await limiter.checkLimit('google');
+
+    expect(takeSlot).toHaveBeenCalledTimes(2);
+    expect(takeSlot).toHaveBeenCalledWith('google', 10, 60000);
+    expect(sleep).toHaveBeenCalledWith(1000);
+  });
+
+  test('status counts requests in the current window', async () => {
+    limiter.takeLocalSlot('yelp', 15, 60000);
+    limiter.takeLocalSlot('yelp', 15, 60000);
+
+    const status = await limiter.getStatus();
+
+    expect(status.yelp).toMatchObject({ requests: 2, limit: 15, remaining: 13, shared: false });
+    expect(status.google.requests).toBe(0);
+  });
+});
+
+describe('shared window', () => {
+  test('takes slots through the Redis script with window and limit', async () => {
+    const redis = fakeRedis();
+    redis.takeRateLimitSlot.mockResolvedValueOnce(0).mockResolvedValueOnce('2500');
+    const limiter = new RateLimiter({ redis });
+
+    expect(await limiter.takeSlot('yelp', 15, 60000)).toBe(0);
+    expect(await limiter.takeSlot('yelp', 15, 60000)).toBe(2500);
+
+    expect(redis.takeRateLimitSlot).toHaveBeenCalledWith('ratelimit:yelp', 60000, 15, expect.any(String));
+    const [first, second] = redis.takeRateLimitSlot.mock.calls.map(call => call[3]);
+    expect(first).not.toBe(second);
+  });
+
+  test('falls back to local counters when the script fails', async () => {
+    const redis = fakeRedis({ takeRateLimitSlot: jest.fn(async () => { throw new Error('READONLY'); }) });
+    const limiter = new RateLimiter({ redis });
+
+    expect(await limiter.takeSlot('yelp', 1, 60000)).toBe(0);
+    expect(await limiter.takeSlot('yelp', 1, 60000)).toBeGreaterThan(0);
+  });
+
+  test('overrides set by one process apply to every process', async () => {
+    const redis = fakeRedis();
+    const writer = new RateLimiter({ redis });
+    const reader = new RateLimiter({ redis });
+
+    await writer.setLimit('google', { limit: 4 });
+
+    expect(await reader.getLimit('google')).toEqual({ limit: 4, window: DEFAULT_LIMITS.google.window });
+    expect(redis.hset).toHaveBeenCalledWith('ratelimit:config', 'google', JSON.stringify({ limit: 4, window: 60000 }));
+
+    await writer.resetLimit('google');
+
+    expect(await reader.getLimit('google')).toEqual(DEFAULT_LIMITS.google);
+  });
+});
+
+describe('limits', () => {
+  test('unknown services use the default bucket', async () => {
+    const limiter = new RateLimiter({ redis: { status: 'end' } });
+
+    expect(limiter.resolveService('bing')).toBe('default');
+    expect(await limiter.getLimit('bing')).toEqual(DEFAULT_LIMITS.default);
+  });
+
+  test('setLimit rejects unknown services', async () => {
+    const limiter = new RateLimiter({ redis: { status: 'end' } });
+
+    await expect(limiter.setLimit('bing', { limit: 1 })).rejects.toThrow('Unknown rate limit service: bing');
+  });
+
+  test('each consecutive block doubles the cool-down up to the maximum', async () => {
+    const limiter = new RateLimiter({ redis: { status: 'end' } });
+    limiter.backoffBaseMs = 1000;
+    limiter.backoffMaxMs = 3000;
+
+    const durations = [];
+    for (let i = 0; i < 3; i++) {
+      const before = Date.now();
+      const cooldown = await limiter.backoff('yelp', 'HTTP 429');
+      durations.push(Math.round((cooldown.until - before) / 1000));
+    }
+
+    expect(durations).toEqual([1, 2, 3]);
+    expect(await limiter.getCooldown('yelp')).toMatchObject({ strikes: 3, reason: 'HTTP 429' });
+
+    await limiter.clearBackoff('yelp');
+    expect(await limiter.getCooldown('yelp')).toBeNull();
+  });
+});